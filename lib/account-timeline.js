@@ -0,0 +1,456 @@
+import { createLogger } from './logger.js';
+import { BALANCE_FIELDS } from './subscription-hub.js';
+import { createTransactionHistory, encodeCursor, decodeCursor } from './transaction-history.js';
+
+const logger = createLogger('account-timeline');
+
+export const TIMELINE_KINDS = ['transaction', 'dex', 'balance', 'contract'];
+
+// Replicated state paths (<prefix>/<username>) that DataTransformer.transformBalance
+// writes to an Account balance predicate
+export const BALANCE_PATHS = {
+  balances: 'larynxBalance',
+  cbalances: 'claimableLarynx',
+  pow: 'power',
+  spk: 'spkBalance',
+  cspk: 'claimableSpk',
+  spkp: 'spkPower',
+  lbroca: 'liquidBroca',
+  cbroca: 'claimableBroca',
+  bpow: 'brocaPower',
+  sbroca: 'storageBroca',
+  vbroca: 'validatorBroca'
+};
+
+// StorageContract.status codes, as DataTransformer.getContractStatusText names them
+const CONTRACT_STATUS = ['PENDING', 'UPLOADING', 'PROCESSING', 'ACTIVE', 'EXPIRED', 'CANCELLED'];
+
+const DEX_CATEGORIES = ['DEX_ORDER', 'DEX_TRADE', 'DEX_CANCEL'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function parseBlock(value) {
+  const block = Number(value);
+  return Number.isInteger(block) && block >= 0 ? block : null;
+}
+
+function parseStored(value) {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Balance from a stored operation value; liquid BROCA is "milliBRC,Base64Block"
+ */
+function balanceOf(value) {
+  const parsed = parseStored(value);
+  if (typeof parsed === 'number') {
+    return Math.floor(parsed);
+  }
+  if (typeof parsed === 'string') {
+    const amount = parseInt(parsed.split(',')[0]);
+    return isNaN(amount) ? null : amount;
+  }
+  return null;
+}
+
+function contractStatusOf(value) {
+  const parsed = parseStored(value);
+  const code = parsed && typeof parsed === 'object' ? parseInt(parsed.c) : NaN;
+  return isNaN(code) ? null : code;
+}
+
+function statusText(code) {
+  return CONTRACT_STATUS[code] || 'UNKNOWN';
+}
+
+/**
+ * Account Timeline
+ * One block-ordered history of everything that touched an account: feed transactions
+ * and DEX activity, balance changes from the replicated operations that overwrote the
+ * Account's balance predicates, and storage contract openings and status changes.
+ *
+ * Balance entries carry before/after values when the operation was replicated with its
+ * previousValue, or when the preceding write to the same path is in the same window.
+ */
+export class AccountTimeline {
+  /**
+   * @param {Object} dgraphClient - Client for the network's namespace
+   * @param {Object} options - { candidateLimit } rows read per source
+   */
+  constructor(dgraphClient, options = {}) {
+    this.dgraph = dgraphClient;
+    this.candidateLimit = options.candidateLimit || 1000;
+    this.history = createTransactionHistory(dgraphClient, { batchSize: this.candidateLimit });
+  }
+
+  /**
+   * Normalize and validate request parameters
+   * @returns {Object} { error, value } where value is { kinds, token, fromBlock, toBlock, limit, cursor }
+   */
+  parseParams(query = {}) {
+    const value = {
+      kinds: TIMELINE_KINDS,
+      token: null,
+      fromBlock: null,
+      toBlock: null,
+      limit: DEFAULT_LIMIT,
+      cursor: null
+    };
+
+    if (query.kind !== undefined) {
+      const kinds = (Array.isArray(query.kind) ? query.kind : String(query.kind).split(','))
+        .map(kind => String(kind).trim().toLowerCase())
+        .filter(Boolean);
+      const unknown = kinds.find(kind => !TIMELINE_KINDS.includes(kind));
+      if (unknown || kinds.length === 0) {
+        return { error: `Invalid kind: ${unknown || query.kind}. Expected one of ${TIMELINE_KINDS.join(', ')}` };
+      }
+      value.kinds = kinds;
+    }
+
+    if (query.token) {
+      value.token = String(query.token).toUpperCase();
+    }
+
+    for (const key of ['fromBlock', 'toBlock']) {
+      if (query[key] !== undefined && query[key] !== null) {
+        const block = parseBlock(query[key]);
+        if (block === null) {
+          return { error: `Invalid ${key}: ${query[key]}` };
+        }
+        value[key] = block;
+      }
+    }
+    if (value.fromBlock !== null && value.toBlock !== null && value.fromBlock > value.toBlock) {
+      return { error: 'fromBlock must not be after toBlock' };
+    }
+
+    if (query.limit !== undefined) {
+      value.limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    }
+
+    if (query.cursor !== undefined && query.cursor !== null) {
+      value.cursor = decodeCursor(query.cursor);
+      if (!value.cursor) {
+        return { error: `Invalid cursor: ${query.cursor}` };
+      }
+    }
+
+    return { value };
+  }
+
+  blockFilters(params, predicate, vars, declarations) {
+    const filters = [];
+    if (params.fromBlock !== null) {
+      declarations.push('$fromBlock: int');
+      vars.$fromBlock = String(params.fromBlock);
+      filters.push(`ge(${predicate}, $fromBlock)`);
+    }
+    if (params.toBlock !== null) {
+      declarations.push('$toBlock: int');
+      vars.$toBlock = String(params.toBlock);
+      filters.push(`le(${predicate}, $toBlock)`);
+    }
+    return filters;
+  }
+
+  /**
+   * Source queries start at the cursor's block so each page reads the next candidateLimit
+   * rows instead of the newest ones; the cursor's own block is re-read and sliced in memory
+   */
+  sourceParams(params) {
+    if (!params.cursor) {
+      return params;
+    }
+    const toBlock = params.toBlock === null ? params.cursor.blockNum : Math.min(params.toBlock, params.cursor.blockNum);
+    return { ...params, toBlock };
+  }
+
+  async loadTransactions(params, accountUid, username) {
+    const { query, vars } = this.history.buildQuery({
+      categories: [],
+      operationType: null,
+      fromBlock: params.fromBlock,
+      toBlock: params.toBlock,
+      from: null,
+      to: null
+    }, accountUid);
+    const result = await this.dgraph.query(query, vars);
+    const transactions = result.transactions || [];
+
+    const entries = transactions.map(tx => {
+      const entry = this.history.toEntry(tx, username);
+      return {
+        // Prefixed ids sort a block's transactions ahead of the balance and contract changes they caused
+        id: `tx:${entry.id}`,
+        kind: DEX_CATEGORIES.includes(entry.category) ? 'dex' : 'transaction',
+        blockNum: entry.blockNum,
+        timestamp: entry.timestamp,
+        type: entry.category,
+        token: entry.token,
+        amount: entry.amount,
+        direction: entry.direction,
+        counterparty: entry.counterparty,
+        balance: null,
+        description: entry.memo,
+        ref: entry.id
+      };
+    });
+    const truncated = transactions.length >= this.candidateLimit;
+    return { entries, truncated, horizon: truncated ? transactions[transactions.length - 1].blockNum : null };
+  }
+
+  // Not limited to the block range: contracts opened before it can still change status inside it
+  async loadContracts(accountUid) {
+    const query = `
+      query timelineContracts($accountUid: string, $first: int) {
+        contracts(func: type(StorageContract), orderdesc: blockNumber, first: $first) @filter(uid_in(owner, $accountUid) OR uid_in(purchaser, $accountUid)) {
+          id
+          blockNumber
+          txid
+          status
+          statusText
+          power
+          authorized
+          purchaser {
+            username
+          }
+        }
+      }
+    `;
+    const result = await this.dgraph.query(query, { $accountUid: accountUid, $first: String(this.candidateLimit) });
+    return result.contracts || [];
+  }
+
+  /**
+   * Writes to the account's balance paths, and to its contracts' paths, newest first
+   */
+  async loadOperations(params, paths) {
+    if (paths.length === 0) {
+      return { operations: [], truncated: false, horizon: null };
+    }
+
+    const vars = { $first: String(this.candidateLimit) };
+    const declarations = ['$first: int'];
+    const filters = ['type(Operation)', ...this.blockFilters(params, 'blockNum', vars, declarations)];
+
+    const query = `
+      query timelineOperations(${declarations.join(', ')}) {
+        operations(func: eq(path, ${JSON.stringify(paths)}), orderdesc: blockNum, first: $first) @filter(${filters.join(' AND ')}) {
+          uid
+          blockNum
+          index
+          path
+          data
+          previousValue
+          timestamp
+          reverted
+        }
+      }
+    `;
+    const result = await this.dgraph.query(query, vars);
+    const operations = result.operations || [];
+    const truncated = operations.length >= this.candidateLimit;
+    return {
+      operations: operations
+        .filter(op => !op.reverted)
+        .sort((a, b) => b.blockNum - a.blockNum || (b.index || 0) - (a.index || 0)),
+      truncated,
+      horizon: truncated ? Math.min(...operations.map(op => op.blockNum)) : null
+    };
+  }
+
+  /**
+   * Balance and contract status changes from newest-first operations. A write's old value
+   * is its previousValue, or else the next older write to the same path in the window.
+   */
+  changesFrom(operations, contractPaths) {
+    const entries = [];
+    const byPath = new Map();
+    for (const op of operations) {
+      if (!byPath.has(op.path)) {
+        byPath.set(op.path, []);
+      }
+      byPath.get(op.path).push(op);
+    }
+
+    for (const [path, writes] of byPath) {
+      const contract = contractPaths.get(path);
+      const field = contract ? null : BALANCE_PATHS[path.split('/')[0]];
+      const read = contract ? contractStatusOf : balanceOf;
+
+      writes.forEach((op, i) => {
+        const after = read(op.data);
+        const older = writes[i + 1];
+        const before = op.previousValue !== undefined && op.previousValue !== null
+          ? read(op.previousValue)
+          : older ? read(older.data) : null;
+
+        if (contract) {
+          // Only status transitions; other contract writes are uploads and node changes
+          if (after === null || before === null || after === before) {
+            return;
+          }
+          entries.push({
+            id: `contract:${op.uid}`,
+            kind: 'contract',
+            blockNum: op.blockNum,
+            timestamp: op.timestamp || null,
+            type: 'CONTRACT_STATUS',
+            token: null,
+            amount: null,
+            direction: null,
+            counterparty: null,
+            balance: null,
+            description: `Contract ${contract} ${statusText(before)} -> ${statusText(after)}`,
+            ref: contract
+          });
+          return;
+        }
+
+        if (after === null) {
+          return;
+        }
+        const delta = before === null ? null : after - before;
+        if (delta === 0) {
+          return;
+        }
+        entries.push({
+          id: `balance:${op.uid}`,
+          kind: 'balance',
+          blockNum: op.blockNum,
+          timestamp: op.timestamp || null,
+          type: 'BALANCE_CHANGE',
+          token: BALANCE_FIELDS[field] || null,
+          amount: delta,
+          direction: delta === null ? null : delta > 0 ? 'in' : 'out',
+          counterparty: null,
+          balance: { field, before, after, delta },
+          description: before === null ? `${field} set to ${after}` : `${field} ${before} -> ${after}`,
+          ref: path
+        });
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * A user's timeline, newest first
+   * @param {string} username
+   * @param {Object} params - Output of parseParams
+   * @returns {Object|null} null when the user does not exist
+   */
+  async list(username, params) {
+    const accountUid = await this.history.resolveAccount(username);
+    if (!accountUid) {
+      return null;
+    }
+
+    const wants = kind => params.kinds.includes(kind);
+    const inRange = blockNum => (params.fromBlock === null || blockNum >= params.fromBlock) &&
+      (params.toBlock === null || blockNum <= params.toBlock);
+    const sourceParams = this.sourceParams(params);
+    let entries = [];
+    let truncated = false;
+    // Oldest block a truncated source reached; rows in and below it may be missing
+    let horizon = -1;
+
+    if (wants('transaction') || wants('dex')) {
+      const transactions = await this.loadTransactions(sourceParams, accountUid, username);
+      entries.push(...transactions.entries);
+      truncated = truncated || transactions.truncated;
+      horizon = Math.max(horizon, transactions.horizon ?? -1);
+    }
+
+    // Contract state paths are contract/<purchaser>/<id>, with the id with or without its purchaser
+    const contractPaths = new Map();
+    if (wants('contract')) {
+      const contracts = await this.loadContracts(accountUid);
+      for (const contract of contracts) {
+        const purchaser = contract.purchaser?.username || username;
+        contractPaths.set(`contract/${purchaser}/${contract.id}`, contract.id);
+        contractPaths.set(`contract/${purchaser}/${contract.id.split(':').slice(2).join(':')}`, contract.id);
+
+        if (contract.blockNumber && inRange(contract.blockNumber)) {
+          entries.push({
+            id: `contract:${contract.id}`,
+            kind: 'contract',
+            blockNum: contract.blockNumber,
+            timestamp: null,
+            type: 'CONTRACT_OPENED',
+            token: null,
+            amount: null,
+            direction: null,
+            counterparty: null,
+            balance: null,
+            description: `Contract ${contract.id} opened for ${contract.authorized || 0} bytes` +
+              ` (now ${contract.statusText || statusText(contract.status)})`,
+            ref: contract.id
+          });
+        }
+      }
+    }
+
+    const balancePaths = wants('balance') ? Object.keys(BALANCE_PATHS).map(prefix => `${prefix}/${username}`) : [];
+    const loaded = await this.loadOperations(sourceParams, [...balancePaths, ...contractPaths.keys()]);
+    entries.push(...this.changesFrom(loaded.operations, contractPaths));
+    truncated = truncated || loaded.truncated;
+    horizon = Math.max(horizon, loaded.horizon ?? -1);
+
+    entries = entries
+      .filter(entry => params.kinds.includes(entry.kind))
+      .filter(entry => !params.token || entry.token === params.token)
+      .sort((a, b) => (b.blockNum || 0) - (a.blockNum || 0) || b.id.localeCompare(a.id));
+
+    let start = 0;
+    if (params.cursor) {
+      const { blockNum, id } = params.cursor;
+      start = entries.findIndex(entry => entry.blockNum < blockNum ||
+        (entry.blockNum === blockNum && entry.id.localeCompare(id) < 0));
+      if (start === -1) {
+        start = entries.length;
+      }
+    }
+    entries = entries.slice(start);
+
+    // Page only through blocks every source covered completely; the next page reads on from there.
+    // A single block larger than candidateLimit is returned as far as it was read.
+    const complete = entries.filter(entry => entry.blockNum > horizon);
+    if (complete.length > 0) {
+      entries = complete;
+    }
+    const page = entries.slice(0, params.limit);
+    const hasMore = page.length < entries.length || (truncated && page.length > 0);
+
+    logger.debug('Account timeline', { username, matched: entries.length, returned: page.length });
+
+    return {
+      username,
+      filters: {
+        kind: params.kinds,
+        token: params.token,
+        fromBlock: params.fromBlock,
+        toBlock: params.toBlock
+      },
+      total: entries.length,
+      truncated,
+      limit: params.limit,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      entries: page
+    };
+  }
+}
+
+// Factory function
+export function createAccountTimeline(dgraphClient, options = {}) {
+  return new AccountTimeline(dgraphClient, options);
+}
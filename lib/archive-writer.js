@@ -0,0 +1,355 @@
+/**
+ * Archive Writer
+ * Minimal streaming tar (ustar/pax) and zip (stored) writers used for directory exports.
+ * Entries are written straight to the output stream so large folders never sit in memory.
+ */
+
+export const ARCHIVE_FORMATS = {
+  tar: { contentType: 'application/x-tar', extension: 'tar' },
+  zip: { contentType: 'application/zip', extension: 'zip' }
+};
+
+// Zip without zip64 records cannot address more than this
+export const ZIP_MAX_BYTES = 0xFFFFFFFF;
+
+// Largest directory export served unless ARCHIVE_MAX_FILES / ARCHIVE_MAX_BYTES say otherwise
+export const DEFAULT_ARCHIVE_MAX_FILES = 10000;
+export const DEFAULT_ARCHIVE_MAX_BYTES = 20 * 1024 * 1024 * 1024;
+
+const TAR_BLOCK = 512;
+const TAR_MAX_OCTAL_SIZE = 0o77777777777;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer, crc = 0) {
+  let c = (crc ^ 0xFFFFFFFF) >>> 0;
+  for (let i = 0; i < buffer.length; i++) {
+    c = CRC_TABLE[(c ^ buffer[i]) & 0xFF] ^ (c >>> 8);
+  }
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+class BaseArchiveWriter {
+  constructor(output) {
+    this.output = output;
+    this.bytesWritten = 0;
+  }
+
+  async write(chunk) {
+    if (this.output.destroyed) {
+      throw new Error('Archive output closed');
+    }
+
+    this.bytesWritten += chunk.length;
+    if (this.output.write(chunk)) {
+      return;
+    }
+
+    await new Promise((resolve, reject) => {
+      const onDrain = () => { cleanup(); resolve(); };
+      const onClose = () => { cleanup(); reject(new Error('Archive output closed')); };
+      const cleanup = () => {
+        this.output.off('drain', onDrain);
+        this.output.off('close', onClose);
+      };
+      this.output.on('drain', onDrain);
+      this.output.on('close', onClose);
+    });
+  }
+
+  async addBuffer(name, buffer, options = {}) {
+    return this.addFile(name, [buffer], { ...options, size: buffer.length });
+  }
+}
+
+/**
+ * Streaming tar writer
+ * Uses ustar headers, falling back to pax records for long paths and >8GiB files
+ */
+export class TarWriter extends BaseArchiveWriter {
+  /**
+   * Split a path into ustar prefix/name fields, or null when it cannot fit
+   */
+  splitName(name) {
+    if (Buffer.byteLength(name) <= 100) {
+      return { prefix: '', fileName: name };
+    }
+
+    const split = name.lastIndexOf('/', 155);
+    if (split > 0 && Buffer.byteLength(name.slice(0, split)) <= 155 &&
+        Buffer.byteLength(name.slice(split + 1)) <= 100) {
+      return { prefix: name.slice(0, split), fileName: name.slice(split + 1) };
+    }
+
+    return null;
+  }
+
+  header(name, { size = 0, type = '0', mtime = new Date(), mode = 0o644 } = {}) {
+    const block = Buffer.alloc(TAR_BLOCK);
+    const writeString = (value, offset, length) => block.write(value, offset, length, 'utf8');
+    const writeOctal = (value, offset, length) => {
+      writeString(value.toString(8).padStart(length - 1, '0'), offset, length - 1);
+    };
+
+    // Names that do not fit are carried by a preceding pax record
+    const { prefix, fileName } = this.splitName(name) || { prefix: '', fileName: name.slice(-100) };
+
+    writeString(fileName, 0, 100);
+    writeOctal(mode, 100, 8);
+    writeOctal(0, 108, 8);
+    writeOctal(0, 116, 8);
+    writeOctal(Math.min(size, TAR_MAX_OCTAL_SIZE), 124, 12);
+    writeOctal(Math.floor(mtime.getTime() / 1000), 136, 12);
+    block.fill(0x20, 148, 156);
+    writeString(type, 156, 1);
+    writeString('ustar\0', 257, 6);
+    writeString('00', 263, 2);
+    writeString(prefix, 345, 155);
+
+    let checksum = 0;
+    for (const byte of block) {
+      checksum += byte;
+    }
+    writeString(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+
+    return block;
+  }
+
+  paxRecords(name, size) {
+    const records = {};
+    if (!this.splitName(name)) {
+      records.path = name;
+    }
+    if (size > TAR_MAX_OCTAL_SIZE) {
+      records.size = String(size);
+    }
+
+    const keys = Object.keys(records);
+    if (keys.length === 0) {
+      return null;
+    }
+
+    // Each record is "<length> <key>=<value>\n" where length counts its own digits
+    return Buffer.from(keys.map(key => {
+      const body = ` ${key}=${records[key]}\n`;
+      const bodyLength = Buffer.byteLength(body);
+      const digits = String(bodyLength).length;
+      let length = bodyLength + digits;
+      if (String(length).length > digits) {
+        length += 1;
+      }
+      return `${length}${body}`;
+    }).join(''));
+  }
+
+  async writeEntryHeader(name, options) {
+    const pax = this.paxRecords(name, options.size || 0);
+    if (pax) {
+      await this.write(this.header('PaxHeader', { size: pax.length, type: 'x', mtime: options.mtime }));
+      await this.write(pax);
+      await this.pad(pax.length);
+    }
+    await this.write(this.header(name, options));
+  }
+
+  async pad(size) {
+    const remainder = size % TAR_BLOCK;
+    if (remainder) {
+      await this.write(Buffer.alloc(TAR_BLOCK - remainder));
+    }
+  }
+
+  async addDirectory(name, options = {}) {
+    const dirName = name.endsWith('/') ? name : `${name}/`;
+    await this.writeEntryHeader(dirName, { ...options, size: 0, type: '5', mode: 0o755 });
+  }
+
+  /**
+   * Add a file from an iterable source (stream or array of buffers)
+   * Tar needs the size up front; a source that comes up short is zero-padded and one
+   * that runs long is truncated so the archive stays readable.
+   * @returns {number} Bytes actually read from the source
+   */
+  async addFile(name, source, options = {}) {
+    const size = options.size || 0;
+    await this.writeEntryHeader(name, { ...options, size });
+
+    let received = 0;
+    for await (const data of source) {
+      const chunk = Buffer.isBuffer(data) ? data : Buffer.from(data);
+      const remaining = size - received;
+      received += chunk.length;
+      if (remaining <= 0) {
+        continue;
+      }
+      await this.write(chunk.length > remaining ? chunk.subarray(0, remaining) : chunk);
+    }
+
+    if (received < size) {
+      await this.write(Buffer.alloc(size - received));
+    }
+    await this.pad(size);
+
+    return received;
+  }
+
+  async finalize() {
+    await this.write(Buffer.alloc(TAR_BLOCK * 2));
+  }
+}
+
+/**
+ * Streaming zip writer
+ * Entries are stored uncompressed (IPFS media is usually compressed already) and sizes/CRCs
+ * go in data descriptors, so the source length does not need to be known in advance.
+ */
+export class ZipWriter extends BaseArchiveWriter {
+  constructor(output) {
+    super(output);
+    this.entries = [];
+  }
+
+  dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+  }
+
+  async addEntry(name, source, { mtime = new Date(), directory = false } = {}) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const { time, day } = this.dosDateTime(mtime);
+    const offset = this.bytesWritten;
+
+    if (offset > ZIP_MAX_BYTES) {
+      throw new Error('Zip archive exceeds 4 GiB, use tar instead');
+    }
+
+    // Bit 3: sizes in data descriptor, bit 11: UTF-8 names
+    const flags = 0x0808;
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(0, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    await this.write(Buffer.concat([local, nameBuffer]));
+
+    let crc = 0;
+    let size = 0;
+    for await (const data of source) {
+      const chunk = Buffer.isBuffer(data) ? data : Buffer.from(data);
+      crc = crc32(chunk, crc);
+      size += chunk.length;
+      await this.write(chunk);
+    }
+
+    if (size > ZIP_MAX_BYTES) {
+      throw new Error('Zip entry exceeds 4 GiB, use tar instead');
+    }
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(crc, 4);
+    descriptor.writeUInt32LE(size, 8);
+    descriptor.writeUInt32LE(size, 12);
+    await this.write(descriptor);
+
+    this.entries.push({ nameBuffer, flags, time, day, crc, size, offset, directory });
+    return size;
+  }
+
+  async addDirectory(name, options = {}) {
+    const dirName = name.endsWith('/') ? name : `${name}/`;
+    await this.addEntry(dirName, [], { ...options, directory: true });
+  }
+
+  async addFile(name, source, options = {}) {
+    return this.addEntry(name, source, options);
+  }
+
+  async finalize() {
+    const centralStart = this.bytesWritten;
+
+    for (const entry of this.entries) {
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0);
+      central.writeUInt16LE(20, 4);
+      central.writeUInt16LE(20, 6);
+      central.writeUInt16LE(entry.flags, 8);
+      central.writeUInt16LE(0, 10);
+      central.writeUInt16LE(entry.time, 12);
+      central.writeUInt16LE(entry.day, 14);
+      central.writeUInt32LE(entry.crc, 16);
+      central.writeUInt32LE(entry.size, 20);
+      central.writeUInt32LE(entry.size, 24);
+      central.writeUInt16LE(entry.nameBuffer.length, 28);
+      central.writeUInt32LE(entry.directory ? 0x10 : 0, 38);
+      central.writeUInt32LE(entry.offset, 42);
+      await this.write(Buffer.concat([central, entry.nameBuffer]));
+    }
+
+    const centralSize = this.bytesWritten - centralStart;
+    if (this.entries.length > 0xFFFF || centralStart > ZIP_MAX_BYTES) {
+      throw new Error('Zip archive exceeds zip32 limits, use tar instead');
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(centralStart, 16);
+    await this.write(end);
+  }
+}
+
+// Factory function
+/**
+ * File count and total size a directory export may reach
+ * @param {Object} options - { maxFiles, maxBytes }, falling back to the environment
+ * @returns {Object} { maxFiles, maxBytes }
+ */
+export function archiveLimits(options = {}) {
+  return {
+    maxFiles: options.maxFiles || parseInt(process.env.ARCHIVE_MAX_FILES) || DEFAULT_ARCHIVE_MAX_FILES,
+    maxBytes: options.maxBytes || parseInt(process.env.ARCHIVE_MAX_BYTES) || DEFAULT_ARCHIVE_MAX_BYTES
+  };
+}
+
+/**
+ * Why an export of these files would be refused, or null when it is within the limits
+ */
+export function checkArchiveLimits({ fileCount, totalSize }, limits) {
+  if (fileCount > limits.maxFiles) {
+    return { error: 'Directory has too many files to export', fileCount, maxFiles: limits.maxFiles };
+  }
+  if (totalSize > limits.maxBytes) {
+    return { error: 'Directory is too large to export', totalSize, maxBytes: limits.maxBytes };
+  }
+  return null;
+}
+
+export function createArchiveWriter(format, output) {
+  switch (format) {
+    case 'tar':
+      return new TarWriter(output);
+    case 'zip':
+      return new ZipWriter(output);
+    default:
+      throw new Error(`Unsupported archive format: ${format}`);
+  }
+}
+
+export { crc32 };
@@ -0,0 +1,435 @@
+import { createLogger } from './logger.js';
+import { BALANCE_FIELDS } from './subscription-hub.js';
+
+const logger = createLogger('balance-history');
+
+// Every change is kept for 30 days of 3 second blocks, then one per account, field and
+// day (the last) for a year; anything older collapses into a single change per field
+export const DEFAULT_RETENTION = {
+  fullBlocks: 864000,
+  bucketBlocks: 28800,
+  maxBlocks: 10512000
+};
+
+const DEFAULT_SERIES_LIMIT = 500;
+const MAX_SERIES_LIMIT = 5000;
+
+const CHANGE_FIELDS = `
+  uid
+  balanceField
+  blockNum
+  previousBalance
+  newBalance
+  compactedFrom
+`;
+
+function parseBlock(value) {
+  const block = Number(value);
+  return Number.isInteger(block) && block >= 0 ? block : null;
+}
+
+// Block counts from the environment; 0 is a valid setting (disables the step)
+function envBlocks(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+export function retentionFromEnv() {
+  return {
+    fullBlocks: envBlocks('BALANCE_HISTORY_FULL_BLOCKS', DEFAULT_RETENTION.fullBlocks),
+    bucketBlocks: envBlocks('BALANCE_HISTORY_BUCKET_BLOCKS', DEFAULT_RETENTION.bucketBlocks) || DEFAULT_RETENTION.bucketBlocks,
+    maxBlocks: envBlocks('BALANCE_HISTORY_MAX_BLOCKS', DEFAULT_RETENTION.maxBlocks)
+  };
+}
+
+/**
+ * Merge runs of changes into their last one
+ * The kept change takes the first change's previous balance, so the series still chains,
+ * and compactedFrom marks the blocks whose intermediate values were dropped
+ * @param {Array} changes - one account field's changes in block order
+ * @param {Function} groupOf - group key for a change, or null to leave it alone
+ * @returns {Object} { updates, deletes }
+ */
+export function compactChanges(changes, groupOf) {
+  const groups = new Map();
+  for (const change of changes) {
+    const key = groupOf(change);
+    if (key === null) {
+      continue;
+    }
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(change);
+  }
+
+  const updates = [];
+  const deletes = [];
+  for (const group of groups.values()) {
+    if (group.length < 2) {
+      continue;
+    }
+    const first = group[0];
+    const kept = group[group.length - 1];
+    const update = {
+      uid: kept.uid,
+      compactedFrom: first.compactedFrom ?? first.blockNum
+    };
+    if (first.previousBalance !== undefined && first.previousBalance !== null) {
+      update.previousBalance = first.previousBalance;
+    }
+    updates.push(update);
+    deletes.push(...group.slice(0, -1).map(change => change.uid));
+  }
+  return { updates, deletes };
+}
+
+/**
+ * Balance History
+ * Answers what an account held at a block and how a balance moved over a range, from the
+ * BalanceChange nodes DataTransformer.transformBalance records before it overwrites an
+ * Account balance predicate.
+ *
+ * Retention keeps history bounded: changes newer than fullBlocks are all kept, older ones
+ * are compacted to the last change per bucketBlocks, and changes older than maxBlocks
+ * (0 keeps them) merge into one. Balances inside a compacted stretch are reported with
+ * exact: false.
+ */
+export class BalanceHistory {
+  constructor(dgraphClient, options = {}) {
+    this.dgraph = dgraphClient;
+    this.retention = { ...retentionFromEnv(), ...options.retention };
+    this.pruneBatchSize = options.pruneBatchSize || 200;
+  }
+
+  /**
+   * Normalize balance-at-block parameters
+   * @returns {Object} { error, value } where value is { at }
+   */
+  parseAtParams(query = {}) {
+    if (query.at === undefined) {
+      return { value: { at: null } };
+    }
+    const at = parseBlock(query.at);
+    if (at === null) {
+      return { error: `Invalid at: ${query.at}` };
+    }
+    return { value: { at } };
+  }
+
+  /**
+   * Normalize series parameters
+   * @returns {Object} { error, value } where value is { field, fromBlock, toBlock, interval, limit }
+   */
+  parseSeriesParams(field, query = {}) {
+    if (!BALANCE_FIELDS[field]) {
+      return { error: `Invalid field: ${field}. Expected one of ${Object.keys(BALANCE_FIELDS).join(', ')}` };
+    }
+    const value = {
+      field,
+      fromBlock: 0,
+      toBlock: null,
+      interval: null,
+      limit: DEFAULT_SERIES_LIMIT
+    };
+
+    for (const key of ['fromBlock', 'toBlock']) {
+      if (query[key] !== undefined) {
+        const block = parseBlock(query[key]);
+        if (block === null) {
+          return { error: `Invalid ${key}: ${query[key]}` };
+        }
+        value[key] = block;
+      }
+    }
+    if (value.toBlock !== null && value.fromBlock > value.toBlock) {
+      return { error: 'fromBlock must not be after toBlock' };
+    }
+
+    if (query.interval !== undefined) {
+      const interval = parseBlock(query.interval);
+      if (!interval) {
+        return { error: `Invalid interval: ${query.interval}` };
+      }
+      value.interval = interval;
+    }
+
+    if (query.limit !== undefined) {
+      value.limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_SERIES_LIMIT, 1), MAX_SERIES_LIMIT);
+    }
+
+    return { value };
+  }
+
+  async queryAccounts(query, vars) {
+    return this.dgraph.queryGlobal
+      ? this.dgraph.queryGlobal(query, vars)
+      : this.dgraph.query(query, vars);
+  }
+
+  /**
+   * Balances of every tracked field, now or as they were at a block
+   * A field holds the new balance of its last change at or before the block; with no such
+   * change it held what the next change replaced, or, never having changed, what it holds now
+   * @returns {Object|null} null when the account does not exist
+   */
+  async balancesAt(username, at = null) {
+    const fields = Object.keys(BALANCE_FIELDS);
+    const history = at === null ? '' : fields.map(field => `
+          before_${field}: ~account (orderdesc: blockNum, first: 1) @filter(type(BalanceChange) AND eq(balanceField, "${field}") AND le(blockNum, $at)) {
+            blockNum
+            newBalance
+          }
+          after_${field}: ~account (orderasc: blockNum, first: 1) @filter(type(BalanceChange) AND eq(balanceField, "${field}") AND gt(blockNum, $at)) {
+            blockNum
+            previousBalance
+            compactedFrom
+          }`).join('');
+
+    const query = `
+      query balancesAt($username: string${at === null ? '' : ', $at: int'}) {
+        user(func: eq(username, $username)) @filter(type(Account)) {
+          uid
+          ${fields.join('\n          ')}${history}
+        }
+      }
+    `;
+    const vars = { $username: username };
+    if (at !== null) {
+      vars.$at = String(at);
+    }
+
+    const result = await this.queryAccounts(query, vars);
+    const account = result.user?.[0];
+    if (!account) {
+      return null;
+    }
+
+    const balances = {};
+    for (const field of fields) {
+      const current = account[field] ?? 0;
+      if (at === null) {
+        balances[field] = { token: BALANCE_FIELDS[field], value: current };
+        continue;
+      }
+
+      const before = account[`before_${field}`]?.[0];
+      const after = account[`after_${field}`]?.[0];
+      const entry = { token: BALANCE_FIELDS[field], value: current, changedAt: null, exact: true };
+      if (before) {
+        entry.value = before.newBalance;
+        entry.changedAt = before.blockNum;
+      } else if (after) {
+        entry.value = after.previousBalance ?? null;
+      }
+      if (after && after.compactedFrom !== undefined && after.compactedFrom !== null && after.compactedFrom <= at) {
+        entry.exact = false;
+      }
+      balances[field] = entry;
+    }
+
+    return { username, at, balances };
+  }
+
+  buildSeriesQuery(params) {
+    const match = 'type(BalanceChange) AND eq(balanceField, $field)';
+    const range = ['ge(blockNum, $fromBlock)'];
+    const declarations = ['$username: string', '$field: string', '$fromBlock: int', '$first: int'];
+    const vars = {
+      $field: params.field,
+      $fromBlock: String(params.fromBlock),
+      $first: String(params.limit + 1)
+    };
+    if (params.toBlock !== null) {
+      range.push('le(blockNum, $toBlock)');
+      declarations.push('$toBlock: int');
+      vars.$toBlock = String(params.toBlock);
+    }
+
+    const query = `
+      query balanceSeries(${declarations.join(', ')}) {
+        user(func: eq(username, $username)) @filter(type(Account)) {
+          uid
+          start: ~account (orderdesc: blockNum, first: 1) @filter(${match} AND lt(blockNum, $fromBlock)) {
+            blockNum
+            newBalance
+          }
+          changes: ~account (orderasc: blockNum, first: $first) @filter(${match} AND ${range.join(' AND ')}) {
+            ${CHANGE_FIELDS}
+          }
+        }
+      }
+    `;
+    return { query, vars };
+  }
+
+  /**
+   * One field's balance over a block range, as change points or, with an interval,
+   * open/high/low/close buckets for charting
+   * @returns {Object|null} null when the account does not exist
+   */
+  async series(username, params) {
+    const { query, vars } = this.buildSeriesQuery(params);
+    const result = await this.queryAccounts(query, { ...vars, $username: username });
+    const account = result.user?.[0];
+    if (!account) {
+      return null;
+    }
+
+    const changes = account.changes || [];
+    const truncated = changes.length > params.limit;
+    const window = changes.slice(0, params.limit);
+    const startBalance = account.start?.[0]?.newBalance ?? window[0]?.previousBalance ?? null;
+
+    const points = window.map(change => {
+      const point = {
+        blockNum: change.blockNum,
+        value: change.newBalance,
+        change: change.previousBalance !== undefined && change.previousBalance !== null
+          ? change.newBalance - change.previousBalance
+          : null
+      };
+      if (change.compactedFrom !== undefined && change.compactedFrom !== null) {
+        point.compactedFrom = change.compactedFrom;
+      }
+      return point;
+    });
+
+    return {
+      username,
+      field: params.field,
+      token: BALANCE_FIELDS[params.field],
+      fromBlock: params.fromBlock,
+      toBlock: params.toBlock,
+      interval: params.interval,
+      startBalance,
+      truncated,
+      points: params.interval ? this.bucket(window, startBalance, params.interval) : points
+    };
+  }
+
+  /**
+   * Group changes into interval buckets; a bucket opens at the balance before its first change
+   */
+  bucket(changes, startBalance, interval) {
+    const buckets = [];
+    let balance = startBalance;
+    let current = null;
+
+    for (const change of changes) {
+      const blockNum = Math.floor(change.blockNum / interval) * interval;
+      if (!current || current.blockNum !== blockNum) {
+        const open = balance ?? change.previousBalance ?? change.newBalance;
+        current = { blockNum, open, high: open, low: open, close: open, changes: 0 };
+        buckets.push(current);
+      }
+      current.high = Math.max(current.high, change.newBalance);
+      current.low = Math.min(current.low, change.newBalance);
+      current.close = change.newBalance;
+      current.changes++;
+      balance = change.newBalance;
+    }
+    return buckets;
+  }
+
+  async latestBlock() {
+    const result = await this.dgraph.query(`
+      {
+        latest(func: type(BalanceChange), orderdesc: blockNum, first: 1) {
+          blockNum
+        }
+      }
+    `);
+    return result.latest?.[0]?.blockNum ?? null;
+  }
+
+  /**
+   * Apply the retention policy, measured back from headBlock (the newest change by default)
+   * @returns {Object} { headBlock, compactBefore, collapseBefore, accounts, compacted, removed }
+   */
+  async prune({ headBlock = null, dryRun = false } = {}) {
+    const head = headBlock ?? await this.latestBlock();
+    const stats = { headBlock: head, compactBefore: null, collapseBefore: null, accounts: 0, compacted: 0, removed: 0 };
+    if (head === null || head < this.retention.fullBlocks) {
+      return stats;
+    }
+
+    const { fullBlocks, bucketBlocks, maxBlocks } = this.retention;
+    const compactBefore = head - fullBlocks;
+    const collapseBefore = maxBlocks > 0 ? Math.max(head - maxBlocks, 0) : null;
+    Object.assign(stats, { compactBefore, collapseBefore });
+
+    const groupOf = change => {
+      if (change.blockNum >= compactBefore) {
+        return null;
+      }
+      if (collapseBefore !== null && change.blockNum < collapseBefore) {
+        return 'collapsed';
+      }
+      return Math.floor(change.blockNum / bucketBlocks);
+    };
+
+    // Compaction leaves at least one change per account below the horizon, so pages stay put
+    for (let offset = 0; ; offset += this.pruneBatchSize) {
+      const result = await this.dgraph.query(`
+        query prunable($before: int, $first: int, $offset: int) {
+          var(func: type(BalanceChange)) @filter(lt(blockNum, $before)) {
+            owners as account
+          }
+          accounts(func: uid(owners), orderasc: username, first: $first, offset: $offset) {
+            uid
+            changes: ~account (orderasc: blockNum) @filter(type(BalanceChange) AND lt(blockNum, $before)) {
+              ${CHANGE_FIELDS}
+            }
+          }
+        }
+      `, {
+        $before: String(compactBefore),
+        $first: String(this.pruneBatchSize),
+        $offset: String(offset)
+      });
+      const accounts = result.accounts || [];
+
+      for (const account of accounts) {
+        const byField = new Map();
+        for (const change of account.changes || []) {
+          if (!byField.has(change.balanceField)) {
+            byField.set(change.balanceField, []);
+          }
+          byField.get(change.balanceField).push(change);
+        }
+
+        const updates = [];
+        const deletes = [];
+        for (const changes of byField.values()) {
+          const compacted = compactChanges(changes, groupOf);
+          updates.push(...compacted.updates);
+          deletes.push(...compacted.deletes);
+        }
+        if (deletes.length === 0) {
+          continue;
+        }
+
+        stats.accounts++;
+        stats.compacted += updates.length;
+        stats.removed += deletes.length;
+        if (!dryRun) {
+          await this.dgraph.writeOperation(updates);
+          await this.dgraph.deleteNodes(deletes);
+        }
+      }
+
+      if (accounts.length < this.pruneBatchSize) {
+        break;
+      }
+    }
+
+    logger.info('Balance history pruned', { ...stats, dryRun });
+    return stats;
+  }
+}
+
+// Factory function
+export function createBalanceHistory(dgraphClient, options = {}) {
+  return new BalanceHistory(dgraphClient, options);
+}
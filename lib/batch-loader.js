@@ -0,0 +1,90 @@
+/**
+ * Batch Loader
+ * Collects the keys requested while one round of GraphQL resolvers runs and fetches
+ * them with a single call, in the manner of DataLoader.
+ *
+ * Loaders are meant to live for one request: results are cached by key, so a value
+ * changed by replication mid-request is not seen until the next request.
+ */
+export class BatchLoader {
+  /**
+   * @param {Function} batchFn - async (keys) => values in the same order as keys; an Error value rejects that key
+   * @param {Object} options - { maxBatchSize }
+   */
+  constructor(batchFn, options = {}) {
+    this.batchFn = batchFn;
+    this.maxBatchSize = options.maxBatchSize || 100;
+    this.cache = new Map();
+    this.queue = [];
+    this.dispatches = 0;
+  }
+
+  load(key) {
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      this.queue.push({ key, resolve, reject });
+      if (this.queue.length === 1) {
+        this.scheduleDispatch();
+      }
+    });
+    this.cache.set(key, promise);
+    return promise;
+  }
+
+  loadMany(keys) {
+    return Promise.all(keys.map(key => this.load(key)));
+  }
+
+  /**
+   * Seed the cache with a value fetched elsewhere, such as a list query
+   */
+  prime(key, value) {
+    if (!this.cache.has(key)) {
+      this.cache.set(key, Promise.resolve(value));
+    }
+    return this;
+  }
+
+  // Wait for the current promise jobs to settle so sibling fields can enqueue their keys
+  scheduleDispatch() {
+    Promise.resolve().then(() => process.nextTick(() => this.dispatch()));
+  }
+
+  async dispatch() {
+    const queue = this.queue;
+    this.queue = [];
+
+    for (let start = 0; start < queue.length; start += this.maxBatchSize) {
+      const batch = queue.slice(start, start + this.maxBatchSize);
+      this.dispatches += 1;
+
+      try {
+        const values = await this.batchFn(batch.map(entry => entry.key));
+        if (!Array.isArray(values) || values.length !== batch.length) {
+          throw new Error(`Batch function returned ${values?.length} values for ${batch.length} keys`);
+        }
+        batch.forEach((entry, index) => {
+          if (values[index] instanceof Error) {
+            this.cache.delete(entry.key);
+            entry.reject(values[index]);
+          } else {
+            entry.resolve(values[index]);
+          }
+        });
+      } catch (error) {
+        for (const entry of batch) {
+          this.cache.delete(entry.key);
+          entry.reject(error);
+        }
+      }
+    }
+  }
+}
+
+// Factory function
+export function createBatchLoader(batchFn, options = {}) {
+  return new BatchLoader(batchFn, options);
+}
@@ -350,11 +350,18 @@ export class BlockDownloadRecovery extends EventEmitter {
     );
 
     // Write to Dgraph
-    const result = await this.dgraphClient.writeBatch(transformedOps, {
-      blockNum: blockData.blockNum,
-      blockHash: blockData.blockHash,
-      isReplay: true
-    });
+    let result;
+    try {
+      result = await this.dgraphClient.writeBatch(transformedOps, {
+        blockNum: blockData.blockNum,
+        blockHash: blockData.blockHash,
+        isReplay: true
+      });
+    } catch (error) {
+      this.dataTransformer.discardBatch();
+      throw error;
+    }
+    this.dataTransformer.commitBatch();
 
     this.logger.debug('Block replayed successfully', {
       blockNum: blockData.blockNum,
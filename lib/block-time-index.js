@@ -0,0 +1,188 @@
+import { readFileSync } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('block-time-index');
+
+// Hive produces a block every 3 seconds
+export const BLOCK_INTERVAL_MS = 3000;
+
+/**
+ * Block Time Index
+ * Remembers the time of blocks seen in replication messages (block batches, write
+ * markers and checkpoints) so feed entries can be stamped with their block's time even
+ * when they arrive in a later batch or during a backfill.
+ *
+ * A block that was not seen is placed between the nearest known blocks, or at 3 second
+ * steps from the nearest one, as long as that block is within maxDistance.
+ */
+export class BlockTimeIndex {
+  /**
+   * @param {Object} options - { path, maxEntries, maxDistance, flushIntervalMs }
+   */
+  constructor(options = {}) {
+    this.path = options.path === undefined ? process.env.BLOCK_TIME_INDEX_PATH || null : options.path;
+    this.maxEntries = options.maxEntries || 100000;
+    // A week of blocks; further out, skipped blocks make an estimate unreliable
+    this.maxDistance = options.maxDistance || 201600;
+    this.flushIntervalMs = options.flushIntervalMs || 30000;
+    this.blocks = [];
+    this.times = new Map();
+    this.loaded = false;
+    this.flushTimer = null;
+  }
+
+  /**
+   * Read the persisted index once, before the first record or lookup
+   */
+  ensureLoaded() {
+    if (this.loaded) {
+      return;
+    }
+    this.loaded = true;
+    if (!this.path) {
+      return;
+    }
+
+    try {
+      const entries = JSON.parse(readFileSync(this.path, 'utf8'));
+      for (const [blockNum, time] of entries) {
+        this.insert(blockNum, time);
+      }
+      logger.info('Loaded block time index', { path: this.path, blocks: this.blocks.length });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to load block time index', { path: this.path, error: error.message });
+      }
+    }
+  }
+
+  // Index of the first known block >= blockNum
+  search(blockNum) {
+    let low = 0;
+    let high = this.blocks.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.blocks[mid] < blockNum) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  insert(blockNum, time) {
+    if (!this.times.has(blockNum)) {
+      this.blocks.splice(this.search(blockNum), 0, blockNum);
+    }
+    this.times.set(blockNum, time);
+
+    while (this.blocks.length > this.maxEntries) {
+      this.times.delete(this.blocks.shift());
+    }
+  }
+
+  /**
+   * Remember when a block was produced
+   * @param {number} blockNum
+   * @param {string|number|Date} timestamp - ISO string or epoch milliseconds
+   * @returns {boolean} whether the block was recorded
+   */
+  record(blockNum, timestamp) {
+    const block = Number(blockNum);
+    const time = timestamp === null || timestamp === undefined ? NaN : new Date(timestamp).getTime();
+    if (!Number.isInteger(block) || block <= 0 || !Number.isFinite(time)) {
+      return false;
+    }
+
+    this.ensureLoaded();
+    if (this.times.get(block) === time) {
+      return true;
+    }
+    this.insert(block, time);
+    this.scheduleFlush();
+    return true;
+  }
+
+  // Whether the block's time was recorded rather than estimated
+  has(blockNum) {
+    this.ensureLoaded();
+    return this.times.has(Number(blockNum));
+  }
+
+  /**
+   * Time of a block, known or estimated from its neighbours
+   * @returns {string|null} ISO timestamp, or null when no known block is close enough
+   */
+  resolve(blockNum) {
+    const block = Number(blockNum);
+    if (!Number.isInteger(block) || block <= 0) {
+      return null;
+    }
+
+    this.ensureLoaded();
+    if (this.times.has(block)) {
+      return new Date(this.times.get(block)).toISOString();
+    }
+
+    const index = this.search(block);
+    const before = index > 0 ? this.blocks[index - 1] : null;
+    const after = index < this.blocks.length ? this.blocks[index] : null;
+    const near = value => value !== null && Math.abs(value - block) <= this.maxDistance;
+
+    let time = null;
+    if (near(before) && near(after)) {
+      const start = this.times.get(before);
+      const end = this.times.get(after);
+      time = start + (end - start) * (block - before) / (after - before);
+    } else if (near(before)) {
+      time = this.times.get(before) + (block - before) * BLOCK_INTERVAL_MS;
+    } else if (near(after)) {
+      time = this.times.get(after) - (after - block) * BLOCK_INTERVAL_MS;
+    }
+
+    return time === null ? null : new Date(Math.round(time)).toISOString();
+  }
+
+  scheduleFlush() {
+    if (!this.path || this.flushTimer) {
+      return;
+    }
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.save().catch(error => {
+        logger.warn('Failed to save block time index', { path: this.path, error: error.message });
+      });
+    }, this.flushIntervalMs);
+    this.flushTimer.unref?.();
+  }
+
+  async save() {
+    if (!this.path) {
+      return;
+    }
+    const entries = this.blocks.map(blockNum => [blockNum, this.times.get(blockNum)]);
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+    await fs.writeFile(this.path, JSON.stringify(entries));
+  }
+
+  getStats() {
+    this.ensureLoaded();
+    return {
+      blocks: this.blocks.length,
+      firstBlock: this.blocks[0] || null,
+      lastBlock: this.blocks[this.blocks.length - 1] || null,
+      path: this.path
+    };
+  }
+}
+
+// Factory function
+export function createBlockTimeIndex(options = {}) {
+  return new BlockTimeIndex(options);
+}
+
+// Shared by every transformer and the replication queue
+export const blockTimeIndex = new BlockTimeIndex();
@@ -1,6 +1,11 @@
 import { createLogger } from './logger.js';
 import { feedParser } from './feed-parser.js';
+import { blockTimeIndex } from './block-time-index.js';
 import { pathAccumulator } from './path-accumulator.js';
+import { VERSIONED_FIELDS as VERSIONED_FILE_FIELDS } from './file-history.js';
+import { BALANCE_FIELDS } from './subscription-hub.js';
+import { createOrderLifecycle } from './order-lifecycle.js';
+import { createDexCandles } from './dex-candles.js';
 
 const logger = createLogger('data-transformer');
 
@@ -12,6 +17,9 @@ export class DataTransformer {
     this.userPaths = new Map();
     // Cache for existing accounts to avoid duplicate queries
     this.accountCache = new Map();
+    // Open order books between batches, for fills and closes
+    this.orderLifecycle = createOrderLifecycle(dgraphClient);
+    this.dexCandles = createDexCandles(dgraphClient);
   }
 
   // Convert username to deterministic UID
@@ -44,6 +52,8 @@ export class DataTransformer {
       other: []
     };
 
+    blockTimeIndex.record(blockInfo?.blockNum, blockInfo?.timestamp);
+
     for (const op of operations) {
       try {
         if (op.path && op.path[0] === 'contract') {
@@ -64,6 +74,16 @@ export class DataTransformer {
     return await this.buildMutations(mutations, blockInfo);
   }
 
+  // Keep the order books of the last transformed batch once its mutations are written
+  commitBatch() {
+    this.orderLifecycle.commit();
+  }
+
+  // Drop them after a failed write or a fork revert; they are reloaded from Dgraph
+  discardBatch() {
+    this.orderLifecycle.reset();
+  }
+
   // Transform a single operation from honeycomb (standalone method)
   async transformOperation(op) {
     const mutations = {
@@ -81,7 +101,8 @@ export class DataTransformer {
     const blockInfo = {
       blockNum: op.blockNum || 0,
       blockHash: op.forkHash || '',
-      timestamp: op.timestamp || Date.now()
+      timestamp: op.timestamp || null,
+      forkId: op.forkId || null
     };
     
     await this.transformOperationInternal(op, blockInfo, mutations);
@@ -109,7 +130,7 @@ export class DataTransformer {
       }
       
       // Handle other deletions (like DEX order cancellations)
-      this.handleDeletion(path, mutations, blockInfo);
+      await this.handleDeletion(path, mutations, blockInfo);
       return;
     }
 
@@ -121,11 +142,11 @@ export class DataTransformer {
         break;
         
       case 'balances':
-        await this.transformBalance(path[1], data, 'larynxBalance', mutations);
+        await this.transformBalance(path[1], data, 'larynxBalance', mutations, blockInfo);
         break;
         
       case 'bpow':
-        await this.transformBalance(path[1], data, 'brocaPower', mutations);
+        await this.transformBalance(path[1], data, 'brocaPower', mutations, blockInfo);
         break;
         
       case 'broca':
@@ -133,16 +154,16 @@ export class DataTransformer {
         break;
         
       case 'cbalances':
-        await this.transformBalance(path[1], data, 'claimableLarynx', mutations);
+        await this.transformBalance(path[1], data, 'claimableLarynx', mutations, blockInfo);
         break;
         
       case 'cbroca':
-        await this.transformBalance(path[1], data, 'claimableBroca', mutations);
+        await this.transformBalance(path[1], data, 'claimableBroca', mutations, blockInfo);
         break;
         
       case 'contract':
         logger.info('Processing contract operation', { path, dataKeys: Object.keys(data).slice(0, 5) });
-        await this.transformContract(path, data, mutations);
+        await this.transformContract(path, data, mutations, blockInfo);
         break;
         
       case 'contracts':
@@ -150,7 +171,7 @@ export class DataTransformer {
         break;
         
       case 'cspk':
-        await this.transformBalance(path[1], data, 'claimableSpk', mutations);
+        await this.transformBalance(path[1], data, 'claimableSpk', mutations, blockInfo);
         break;
         
       case 'feed':
@@ -166,7 +187,7 @@ export class DataTransformer {
         break;
         
       case 'lbroca':
-        await this.transformBalance(path[1], data, 'liquidBroca', mutations);
+        await this.transformBalance(path[1], data, 'liquidBroca', mutations, blockInfo);
         break;
         
       case 'market':
@@ -176,7 +197,7 @@ export class DataTransformer {
         break;
         
       case 'nomention':
-        await this.transformBalance(path[1], data, 'noMention', mutations);
+        await this.transformBalance(path[1], data, 'noMention', mutations, blockInfo);
         break;
         
       case 'pow':
@@ -203,7 +224,7 @@ export class DataTransformer {
           });
         } else {
           // Simple power value
-          await this.transformBalance(path[1], data, 'power', mutations);
+          await this.transformBalance(path[1], data, 'power', mutations, blockInfo);
         }
         break;
         
@@ -212,11 +233,11 @@ export class DataTransformer {
         break;
         
       case 'sbroca':
-        await this.transformBalance(path[1], data, 'storageBroca', mutations);
+        await this.transformBalance(path[1], data, 'storageBroca', mutations, blockInfo);
         break;
         
       case 'vbroca':
-        await this.transformBalance(path[1], data, 'validatorBroca', mutations);
+        await this.transformBalance(path[1], data, 'validatorBroca', mutations, blockInfo);
         break;
         
       case 'service':
@@ -239,7 +260,7 @@ export class DataTransformer {
             value: data
           });
         } else {
-          await this.transformBalance(path[1], data, 'spkBalance', mutations);
+          await this.transformBalance(path[1], data, 'spkBalance', mutations, blockInfo);
         }
         break;
         
@@ -248,11 +269,11 @@ export class DataTransformer {
         break;
         
       case 'spkb':
-        await this.transformBalance(path[1], data, 'spkBlock', mutations);
+        await this.transformBalance(path[1], data, 'spkBlock', mutations, blockInfo);
         break;
         
       case 'spkp':
-        await this.transformBalance(path[1], data, 'spkPower', mutations);
+        await this.transformBalance(path[1], data, 'spkPower', mutations, blockInfo);
         break;
         
       case 'val':
@@ -316,7 +337,7 @@ export class DataTransformer {
     // Query for existing file
     const query = `
       query getFile($cid: string) {
-        file(func: eq(ContractFile.cid, $cid)) {
+        file(func: eq(cid, $cid)) @filter(type(ContractFile)) {
           uid
           id
           cid
@@ -324,6 +345,9 @@ export class DataTransformer {
           extension
           size
           path
+          labels
+          license
+          isDeleted
           contract {
             uid
             blockNumber
@@ -333,7 +357,7 @@ export class DataTransformer {
     `;
     
     try {
-      const result = await this.dgraphClient.query(query, { $cid: cid });
+      const result = await this.dgraph.query(query, { $cid: cid });
       if (result.file && result.file.length > 0) {
         const existingFile = result.file[0];
         logger.debug('Found existing file', { cid, uid: existingFile.uid });
@@ -442,7 +466,7 @@ export class DataTransformer {
   }
   
   // Transform balance update
-  async transformBalance(account, balance, field, mutations) {
+  async transformBalance(account, balance, field, mutations, blockInfo = {}) {
     await this.ensureAccount(account, mutations);
     
     // Handle different data types properly
@@ -482,6 +506,9 @@ export class DataTransformer {
     }
     
     const accountData = mutations.accounts.get(account);
+    if (BALANCE_FIELDS[field] && blockInfo.blockNum) {
+      await this.recordBalanceChange(account, field, processedBalance, blockInfo.blockNum, mutations);
+    }
     accountData[field] = processedBalance;
     
     // Mark existing accounts as having updates so they get included in mutations
@@ -490,6 +517,84 @@ export class DataTransformer {
     }
   }
 
+  // Record a BalanceChange for a balance predicate about to be overwritten
+  // Changes to the same field within a block collapse into one, keeping the first previous value
+  async recordBalanceChange(account, field, newBalance, blockNum, mutations) {
+    if (!Number.isInteger(newBalance)) {
+      return;
+    }
+    if (!mutations.balanceChanges) {
+      mutations.balanceChanges = new Map();
+    }
+    
+    const changeId = `${account}:${field}:${blockNum}`;
+    const pending = mutations.balanceChanges.get(changeId);
+    const previousBalance = pending
+      ? pending.previousBalance
+      : await this.currentBalance(account, field, mutations);
+    
+    if (previousBalance === newBalance) {
+      mutations.balanceChanges.delete(changeId);
+      return;
+    }
+    
+    const accountData = mutations.accounts.get(account);
+    const change = {
+      uid: `_:balance_change_${this.usernameToUid(account).replace('_:account_', '')}_${field}_${blockNum}`,
+      'dgraph.type': 'BalanceChange',
+      id: changeId,
+      account: { uid: accountData.uid },
+      balanceField: field,
+      token: BALANCE_FIELDS[field],
+      blockNum,
+      newBalance
+    };
+    if (previousBalance !== null) {
+      change.previousBalance = previousBalance;
+    }
+    mutations.balanceChanges.set(changeId, change);
+  }
+
+  // Balance an account field holds before this batch writes it
+  // Earlier writes in the batch win; existing accounts are read from Dgraph once per batch
+  async currentBalance(account, field, mutations) {
+    const accountData = mutations.accounts.get(account);
+    if (accountData[field] !== undefined) {
+      return Number.isInteger(accountData[field]) ? accountData[field] : null;
+    }
+    if (!accountData.uid.startsWith('0x')) {
+      // Created by this batch, so nothing was held before
+      return 0;
+    }
+    
+    if (!mutations.storedBalances) {
+      mutations.storedBalances = new Map();
+    }
+    if (!mutations.storedBalances.has(account)) {
+      let stored = null;
+      try {
+        const query = `{
+          account(func: uid(${accountData.uid})) {
+            ${Object.keys(BALANCE_FIELDS).join('\n            ')}
+          }
+        }`;
+        const result = await (this.dgraph.queryGlobal ?
+          this.dgraph.queryGlobal(query) :
+          this.dgraph.query(query));
+        stored = result?.account?.[0] || {};
+      } catch (error) {
+        logger.warn('Balance lookup failed', { account, error: error.message });
+      }
+      mutations.storedBalances.set(account, stored);
+    }
+    
+    const stored = mutations.storedBalances.get(account);
+    if (!stored) {
+      return null;
+    }
+    return Number.isInteger(stored[field]) ? stored[field] : 0;
+  }
+
   // Transform BROCA balance (includes block number)
   async transformBroca(account, brocaString, mutations) {
     await this.ensureAccount(account, mutations);
@@ -803,7 +908,7 @@ export class DataTransformer {
   }
 
   // Transform storage contract
-  async transformContract(path, contract, mutations) {
+  async transformContract(path, contract, mutations, blockInfo = {}) {
     console.log('TRANSFORM CONTRACT CALLED:', path, Object.keys(contract));
     logger.info('Transforming contract', { 
       path, 
@@ -875,7 +980,10 @@ export class DataTransformer {
         removedCount: removedFiles.length,
         removedCids: removedFiles.map(f => f.cid)
       });
-      await this.removeFilesFromPaths(removedFiles, ownerUsername, mutations);
+      await this.removeFilesFromPaths(removedFiles, ownerUsername, mutations, {
+        blockNum: blockInfo.blockNum,
+        reason: 'storageFileDelete'
+      });
     }
     
     await this.ensureAccount(purchaserUsername, mutations);
@@ -1013,7 +1121,10 @@ export class DataTransformer {
       const newCidSet = new Set(fileNames);
       const toRemove = existingFilesForReplace.filter(f => !newCidSet.has(f.cid));
       if (toRemove.length > 0) {
-        await this.removeFilesFromPaths(toRemove, ownerUsername, mutations);
+        await this.removeFilesFromPaths(toRemove, ownerUsername, mutations, {
+          blockNum: blockInfo.blockNum,
+          reason: 'storageFileDelete'
+        });
       }
 
       for (const [index, cid] of fileNames.entries()) {
@@ -1107,6 +1218,8 @@ export class DataTransformer {
           flags: fileFlags,
           license: fileMetadata.license || '',
           labels: fileMetadata.labels || '',
+          // One value per label code so search can filter and match them through an index
+          labelList: (fileMetadata.labels || '').split(''),
           thumbnail: fileMetadata.thumb || '',
           uploadedAt: new Date().toISOString(),
           contract: { uid: dgraphContract.uid } // Primary contract for this file
@@ -1115,6 +1228,13 @@ export class DataTransformer {
         // Use ensureFile to handle deduplication
         const file = await this.ensureFile(fileId, fileData, mutations);
         
+        // Keep the previous name/folder/labels/license when metadata updates change them
+        this.recordFileVersion(file, fileData, {
+          blockNum: blockInfo.blockNum || dgraphContract.blockNumber,
+          contractUid: dgraphContract.uid,
+          hasMetadata: parsedMetadata.files.has(cid)
+        }, mutations);
+        
         // Update contract reference if this contract is newer
         if (file.isExisting && (!file.contract || dgraphContract.blockNumber > (file.contract.blockNumber || 0))) {
           file.contract = { uid: dgraphContract.uid };
@@ -1270,6 +1390,76 @@ export class DataTransformer {
   }
 
 
+  // Record a FileVersion for a contract file and apply the new metadata to it
+  // New files get a 'created' version; existing files get one per metadata change
+  recordFileVersion(file, fileData, { blockNum, contractUid, hasMetadata }, mutations) {
+    if (!mutations.fileVersions) {
+      mutations.fileVersions = new Map();
+    }
+    
+    const versionId = `${file.cid}:${blockNum}`;
+    const version = {
+      uid: `_:file_version_${file.cid.replace(/[:/\-]/g, '_')}_${blockNum}`,
+      'dgraph.type': 'FileVersion',
+      id: versionId,
+      versionOf: { uid: file.uid },
+      versionBlock: blockNum,
+      versionContract: { uid: contractUid }
+    };
+    
+    const isNew = typeof file.uid === 'string' && file.uid.startsWith('_:');
+    if (isNew && !mutations.fileVersions.has(`${file.cid}:created`)) {
+      version.changedFields = ['created'];
+      for (const [field, suffix] of VERSIONED_FILE_FIELDS) {
+        version[`new${suffix}`] = fileData[field] || '';
+      }
+      mutations.fileVersions.set(`${file.cid}:created`, version);
+      return;
+    }
+    
+    version.changedFields = [];
+    if (file.isDeleted) {
+      // Re-uploaded after being removed from a contract
+      version.changedFields.push('restored');
+      file.isDeleted = false;
+      file.hasUpdates = true;
+    }
+    
+    // Without metadata for this CID the defaults (CID as name, root folder) are not a rename
+    const changed = hasMetadata
+      ? VERSIONED_FILE_FIELDS.filter(([field]) => (file[field] || '') !== (fileData[field] || ''))
+      : [];
+    
+    for (const [field, suffix] of changed) {
+      version.changedFields.push(field);
+      version[`previous${suffix}`] = file[field] || '';
+      version[`new${suffix}`] = fileData[field] || '';
+    }
+    if (version.changedFields.length === 0) {
+      return;
+    }
+    mutations.fileVersions.set(versionId, version);
+    
+    logger.debug('File metadata changed', { cid: file.cid, blockNum, changedFields: version.changedFields });
+    
+    if (changed.length === 0) {
+      return;
+    }
+    
+    Object.assign(file, {
+      name: fileData.name,
+      extension: fileData.extension,
+      mimeType: fileData.mimeType,
+      path: fileData.path,
+      flags: fileData.flags,
+      license: fileData.license,
+      labels: fileData.labels,
+      labelList: fileData.labelList,
+      thumbnail: fileData.thumbnail
+    });
+    file.hasUpdates = true;
+  }
+
   // Transform file
   async transformFile(cid, fileData, mutations) {
     if (!mutations.files.has(cid)) {
@@ -1450,6 +1640,14 @@ export class DataTransformer {
       
       mutations.dexMarkets.set(marketId, market);
       
+      // Sides this snapshot carries, diffed against the previous book when mutations are built
+      if (!mutations.dexBooks) {
+        mutations.dexBooks = new Map();
+      }
+      mutations.dexBooks.set(marketId, {
+        sides: [data.sellOrders && 'SELL', data.buyOrders && 'BUY'].filter(Boolean)
+      });
+      
       // Process OHLC days
       if (data.days) {
         this.transformOHLCDays(marketId, data.days, mutations);
@@ -1532,6 +1730,7 @@ export class DataTransformer {
         mutations.orders = new Map();
       }
       mutations.orders.set(fullOrderId, order);
+      mutations.removedOrders?.delete(fullOrderId);
     });
   }
   
@@ -1571,11 +1770,31 @@ export class DataTransformer {
     });
   }
 
+  /**
+   * Time of the block a feed entry was produced in
+   * The batch's own time is only exact when the entry belongs to the batch's block; entries
+   * replayed or backfilled from earlier blocks are looked up in the block time index.
+   */
+  resolveBlockTime(blockNum, blockInfo = {}) {
+    if (blockInfo.timestamp && (!blockNum || blockNum === blockInfo.blockNum)) {
+      return new Date(blockInfo.timestamp).toISOString();
+    }
+    return blockTimeIndex.resolve(blockNum);
+  }
+
+  // Feed grammar registered for this client's network, or the SPK grammar
+  getFeedParser() {
+    return this.networkManager?.getFeedParser?.(this.dgraph?.namespace) || feedParser;
+  }
+
   // Transform feed entry to transaction
   transformFeedEntry(feedId, message, blockInfo, mutations) {
     try {
+      const blockNum = parseInt(String(feedId).split(':')[0]) || blockInfo.blockNum;
+      const blockTime = this.resolveBlockTime(blockNum, blockInfo);
+
       // Use the feed parser to extract structured data
-      const parsed = feedParser.parseFeedEntry(feedId, message);
+      const parsed = this.getFeedParser().parseFeedEntry(feedId, message, blockTime);
       
       if (!parsed) {
         logger.warn('Could not parse feed entry', { feedId, message });
@@ -1594,10 +1813,12 @@ export class DataTransformer {
         // Operation details
         operationType: parsed.operationType,
         category: parsed.category || 'UNKNOWN',
+        parserVersion: parsed.parserVersion,
         
         // Common fields
         memo: parsed.memo || parsed.rawMessage || message,
-        timestamp: blockInfo.timestamp ? new Date(blockInfo.timestamp).toISOString() : new Date().toISOString()
+        // Only when no block time is known; the timestamp reindex corrects these later
+        timestamp: parsed.timestamp || new Date().toISOString()
       };
       
       // Add category-specific fields
@@ -1622,6 +1843,14 @@ export class DataTransformer {
           };
           break;
           
+        case 'DEX_CANCEL':
+          transaction.from = { username: parsed.account };
+          transaction.dexDetails = {
+            orderType: parsed.orderType === 'dex_buy' ? 'BUY' : 'SELL',
+            quoteCurrency: parsed.market
+          };
+          break;
+          
         case 'NFT_TRANSFER':
         case 'NFT_MINT':
         case 'NFT_SALE':
@@ -1658,9 +1887,13 @@ export class DataTransformer {
           break;
           
         default:
+          // Parsed usernames become Account edges so the transaction shows up in the user's history
+          if (parsed.from || parsed.account) transaction.from = { username: parsed.from || parsed.account };
+          if (parsed.to) transaction.to = { username: parsed.to };
+
           // For other categories, include all parsed fields
           Object.keys(parsed).forEach(key => {
-            if (!['feedId', 'blockNum', 'txId', 'isVirtualOp', 'operationType', 'category', 'memo', 'rawMessage'].includes(key)) {
+            if (!['feedId', 'blockNum', 'txId', 'isVirtualOp', 'operationType', 'category', 'memo', 'rawMessage', 'from', 'to', 'account', 'timestamp', 'parserVersion'].includes(key)) {
               transaction[key] = parsed[key];
             }
           });
@@ -1704,9 +1937,9 @@ export class DataTransformer {
   // Note: Removed mapServiceType as we now store raw service types
 
   // Handle deletion
-  handleDeletion(path, mutations, blockInfo) {
+  async handleDeletion(path, mutations, blockInfo) {
     // Special handling for specific deletion types
-    if (path[0] === 'dex' && path.length >= 4) {
+    if (['dex', 'dexs', 'dexb'].includes(path[0]) && path.length >= 4) {
       // DEX order cancellation
       const [_, quoteCurrency, orderBook, orderId] = path;
       if ((orderBook === 'buyOrders' || orderBook === 'sellOrders') && orderId) {
@@ -1718,7 +1951,7 @@ export class DataTransformer {
     // Handle contract deletion
     if (path[0] === 'contract' && path.length === 3) {
       const [_, username, contractId] = path;
-      this.handleContractDeletion(username, contractId, mutations, blockInfo);
+      await this.handleContractDeletion(username, contractId, mutations, blockInfo);
       return;
     }
     
@@ -1765,7 +1998,8 @@ export class DataTransformer {
   }
   
   // Remove files from their paths when contract is updated with fewer files
-  async removeFilesFromPaths(filesToRemove, ownerUsername, mutations) {
+  // deletion: { blockNum, reason } recorded on each file for the .Trash view
+  async removeFilesFromPaths(filesToRemove, ownerUsername, mutations, deletion = {}) {
     logger.info('Removing files from paths', { 
       fileCount: filesToRemove.length,
       owner: ownerUsername 
@@ -1840,13 +2074,20 @@ export class DataTransformer {
     
     // Mark files as deleted in Dgraph
     for (const file of filesToRemove) {
-      mutations.other.push({
+      const deletedFile = {
         uid: file.uid,
         'dgraph.type': 'ContractFile',
         // Mark file as deleted by adding deletedAt timestamp
         deletedAt: new Date().toISOString(),
         isDeleted: true
-      });
+      };
+      if (deletion.blockNum) {
+        deletedFile.deletedBlock = deletion.blockNum;
+      }
+      if (deletion.reason) {
+        deletedFile.deleteReason = deletion.reason;
+      }
+      mutations.other.push(deletedFile);
     }
   }
   
@@ -1952,12 +2193,42 @@ export class DataTransformer {
       fullContractId = `${username}:0:${contractId}`;
     }
     
+    // Look up the contract first so the removed files can be tagged with why they went away
+    let contractUid = null;
+    let reason = 'storageCancel';
+    try {
+      const contractQuery = `
+        query getContract($contractId: string) {
+          contract(func: eq(id, $contractId)) @filter(type(StorageContract)) {
+            uid
+            expiresBlock
+          }
+        }
+      `;
+      
+      const contractResult = await this.dgraph.query(contractQuery, { $contractId: fullContractId });
+      
+      if (contractResult.contract && contractResult.contract.length > 0) {
+        const contract = contractResult.contract[0];
+        contractUid = contract.uid;
+        // Contracts removed at or after their expiry block were not cancelled by the user
+        if (contract.expiresBlock && blockInfo.blockNum && contract.expiresBlock <= blockInfo.blockNum) {
+          reason = 'expiry';
+        }
+      }
+    } catch (error) {
+      logger.warn('Failed to get contract UID for cancellation', { contractId: fullContractId, error: error.message });
+    }
+    
     // Get all files from this contract
     const existingFiles = await this.getExistingContractFiles(fullContractId);
     
     if (existingFiles.length > 0) {
       // Remove all files from their paths
-      await this.removeFilesFromPaths(existingFiles, username, mutations);
+      await this.removeFilesFromPaths(existingFiles, username, mutations, {
+        blockNum: blockInfo.blockNum,
+        reason
+      });
     }
     
     // Create a deletion record to track in the database
@@ -1969,32 +2240,15 @@ export class DataTransformer {
       timestamp: new Date().toISOString()
     });
     
-    // Get contract UID from query and mark as cancelled
-    try {
-      const contractQuery = `
-        query getContract($contractId: string) {
-          contract(func: eq(id, $contractId)) @filter(type(StorageContract)) {
-            uid
-          }
-        }
-      `;
-      
-      const contractResult = await this.dgraph.query(contractQuery, { $contractId: fullContractId });
-      
-      if (contractResult.contract && contractResult.contract.length > 0) {
-        const contractUid = contractResult.contract[0].uid;
-        
-        // Mark the contract as cancelled using its actual UID
-        mutations.other.push({
-          uid: contractUid,
-          'dgraph.type': 'StorageContract',
-          status: 2, // CANCELLED status
-          statusText: 'CANCELLED',
-          cancelledAt: blockInfo.blockNum
-        });
-      }
-    } catch (error) {
-      logger.warn('Failed to get contract UID for cancellation', { contractId: fullContractId, error: error.message });
+    if (contractUid) {
+      // Mark the contract as cancelled using its actual UID
+      mutations.other.push({
+        uid: contractUid,
+        'dgraph.type': 'StorageContract',
+        status: 2, // CANCELLED status
+        statusText: 'CANCELLED',
+        cancelledAt: blockInfo.blockNum
+      });
     }
   }
   
@@ -2014,25 +2268,16 @@ export class DataTransformer {
     const marketId = `${token}:${quoteCurrency.toUpperCase()}`;
     const fullOrderId = `${marketId}:${orderId}`;
     
-    // Create cancellation record
-    const cancellation = {
-      uid: `_:cancel_${fullOrderId.replace(/[:/\-]/g, '_')}_${blockInfo.blockNum}`,
-      'dgraph.type': 'OrderCancellation',
-      orderId: fullOrderId,
-      market: { id: marketId },
-      orderType: orderBook === 'buyOrders' ? 'BUY' : 'SELL',
-      cancelledAt: blockInfo.blockNum,
-      timestamp: new Date().toISOString()
-    };
-    
-    mutations.other.push(cancellation);
-    
-    // Also update the order status if we have it
-    if (mutations.orders && mutations.orders.has(fullOrderId)) {
-      const order = mutations.orders.get(fullOrderId);
-      order.status = 'CANCELLED';
-      order.cancelledAt = blockInfo.blockNum;
+    // Deleted orders were filled, cancelled or expired; the order lifecycle tells which
+    // (and records an OrderCancellation for cancels) when mutations are built
+    if (!mutations.removedOrders) {
+      mutations.removedOrders = new Map();
     }
+    mutations.removedOrders.set(fullOrderId, {
+      marketId,
+      orderType: orderBook === 'buyOrders' ? 'BUY' : 'SELL'
+    });
+    mutations.orders?.delete(fullOrderId);
   }
 
   // Transform price feed data
@@ -2253,6 +2498,12 @@ export class DataTransformer {
   async buildMutations(mutations, blockInfo) {
     const dgraphMutations = [];
     
+    // Fills and closed orders from this batch's order book changes
+    await this.orderLifecycle.apply(mutations, blockInfo, username => this.ensureAccount(username, mutations));
+
+    // Candle rollups from those fills and the batch's trade feed entries
+    await this.dexCandles.apply(mutations, blockInfo);
+    
     // Separate path mutations to handle file accumulation properly
     const pathMutations = new Map();
     
@@ -2291,6 +2542,16 @@ export class DataTransformer {
         referencedAccounts.add(contract.owner.uid);
       }
     }
+    // Order and fill accounts are included so subscribers can name them
+    const traders = [
+      ...Array.from(mutations.orders?.values() || [], order => order.from),
+      ...(mutations.orderFills || []).flatMap(fill => [fill.maker, fill.taker])
+    ];
+    for (const trader of traders) {
+      if (trader?.uid?.startsWith('0x')) {
+        referencedAccounts.add(trader.uid);
+      }
+    }
     
     // Add accounts
     for (const account of mutations.accounts.values()) {
@@ -2362,6 +2623,13 @@ export class DataTransformer {
       }
     }
     
+    // Add file versions
+    if (mutations.fileVersions) {
+      for (const version of mutations.fileVersions.values()) {
+        dgraphMutations.push(this.validateFieldTypes(version));
+      }
+    }
+    
     // No longer process paths here - they're handled separately
     
     // Add transactions
@@ -2381,11 +2649,23 @@ export class DataTransformer {
       }
     }
     
+    // Add order fills
+    if (mutations.orderFills) {
+      dgraphMutations.push(...mutations.orderFills.map(fill => this.validateFieldTypes(fill)));
+    }
+    
     // Add OHLC data
     if (mutations.ohlc) {
       dgraphMutations.push(...mutations.ohlc.map(o => this.validateFieldTypes(o)));
     }
     
+    // Add balance history
+    if (mutations.balanceChanges) {
+      for (const change of mutations.balanceChanges.values()) {
+        dgraphMutations.push(this.validateFieldTypes(change));
+      }
+    }
+    
     // Add other mutations
     dgraphMutations.push(...mutations.other.map(o => this.validateFieldTypes(o)));
     
@@ -2467,12 +2747,20 @@ export class DataTransformer {
       'duration', 'members', 'totalBlocks', 'missedBlocks', 'totalSize',
       'open', 'high', 'low', 'close', 'volumeQuote', 'volumeToken',
       'unclaimedBroca', 'unclaimedBrocaExpires', 'spkPowerSelf', 'spkPowerDelegated',
-      'lastSeen', 'scheduledBlock', 'statBlockNumber'
+      'lastSeen', 'scheduledBlock', 'statBlockNumber', 'deletedBlock', 'versionBlock',
+      'previousBalance', 'newBalance', 'compactedFrom', 'closedBlock', 'lastFillBlock',
+      'tokenAmount', 'quoteAmount', 'blockTime', 'bucketStart', 'tradeCount', 'firstBlock'
     ];
 
+    // Orders share predicate names with contracts but carry a price and an OrderStatus
+    const keptFields = {
+      DexOrder: ['rate', 'status'],
+      OrderFill: ['rate']
+    }[validated['dgraph.type']] || [];
+
     // Validate and fix integer fields
     for (const field of integerFields) {
-      if (validated.hasOwnProperty(field)) {
+      if (validated.hasOwnProperty(field) && !keptFields.includes(field)) {
         const value = validated[field];
         
         if (typeof value === 'string') {
@@ -2501,7 +2789,8 @@ export class DataTransformer {
     // Define UID reference fields from schema
     const uidFields = [
       'owner', 'purchaser', 'contract', 'from', 'to', 'grantor', 'grantee',
-      'account', 'parent', 'currentFile', 'market', 'storageAccount', 'parentPath'
+      'account', 'parent', 'currentFile', 'market', 'storageAccount', 'parentPath',
+      'order', 'maker', 'taker'
     ];
 
     // Handle UID fields - ensure they have proper structure
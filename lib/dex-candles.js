@@ -0,0 +1,596 @@
+import { createLogger } from './logger.js';
+import { normalizePair } from './subscription-hub.js';
+import { blockTimeIndex } from './block-time-index.js';
+
+const logger = createLogger('dex-candles');
+
+// Candle lengths in seconds
+export const CANDLE_INTERVALS = {
+  '1m': 60,
+  '5m': 300,
+  '1h': 3600,
+  '4h': 14400,
+  '1d': 86400
+};
+
+// TradingView resolution strings for the same intervals
+const RESOLUTIONS = { '1': '1m', '5': '5m', '60': '1h', '240': '4h', 'D': '1d', '1D': '1d' };
+
+// Feed messages give amounts in whole units, fills in milli-units
+const FEED_UNIT = 1000;
+
+const DEFAULT_BARS = 300;
+const MAX_BARS = 5000;
+
+function blankName(id) {
+  return id.replace(/[:/\-.]/g, '_');
+}
+
+function unixTime(timestamp) {
+  const ms = timestamp ? new Date(timestamp).getTime() : NaN;
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : null;
+}
+
+export function bucketStart(time, interval) {
+  const seconds = CANDLE_INTERVALS[interval];
+  return Math.floor(time / seconds) * seconds;
+}
+
+export function candleId(pair, interval, start) {
+  return `${pair}:${interval}:${start}`;
+}
+
+// Best-priced makers trade first, so a sweep opens at the best price and closes at the worst
+function inMatchingOrder(fills) {
+  const sides = new Map();
+  for (const fill of fills) {
+    if (!sides.has(fill.orderType)) {
+      sides.set(fill.orderType, []);
+    }
+    sides.get(fill.orderType).push(fill);
+  }
+  return Array.from(sides.entries()).flatMap(([side, sideFills]) =>
+    sideFills.sort((a, b) => (side === 'SELL' ? a.rate - b.rate : b.rate - a.rate)));
+}
+
+// Fold a trade into a block's rollup
+function fold(rollup, part) {
+  if (rollup.tradeCount === 0) {
+    rollup.openRate = part.openRate;
+    rollup.highRate = part.highRate;
+    rollup.lowRate = part.lowRate;
+  }
+  rollup.highRate = Math.max(rollup.highRate, part.highRate);
+  rollup.lowRate = Math.min(rollup.lowRate, part.lowRate);
+  rollup.closeRate = part.closeRate;
+  rollup.volumeToken += part.volumeToken;
+  rollup.volumeQuote += part.volumeQuote;
+  rollup.tradeCount += part.tradeCount;
+  return rollup;
+}
+
+function trade(rate, volumeToken, volumeQuote) {
+  return { openRate: rate, highRate: rate, lowRate: rate, closeRate: rate, volumeToken, volumeQuote, tradeCount: 1 };
+}
+
+function emptyRollup(fields) {
+  return { ...fields, openRate: 0, highRate: 0, lowRate: 0, closeRate: 0, volumeToken: 0, volumeQuote: 0, tradeCount: 0 };
+}
+
+// Add a block's rollup to a candle; a backfilled block can land before the candle's last block
+function addBlock(candle, rollup) {
+  if (candle.tradeCount === 0 || rollup.blockNum < candle.firstBlock) {
+    candle.openRate = rollup.openRate;
+    candle.firstBlock = rollup.blockNum;
+  }
+  if (candle.tradeCount === 0 || rollup.blockNum >= candle.lastBlock) {
+    candle.closeRate = rollup.closeRate;
+    candle.lastBlock = rollup.blockNum;
+  }
+  candle.highRate = candle.tradeCount === 0 ? rollup.highRate : Math.max(candle.highRate, rollup.highRate);
+  candle.lowRate = candle.tradeCount === 0 ? rollup.lowRate : Math.min(candle.lowRate, rollup.lowRate);
+  candle.volumeToken += rollup.volumeToken;
+  candle.volumeQuote += rollup.volumeQuote;
+  candle.tradeCount += rollup.tradeCount;
+  return candle;
+}
+
+/**
+ * One open/high/low/close rollup per market and block from a batch's trades
+ * Order fills are the record of a block's trades; the block's Bought/Sold feed lines
+ * stand in for markets without fills, e.g. orders placed before replication started
+ * @param {Object} mutations - DataTransformer mutations (orderFills and transactions are read)
+ * @param {Object} blockInfo - { blockNum, timestamp }
+ * @returns {Array} rollups ordered by block: { pair, blockNum, blockTime, source, openRate, ..., tradeCount }
+ */
+export function tradeRollups(mutations, blockInfo = {}) {
+  const fillsByKey = new Map();
+  for (const fill of mutations.orderFills || []) {
+    const pair = fill.id.split(':').slice(0, 2).join(':');
+    const key = `${pair}:${fill.blockNum}`;
+    if (!fillsByKey.has(key)) {
+      fillsByKey.set(key, { pair, blockNum: fill.blockNum, timestamp: fill.timestamp, fills: [] });
+    }
+    fillsByKey.get(key).fills.push(fill);
+  }
+
+  const rollups = new Map();
+  const timeOf = (blockNum, timestamp) => unixTime(blockNum === blockInfo.blockNum && blockInfo.timestamp
+    ? blockInfo.timestamp
+    : blockTimeIndex.resolve(blockNum) || timestamp);
+
+  for (const [key, { pair, blockNum, timestamp, fills }] of fillsByKey) {
+    const blockTime = timeOf(blockNum, timestamp);
+    if (blockTime === null) {
+      continue;
+    }
+    const rollup = emptyRollup({ pair, blockNum, blockTime, source: 'fills' });
+    for (const fill of inMatchingOrder(fills)) {
+      const rate = Number(fill.rate) || 0;
+      const volumeToken = Number(fill.amount) || 0;
+      fold(rollup, trade(rate, volumeToken, Number(fill.quoteAmount) || Math.round(volumeToken * rate)));
+    }
+    rollups.set(key, rollup);
+  }
+
+  const feedRollups = new Map();
+  for (const transaction of mutations.transactions || []) {
+    const details = transaction.dexDetails;
+    if (transaction.category !== 'DEX_TRADE' || !details?.token || !details.quoteCurrency) {
+      continue;
+    }
+    const tokenAmount = Number(details.tokenAmount) || 0;
+    const quoteAmount = Number(details.quoteAmount) || 0;
+    if (tokenAmount <= 0 || quoteAmount <= 0) {
+      continue;
+    }
+
+    const pair = `${String(details.token).toUpperCase()}:${String(details.quoteCurrency).toUpperCase()}`;
+    const key = `${pair}:${transaction.blockNum}`;
+    if (rollups.has(key)) {
+      continue;
+    }
+    if (!feedRollups.has(key)) {
+      const blockTime = timeOf(transaction.blockNum, transaction.timestamp);
+      if (blockTime === null) {
+        continue;
+      }
+      feedRollups.set(key, emptyRollup({ pair, blockNum: transaction.blockNum, blockTime, source: 'feed' }));
+    }
+    fold(feedRollups.get(key), trade(quoteAmount / tokenAmount, Math.round(tokenAmount * FEED_UNIT), Math.round(quoteAmount * FEED_UNIT)));
+  }
+
+  return [...rollups.values(), ...feedRollups.values()].sort((a, b) => a.blockNum - b.blockNum);
+}
+
+// A stored trade block written on another fork or block than the batch
+function otherBranch(stored, blockInfo) {
+  if ((stored.forkId || null) !== (blockInfo.forkId || null)) {
+    return true;
+  }
+  return Boolean(stored.blockHash && blockInfo.blockHash && stored.blockHash !== blockInfo.blockHash);
+}
+
+function strip(id, namespace) {
+  return namespace && namespace !== 'default' && id.startsWith(namespace) ? id.slice(namespace.length) : id;
+}
+
+const ROLLUP_FIELDS = `
+  openRate
+  highRate
+  lowRate
+  closeRate
+  volumeToken
+  volumeQuote
+  tradeCount
+`;
+
+/**
+ * DEX Candles
+ * Trades are rolled up per market and block into DexTradeBlock nodes and folded into
+ * DexCandle nodes for every interval as batches replicate, so charts read stored bars.
+ *
+ * Trade blocks carry the fork and block hash they were replicated on. A batch from
+ * another branch at a stored height replaces that height's trade blocks and refolds the
+ * candles they touched; more trades of the same block are added to them, and a replay
+ * leaves them as they are. When ForkManager orphans a fork, its trade blocks from
+ * that height are dropped and the candles they touched are rebuilt from the rest.
+ */
+export class DexCandles {
+  constructor(dgraphClient, options = {}) {
+    this.dgraph = dgraphClient;
+    this.namespace = options.namespace ?? dgraphClient?.namespace;
+  }
+
+  storedId(id) {
+    return this.namespace && this.namespace !== 'default' && !id.startsWith(this.namespace)
+      ? `${this.namespace}${id}`
+      : id;
+  }
+
+  /**
+   * Add the batch's trade blocks and updated candles to mutations.ohlc
+   * Nothing is written here; the candles land with the rest of the batch
+   * @param {Object} mutations - DataTransformer mutations, after OrderLifecycle.apply
+   * @param {Object} blockInfo - { blockNum, timestamp, forkId, isReplay }
+   */
+  async apply(mutations, blockInfo = {}) {
+    let rollups = tradeRollups(mutations, blockInfo);
+    if (rollups.length === 0) {
+      return;
+    }
+
+    // Trade blocks already stored were counted once, except at the batch's own height.
+    // There, a block from another branch is replaced, as are feed stand-ins once the
+    // fills arrive; on the same branch the live path writes a block one operation at a
+    // time, so its trades add to the stored ones. A replay changes nothing stored
+    const recorded = await this.recordedBlocks(rollups.map(rollup => `${rollup.pair}:${rollup.blockNum}`));
+    const replaced = new Map();
+    // { block to write, rollup to add to the candles }
+    const writes = [];
+    for (const rollup of rollups) {
+      const key = `${rollup.pair}:${rollup.blockNum}`;
+      const stored = recorded.get(key);
+      if (!stored) {
+        writes.push({ block: rollup, added: rollup });
+      } else if (rollup.blockNum !== blockInfo.blockNum || blockInfo.isReplay) {
+        continue;
+      } else if (otherBranch(stored, blockInfo) || (stored.source === 'feed' && rollup.source === 'fills')) {
+        replaced.set(key, stored);
+        writes.push({ block: { ...rollup, uid: stored.uid }, added: rollup });
+      } else if (!(stored.source === 'fills' && rollup.source === 'feed')) {
+        const merged = fold(emptyRollup({ pair: stored.pair, blockNum: stored.blockNum, blockTime: stored.blockTime, source: stored.source }), stored);
+        writes.push({ block: { ...fold(merged, rollup), uid: stored.uid }, added: rollup });
+      }
+    }
+    if (writes.length === 0) {
+      return;
+    }
+
+    const ids = new Set();
+    for (const block of [...writes.map(write => write.added), ...replaced.values()]) {
+      for (const interval of Object.keys(CANDLE_INTERVALS)) {
+        ids.add(candleId(block.pair, interval, bucketStart(block.blockTime, interval)));
+      }
+    }
+    const candles = await this.loadCandles(Array.from(ids));
+
+    // Candles that counted a replaced block start over from the trade blocks that remain
+    if (replaced.size > 0) {
+      const stale = Array.from(replaced.values());
+      const staleIds = new Set(stale.flatMap(block => Object.keys(CANDLE_INTERVALS)
+        .map(interval => candleId(block.pair, interval, bucketStart(block.blockTime, interval)))));
+      const touched = new Map(Array.from(candles).filter(([id]) => staleIds.has(id)));
+      for (const [id, candle] of await this.refold(touched, stale)) {
+        candles.set(id, candle);
+      }
+    }
+
+    if (!mutations.ohlc) {
+      mutations.ohlc = [];
+    }
+    for (const { block, added } of writes) {
+      const { uid, ...fields } = block;
+      const id = `${block.pair}:${block.blockNum}`;
+      mutations.ohlc.push({
+        uid: uid || `_:tradeblock_${blankName(id)}`,
+        'dgraph.type': 'DexTradeBlock',
+        id,
+        ...fields,
+        ...(blockInfo.forkId ? { forkId: blockInfo.forkId } : {}),
+        ...(blockInfo.blockHash ? { blockHash: blockInfo.blockHash } : {})
+      });
+
+      for (const interval of Object.keys(CANDLE_INTERVALS)) {
+        const start = bucketStart(added.blockTime, interval);
+        const candle = candles.get(candleId(added.pair, interval, start)) ||
+          emptyRollup({ pair: added.pair, interval, bucketStart: start });
+        candles.set(candleId(added.pair, interval, start), addBlock(candle, added));
+      }
+    }
+
+    for (const [id, candle] of candles) {
+      mutations.ohlc.push({
+        uid: candle.uid || `_:candle_${blankName(id)}`,
+        'dgraph.type': 'DexCandle',
+        id,
+        pair: candle.pair,
+        interval: candle.interval,
+        bucketStart: candle.bucketStart,
+        openRate: candle.openRate,
+        highRate: candle.highRate,
+        lowRate: candle.lowRate,
+        closeRate: candle.closeRate,
+        volumeToken: candle.volumeToken,
+        volumeQuote: candle.volumeQuote,
+        tradeCount: candle.tradeCount,
+        firstBlock: candle.firstBlock,
+        lastBlock: candle.lastBlock
+      });
+    }
+
+    logger.debug('Candles updated', {
+      blockNum: blockInfo.blockNum,
+      tradeBlocks: writes.length,
+      replaced: replaced.size,
+      candles: candles.size
+    });
+  }
+
+  // Trade blocks already stored, by id
+  async recordedBlocks(ids) {
+    const result = await this.dgraph.query(`
+      {
+        recorded(func: eq(id, ${JSON.stringify(ids.map(id => this.storedId(id)))})) @filter(type(DexTradeBlock)) {
+          uid
+          id
+          pair
+          blockNum
+          blockTime
+          forkId
+          blockHash
+          source
+          ${ROLLUP_FIELDS}
+        }
+      }
+    `);
+    return new Map((result.recorded || []).map(block => [strip(block.id, this.namespace), block]));
+  }
+
+  // Stored candles by id; should a bar have been written twice, the most advanced one
+  async loadCandles(ids) {
+    const result = await this.dgraph.query(`
+      {
+        candles(func: eq(id, ${JSON.stringify(ids.map(id => this.storedId(id)))})) @filter(type(DexCandle)) {
+          uid
+          id
+          pair
+          interval
+          bucketStart
+          ${ROLLUP_FIELDS}
+          firstBlock
+          lastBlock
+        }
+      }
+    `);
+
+    const candles = new Map();
+    for (const stored of result.candles || []) {
+      const id = strip(stored.id, this.namespace);
+      const known = candles.get(id);
+      if (!known || stored.lastBlock > known.lastBlock) {
+        candles.set(id, { ...stored, id });
+      }
+    }
+    return candles;
+  }
+
+  /**
+   * Candles refolded from the stored trade blocks that remain once the stale ones are
+   * dropped; a candle with none left comes back with a tradeCount of 0
+   * @param {Map} candles - id -> stored candle
+   * @param {Array} stale - trade blocks { uid, pair, blockTime }
+   * @returns {Map} id -> rebuilt candle, keeping its uid
+   */
+  async refold(candles, stale) {
+    if (candles.size === 0) {
+      return new Map();
+    }
+
+    // The day around each dropped block covers every interval it was folded into
+    const staleUids = new Set(stale.map(block => block.uid));
+    const spans = new Map();
+    for (const block of stale) {
+      const day = bucketStart(block.blockTime, '1d');
+      const span = spans.get(block.pair) || { from: day, to: day };
+      spans.set(block.pair, { from: Math.min(span.from, day), to: Math.max(span.to, day) });
+    }
+
+    const keptResult = await this.dgraph.query(`
+      {
+        ${Array.from(spans.entries()).map(([pair, span], index) => `
+        kept${index}(func: type(DexTradeBlock), orderasc: blockNum) @filter(eq(pair, ${JSON.stringify(pair)}) AND ge(blockTime, ${span.from}) AND lt(blockTime, ${span.to + CANDLE_INTERVALS['1d']})) {
+          uid
+          blockNum
+          blockTime
+          ${ROLLUP_FIELDS}
+        }`).join('')}
+      }
+    `);
+    const kept = new Map(Array.from(spans.keys()).map((pair, index) => [
+      pair,
+      (keptResult[`kept${index}`] || []).filter(block => !staleUids.has(block.uid))
+    ]));
+
+    const rebuilt = new Map();
+    for (const [id, candle] of candles) {
+      const start = candle.bucketStart;
+      const end = start + CANDLE_INTERVALS[candle.interval];
+      const blocks = (kept.get(candle.pair) || []).filter(block => block.blockTime >= start && block.blockTime < end);
+      rebuilt.set(id, blocks.reduce(addBlock, emptyRollup({
+        uid: candle.uid,
+        pair: candle.pair,
+        interval: candle.interval,
+        bucketStart: candle.bucketStart
+      })));
+    }
+    return rebuilt;
+  }
+
+  /**
+   * Drop trade blocks from a height and rebuild the candles they were folded into
+   * Called when ForkManager orphans a fork; replicated batches never roll back
+   * @param {number} fromBlock - first block to drop
+   * @param {Object} options - { forkId } limits the drop to one fork
+   * @returns {Object} { removed, rebuilt, deleted }
+   */
+  async rollback(fromBlock, options = {}) {
+    const filters = ['ge(blockNum, $fromBlock)'];
+    const vars = { $fromBlock: String(fromBlock) };
+    if (options.forkId) {
+      filters.push('eq(forkId, $forkId)');
+      vars.$forkId = options.forkId;
+    }
+
+    const staleResult = await this.dgraph.query(`
+      query staleTrades(${Object.keys(vars).map(name => `${name}: ${name === '$forkId' ? 'string' : 'int'}`).join(', ')}) {
+        stale(func: type(DexTradeBlock)) @filter(${filters.join(' AND ')}) {
+          uid
+          pair
+          blockNum
+          blockTime
+        }
+      }
+    `, vars);
+
+    const stale = staleResult.stale || [];
+    if (stale.length === 0) {
+      return { removed: 0, rebuilt: 0, deleted: 0 };
+    }
+
+    // Every candle a dropped block was folded into
+    const staleUids = new Set(stale.map(block => block.uid));
+    const ids = new Set();
+    for (const block of stale) {
+      for (const interval of Object.keys(CANDLE_INTERVALS)) {
+        ids.add(candleId(block.pair, interval, bucketStart(block.blockTime, interval)));
+      }
+    }
+    const rebuilt = await this.refold(await this.loadCandles(Array.from(ids)), stale);
+
+    const updates = [];
+    const emptied = [];
+    for (const candle of rebuilt.values()) {
+      if (candle.tradeCount === 0) {
+        emptied.push(candle.uid);
+        continue;
+      }
+      updates.push({
+        uid: candle.uid,
+        openRate: candle.openRate,
+        highRate: candle.highRate,
+        lowRate: candle.lowRate,
+        closeRate: candle.closeRate,
+        volumeToken: candle.volumeToken,
+        volumeQuote: candle.volumeQuote,
+        tradeCount: candle.tradeCount,
+        firstBlock: candle.firstBlock,
+        lastBlock: candle.lastBlock
+      });
+    }
+
+    if (updates.length > 0) {
+      await this.dgraph.writeOperation(updates);
+    }
+    await this.dgraph.deleteNodes([...staleUids, ...emptied]);
+
+    logger.info('Candles rolled back', {
+      fromBlock,
+      forkId: options.forkId || null,
+      removed: staleUids.size,
+      rebuilt: updates.length,
+      deleted: emptied.length
+    });
+    return { removed: staleUids.size, rebuilt: updates.length, deleted: emptied.length };
+  }
+
+  /**
+   * Normalize candle parameters; TradingView's resolution and countback are accepted too
+   * @returns {Object} { error, value } where value is { pair, interval, from, to, countback }
+   */
+  parseParams(pairParam, query = {}, now = Date.now()) {
+    const pair = normalizePair(pairParam);
+    if (!/^[A-Z0-9]+:[A-Z0-9]+$/.test(pair)) {
+      return { error: `Invalid pair: ${pairParam}` };
+    }
+
+    const requested = query.interval ?? query.resolution ?? '1h';
+    const interval = CANDLE_INTERVALS[requested] ? requested : RESOLUTIONS[String(requested).toUpperCase()];
+    if (!interval) {
+      return { error: `Invalid interval: ${requested}. Expected one of ${Object.keys(CANDLE_INTERVALS).join(', ')}` };
+    }
+
+    const time = (name, fallback) => {
+      if (query[name] === undefined) {
+        return fallback;
+      }
+      const value = Number(query[name]);
+      return Number.isInteger(value) && value >= 0 ? value : NaN;
+    };
+    const to = time('to', Math.floor(now / 1000));
+    const countback = query.countback === undefined ? null : parseInt(query.countback);
+    const from = time('from', to - (countback || DEFAULT_BARS) * CANDLE_INTERVALS[interval]);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return { error: 'from and to must be unix timestamps in seconds' };
+    }
+    if (from > to) {
+      return { error: 'from must not be after to' };
+    }
+    if (countback !== null && !(countback > 0)) {
+      return { error: `Invalid countback: ${query.countback}` };
+    }
+
+    return { value: { pair, interval, from, to, countback: countback ? Math.min(countback, MAX_BARS) : null } };
+  }
+
+  /**
+   * Bars for a market in TradingView UDF history shape
+   * @returns {Object} { s: 'ok', t, o, h, l, c, v } or { s: 'no_data', nextTime? }
+   */
+  async history(params) {
+    const { pair, interval, from, to, countback } = params;
+    // With countback, the bars ending at to regardless of from
+    const range = countback
+      ? `le(bucketStart, $to)`
+      : `ge(bucketStart, $fromBucket) AND le(bucketStart, $to)`;
+
+    const result = await this.dgraph.query(`
+      query candles($pair: string, $interval: string, $fromBucket: int, $to: int, $first: int) {
+        bars(func: type(DexCandle), orderdesc: bucketStart, first: $first) @filter(eq(pair, $pair) AND eq(interval, $interval) AND ${range}) {
+          id
+          bucketStart
+          ${ROLLUP_FIELDS}
+          lastBlock
+        }
+        previous(func: type(DexCandle), orderdesc: bucketStart, first: 1) @filter(eq(pair, $pair) AND eq(interval, $interval) AND lt(bucketStart, $fromBucket)) {
+          bucketStart
+        }
+      }
+    `, {
+      $pair: pair,
+      $interval: interval,
+      $fromBucket: String(bucketStart(from, interval)),
+      $to: String(to),
+      $first: String(countback || MAX_BARS)
+    });
+
+    const byStart = new Map();
+    for (const bar of result.bars || []) {
+      const known = byStart.get(bar.bucketStart);
+      if (!known || bar.lastBlock > known.lastBlock) {
+        byStart.set(bar.bucketStart, bar);
+      }
+    }
+    const bars = Array.from(byStart.values()).sort((a, b) => a.bucketStart - b.bucketStart);
+
+    if (bars.length === 0) {
+      const previous = countback ? null : result.previous?.[0]?.bucketStart;
+      return previous === undefined || previous === null ? { s: 'no_data' } : { s: 'no_data', nextTime: previous };
+    }
+
+    return {
+      s: 'ok',
+      t: bars.map(bar => bar.bucketStart),
+      o: bars.map(bar => bar.openRate),
+      h: bars.map(bar => bar.highRate),
+      l: bars.map(bar => bar.lowRate),
+      c: bars.map(bar => bar.closeRate),
+      v: bars.map(bar => bar.volumeToken / FEED_UNIT)
+    };
+  }
+}
+
+// Factory function
+export function createDexCandles(dgraphClient, options = {}) {
+  return new DexCandles(dgraphClient, options);
+}
@@ -0,0 +1,253 @@
+import { normalizePair } from './subscription-hub.js';
+import { OPEN_STATUSES } from './order-lifecycle.js';
+
+// Order books and trade blocks hold milli-units
+const MILLI = 1000;
+
+const DAY_SECONDS = 86400;
+
+const DEFAULT_DEPTH = 20;
+const MAX_DEPTH = 100;
+
+function strip(id, namespace) {
+  return namespace && namespace !== 'default' && id.startsWith(namespace) ? id.slice(namespace.length) : id;
+}
+
+function units(milli) {
+  return Math.round(milli) / MILLI;
+}
+
+function roundRate(rate) {
+  return Math.round(rate * 1e6) / 1e6;
+}
+
+function remainingOf(order) {
+  if (order.remaining !== undefined && order.remaining !== null) {
+    return Number(order.remaining) || 0;
+  }
+  return (Number(order.amount) || 0) - (Number(order.filled) || 0);
+}
+
+// Query block for the open orders of every market, read with openOrdersByMarket
+export const OPEN_ORDERS_BLOCK = `
+  orders(func: type(DexOrder)) @filter(${OPEN_STATUSES.map(status => `eq(status, "${status}")`).join(' OR ')}) {
+    id
+    orderType
+    rate
+    amount
+    filled
+    remaining
+  }
+`;
+
+/**
+ * Current open orders grouped by market id
+ * Older snapshots of an order may be stored beside it; amounts only shrink, so the
+ * smallest is current
+ * @param {Array} stored - DexOrder nodes with id, orderType, rate, amount, filled, remaining
+ * @returns {Map} market id -> orders
+ */
+export function openOrdersByMarket(stored, namespace) {
+  const orders = new Map();
+  for (const order of stored) {
+    const id = strip(order.id, namespace);
+    const known = orders.get(id);
+    if (!known || remainingOf(order) < remainingOf(known)) {
+      orders.set(id, order);
+    }
+  }
+
+  const markets = new Map();
+  for (const [id, order] of orders) {
+    const marketId = id.split(':').slice(0, 2).join(':');
+    if (!markets.has(marketId)) {
+      markets.set(marketId, []);
+    }
+    markets.get(marketId).push(order);
+  }
+  return markets;
+}
+
+/**
+ * Collapse one side of the book into price levels, best price first
+ * @param {Array} orders - { rate, remaining } with remaining in milli-token
+ * @returns {Array} { price, amount, total, orders, cumulative } with amounts in whole units
+ */
+export function aggregateLevels(orders, side, depth) {
+  const levels = new Map();
+  for (const order of orders) {
+    const price = roundRate(Number(order.rate) || 0);
+    const level = levels.get(price) || { price, amount: 0, orders: 0 };
+    level.amount += remainingOf(order);
+    level.orders += 1;
+    levels.set(price, level);
+  }
+
+  let cumulative = 0;
+  return Array.from(levels.values())
+    .filter(level => level.amount > 0)
+    .sort((a, b) => (side === 'SELL' ? a.price - b.price : b.price - a.price))
+    .slice(0, depth)
+    .map(level => {
+      cumulative += level.amount;
+      return {
+        price: level.price,
+        amount: units(level.amount),
+        total: units(level.amount * level.price),
+        orders: level.orders,
+        cumulative: units(cumulative)
+      };
+    });
+}
+
+/**
+ * Open/high/low/close and volume over trade blocks, oldest first
+ */
+export function rollingStats(blocks) {
+  if (blocks.length === 0) {
+    return { open: null, high: null, low: null, close: null, change: null, changePercent: null, volumeToken: 0, volumeQuote: 0, trades: 0 };
+  }
+  const open = blocks[0].openRate;
+  const close = blocks[blocks.length - 1].closeRate;
+  return {
+    open,
+    high: Math.max(...blocks.map(block => block.highRate)),
+    low: Math.min(...blocks.map(block => block.lowRate)),
+    close,
+    change: roundRate(close - open),
+    changePercent: open ? Math.round((close - open) / open * 10000) / 100 : null,
+    volumeToken: units(blocks.reduce((sum, block) => sum + (block.volumeToken || 0), 0)),
+    volumeQuote: units(blocks.reduce((sum, block) => sum + (block.volumeQuote || 0), 0)),
+    trades: blocks.reduce((sum, block) => sum + (block.tradeCount || 0), 0)
+  };
+}
+
+/**
+ * DEX Market Data
+ * Depth, spread and 24h statistics for one TOKEN:HIVE or TOKEN:HBD market, read from
+ * the DexMarket, DexOrder and DexTradeBlock nodes the data transformer writes.
+ */
+export class DexMarketData {
+  constructor(dgraphClient, options = {}) {
+    this.dgraph = dgraphClient;
+    this.namespace = options.namespace ?? dgraphClient?.namespace;
+  }
+
+  storedId(id) {
+    return this.namespace && this.namespace !== 'default' && !id.startsWith(this.namespace)
+      ? `${this.namespace}${id}`
+      : id;
+  }
+
+  /**
+   * Normalize market parameters
+   * @returns {Object} { error, value } where value is { pair, depth }
+   */
+  parseParams(pairParam, query = {}) {
+    const pair = normalizePair(pairParam);
+    if (!/^[A-Z0-9]+:(HIVE|HBD)$/.test(pair)) {
+      return { error: `Invalid pair: ${pairParam}. Expected TOKEN:HIVE or TOKEN:HBD` };
+    }
+
+    let depth = DEFAULT_DEPTH;
+    if (query.depth !== undefined) {
+      depth = parseInt(query.depth);
+      if (!(depth > 0)) {
+        return { error: `Invalid depth: ${query.depth}` };
+      }
+      depth = Math.min(depth, MAX_DEPTH);
+    }
+
+    return { value: { pair, depth } };
+  }
+
+  /**
+   * The market's book, spread, mid price, last trade and rolling 24h statistics
+   * @returns {Object|null} null when neither the market nor any of its orders are stored
+   */
+  async summary(params, now = Date.now()) {
+    const { pair, depth } = params;
+    const since = Math.floor(now / 1000) - DAY_SECONDS;
+
+    // Orders written before markets were linked have no market edge; they are matched by id
+    const result = await this.dgraph.query(`
+      query dexMarket($market: string, $pair: string, $since: int) {
+        market(func: eq(id, $market)) @filter(type(DexMarket)) {
+          token
+          quoteCurrency
+          tick
+        }
+        ${OPEN_ORDERS_BLOCK}
+        day(func: type(DexTradeBlock), orderasc: blockNum) @filter(eq(pair, $pair) AND ge(blockTime, $since)) {
+          blockNum
+          openRate
+          highRate
+          lowRate
+          closeRate
+          volumeToken
+          volumeQuote
+          tradeCount
+        }
+        last(func: type(DexTradeBlock), orderdesc: blockNum, first: 1) @filter(eq(pair, $pair)) {
+          blockNum
+          blockTime
+          closeRate
+          volumeToken
+          tradeCount
+        }
+      }
+    `, { $market: this.storedId(pair), $pair: pair, $since: String(since) });
+
+    const open = openOrdersByMarket(result.orders || [], this.namespace).get(pair) || [];
+
+    const market = result.market?.[0];
+    if (!market && open.length === 0) {
+      return null;
+    }
+
+    const asks = aggregateLevels(open.filter(order => order.orderType === 'SELL'), 'SELL', depth);
+    const bids = aggregateLevels(open.filter(order => order.orderType === 'BUY'), 'BUY', depth);
+    const bestAsk = asks[0]?.price ?? null;
+    const bestBid = bids[0]?.price ?? null;
+    const mid = bestAsk !== null && bestBid !== null ? roundRate((bestAsk + bestBid) / 2) : null;
+    const spread = mid !== null ? roundRate(bestAsk - bestBid) : null;
+
+    const last = result.last?.[0];
+    const lastTrade = last
+      ? {
+        price: last.closeRate,
+        blockNum: last.blockNum,
+        timestamp: new Date(last.blockTime * 1000).toISOString(),
+        volume: units(last.volumeToken || 0),
+        trades: last.tradeCount || 0
+      }
+      : null;
+    const [token, quoteCurrency] = pair.split(':');
+
+    return {
+      pair,
+      token,
+      quoteCurrency,
+      // Honeycomb's tick is its last traded rate, used until a trade is replicated
+      lastPrice: lastTrade ? lastTrade.price : (Number(market?.tick) || null),
+      lastTrade,
+      bestBid,
+      bestAsk,
+      spread,
+      spreadPercent: spread !== null && mid ? Math.round(spread / mid * 10000) / 100 : null,
+      mid,
+      stats24h: rollingStats(result.day || []),
+      depth: {
+        asks,
+        bids,
+        askOrders: open.filter(order => order.orderType === 'SELL').length,
+        bidOrders: open.filter(order => order.orderType === 'BUY').length
+      }
+    };
+  }
+}
+
+// Factory function
+export function createDexMarketData(dgraphClient, options = {}) {
+  return new DexMarketData(dgraphClient, options);
+}
@@ -257,10 +257,31 @@ export class DgraphClient {
     }
   }
 
+  // Delete whole nodes (every predicate of their type) by uid
+  async deleteNodes(uids) {
+    if (uids.length === 0) {
+      return { success: true, deleted: 0 };
+    }
+    const txn = this.client.newTxn();
+    try {
+      const mutation = new dgraph.Mutation();
+      mutation.setDeleteJson(uids.map(uid => ({ uid })));
+      await txn.mutate(mutation);
+      await txn.commit();
+      return { success: true, deleted: uids.length };
+    } catch (error) {
+      await txn.discard();
+      this.logger.error('Delete nodes failed', { error: error.message, count: uids.length });
+      throw error;
+    }
+  }
+
   // Batch write for efficiency
   async writeBatch(operations, blockInfo) {
     const txn = this.client.newTxn();
     try {
+      const blockTime = blockInfo.timestamp ? new Date(blockInfo.timestamp).toISOString() : new Date().toISOString();
+
       // Create block node with namespace prefix
       const blockMutation = {
         uid: '_:block',
@@ -268,7 +289,7 @@ export class DgraphClient {
         blockNum: blockInfo.blockNum,
         blockHash: blockInfo.blockHash,
         previousHash: blockInfo.previousHash,
-        timestamp: new Date().toISOString(),
+        timestamp: blockTime,
         forkId: blockInfo.forkId,
         isFinalized: blockInfo.blockNum <= blockInfo.lib,
         namespace: this.namespace || 'default'
@@ -284,9 +305,11 @@ export class DgraphClient {
         type: op.type.toUpperCase(),
         path: op.path.join('/'),
         data: JSON.stringify(op.data),
+        // Sent by honeycomb for overwritten paths; lets the account timeline show balance deltas
+        ...(op.previousValue !== undefined ? { previousValue: JSON.stringify(op.previousValue) } : {}),
         forkId: blockInfo.forkId,
         isFinalized: blockInfo.blockNum <= blockInfo.lib,
-        timestamp: new Date().toISOString()
+        timestamp: blockTime
       }));
 
       // Update state nodes
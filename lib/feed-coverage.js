@@ -0,0 +1,149 @@
+import { createLogger } from './logger.js';
+import { FALLBACK_PATTERNS, UNMATCHED_CATEGORIES, feedParser, isUnmatched } from './feed-parser.js';
+
+const logger = createLogger('feed-coverage');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Collapse the variable parts of a feed message so repeats of one message shape group together
+ * "@alice| Bid 1,000.5 DLUX on QmXy..." -> "@{account}| Bid {number} DLUX on {id}"
+ */
+export function messageTemplate(message) {
+  return String(message || '')
+    .replace(/\b[A-Za-z0-9]{20,}\b/g, '{id}')
+    .replace(/@[a-z0-9][a-z0-9.-]*/g, '@{account}')
+    .replace(/\d[\d,]*(\.\d+)?/g, '{number}');
+}
+
+/**
+ * Dgraph filter for stored transactions no specific pattern classified
+ */
+export function unmatchedFilter() {
+  return [
+    ...UNMATCHED_CATEGORIES.map(category => `eq(category, "${category}")`),
+    ...FALLBACK_PATTERNS.map(operationType => `eq(operationType, "${operationType}")`)
+  ].join(' OR ');
+}
+
+/**
+ * Feed Coverage
+ * Reports how much of a network's stored feed its grammar classifies, and the most common
+ * message shapes that fell through to UNKNOWN, OTHER or the catch-all, so new patterns can be
+ * written for them.
+ */
+export class FeedCoverage {
+  /**
+   * @param {Object} dgraphClient - Client for the network's namespace
+   * @param {Object} options - { parser, candidateLimit }
+   */
+  constructor(dgraphClient, options = {}) {
+    this.dgraph = dgraphClient;
+    this.parser = options.parser || feedParser;
+    this.candidateLimit = options.candidateLimit || 5000;
+  }
+
+  /**
+   * Normalize and validate request parameters
+   * @returns {Object} { error, value } where value is { limit }
+   */
+  parseParams(query = {}) {
+    const value = { limit: DEFAULT_LIMIT };
+
+    if (query.limit !== undefined) {
+      const limit = parseInt(query.limit);
+      if (!Number.isInteger(limit) || limit < 1) {
+        return { error: `Invalid limit: ${query.limit}` };
+      }
+      value.limit = Math.min(limit, MAX_LIMIT);
+    }
+
+    return { value };
+  }
+
+  /**
+   * Build the coverage report
+   * @param {Object} params - Output of parseParams
+   */
+  async report(params) {
+    const query = `
+      query feedCoverage($first: int) {
+        total(func: type(Transaction)) {
+          count(uid)
+        }
+        unmatchedTotal(func: type(Transaction)) @filter(${unmatchedFilter()}) {
+          count(uid)
+        }
+        unmatched(func: type(Transaction), orderdesc: blockNum, first: $first) @filter(${unmatchedFilter()}) {
+          id
+          blockNum
+          operationType
+          category
+          memo
+          parserVersion
+        }
+      }
+    `;
+    const result = await this.dgraph.query(query, { $first: String(this.candidateLimit) });
+
+    const total = result.total?.[0]?.count || 0;
+    const unmatched = result.unmatchedTotal?.[0]?.count || 0;
+    const sampled = result.unmatched || [];
+
+    const groups = new Map();
+    let reparsable = 0;
+    for (const tx of sampled) {
+      const template = messageTemplate(tx.memo);
+      const group = groups.get(template) || {
+        template,
+        count: 0,
+        example: tx.memo || '',
+        latestBlock: tx.blockNum || 0,
+        operationTypes: new Set(),
+        parserVersions: new Set(),
+        parsesAs: null
+      };
+
+      group.count++;
+      group.operationTypes.add(tx.operationType || 'UNKNOWN');
+      group.parserVersions.add(tx.parserVersion || 'unversioned');
+
+      // Shows which shapes a re-parse would now upgrade
+      const parsed = tx.memo ? this.parser.parseFeedEntry(tx.id || '0:0', tx.memo) : null;
+      if (parsed && !isUnmatched(parsed)) {
+        group.parsesAs = parsed.category;
+        reparsable++;
+      }
+      groups.set(template, group);
+    }
+
+    const messages = Array.from(groups.values())
+      .sort((a, b) => b.count - a.count || b.latestBlock - a.latestBlock)
+      .slice(0, params.limit)
+      .map(group => ({
+        ...group,
+        operationTypes: Array.from(group.operationTypes),
+        parserVersions: Array.from(group.parserVersions)
+      }));
+
+    logger.debug('Feed coverage', { total, unmatched, templates: groups.size });
+
+    return {
+      grammar: this.parser.describe(),
+      total,
+      unmatched,
+      coverage: total > 0 ? Math.round((1 - unmatched / total) * 10000) / 10000 : null,
+      sampled: sampled.length,
+      truncated: sampled.length >= this.candidateLimit,
+      reparsable,
+      templates: groups.size,
+      messages
+    };
+  }
+}
+
+// Factory function
+export function createFeedCoverage(dgraphClient, options = {}) {
+  return new FeedCoverage(dgraphClient, options);
+}
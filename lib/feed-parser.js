@@ -2,71 +2,205 @@ import { createLogger } from './logger.js';
 
 const logger = createLogger('feed-parser');
 
+// Categories the parser assigns; UNKNOWN marks feed lines no pattern matched
+export const FEED_CATEGORIES = [
+  'TOKEN_TRANSFER', 'TOKEN_CLAIM', 'PROMOTION',
+  'DEX_ORDER', 'DEX_TRADE', 'DEX_CANCEL',
+  'NFT_MINT', 'NFT_TRANSFER', 'NFT_SALE', 'NFT_AUCTION_END',
+  'POWER_UP', 'POWER_DOWN',
+  'GOV_LOCK', 'GOV_EXTEND', 'GOV_UNLOCK', 'GOV_WITHDRAW',
+  'DELEGATION_ADD', 'DELEGATION_REMOVE',
+  'STORAGE_UPLOAD', 'STORAGE_CANCEL', 'STORAGE_META_UPDATE', 'STORAGE_FILE_DELETE',
+  'CERTIFICATE_SIGN', 'PROPOSAL_CREATE', 'PROPOSAL_VOTE', 'PROPOSAL_DELETE', 'PROPOSAL_APPROVE',
+  'VOTE', 'ERROR', 'OTHER', 'UNKNOWN'
+];
+
+// Categories of transactions a newer grammar may be able to classify
+export const UNMATCHED_CATEGORIES = ['UNKNOWN', 'OTHER'];
+
+// Catch-all patterns stay last so grammar extensions are tried before them
+export const FALLBACK_PATTERNS = ['error'];
+
+/**
+ * Whether a parsed entry only fell through to UNKNOWN, OTHER or a catch-all pattern
+ */
+export function isUnmatched({ category, operationType }) {
+  return !category || UNMATCHED_CATEGORIES.includes(category) || FALLBACK_PATTERNS.includes(operationType);
+}
+
+/**
+ * SPK feed grammar
+ * Bump the version whenever a pattern is added or changed, so stored transactions
+ * parsed by an older version can be found and re-parsed.
+ */
+export const SPK_FEED_GRAMMAR = {
+  name: 'spk',
+  version: 1,
+  patterns: {
+    // Token Operations
+    send: /^@(\w+)\| Sent @(\w+) ([\d,\.]+) (\w+)$/,
+    promotion: /^@(\w+)\| Promoted @(\S+) with ([\d,\.]+) (\w+)$/,
+    claim: /^@(\w+)\| Claimed ([\d,\.]+) (\w+) - Half (locked in gov|powered up)$/,
+
+    // DEX Operations
+    dexBuyOrder: /^@(\w+)\| Placed a buy order for ([\d,\.]+) (\w+)$/,
+    dexSellOrder: /^@(\w+)\| Placed a sell order for ([\d,\.]+) (\w+)$/,
+    dexMarketBuy: /^@(\w+)\| Bought ([\d,\.]+) (\w+) for ([\d,\.]+) (HIVE|HBD)$/,
+    dexMarketSell: /^@(\w+)\| Sold ([\d,\.]+) (\w+) for ([\d,\.]+) (HIVE|HBD)$/,
+    dexCancel: /^@(\w+)\| canceled a (hive|hbd) (dex_sell|dex_buy)$/,
+
+    // NFT Operations
+    nftMint: /^(\w+) minted (\S+) from the (.+) set\.$/,
+    nftTransfer: /^@(\w+)\| sent (\S+) to (\w+)$/,
+    nftAuctionEnd: /^Auction of (\w+)'s (\S+) has ended for ([\d,\.]+) (\w+) to (\w+)$/,
+    nftAuctionNoBid: /^Auction of (\w+)'s (\S+) has ended with no bidders$/,
+    nftSale: /^(\w+) has sold (\S+) to (\w+) for ([\d,\.]+) (\w+)$/,
+
+    // Power Operations
+    powerUp: /^@(\w+)\| Powered up ([\d,\.]+) (SPK|BROCA|LARYNX)$/,
+    powerDown: /^@(\w+)\| powered down ([\d,\.]+) (\w+)$/,
+    govWithdraw: /^@(\w+)\| ([\d,\.]+) (\w+) withdrawn from governance\.$/,
+
+    // Delegation Operations
+    delegateAdd: /^@(\w+)\| has delegated ([\d,\.]+) vests to @(\w+)$/,
+    delegateRemove: /^@(\w+)\| has removed delegation to @(\w+)$/,
+
+    // Certificate Operations
+    certSign: /^@(\w+)\| Signed a certificate on (\w+)\/(\w+)$/,
+
+    // SCP (Proposal) Operations
+    scpPropose: /^@(\w+)\| Proposed (\w+) update for (.+)$/,
+    scpDelete: /^@(\w+)\| Deleted SCP (\S+)$/,
+    scpVote: /^@(\w+)\| Voted (Approve|Reject) SCP (\S+)$/,
+    scpApprove: /^@(\w+)\| Approved SCP (\S+)$/,
+
+    // Governance Operations
+    govLock: /^@(\w+)\| Locked ([\d,\.]+) (\w+) for (\d+) weeks$/,
+    govExtend: /^@(\w+)\| Extended governance lock to (\d+) weeks$/,
+    govUnlock: /^@(\w+)\| Unlocked ([\d,\.]+) (\w+) from governance$/,
+
+    // Storage Contract Operations
+    storageUpload: /^(\S+) direct upload completed$/,
+    storageBundle: /^(\S+) bundled$/,
+    storageCancel: /^(\S+) canceled by (file owner|channel owner)$/,
+    storageMetaUpdate: /^Updated metadata for contracts: (.+)$/,
+    storageFileDelete: /^Deleted files: (.+)$/,
+    storageError: /^Errors: (.+)$/,
+
+    // Voting Operations
+    vote: /^@(\w+)\| voted for @(\w+)\/(\w+)$/,
+    voteExpired: /^@(\w+)\| Post:(\w+) voting expired\.$/,
+
+    // Error patterns
+    invalidOperation: /^@(\w+)\| Invalid (\w+) operation$/,
+    error: /^@(\w+)\| (.+)$/  // Catch-all for other user errors
+  }
+};
+
+// Grammars a network grammar can extend by name
+export const BASE_GRAMMARS = { spk: SPK_FEED_GRAMMAR };
+
+const FIELD_TYPES = ['string', 'amount', 'int', 'list', 'lowercase', 'uppercase'];
+
+/**
+ * Check a declarative pattern from a network grammar file
+ * { operationType, pattern, category, fields: { name: group | { group, type } | { value } } }
+ */
+function compileRule(rule, grammarName) {
+  const where = `feed grammar ${grammarName}`;
+  if (!rule || typeof rule.operationType !== 'string' || !rule.operationType) {
+    throw new Error(`Invalid ${where}: every pattern needs an operationType`);
+  }
+  if (!FEED_CATEGORIES.includes(rule.category)) {
+    throw new Error(`Invalid ${where}: ${rule.operationType} has unknown category ${rule.category}`);
+  }
+
+  let pattern;
+  try {
+    pattern = rule.pattern instanceof RegExp ? rule.pattern : new RegExp(rule.pattern);
+  } catch (error) {
+    throw new Error(`Invalid ${where}: ${rule.operationType} pattern does not compile: ${error.message}`);
+  }
+
+  const fields = {};
+  for (const [name, spec] of Object.entries(rule.fields || {})) {
+    const field = typeof spec === 'number' ? { group: spec, type: 'string' } : { type: 'string', ...spec };
+    if (!FIELD_TYPES.includes(field.type)) {
+      throw new Error(`Invalid ${where}: ${rule.operationType}.${name} has unknown type ${field.type}`);
+    }
+    if (field.value === undefined && !Number.isInteger(field.group)) {
+      throw new Error(`Invalid ${where}: ${rule.operationType}.${name} needs a capture group or a value`);
+    }
+    fields[name] = field;
+  }
+
+  return { operationType: rule.operationType, pattern, category: rule.category, fields };
+}
+
 /**
  * Feed Parser for SPK Network Transaction History
  * Parses feed entries into structured transaction data
+ *
+ * The SPK patterns are parsed by parseMatch; a network grammar adds declarative patterns
+ * (see compileRule) on top of the grammar it extends, tried before the catch-all.
  */
 export class FeedParser {
-  constructor() {
-    // Define regex patterns for each operation type
-    this.patterns = {
-      // Token Operations
-      send: /^@(\w+)\| Sent @(\w+) ([\d,\.]+) (\w+)$/,
-      promotion: /^@(\w+)\| Promoted @(\S+) with ([\d,\.]+) (\w+)$/,
-      claim: /^@(\w+)\| Claimed ([\d,\.]+) (\w+) - Half (locked in gov|powered up)$/,
-      
-      // DEX Operations
-      dexBuyOrder: /^@(\w+)\| Placed a buy order for ([\d,\.]+) (\w+)$/,
-      dexSellOrder: /^@(\w+)\| Placed a sell order for ([\d,\.]+) (\w+)$/,
-      dexMarketBuy: /^@(\w+)\| Bought ([\d,\.]+) (\w+) for ([\d,\.]+) (HIVE|HBD)$/,
-      dexMarketSell: /^@(\w+)\| Sold ([\d,\.]+) (\w+) for ([\d,\.]+) (HIVE|HBD)$/,
-      dexCancel: /^@(\w+)\| canceled a (hive|hbd) (dex_sell|dex_buy)$/,
-      
-      // NFT Operations
-      nftMint: /^(\w+) minted (\S+) from the (.+) set\.$/,
-      nftTransfer: /^@(\w+)\| sent (\S+) to (\w+)$/,
-      nftAuctionEnd: /^Auction of (\w+)'s (\S+) has ended for ([\d,\.]+) (\w+) to (\w+)$/,
-      nftAuctionNoBid: /^Auction of (\w+)'s (\S+) has ended with no bidders$/,
-      nftSale: /^(\w+) has sold (\S+) to (\w+) for ([\d,\.]+) (\w+)$/,
-      
-      // Power Operations
-      powerUp: /^@(\w+)\| Powered up ([\d,\.]+) (SPK|BROCA|LARYNX)$/,
-      powerDown: /^@(\w+)\| powered down ([\d,\.]+) (\w+)$/,
-      govWithdraw: /^@(\w+)\| ([\d,\.]+) (\w+) withdrawn from governance\.$/,
-      
-      // Delegation Operations
-      delegateAdd: /^@(\w+)\| has delegated ([\d,\.]+) vests to @(\w+)$/,
-      delegateRemove: /^@(\w+)\| has removed delegation to @(\w+)$/,
-      
-      // Certificate Operations
-      certSign: /^@(\w+)\| Signed a certificate on (\w+)\/(\w+)$/,
-      
-      // SCP (Proposal) Operations
-      scpPropose: /^@(\w+)\| Proposed (\w+) update for (.+)$/,
-      scpDelete: /^@(\w+)\| Deleted SCP (\S+)$/,
-      scpVote: /^@(\w+)\| Voted (Approve|Reject) SCP (\S+)$/,
-      scpApprove: /^@(\w+)\| Approved SCP (\S+)$/,
-      
-      // Governance Operations
-      govLock: /^@(\w+)\| Locked ([\d,\.]+) (\w+) for (\d+) weeks$/,
-      govExtend: /^@(\w+)\| Extended governance lock to (\d+) weeks$/,
-      govUnlock: /^@(\w+)\| Unlocked ([\d,\.]+) (\w+) from governance$/,
-      
-      // Storage Contract Operations
-      storageUpload: /^(\S+) direct upload completed$/,
-      storageBundle: /^(\S+) bundled$/,
-      storageCancel: /^(\S+) canceled by (file owner|channel owner)$/,
-      storageMetaUpdate: /^Updated metadata for contracts: (.+)$/,
-      storageFileDelete: /^Deleted files: (.+)$/,
-      storageError: /^Errors: (.+)$/,
-      
-      // Voting Operations
-      vote: /^@(\w+)\| voted for @(\w+)\/(\w+)$/,
-      voteExpired: /^@(\w+)\| Post:(\w+) voting expired\.$/,
-      
-      // Error patterns
-      invalidOperation: /^@(\w+)\| Invalid (\w+) operation$/,
-      error: /^@(\w+)\| (.+)$/  // Catch-all for other user errors
+  /**
+   * @param {Object} grammar - { name, version, extends, patterns } where patterns is a map of
+   * operationType to RegExp (built-in grammars) or an array of declarative patterns
+   */
+  constructor(grammar = SPK_FEED_GRAMMAR) {
+    this.name = grammar.name || 'custom';
+    this.version = Number.isInteger(grammar.version) ? grammar.version : 1;
+    this.rules = new Map();
+
+    // Network grammars list declarative patterns and extend spk unless they say otherwise
+    const declarative = Array.isArray(grammar.patterns);
+    const baseName = declarative ? (grammar.extends === undefined ? 'spk' : grammar.extends) : null;
+    const base = baseName ? BASE_GRAMMARS[baseName] : null;
+    if (baseName && !base) {
+      throw new Error(`Invalid feed grammar ${this.name}: unknown base grammar ${baseName}`);
+    }
+    this.base = base ? `${base.name}@${base.version}` : null;
+
+    const builtIn = declarative ? base?.patterns || {} : grammar.patterns;
+    for (const rule of declarative ? grammar.patterns : []) {
+      const compiled = compileRule(rule, this.name);
+      this.rules.set(compiled.operationType, compiled);
+    }
+
+    // Regex patterns in match order
+    this.patterns = {};
+    for (const [operationType, pattern] of Object.entries(builtIn)) {
+      if (!FALLBACK_PATTERNS.includes(operationType)) {
+        this.patterns[operationType] = pattern;
+      }
+    }
+    for (const [operationType, rule] of this.rules) {
+      this.patterns[operationType] = rule.pattern;
+    }
+    for (const operationType of FALLBACK_PATTERNS) {
+      if (builtIn[operationType] && !this.rules.has(operationType)) {
+        this.patterns[operationType] = builtIn[operationType];
+      }
+    }
+  }
+
+  // Recorded on each transaction as parserVersion
+  get grammarVersion() {
+    return this.base ? `${this.name}@${this.version}+${this.base}` : `${this.name}@${this.version}`;
+  }
+
+  /**
+   * Grammar summary for the coverage report
+   */
+  describe() {
+    return {
+      name: this.name,
+      version: this.version,
+      grammarVersion: this.grammarVersion,
+      patterns: Object.keys(this.patterns),
+      custom: Array.from(this.rules.keys())
     };
   }
 
@@ -74,9 +208,10 @@ export class FeedParser {
    * Parse a feed entry into structured transaction data
    * @param {string} feedId - The feed ID (format: "blocknum:txid")
    * @param {string} message - The feed message
+   * @param {string|number|null} blockTime - Time of the entry's block, when the caller knows it
    * @returns {Object|null} Parsed transaction object or null if not recognized
    */
-  parseFeedEntry(feedId, message) {
+  parseFeedEntry(feedId, message, blockTime = null) {
     if (!message || typeof message !== 'string') {
       return null;
     }
@@ -88,7 +223,8 @@ export class FeedParser {
       blockNum: parseInt(blockNum) || 0,
       txId,
       isVirtualOp: txId && txId.startsWith('vop_'),
-      timestamp: new Date().toISOString() // Should be replaced with actual block time
+      timestamp: blockTime ? new Date(blockTime).toISOString() : null,
+      parserVersion: this.grammarVersion
     };
 
     // Try each pattern
@@ -124,6 +260,10 @@ export class FeedParser {
    * Parse matched regex groups based on operation type
    */
   parseMatch(operationType, match, rawMessage) {
+    if (this.rules.has(operationType)) {
+      return this.parseRule(this.rules.get(operationType), match, rawMessage);
+    }
+
     switch (operationType) {
       // Token Operations
       case 'send':
@@ -372,6 +512,42 @@ export class FeedParser {
     }
   }
 
+  /**
+   * Map a declarative pattern's capture groups to transaction fields
+   */
+  parseRule(rule, match, rawMessage) {
+    const parsed = { category: rule.category };
+
+    for (const [name, field] of Object.entries(rule.fields)) {
+      const raw = field.value !== undefined ? field.value : match[field.group];
+      if (raw === undefined) {
+        continue;
+      }
+      switch (field.type) {
+        case 'amount':
+          parsed[name] = this.parseAmount(String(raw));
+          break;
+        case 'int':
+          parsed[name] = parseInt(raw) || 0;
+          break;
+        case 'list':
+          parsed[name] = String(raw).split(',').map(item => item.trim()).filter(Boolean);
+          break;
+        case 'lowercase':
+          parsed[name] = String(raw).toLowerCase();
+          break;
+        case 'uppercase':
+          parsed[name] = String(raw).toUpperCase();
+          break;
+        default:
+          parsed[name] = raw;
+      }
+    }
+
+    parsed.memo = rawMessage;
+    return parsed;
+  }
+
   /**
    * Parse amount strings (handles comma-separated thousands)
    */
@@ -405,5 +581,10 @@ export class FeedParser {
   }
 }
 
+// Factory function
+export function createFeedParser(grammar = SPK_FEED_GRAMMAR) {
+  return new FeedParser(grammar);
+}
+
 // Export singleton instance
-export const feedParser = new FeedParser();
\ No newline at end of file
+export const feedParser = new FeedParser();
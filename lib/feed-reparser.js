@@ -0,0 +1,239 @@
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+import { createDataTransformer } from './data-transformer.js';
+import { isUnmatched } from './feed-parser.js';
+import { unmatchedFilter } from './feed-coverage.js';
+
+const logger = createLogger('feed-reparser');
+
+const ACCOUNT_EDGES = ['from', 'to'];
+
+/**
+ * Feed Reparser
+ * Runs stored UNKNOWN, OTHER and catch-all transactions back through the network's current feed
+ * grammar. Entries a newer pattern now recognises are rewritten in place on their existing
+ * node with the new category, details and account edges; the rest are left untouched.
+ */
+export class FeedReparser {
+  /**
+   * @param {Object} dgraphClient - Client for the network's namespace
+   * @param {Object} options - { networkManager, batchSize }
+   */
+  constructor(dgraphClient, options = {}) {
+    this.dgraph = dgraphClient;
+    this.transformer = createDataTransformer(dgraphClient, options.networkManager || null);
+    this.batchSize = options.batchSize || 500;
+  }
+
+  buildQuery({ fromBlock, toBlock }, offset) {
+    const filters = [`(${unmatchedFilter()})`];
+    const vars = { $first: String(this.batchSize), $offset: String(offset) };
+    const declarations = ['$first: int', '$offset: int'];
+
+    if (fromBlock !== null && fromBlock !== undefined) {
+      declarations.push('$fromBlock: int');
+      vars.$fromBlock = String(fromBlock);
+      filters.push('ge(blockNum, $fromBlock)');
+    }
+    if (toBlock !== null && toBlock !== undefined) {
+      declarations.push('$toBlock: int');
+      vars.$toBlock = String(toBlock);
+      filters.push('le(blockNum, $toBlock)');
+    }
+
+    const query = `
+      query unmatchedTransactions(${declarations.join(', ')}) {
+        transactions(func: type(Transaction), orderasc: blockNum, first: $first, offset: $offset) @filter(${filters.join(' AND ')}) {
+          uid
+          id
+          blockNum
+          memo
+          timestamp
+        }
+      }
+    `;
+    return { query, vars };
+  }
+
+  /**
+   * Rebuild one stored transaction with the current grammar
+   * @returns {Array|null} nodes to write, or null when the message is still unmatched
+   */
+  async reparse(tx) {
+    const mutations = { accounts: new Map(), transactions: [] };
+    this.transformer.transformFeedEntry(tx.id, tx.memo, { blockNum: tx.blockNum, timestamp: tx.timestamp }, mutations);
+
+    const transaction = mutations.transactions[0];
+    if (!transaction || isUnmatched(transaction)) {
+      return null;
+    }
+
+    transaction.uid = tx.uid;
+    // Keep the stored time; the timestamp reindex owns corrections to it
+    transaction.timestamp = tx.timestamp || transaction.timestamp;
+
+    for (const edge of ACCOUNT_EDGES) {
+      if (transaction[edge]?.username) {
+        transaction[edge] = { uid: await this.transformer.ensureAccount(transaction[edge].username, mutations) };
+      }
+    }
+
+    // Accounts not found in Dgraph are still blank nodes, even when cached from an earlier entry
+    const newAccounts = Array.from(mutations.accounts.values())
+      .filter(account => account.uid.startsWith('_:'))
+      .map(({ uid, username }) => ({ uid, 'dgraph.type': 'Account', username }));
+
+    return [...newAccounts, this.transformer.validateFieldTypes(transaction)];
+  }
+
+  /**
+   * Re-parse unmatched transactions in a block range
+   * @param {Object} options - { fromBlock, toBlock, dryRun, onProgress }
+   * @returns {Object} counts of scanned, upgraded and still unmatched transactions, and upgrades by category
+   */
+  async run({ fromBlock = null, toBlock = null, dryRun = false, onProgress = null } = {}) {
+    const stats = { scanned: 0, upgraded: 0, unmatched: 0, byCategory: {} };
+
+    // Upgraded rows leave the result set, so only the rows still unmatched advance the offset
+    for (let offset = 0; ; ) {
+      const { query, vars } = this.buildQuery({ fromBlock, toBlock }, offset);
+      const result = await this.dgraph.query(query, vars);
+      const transactions = result.transactions || [];
+      const updates = [];
+      let upgraded = 0;
+
+      for (const tx of transactions) {
+        stats.scanned++;
+        const nodes = tx.memo ? await this.reparse(tx) : null;
+        if (!nodes) {
+          stats.unmatched++;
+          continue;
+        }
+
+        const category = nodes[nodes.length - 1].category;
+        stats.byCategory[category] = (stats.byCategory[category] || 0) + 1;
+        updates.push(...nodes);
+        upgraded++;
+      }
+
+      if (updates.length > 0 && !dryRun) {
+        await this.dgraph.writeOperation(updates);
+      }
+      stats.upgraded += upgraded;
+      onProgress?.({ ...stats, blockNum: transactions[transactions.length - 1]?.blockNum || null });
+
+      if (transactions.length < this.batchSize) {
+        break;
+      }
+      offset += dryRun ? transactions.length : transactions.length - upgraded;
+    }
+
+    logger.info('Feed re-parse complete', {
+      grammar: this.transformer.getFeedParser().grammarVersion,
+      fromBlock,
+      toBlock,
+      dryRun,
+      ...stats
+    });
+    return stats;
+  }
+}
+
+/**
+ * Reparse Jobs
+ * Runs FeedReparser passes in the background so the HTTP request that starts one returns
+ * at once with a job id. One pass per network at a time: two would rewrite the same rows.
+ * Finished jobs are kept in memory for polling until maxJobs newer ones replace them.
+ */
+export class ReparseJobs {
+  constructor(options = {}) {
+    this.jobs = new Map();
+    this.maxJobs = options.maxJobs || 50;
+  }
+
+  running(network) {
+    return Array.from(this.jobs.values()).find(job => job.network === network && job.status === 'running') || null;
+  }
+
+  /**
+   * Start a pass unless one is already running for the network
+   * @returns {Object} { job } or { running } with the job already in progress
+   */
+  start(network, reparser, { fromBlock = null, toBlock = null, dryRun = false, grammarVersion = null } = {}) {
+    const running = this.running(network);
+    if (running) {
+      return { running };
+    }
+
+    const job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      network,
+      status: 'running',
+      grammarVersion,
+      fromBlock,
+      toBlock,
+      dryRun,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      progress: { scanned: 0, upgraded: 0, unmatched: 0, blockNum: null },
+      stats: null,
+      error: null
+    };
+    this.jobs.set(job.id, job);
+    this.prune();
+
+    job.done = reparser.run({
+      fromBlock,
+      toBlock,
+      dryRun,
+      onProgress: ({ scanned, upgraded, unmatched, blockNum }) => {
+        job.progress = { scanned, upgraded, unmatched, blockNum };
+      }
+    }).then(stats => {
+      job.status = 'completed';
+      job.stats = stats;
+    }, error => {
+      logger.error('Feed re-parse job failed', { jobId: job.id, network, error: error.message });
+      job.status = 'failed';
+      job.error = error.message;
+    }).finally(() => {
+      job.finishedAt = new Date().toISOString();
+    });
+
+    return { job };
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // Oldest finished jobs go first; running ones are never dropped
+  prune() {
+    for (const [id, job] of this.jobs) {
+      if (this.jobs.size <= this.maxJobs) {
+        break;
+      }
+      if (job.status !== 'running') {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Job as returned to clients
+   */
+  describe(job) {
+    const { done, ...fields } = job;
+    return fields;
+  }
+}
+
+// Factory function
+export function createReparseJobs(options = {}) {
+  return new ReparseJobs(options);
+}
+
+// Factory function
+export function createFeedReparser(dgraphClient, options = {}) {
+  return new FeedReparser(dgraphClient, options);
+}
@@ -0,0 +1,301 @@
+import { createLogger } from './logger.js';
+
+const logger = createLogger('file-history');
+
+// Fields tracked by FileVersion nodes, with their previous*/new* predicate suffix
+export const VERSIONED_FIELDS = [
+  ['name', 'Name'],
+  ['extension', 'Extension'],
+  ['path', 'Path'],
+  ['labels', 'Labels'],
+  ['license', 'License']
+];
+
+const VERSION_FIELDS = `
+  id
+  versionBlock
+  changedFields
+  previousName
+  previousExtension
+  previousPath
+  previousLabels
+  previousLicense
+  newName
+  newExtension
+  newPath
+  newLabels
+  newLicense
+`;
+
+function asArray(value) {
+  if (!value) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Unique versions of a file in block order
+ * Replayed blocks can write the same version twice; the id is cid:block
+ */
+function orderedVersions(versions) {
+  const byId = new Map();
+  for (const version of asArray(versions)) {
+    byId.set(version.id || `${version.versionBlock}:${(version.changedFields || []).join(',')}`, version);
+  }
+  return Array.from(byId.values()).sort((a, b) => (a.versionBlock || 0) - (b.versionBlock || 0));
+}
+
+function hasChange(version, field) {
+  return asArray(version.changedFields).includes(field);
+}
+
+function isCreation(version) {
+  return hasChange(version, 'created');
+}
+
+/**
+ * Metadata of a file as it was at a block
+ * Undoes every change made after the block, newest first
+ * @returns {Object|null} null when the file did not exist (or was already deleted) at the block
+ */
+export function fileStateAt(file, block) {
+  const versions = orderedVersions(file.versions);
+  const creation = versions.find(isCreation);
+  const createdBlock = creation ? creation.versionBlock : (file.contract?.blockNumber || 0);
+
+  if (createdBlock > block) {
+    return null;
+  }
+  if (file.deletedBlock && file.deletedBlock <= block) {
+    const restored = versions.some(version => hasChange(version, 'restored') &&
+      version.versionBlock > file.deletedBlock && version.versionBlock <= block);
+    if (!restored) {
+      return null;
+    }
+  } else if (file.isDeleted && !file.deletedBlock) {
+    // Removed before deletion blocks were recorded, so when is unknown
+    return null;
+  }
+
+  const state = { ...file };
+  delete state.versions;
+
+  const later = versions.filter(version => !isCreation(version) && version.versionBlock > block).reverse();
+  for (const version of later) {
+    for (const field of asArray(version.changedFields)) {
+      const entry = VERSIONED_FIELDS.find(([name]) => name === field);
+      if (entry) {
+        state[field] = version[`previous${entry[1]}`] || '';
+      }
+    }
+  }
+
+  // Deletion happened after the block, so the file was still live then
+  state.isDeleted = false;
+  return state;
+}
+
+/**
+ * Group files into the Path shape used by directory listings
+ * Every ancestor folder gets an entry so intermediate directories are listed
+ */
+export function buildPathsAt(files, block) {
+  const paths = new Map();
+  const ensurePath = fullPath => {
+    if (!paths.has(fullPath)) {
+      paths.set(fullPath, {
+        fullPath,
+        pathName: fullPath === '/' ? '' : fullPath.split('/').pop(),
+        files: []
+      });
+    }
+    return paths.get(fullPath);
+  };
+
+  for (const file of files) {
+    const state = fileStateAt(file, block);
+    if (!state) {
+      continue;
+    }
+
+    const directory = state.path || '/';
+    ensurePath(directory).files.push(state);
+
+    const segments = directory.split('/').filter(Boolean);
+    for (let i = 1; i < segments.length; i++) {
+      ensurePath(`/${segments.slice(0, i).join('/')}`);
+    }
+  }
+
+  return Array.from(paths.values());
+}
+
+/**
+ * File History
+ * Reads the FileVersion chain DataTransformer writes for each ContractFile
+ */
+export class FileHistory {
+  constructor(dgraphClient) {
+    this.dgraph = dgraphClient;
+  }
+
+  async resolveOwner(username) {
+    const query = `
+      query getOwner($username: string) {
+        user(func: eq(username, $username)) @filter(type(Account)) {
+          uid
+        }
+      }
+    `;
+    const result = await (this.dgraph.queryGlobal
+      ? this.dgraph.queryGlobal(query, { $username: username })
+      : this.dgraph.query(query, { $username: username }));
+    return result.user?.[0]?.uid || null;
+  }
+
+  /**
+   * Version chain for a CID
+   * @returns {Object|null} { cid, current, versions } or null when the CID is unknown
+   */
+  async getHistory(cid) {
+    const query = `
+      query fileHistory($cid: string) {
+        file(func: eq(cid, $cid)) @filter(type(ContractFile)) {
+          uid
+          cid
+          name
+          extension
+          path
+          labels
+          license
+          size
+          mimeType
+          isDeleted
+          deletedBlock
+          deleteReason
+          contract {
+            id
+            blockNumber
+            owner {
+              username
+            }
+          }
+          versions: ~versionOf {
+            ${VERSION_FIELDS}
+            versionContract {
+              id
+            }
+          }
+        }
+      }
+    `;
+
+    const result = await this.dgraph.query(query, { $cid: cid });
+    const files = asArray(result.file);
+    if (files.length === 0) {
+      return null;
+    }
+
+    // Legacy imports could create several nodes per CID; the chain spans all of them
+    const current = files[0];
+    const versions = orderedVersions(files.flatMap(file => asArray(file.versions)));
+
+    logger.debug('File history', { cid, nodes: files.length, versions: versions.length });
+
+    return {
+      cid,
+      current: {
+        name: current.name,
+        extension: current.extension || '',
+        path: current.path || '/',
+        labels: current.labels || '',
+        license: current.license || '',
+        size: current.size,
+        mimeType: current.mimeType,
+        owner: current.contract?.owner?.username || null,
+        contract: current.contract ? { id: current.contract.id, blockNumber: current.contract.blockNumber } : null,
+        isDeleted: !!current.isDeleted,
+        deletedBlock: current.deletedBlock || null,
+        deleteReason: current.deleteReason || null
+      },
+      versions: versions.map(version => {
+        const changes = {};
+        for (const field of asArray(version.changedFields)) {
+          const entry = VERSIONED_FIELDS.find(([name]) => name === field);
+          if (entry) {
+            changes[field] = {
+              from: version[`previous${entry[1]}`] || '',
+              to: version[`new${entry[1]}`] || ''
+            };
+          }
+        }
+        if (isCreation(version)) {
+          for (const [field, suffix] of VERSIONED_FIELDS) {
+            changes[field] = { from: null, to: version[`new${suffix}`] || '' };
+          }
+        }
+
+        return {
+          block: version.versionBlock,
+          type: isCreation(version) ? 'created' : hasChange(version, 'restored') ? 'restored' : 'updated',
+          contract: version.versionContract?.id || null,
+          changes
+        };
+      })
+    };
+  }
+
+  /**
+   * A user's directory tree as it was at a block, in the Path shape used by listings
+   * @returns {Array|null} null when the user does not exist
+   */
+  async loadPathsAt(username, block) {
+    const ownerUid = await this.resolveOwner(username);
+    if (!ownerUid) {
+      return null;
+    }
+
+    const query = `
+      query filesAt($ownerUid: string) {
+        var(func: type(StorageContract)) @filter(uid_in(owner, $ownerUid)) {
+          ownedFiles as ~contract
+        }
+        files(func: uid(ownedFiles)) @filter(type(ContractFile)) {
+          uid
+          cid
+          name
+          extension
+          size
+          mimeType
+          license
+          labels
+          thumbnail
+          flags
+          path
+          isDeleted
+          deletedBlock
+          contract {
+            id
+            blockNumber
+            encryptionData
+            storageNodes {
+              username
+            }
+          }
+          versions: ~versionOf {
+            ${VERSION_FIELDS}
+          }
+        }
+      }
+    `;
+
+    const result = await this.dgraph.query(query, { $ownerUid: ownerUid });
+    return buildPathsAt(asArray(result.files), block);
+  }
+}
+
+// Factory function
+export function createFileHistory(dgraphClient) {
+  return new FileHistory(dgraphClient);
+}
@@ -0,0 +1,161 @@
+/**
+ * File Previews
+ * Turns the raw `thumbnail` reference from contract metadata into something a grid view can render.
+ *
+ * The thumb part of "name,ext.pathIndex,thumb,flags-license-labels" is written by uploaders as
+ * a bare CID (usually a hidden flag-2 file in the same contract), an ipfs:// URI, a gateway URL
+ * or any other http(s) URL. It may end in a fragment describing the original media:
+ *   Qm...#1920x1080        - width x height
+ *   Qm...#1920x1080,93.5s  - plus duration in seconds
+ *   Qm...#212s             - duration only (audio)
+ */
+
+export const PREVIEW_VIEWS = ['only'];
+
+const CID_PATTERN = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{50,})$/;
+const DIMENSIONS_PATTERN = /^(\d{1,5})x(\d{1,5})$/;
+const DURATION_PATTERN = /^(\d+(?:\.\d+)?)s$/;
+
+const KIND_BY_EXTENSION = {
+  jpg: 'image', jpeg: 'image', png: 'image', gif: 'image', webp: 'image', svg: 'image', img: 'image',
+  mp4: 'video', webm: 'video', mov: 'video', avi: 'video', mkv: 'video', m3u8: 'video', vid: 'video',
+  mp3: 'audio', wav: 'audio', ogg: 'audio', flac: 'audio', m4a: 'audio'
+};
+
+export function isCid(value) {
+  return typeof value === 'string' && CID_PATTERN.test(value);
+}
+
+/**
+ * image, video, audio or null, from the MIME type with the extension as fallback
+ * getMimeType only knows a handful of type codes, so most uploads arrive as octet-stream
+ */
+export function previewKind(item = {}) {
+  const family = (item.mimeType || '').split('/')[0];
+  if (['image', 'video', 'audio'].includes(family)) {
+    return family;
+  }
+  return KIND_BY_EXTENSION[(item.extension || '').toLowerCase()] || null;
+}
+
+function parseMediaHints(fragment) {
+  const hints = { width: null, height: null, duration: null };
+  for (const part of fragment.split(',')) {
+    const dimensions = part.match(DIMENSIONS_PATTERN);
+    const duration = part.match(DURATION_PATTERN);
+    if (dimensions) {
+      hints.width = parseInt(dimensions[1]);
+      hints.height = parseInt(dimensions[2]);
+    } else if (duration) {
+      hints.duration = parseFloat(duration[1]);
+    }
+  }
+  return hints;
+}
+
+/**
+ * Parse a raw thumbnail reference
+ * @returns {Object|null} { cid, url, width, height, duration } - url is only set for non-IPFS links
+ */
+export function parseThumbnailRef(thumbnail) {
+  if (typeof thumbnail !== 'string' || !thumbnail.trim()) {
+    return null;
+  }
+
+  const hashIndex = thumbnail.indexOf('#');
+  const ref = (hashIndex === -1 ? thumbnail : thumbnail.slice(0, hashIndex)).trim();
+  const hints = parseMediaHints(hashIndex === -1 ? '' : thumbnail.slice(hashIndex + 1));
+
+  if (isCid(ref)) {
+    return { cid: ref, url: null, ...hints };
+  }
+
+  if (ref.startsWith('ipfs://')) {
+    const cid = ref.slice('ipfs://'.length).replace(/^ipfs\//, '').split(/[/?]/)[0];
+    return isCid(cid) ? { cid, url: null, ...hints } : null;
+  }
+
+  if (/^https?:\/\//i.test(ref)) {
+    // Gateway links are re-resolved so they follow the contract's storage nodes
+    const match = ref.match(/\/ipfs\/([^/?#]+)/);
+    if (match && isCid(match[1])) {
+      return { cid: match[1], url: null, ...hints };
+    }
+    return { cid: null, url: ref, ...hints };
+  }
+
+  // A bare hint such as "#4000x3000" still describes an image that previews as itself
+  return hints.width || hints.duration ? { cid: null, url: null, ...hints } : null;
+}
+
+/**
+ * Where a file's preview image comes from, without resolving a gateway
+ * Images without a thumbnail preview as themselves
+ * @returns {Object|null} { source, cid, url, width, height, duration }
+ */
+export function previewSource(item) {
+  if (!item || item.type !== 'file') {
+    return null;
+  }
+
+  const ref = parseThumbnailRef(item.thumbnail);
+  if (ref && (ref.cid || ref.url)) {
+    return { source: 'thumbnail', ...ref };
+  }
+
+  if (previewKind(item) === 'image' && isCid(item.cid)) {
+    return { source: 'file', cid: item.cid, url: null, width: ref?.width || null, height: ref?.height || null, duration: null };
+  }
+
+  return null;
+}
+
+/**
+ * Entries shown in ?thumbnails=only gallery mode
+ */
+export function galleryItems(items) {
+  return items.filter(item => previewSource(item) !== null);
+}
+
+/**
+ * Build the preview object for a listing entry
+ * @param {Object} item - File entry from a directory listing
+ * @param {string|null} gatewayUrl - Base URL of the first gateway chosen for the item's contract
+ * @returns {Object|null}
+ */
+export function buildPreview(item, gatewayUrl) {
+  const source = previewSource(item);
+  if (!source) {
+    return null;
+  }
+
+  let thumbnailUrl = source.url;
+  if (source.cid && gatewayUrl) {
+    thumbnailUrl = `${gatewayUrl.replace(/\/+$/, '')}/ipfs/${source.cid}`;
+  }
+
+  return {
+    source: source.source,
+    kind: previewKind(item),
+    thumbnailCid: source.cid,
+    thumbnailUrl,
+    width: source.width,
+    height: source.height,
+    duration: source.duration
+  };
+}
+
+/**
+ * Validate the thumbnails query parameter
+ * @returns {Object} { error, value } where value is { galleryOnly }
+ */
+export function parsePreviewOptions(query = {}) {
+  const view = query.thumbnails;
+  if (view === undefined) {
+    return { value: { galleryOnly: false } };
+  }
+  if (!PREVIEW_VIEWS.includes(view)) {
+    return { error: `Invalid thumbnails: ${view}. Expected ${PREVIEW_VIEWS.join(', ')}` };
+  }
+  return { value: { galleryOnly: true } };
+}
@@ -0,0 +1,412 @@
+import { createLogger } from './logger.js';
+
+const logger = createLogger('file-search');
+
+// Contract status codes as written by DataTransformer.transformContract
+export const CONTRACT_STATUS = {
+  PENDING: 0,
+  UPLOADING: 1,
+  PROCESSING: 2,
+  ACTIVE: 3,
+  EXPIRED: 4,
+  CANCELLED: 5
+};
+
+export const SIZE_BUCKETS = [
+  { key: 'tiny', label: '< 1 MB', min: 0, max: 1024 * 1024 },
+  { key: 'small', label: '1 - 10 MB', min: 1024 * 1024, max: 10 * 1024 * 1024 },
+  { key: 'medium', label: '10 - 100 MB', min: 10 * 1024 * 1024, max: 100 * 1024 * 1024 },
+  { key: 'large', label: '100 MB - 1 GB', min: 100 * 1024 * 1024, max: 1024 * 1024 * 1024 },
+  { key: 'huge', label: '> 1 GB', min: 1024 * 1024 * 1024, max: Infinity }
+];
+
+const MAX_LIMIT = 100;
+
+// Flag values with bit 2 set (thumbnails/hidden files), up to the highest flag bit uploaders set
+const HIDDEN_FLAGS = [2, 3, 6, 7, 10, 11, 14, 15];
+
+// Ranking tiers, best first; each is read newest upload first
+const TIERS = ['exact', 'named', 'other'];
+
+const FILE_FIELDS = `
+          uid
+          cid
+          name
+          extension
+          size
+          mimeType
+          license
+          labels
+          thumbnail
+          flags
+          path
+          uploadedAt
+          contract {
+            id
+            blockNumber
+            status
+            expiresBlock
+            owner {
+              username
+            }
+          }`;
+
+function groups(block, predicate) {
+  return (block?.[0]?.['@groupby'] || []).map(group => ({ value: group[predicate], count: group.count || 0 }));
+}
+
+/**
+ * File Search
+ * Global full-text search over ContractFile nodes with facets and relevance ranking.
+ *
+ * Matching and every filter run in Dgraph, which also counts the facets over all matches.
+ * Results are ranked in tiers read in order (exact name, all terms in the name, any other
+ * name, path or label match), each newest upload first.
+ */
+export class FileSearch {
+  constructor(dgraphClient, options = {}) {
+    this.dgraph = dgraphClient;
+  }
+
+  /**
+   * Normalize and validate request parameters
+   * @returns {Object} { error, value }
+   */
+  parseParams(query = {}) {
+    const value = {
+      q: (query.q || '').trim(),
+      owner: query.owner || null,
+      mimeType: query.mimeType || null,
+      license: query.license || null,
+      label: query.label || null,
+      sizeBucket: query.size || null,
+      status: null,
+      fromBlock: null,
+      toBlock: null,
+      limit: 20,
+      offset: 0
+    };
+
+    if (value.q.length > 200) {
+      return { error: 'Query too long' };
+    }
+
+    if (query.status !== undefined) {
+      const status = String(query.status).toUpperCase();
+      if (CONTRACT_STATUS[status] !== undefined) {
+        value.status = CONTRACT_STATUS[status];
+      } else if (/^\d+$/.test(status)) {
+        value.status = parseInt(status);
+      } else {
+        return { error: `Invalid status: ${query.status}` };
+      }
+    }
+
+    for (const key of ['fromBlock', 'toBlock']) {
+      if (query[key] !== undefined) {
+        const block = parseInt(query[key]);
+        if (!Number.isInteger(block) || block < 0) {
+          return { error: `Invalid ${key}: ${query[key]}` };
+        }
+        value[key] = block;
+      }
+    }
+
+    if (value.sizeBucket && !SIZE_BUCKETS.some(b => b.key === value.sizeBucket)) {
+      return { error: `Invalid size bucket: ${value.sizeBucket}` };
+    }
+
+    if (query.limit !== undefined) {
+      value.limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), MAX_LIMIT);
+    }
+    if (query.offset !== undefined) {
+      value.offset = Math.max(parseInt(query.offset) || 0, 0);
+    }
+
+    return { value };
+  }
+
+  /**
+   * Build the DQL query and variables for one page of ranked files and the facet counts
+   */
+  buildQuery(params, ownerUid = null) {
+    const declarations = ['$first: int'];
+    const vars = { $first: String(params.offset + params.limit) };
+    const blocks = [];
+
+    const contractFilters = [];
+    if (params.status !== null) {
+      declarations.push('$status: string');
+      vars.$status = String(params.status);
+      contractFilters.push('eq(status, $status)');
+    }
+    if (params.fromBlock !== null) {
+      declarations.push('$fromBlock: int');
+      vars.$fromBlock = String(params.fromBlock);
+      contractFilters.push('ge(blockNumber, $fromBlock)');
+    }
+    if (params.toBlock !== null) {
+      declarations.push('$toBlock: int');
+      vars.$toBlock = String(params.toBlock);
+      contractFilters.push('le(blockNumber, $toBlock)');
+    }
+    if (ownerUid) {
+      declarations.push('$ownerUid: string');
+      vars.$ownerUid = ownerUid;
+      contractFilters.push('uid_in(owner, $ownerUid)');
+    }
+
+    const hasContractFilter = contractFilters.length > 0;
+    if (hasContractFilter) {
+      blocks.push(`
+        var(func: type(StorageContract)) @filter(${contractFilters.join(' AND ')}) {
+          contractFiles as ~contract
+        }`);
+    }
+
+    let root = 'type(ContractFile)';
+    if (params.q) {
+      declarations.push('$q: string');
+      vars.$q = params.q;
+      const sources = ['nameMatches', 'pathMatches'];
+      blocks.push(`
+        var(func: anyoftext(name, $q)) { nameMatches as uid }
+        var(func: anyoftext(path, $q)) { pathMatches as uid }`);
+      // Labels are single-character codes, so only single-character terms can name one
+      const labelTerms = [...new Set(params.q.toLowerCase().split(/[^a-z0-9]+/).filter(term => term.length === 1))];
+      if (labelTerms.length > 0) {
+        blocks.push(`
+        var(func: eq(labelList, ${JSON.stringify(labelTerms)})) { labelMatches as uid }`);
+        sources.push('labelMatches');
+      }
+      root = `uid(${sources.join(', ')})`;
+    } else if (hasContractFilter) {
+      root = 'uid(contractFiles)';
+    }
+
+    const fileFilters = ['type(ContractFile)', 'NOT eq(isDeleted, true)', `NOT eq(flags, ${JSON.stringify(HIDDEN_FLAGS)})`];
+    if (params.q && hasContractFilter) {
+      fileFilters.push('uid(contractFiles)');
+    }
+    if (params.mimeType) {
+      declarations.push('$mimeType: string');
+      vars.$mimeType = params.mimeType;
+      fileFilters.push('eq(mimeType, $mimeType)');
+    }
+    if (params.license) {
+      declarations.push('$license: string');
+      vars.$license = params.license;
+      fileFilters.push('eq(license, $license)');
+    }
+    if (params.label) {
+      declarations.push('$label: string');
+      vars.$label = params.label;
+      fileFilters.push('eq(labelList, $label)');
+    }
+    if (params.sizeBucket) {
+      const bucket = SIZE_BUCKETS.find(b => b.key === params.sizeBucket);
+      declarations.push('$minSize: int');
+      vars.$minSize = String(bucket.min);
+      fileFilters.push('ge(size, $minSize)');
+      if (Number.isFinite(bucket.max)) {
+        declarations.push('$maxSize: int');
+        vars.$maxSize = String(bucket.max - 1);
+        fileFilters.push('le(size, $maxSize)');
+      }
+    }
+
+    blocks.push(`
+        matches as var(func: ${root}) @filter(${fileFilters.join(' AND ')})`);
+
+    let tiers;
+    if (params.q) {
+      blocks.push(`
+        exactNames as var(func: uid(matches)) @filter(eq(name, $q))
+        namedFiles as var(func: uid(matches)) @filter(allofterms(name, $q) AND NOT uid(exactNames))`);
+      tiers = `
+        exact(func: uid(exactNames), orderdesc: uploadedAt, first: $first) {${FILE_FIELDS}
+        }
+        named(func: uid(namedFiles), orderdesc: uploadedAt, first: $first) {${FILE_FIELDS}
+        }
+        other(func: uid(matches), orderdesc: uploadedAt, first: $first) @filter(NOT uid(exactNames, namedFiles)) {${FILE_FIELDS}
+        }`;
+    } else {
+      tiers = `
+        other(func: uid(matches), orderdesc: uploadedAt, first: $first) {${FILE_FIELDS}
+        }`;
+    }
+
+    const sizeFacets = SIZE_BUCKETS.map(bucket => {
+      const range = Number.isFinite(bucket.max)
+        ? `ge(size, ${bucket.min}) AND le(size, ${bucket.max - 1})`
+        : `ge(size, ${bucket.min})`;
+      return `
+        size_${bucket.key}(func: uid(matches)) @filter(${range}) {
+          count(uid)
+        }`;
+    });
+
+    const query = `
+      query searchFiles(${declarations.join(', ')}) {
+        ${blocks.join('\n')}
+        ${tiers}
+        total(func: uid(matches)) {
+          count(uid)
+        }
+        mimeTypes(func: uid(matches)) @groupby(mimeType) {
+          count(uid)
+        }
+        licenses(func: uid(matches)) @groupby(license) {
+          count(uid)
+        }
+        labelSets(func: uid(matches)) @groupby(labels) {
+          count(uid)
+        }${sizeFacets.join('')}
+      }
+    `;
+
+    return { query, vars };
+  }
+
+  /**
+   * Relevance score for a file against the query terms
+   */
+  score(file, terms, phrase) {
+    if (terms.length === 0) {
+      return 0;
+    }
+
+    const name = (file.name || '').toLowerCase();
+    const nameTokens = name.split(/[^a-z0-9]+/).filter(Boolean);
+    const path = (file.path || '').toLowerCase();
+    let score = 0;
+
+    if (name === phrase) {
+      score += 10;
+    } else if (name.includes(phrase)) {
+      score += 5;
+    }
+
+    for (const term of terms) {
+      if (nameTokens.includes(term)) {
+        score += 3;
+      } else if (nameTokens.some(token => token.startsWith(term))) {
+        score += 2;
+      } else if (name.includes(term)) {
+        score += 1;
+      }
+      if (path.includes(term)) {
+        score += 1;
+      }
+    }
+
+    return score;
+  }
+
+  /**
+   * Facet lists from the counts Dgraph grouped over every match
+   */
+  buildFacets(result = {}) {
+    const toList = entries => entries
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+
+    // Labels are stored as a string of single-character label codes, grouped by the whole string
+    const labels = new Map();
+    for (const { value, count } of groups(result.labelSets, 'labels')) {
+      for (const label of new Set(String(value || '').split(''))) {
+        labels.set(label, (labels.get(label) || 0) + count);
+      }
+    }
+
+    return {
+      mimeType: toList(groups(result.mimeTypes, 'mimeType').map(({ value, count }) => [value || 'unknown', count])),
+      license: toList(groups(result.licenses, 'license').filter(({ value }) => value).map(({ value, count }) => [value, count])),
+      label: toList(Array.from(labels.entries())),
+      size: SIZE_BUCKETS.map(b => ({ value: b.key, label: b.label, count: result[`size_${b.key}`]?.[0]?.count || 0 }))
+    };
+  }
+
+  async resolveOwner(username) {
+    const query = `
+      query getOwner($username: string) {
+        user(func: eq(username, $username)) @filter(type(Account)) {
+          uid
+        }
+      }
+    `;
+    const result = await (this.dgraph.queryGlobal
+      ? this.dgraph.queryGlobal(query, { $username: username })
+      : this.dgraph.query(query, { $username: username }));
+    return result.user?.[0]?.uid || null;
+  }
+
+  /**
+   * Run a search
+   * @param {Object} params - Output of parseParams
+   * @returns {Object} { query, total, results, facets, limit, offset }
+   */
+  async search(params) {
+    const empty = {
+      query: params.q,
+      total: 0,
+      results: [],
+      facets: this.buildFacets(),
+      limit: params.limit,
+      offset: params.offset
+    };
+
+    let ownerUid = null;
+    if (params.owner) {
+      ownerUid = await this.resolveOwner(params.owner);
+      if (!ownerUid) {
+        return empty;
+      }
+    }
+
+    const { query, vars } = this.buildQuery(params, ownerUid);
+    const result = await this.dgraph.query(query, vars);
+
+    const phrase = params.q.toLowerCase();
+    const terms = phrase.split(/[^a-z0-9]+/).filter(Boolean);
+
+    // Dgraph order is kept so pages stay stable as offset grows; the score is informational
+    const ranked = TIERS.flatMap(tier => (result[tier] || [])
+      .map(file => ({ file, score: this.score(file, terms, phrase) })));
+
+    const total = result.total?.[0]?.count || 0;
+    logger.debug('File search', { q: params.q, total });
+
+    return {
+      query: params.q,
+      total,
+      results: ranked.slice(params.offset, params.offset + params.limit).map(({ file, score }) => ({
+        cid: file.cid,
+        name: file.name,
+        extension: file.extension || '',
+        size: file.size,
+        mimeType: file.mimeType,
+        license: file.license || '',
+        labels: file.labels || '',
+        thumbnail: file.thumbnail || '',
+        path: file.path,
+        owner: file.contract?.owner?.username || null,
+        contract: file.contract ? {
+          id: file.contract.id,
+          blockNumber: file.contract.blockNumber,
+          status: file.contract.status,
+          expiresBlock: file.contract.expiresBlock
+        } : null,
+        score
+      })),
+      facets: this.buildFacets(result),
+      limit: params.limit,
+      offset: params.offset
+    };
+  }
+}
+
+// Factory function
+export function createFileSearch(dgraphClient, options = {}) {
+  return new FileSearch(dgraphClient, options);
+}
@@ -4,6 +4,13 @@ export class ForkManager {
     this.logger = logger;
     this.activeForks = new Map();
     this.canonicalFork = 'main';
+    // Called with { forkId, atBlock } after a fork's operations are reverted
+    this.revertListeners = [];
+  }
+
+  // Derived data (e.g. DEX candles) that must drop what an orphaned fork contributed
+  onRevert(listener) {
+    this.revertListeners.push(listener);
   }
 
   async createFork(parentFork, atBlock, forkId) {
@@ -161,6 +168,15 @@ export class ForkManager {
     // Revert operations on this fork
     const revertResult = await this.dgraph.revertFork(forkId, atBlock);
     
+    // Let derived data drop what this fork contributed
+    for (const listener of this.revertListeners) {
+      try {
+        await listener({ forkId, atBlock });
+      } catch (error) {
+        this.logger.error('Fork revert listener failed', { error: error.message, forkId });
+      }
+    }
+    
     // Remove from active forks
     this.activeForks.delete(forkId);
     
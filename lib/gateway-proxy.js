@@ -0,0 +1,194 @@
+import fetch from 'node-fetch';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('gateway-proxy');
+
+// Upstream headers that are safe to pass through to the client
+const PASSTHROUGH_HEADERS = [
+  'content-length',
+  'content-range',
+  'accept-ranges',
+  'last-modified'
+];
+
+/**
+ * Content-Disposition value that Node accepts for any file name
+ * Header values must be Latin-1, so names outside printable ASCII get an ASCII
+ * filename= fallback and the real name as RFC 5987 filename*
+ */
+export function contentDisposition(type, fileName) {
+  const fallback = fileName.replace(/[^\x20-\x7e]/gu, '_').replace(/["\\]/g, '');
+  if (!/[^\x20-\x7e]/.test(fileName)) {
+    return `${type}; filename="${fallback}"`;
+  }
+  const encoded = encodeURIComponent(fileName)
+    .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Gateway Proxy
+ * Streams IPFS content through honeygraph instead of redirecting the client,
+ * failing over to the next gateway when one times out or errors
+ */
+export class GatewayProxy {
+  constructor(options = {}) {
+    this.timeout = options.timeout || parseInt(process.env.IPFS_GATEWAY_TIMEOUT) || 10000;
+    this.fetch = options.fetch || fetch;
+  }
+
+  /**
+   * Check whether the client already holds this CID
+   * CIDs are content hashes, so a matching ETag never needs revalidation upstream
+   */
+  isNotModified(req, etag) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (!ifNoneMatch) {
+      return false;
+    }
+
+    if (ifNoneMatch.trim() === '*') {
+      return true;
+    }
+
+    return ifNoneMatch
+      .split(',')
+      .map(tag => tag.trim().replace(/^W\//, ''))
+      .includes(etag);
+  }
+
+  /**
+   * Request a CID from each gateway in turn until one answers
+   * A gateway is skipped on timeout, connection error or error status (except 416,
+   * which means the range itself is bad and another gateway will not do better)
+   * @returns {Object} { response, gateway, controller, attempts } - response is null if all failed
+   */
+  async open(cid, gateways, { method = 'GET', headers = {} } = {}) {
+    const attempts = [];
+
+    for (const gateway of gateways) {
+      const url = `${gateway.url.replace(/\/+$/, '')}/ipfs/${cid}`;
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), this.timeout);
+
+      let response;
+      try {
+        response = await this.fetch(url, { method, headers, signal: controller.signal });
+      } catch (error) {
+        const reason = error.name === 'AbortError' ? 'timeout' : error.message;
+        logger.warn('Gateway request failed, trying next', { url, reason });
+        attempts.push({ gateway: gateway.url, error: reason });
+        continue;
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (!response.ok && response.status !== 416) {
+        logger.warn('Gateway returned error status, trying next', { url, status: response.status });
+        attempts.push({ gateway: gateway.url, status: response.status });
+        response.body?.resume?.();
+        continue;
+      }
+
+      return { response, gateway, controller, attempts };
+    }
+
+    logger.error('All gateways failed', { cid, attempts });
+    return { response: null, gateway: null, controller: null, attempts };
+  }
+
+  /**
+   * Stream a CID from the first gateway that answers
+   * @param {Object} params
+   * @param {string} params.cid - IPFS content identifier
+   * @param {Array} params.gateways - Ordered gateways ({ url, account, priority })
+   * @param {Object} params.req - Express request (Range/If-None-Match are honoured)
+   * @param {Object} params.res - Express response
+   * @param {string} [params.mimeType] - Stored MIME type for Content-Type
+   * @param {string} [params.fileName] - File name for Content-Disposition
+   * @returns {Object} { served, gateway, attempts }
+   */
+  async stream({ cid, gateways, req, res, mimeType, fileName }) {
+    const etag = `"${cid}"`;
+
+    res.set({
+      'ETag': etag,
+      'Cache-Control': 'public, max-age=31536000, immutable, no-transform',
+      'Accept-Ranges': 'bytes'
+    });
+
+    if (this.isNotModified(req, etag)) {
+      res.status(304).end();
+      return { served: true, gateway: null, attempts: [] };
+    }
+
+    const upstreamHeaders = {};
+    if (req.headers.range) {
+      upstreamHeaders.Range = req.headers.range;
+    }
+
+    const method = req.method === 'HEAD' ? 'HEAD' : 'GET';
+    const { response, gateway, controller, attempts } = await this.open(cid, gateways, {
+      method,
+      headers: upstreamHeaders
+    });
+
+    if (!response) {
+      res.removeHeader('ETag');
+      res.removeHeader('Cache-Control');
+      res.status(502).json({
+        error: 'All gateways failed',
+        cid,
+        attempts
+      });
+      return { served: false, gateway: null, attempts };
+    }
+
+    res.status(response.status);
+    for (const header of PASSTHROUGH_HEADERS) {
+      const value = response.headers.get(header);
+      if (value) {
+        res.set(header, value);
+      }
+    }
+
+    const contentType = mimeType && mimeType !== 'application/octet-stream'
+      ? mimeType
+      : response.headers.get('content-type') || 'application/octet-stream';
+    res.set('Content-Type', contentType);
+
+    if (fileName) {
+      res.set('Content-Disposition', contentDisposition('inline', fileName));
+    }
+
+    res.set({
+      'X-Storage-Node': gateway.account || '',
+      'X-Gateway-Priority': gateway.priority || 'unknown'
+    });
+
+    if (method === 'HEAD' || !response.body) {
+      res.end();
+      return { served: true, gateway, attempts };
+    }
+
+    // Stop pulling from the gateway if the client goes away mid-stream
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        controller.abort();
+      }
+    });
+
+    response.body.on('error', (error) => {
+      logger.warn('Gateway stream interrupted', { gateway: gateway.url, error: error.message });
+      res.destroy(error);
+    });
+
+    response.body.pipe(res);
+    return { served: true, gateway, attempts };
+  }
+}
+
+// Factory function
+export function createGatewayProxy(options = {}) {
+  return new GatewayProxy(options);
+}
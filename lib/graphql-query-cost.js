@@ -0,0 +1,177 @@
+import { GraphQLError, Kind, getNamedType, getNullableType, isListType, isObjectType, isInterfaceType } from 'graphql';
+
+export const DEFAULT_MAX_DEPTH = 10;
+export const DEFAULT_MAX_COMPLEXITY = 5000;
+
+// Assumed size of a list field without a limit-style argument
+const DEFAULT_LIST_SIZE = 10;
+
+// Arguments that bound how many items a list field returns
+const LIST_SIZE_ARGS = ['limit', 'first', 'depth'];
+
+/**
+ * Query limits from the environment, with explicit options taking precedence
+ * @returns {Object} { maxDepth, maxComplexity }
+ */
+export function queryCostLimits(options = {}, env = process.env) {
+  return {
+    maxDepth: options.maxDepth || parseInt(env.GRAPHQL_MAX_DEPTH) || DEFAULT_MAX_DEPTH,
+    maxComplexity: options.maxComplexity || parseInt(env.GRAPHQL_MAX_COMPLEXITY) || DEFAULT_MAX_COMPLEXITY
+  };
+}
+
+function listSize(fieldDef, node, variables) {
+  for (const name of LIST_SIZE_ARGS) {
+    const argNode = node.arguments?.find(arg => arg.name.value === name);
+    const argDef = fieldDef.args.find(arg => arg.name === name);
+    if (!argNode && !argDef) {
+      continue;
+    }
+
+    let value = argDef?.defaultValue;
+    if (argNode?.value.kind === Kind.INT) {
+      value = parseInt(argNode.value.value);
+    } else if (argNode?.value.kind === Kind.VARIABLE && variables[argNode.value.name.value] !== undefined) {
+      value = parseInt(variables[argNode.value.name.value]);
+    }
+    if (Number.isInteger(value) && value >= 0) {
+      return value;
+    }
+  }
+  return DEFAULT_LIST_SIZE;
+}
+
+function collectDefinitions(document) {
+  const fragments = new Map();
+  const operations = [];
+  for (const definition of document.definitions) {
+    if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+      fragments.set(definition.name.value, definition);
+    } else if (definition.kind === Kind.OPERATION_DEFINITION) {
+      operations.push(definition);
+    }
+  }
+  return { fragments, operations };
+}
+
+function measureOperation(schema, operation, fragments, variables) {
+  const measure = (selectionSet, parentType, depth, visited) => {
+    let cost = 0;
+    let maxDepth = depth;
+
+    for (const selection of selectionSet.selections) {
+      if (selection.kind === Kind.FIELD) {
+        const name = selection.name.value;
+        if (name.startsWith('__')) {
+          continue;
+        }
+        const fieldDef = (isObjectType(parentType) || isInterfaceType(parentType)) ? parentType.getFields()[name] : null;
+        if (!fieldDef) {
+          continue;
+        }
+
+        let fieldCost = 1;
+        let fieldDepth = depth + 1;
+        if (selection.selectionSet) {
+          const child = measure(selection.selectionSet, getNamedType(fieldDef.type), depth + 1, visited);
+          fieldCost += child.cost;
+          fieldDepth = child.depth;
+        }
+        if (isListType(getNullableType(fieldDef.type))) {
+          fieldCost *= Math.max(listSize(fieldDef, selection, variables), 1);
+        }
+
+        cost += fieldCost;
+        maxDepth = Math.max(maxDepth, fieldDepth);
+      } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+        const type = selection.typeCondition ? schema.getType(selection.typeCondition.name.value) : parentType;
+        const child = measure(selection.selectionSet, type || parentType, depth, visited);
+        cost += child.cost;
+        maxDepth = Math.max(maxDepth, child.depth);
+      } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+        const fragment = fragments.get(selection.name.value);
+        // Fragment cycles are reported by the standard NoFragmentCycles rule
+        if (!fragment || visited.has(fragment.name.value)) {
+          continue;
+        }
+        const type = schema.getType(fragment.typeCondition.name.value) || parentType;
+        const child = measure(fragment.selectionSet, type, depth, new Set([...visited, fragment.name.value]));
+        cost += child.cost;
+        maxDepth = Math.max(maxDepth, child.depth);
+      }
+    }
+
+    return { cost, depth: maxDepth };
+  };
+
+  const rootType = schema.getRootType(operation.operation);
+  if (!rootType) {
+    return { depth: 0, complexity: 0 };
+  }
+  const { cost, depth } = measure(operation.selectionSet, rootType, 0, new Set());
+  return { depth, complexity: cost };
+}
+
+/**
+ * Static depth and complexity of an operation
+ * Every field costs 1; list fields multiply their own cost and their selection's by the
+ * requested page size. Introspection fields are not counted.
+ *
+ * @param {GraphQLSchema} schema
+ * @param {DocumentNode} document
+ * @param {Object} options - { operationName, variables }
+ * @returns {Object} { depth, complexity }
+ */
+export function analyzeQueryCost(schema, document, { operationName = null, variables = {} } = {}) {
+  const { fragments, operations } = collectDefinitions(document);
+  const operation = operationName
+    ? operations.find(definition => definition.name?.value === operationName)
+    : operations[0];
+
+  if (!operation) {
+    return { depth: 0, complexity: 0 };
+  }
+  return measureOperation(schema, operation, fragments, variables || {});
+}
+
+/**
+ * Errors for a measured operation that breaks either limit
+ * @returns {Array<GraphQLError>} empty when the operation is within limits
+ */
+export function queryCostErrors({ depth, complexity }, { maxDepth = DEFAULT_MAX_DEPTH, maxComplexity = DEFAULT_MAX_COMPLEXITY } = {}, nodes) {
+  const errors = [];
+  if (depth > maxDepth) {
+    errors.push(new GraphQLError(
+      `Query depth ${depth} exceeds the limit of ${maxDepth}`,
+      { nodes, extensions: { code: 'QUERY_TOO_DEEP', depth, maxDepth } }
+    ));
+  }
+  if (complexity > maxComplexity) {
+    errors.push(new GraphQLError(
+      `Query complexity ${complexity} exceeds the limit of ${maxComplexity}`,
+      { nodes, extensions: { code: 'QUERY_TOO_COMPLEX', complexity, maxComplexity } }
+    ));
+  }
+  return errors;
+}
+
+/**
+ * Validation rule rejecting operations over the depth or complexity limit
+ * Runs with the standard rules, so abusive queries fail before any resolver executes.
+ * Variables are not known during validation; variable page sizes count as their default
+ * and are checked again once the request's variables are known.
+ */
+export function createQueryCostRule(limits = {}) {
+  return (context) => ({
+    Document: {
+      leave(document) {
+        const { fragments, operations } = collectDefinitions(document);
+
+        for (const definition of operations) {
+          const cost = measureOperation(context.getSchema(), definition, fragments, {});
+          queryCostErrors(cost, limits, [definition]).forEach(error => context.reportError(error));
+        }
+      }
+    }
+  });
+}
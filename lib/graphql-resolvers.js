@@ -3,7 +3,9 @@
  * Maps GraphQL queries to Dgraph queries for token-specific data
  */
 
-import { GraphQLScalarType, Kind } from 'graphql';
+import { GraphQLScalarType, Kind, isScalarType } from 'graphql';
+import { createBatchLoader } from './batch-loader.js';
+import { createAccountTimeline } from './account-timeline.js';
 
 // Custom JSON scalar type
 const JSONScalar = new GraphQLScalarType({
@@ -44,9 +46,635 @@ function parseLiteral(ast) {
   }
 }
 
+export const DateTimeScalar = new GraphQLScalarType({
+  name: 'DateTime',
+  description: 'ISO-8601 timestamp',
+  parseValue: (value) => new Date(value),
+  serialize: (value) => {
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? value : date.toISOString();
+  },
+  parseLiteral: (ast) => (ast.kind === Kind.STRING ? new Date(ast.value) : null)
+});
+
+// Largest page any list field returns
+const MAX_LIST_SIZE = 500;
+
+// 24 hours of 3 second blocks
+const BLOCKS_PER_DAY = 28800;
+
+// Promotions older than this no longer count towards trending
+const TRENDING_BLOCKS = BLOCKS_PER_DAY * 7;
+
+// Honeycomb tallies consensus every 100 blocks; newer transactions are still pending
+const CONSENSUS_BLOCKS = 100;
+
+const BLOCK_MS = 3000;
+
+const OPEN_ORDER_FILTER = '(eq(status, "OPEN") OR eq(status, "PARTIAL"))';
+
+const NFT_CATEGORIES = ['NFT_MINT', 'NFT_TRANSFER', 'NFT_SALE', 'NFT_AUCTION_END'];
+
+// Feed transactions read per query when replaying a category's whole history
+const EVENT_BATCH = 1000;
+
+// Untallied transactions listed by TokenQuery.pending; count covers all of them
+const PENDING_LIMIT = 200;
+
+function clampLimit(limit, fallback) {
+  const value = parseInt(limit);
+  if (!value || value < 1) {
+    return fallback;
+  }
+  return Math.min(value, MAX_LIST_SIZE);
+}
+
+function asArray(value) {
+  if (!value) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function usernameOf(ref) {
+  if (!ref) {
+    return null;
+  }
+  return typeof ref === 'string' ? ref : ref.username || null;
+}
+
+// DexOrder amounts are stored in milli-units
+function formatMilli(amount) {
+  return ((Number(amount) || 0) / 1000).toFixed(3);
+}
+
+// Feed amounts are parsed from display strings ("1,000.000") and are already whole units
+function formatUnits(amount) {
+  return (Number(amount) || 0).toFixed(3);
+}
+
+function formatRate(rate) {
+  return (Number(rate) || 0).toFixed(6);
+}
+
+function tradePrice(details) {
+  const tokenAmount = Number(details?.tokenAmount) || 0;
+  return tokenAmount ? (Number(details.quoteAmount) || 0) / tokenAmount : 0;
+}
+
+// Accounts are global, everything else lives in the token's namespace
+export function queryAccounts(dgraphClient, query, vars = {}) {
+  return dgraphClient.queryGlobal
+    ? dgraphClient.queryGlobal(query, vars)
+    : dgraphClient.query(query, vars);
+}
+
+/**
+ * Newest replicated block, from the latest feed transaction
+ * @returns {Object} { blockNum, timestamp }
+ */
+async function loadHead(dgraphClient) {
+  const query = `
+    query tokenHead {
+      latest(func: type(Transaction), orderdesc: blockNum, first: 1) {
+        blockNum
+        timestamp
+      }
+    }
+  `;
+  const result = await dgraphClient.query(query);
+  const latest = result.latest?.[0] || {};
+  return {
+    blockNum: latest.blockNum || 0,
+    timestamp: latest.timestamp ? new Date(latest.timestamp) : new Date()
+  };
+}
+
+function estimateBlockTime(head, blockNum) {
+  return new Date(head.timestamp.getTime() + (blockNum - head.blockNum) * BLOCK_MS);
+}
+
+function remainingOf(order) {
+  if (order.remaining !== undefined && order.remaining !== null) {
+    return Number(order.remaining) || 0;
+  }
+  return (Number(order.amount) || 0) - (Number(order.filled) || 0);
+}
+
+/**
+ * Collapse orders into [price, amount] levels, keeping the order they arrive in
+ */
+function bookLevels(orders, depth) {
+  const levels = new Map();
+  for (const order of orders) {
+    const rate = formatRate(order.rate);
+    levels.set(rate, (levels.get(rate) || 0) + remainingOf(order));
+  }
+  return Array.from(levels.entries())
+    .slice(0, depth)
+    .map(([rate, amount]) => [rate, formatMilli(amount)]);
+}
+
+/**
+ * Split an NFT reference into set and uid
+ * Mint messages carry the uid and set separately, transfers carry "set:uid"
+ */
+function nftKey(nftId, setName) {
+  const id = String(nftId || '');
+  const separator = id.indexOf(':');
+  if (separator !== -1) {
+    return { set: id.slice(0, separator), uid: id.slice(separator + 1) };
+  }
+  return { set: setName || '', uid: id };
+}
+
+/**
+ * Replay NFT feed transactions in block order to find each item's current owner
+ * @returns {Map} "set:uid" -> { uid, set, owner, minter, mintedBlock }
+ */
+function replayNftOwnership(events) {
+  const items = new Map();
+
+  for (const event of events) {
+    const details = event.nftDetails || {};
+    const { set, uid } = nftKey(details.nftId || event.nftId, details.setName);
+    if (!uid) {
+      continue;
+    }
+    const key = `${set}:${uid}`;
+    const item = items.get(key) || { uid, set, owner: null, minter: null, mintedBlock: null };
+
+    switch (event.category) {
+      case 'NFT_MINT':
+        item.owner = details.to || item.owner;
+        item.minter = item.minter || details.to || null;
+        item.mintedBlock = item.mintedBlock ?? event.blockNum;
+        break;
+      case 'NFT_TRANSFER':
+      case 'NFT_SALE':
+        item.owner = details.to || item.owner;
+        break;
+      case 'NFT_AUCTION_END':
+        // An auction without bids returns the item to its seller
+        item.owner = event.winner || event.seller || item.owner;
+        break;
+      default:
+        break;
+    }
+
+    items.set(key, item);
+  }
+
+  return items;
+}
+
+function parseOperationData(operation) {
+  if (!operation.operationData) {
+    return {};
+  }
+  try {
+    const data = JSON.parse(operation.operationData);
+    return data && typeof data === 'object' ? data : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Read the rest of a category's transactions after a first batch, EVENT_BATCH at a
+ * time in uid order, and return them all oldest block first
+ * @param {string} root - Indexed root function selecting the transactions
+ * @param {string} fields - Predicates to read besides uid
+ */
+async function readEvents(dgraphClient, name, root, fields, firstBatch) {
+  const events = [...firstBatch];
+  let batch = firstBatch;
+  while (batch.length >= EVENT_BATCH) {
+    const result = await dgraphClient.query(`
+      query ${name}($first: int, $after: string) {
+        events(func: ${root}, first: $first, after: $after) @filter(type(Transaction)) {
+          uid
+          ${fields}
+        }
+      }
+    `, { $first: String(EVENT_BATCH), $after: batch[batch.length - 1].uid });
+    batch = result.events || [];
+    events.push(...batch);
+  }
+  return events.sort((a, b) => (a.blockNum || 0) - (b.blockNum || 0));
+}
+
+const NFT_EVENT_ROOT = `eq(category, ${JSON.stringify(NFT_CATEGORIES)})`;
+
+const NFT_EVENT_FIELDS = `id
+          blockNum
+          category
+          nftId
+          seller
+          winner
+          nftDetails {
+            nftId
+            setName
+            from
+            to
+          }`;
+
+/**
+ * Load NFT ownership and the auctions still scheduled to close
+ * Auctions are the process_auction chrono entries past the head block
+ */
+async function loadNftState(dgraphClient) {
+  const query = `
+    query tokenNfts($first: int) {
+      latest(func: type(Transaction), orderdesc: blockNum, first: 1) {
+        blockNum
+        timestamp
+      }
+      events(func: ${NFT_EVENT_ROOT}, first: $first) @filter(type(Transaction)) {
+        uid
+        ${NFT_EVENT_FIELDS}
+      }
+      auctions(func: eq(operationType, "process_auction"), orderasc: scheduledBlock) @filter(type(ScheduledOperation)) {
+        operationId
+        target
+        targetData
+        operationData
+        scheduledBlock
+      }
+    }
+  `;
+
+  const result = await dgraphClient.query(query, { $first: String(EVENT_BATCH) });
+  const latest = result.latest?.[0] || {};
+  const head = {
+    blockNum: latest.blockNum || 0,
+    timestamp: latest.timestamp ? new Date(latest.timestamp) : new Date()
+  };
+  const events = await readEvents(dgraphClient, 'tokenNftEvents', NFT_EVENT_ROOT, NFT_EVENT_FIELDS, result.events || []);
+  const items = replayNftOwnership(events);
+
+  const auctions = (result.auctions || [])
+    .filter(operation => operation.scheduledBlock > head.blockNum)
+    .map(operation => {
+      const data = parseOperationData(operation);
+      const { set, uid } = nftKey(data.item || operation.target || operation.targetData);
+      const item = items.get(`${set}:${uid}`);
+      const startPrice = data.price ?? data.startPrice ?? 0;
+      return {
+        id: operation.operationId,
+        set,
+        uid,
+        // Auctioned items stay with the seller until the auction closes
+        seller: data.seller || data.from || item?.owner || '',
+        startPrice: String(startPrice),
+        currentBid: String(data.bid ?? data.currentBid ?? startPrice),
+        bidder: data.bidder || null,
+        endBlock: operation.scheduledBlock,
+        endTime: estimateBlockTime(head, operation.scheduledBlock)
+      };
+    });
+
+  return { head, items, auctions };
+}
+
+function toNftItem(item, auctionsByKey) {
+  const auction = auctionsByKey.get(`${item.set}:${item.uid}`);
+  return {
+    uid: item.uid,
+    set: item.set,
+    owner: item.owner || '',
+    attributes: null,
+    locked: Boolean(auction),
+    delegated: null,
+    price: auction ? auction.currentBid : null,
+    auctionId: auction ? auction.id : null
+  };
+}
+
+/**
+ * NFTCollection for one owner, or every item when no owner is given
+ * @param {Object} nftState - Output of loadNftState
+ */
+function nftCollection({ items, auctions }, user) {
+  const auctionsByKey = new Map(auctions.map(auction => [`${auction.set}:${auction.uid}`, auction]));
+  const owned = Array.from(items.values())
+    .filter(item => !user || item.owner === user)
+    .map(item => toNftItem(item, auctionsByKey));
+
+  return {
+    user: user || '',
+    count: owned.length,
+    items: owned,
+    sets: [...new Set(owned.map(item => item.set))]
+  };
+}
+
+/**
+ * Posts are known from PROMOTION transactions; titles and bodies are not replicated
+ * @returns {Object} { head, posts: Map "author/permlink" -> summary }
+ */
+async function loadPromotedPosts(dgraphClient, symbol) {
+  const root = 'eq(category, "PROMOTION")';
+  const fields = `blockNum
+          timestamp
+          content
+          amount
+          token`;
+  const query = `
+    query tokenPromotions($first: int) {
+      latest(func: type(Transaction), orderdesc: blockNum, first: 1) {
+        blockNum
+        timestamp
+      }
+      promotions(func: ${root}, first: $first) @filter(type(Transaction)) {
+        uid
+        ${fields}
+      }
+    }
+  `;
+
+  const result = await dgraphClient.query(query, { $first: String(EVENT_BATCH) });
+  const head = result.latest?.[0]?.blockNum || 0;
+  const promotions = await readEvents(dgraphClient, 'tokenPromotionEvents', root, fields, result.promotions || []);
+  const posts = new Map();
+
+  for (const promotion of promotions) {
+    if (promotion.token && promotion.token.toUpperCase() !== symbol) {
+      continue;
+    }
+    const content = String(promotion.content || '').replace(/^@/, '');
+    const separator = content.indexOf('/');
+    if (separator === -1) {
+      continue;
+    }
+
+    const post = posts.get(content) || {
+      author: content.slice(0, separator),
+      permlink: content.slice(separator + 1),
+      created: promotion.timestamp ? new Date(promotion.timestamp) : new Date(),
+      promoted: 0,
+      recentPromotion: 0,
+      lastPromotedBlock: 0,
+      lastPromotedAt: null
+    };
+    const amount = Number(promotion.amount) || 0;
+    post.promoted += amount;
+    post.lastPromotedBlock = Math.max(post.lastPromotedBlock, promotion.blockNum || 0);
+    post.lastPromotedAt = promotion.timestamp ? new Date(promotion.timestamp) : post.lastPromotedAt;
+    if ((promotion.blockNum || 0) > head - TRENDING_BLOCKS) {
+      post.recentPromotion += amount;
+    }
+    posts.set(content, post);
+  }
+
+  return { head, posts };
+}
+
+function toPost(post) {
+  return {
+    author: post.author,
+    permlink: post.permlink,
+    title: post.permlink,
+    body: null,
+    tags: [],
+    created: post.created,
+    promoted: formatUnits(post.promoted),
+    votes: 0,
+    comments: 0,
+    payout: '0'
+  };
+}
+
+function trendingOf(posts) {
+  return Array.from(posts.values())
+    .filter(post => post.recentPromotion > 0)
+    .sort((a, b) => b.recentPromotion - a.recentPromotion || b.lastPromotedBlock - a.lastPromotedBlock);
+}
+
+/**
+ * Accounts running an API node, with how many contracts each stores
+ */
+async function loadRunners(dgraphClient) {
+  const query = `
+    query tokenRunners {
+      runners(func: type(Account)) @filter(has(runnerNode)) {
+        username
+        runnerNode {
+          api
+          lastSeen
+          active
+        }
+        contracts: count(~storageNodes)
+      }
+    }
+  `;
+  const result = await queryAccounts(dgraphClient, query);
+
+  return (result.runners || [])
+    .filter(runner => runner.username && asArray(runner.runnerNode)[0]?.active !== false)
+    .map(runner => {
+      const node = asArray(runner.runnerNode)[0] || {};
+      const contracts = runner.contracts || 0;
+      return {
+        account: runner.username,
+        contracts,
+        type: contracts > 0 ? 'storage' : 'api',
+        lastRun: node.lastSeen || 0
+      };
+    })
+    .sort((a, b) => a.account.localeCompare(b.account));
+}
+
+// Account predicates (DataTransformer.transformBalance) backing User fields, per token
+const ACCOUNT_FIELDS = {
+  LARYNX: {
+    balance: 'larynxBalance',
+    poweredUp: 'power',
+    claimable: 'claimableLarynx',
+    delegatedTo: 'powerGranting',
+    delegatedFrom: 'powerGranted'
+  },
+  SPK: { balance: 'spkBalance', poweredUp: 'spkPower', claimable: 'claimableSpk' },
+  BROCA: { balance: 'liquidBroca', poweredUp: 'brocaPower', claimable: 'claimableBroca' }
+};
+
+// Hive account names; anything else cannot exist and is never sent to Dgraph
+const USERNAME_PATTERN = /^[a-z][a-z0-9.-]{2,15}$/;
+
+function accountSelection(symbol) {
+  return ['username', ...Object.values(ACCOUNT_FIELDS[symbol] || {})].join('\n              ');
+}
+
+function toUser(symbol, account) {
+  const fields = ACCOUNT_FIELDS[symbol] || {};
+  const value = field => String((field && account[field]) || 0);
+
+  return {
+    // Nested User fields resolve against the same token
+    symbol,
+    username: account.username,
+    balance: value(fields.balance),
+    poweredUp: value(fields.poweredUp),
+    poweringDown: '0',
+    delegatedTo: value(fields.delegatedTo),
+    delegatedFrom: value(fields.delegatedFrom),
+    gov: null,
+    rewards: fields.claimable ? { pending: value(fields.claimable), claimed: '0', lastClaim: null } : null
+  };
+}
+
+// Amounts are strings in this schema, like balances
+function toTimelineEntry(entry) {
+  const text = value => (value === null || value === undefined ? null : String(value));
+  return {
+    ...entry,
+    amount: text(entry.amount),
+    balance: entry.balance && {
+      field: entry.balance.field,
+      before: text(entry.balance.before),
+      after: String(entry.balance.after),
+      delta: text(entry.balance.delta)
+    }
+  };
+}
+
+/**
+ * Per-request loaders
+ * Account lookups made while one round of fields resolves are batched into a single
+ * Dgraph query per token, and network-wide reads (NFT replay, promotions, runners,
+ * head block) run once per token however many fields need them.
+ */
+export function createGraphQLLoaders(multiTokenManager) {
+  const accountLoaders = new Map();
+  const sharedLoads = new Map();
+
+  const accountLoader = (symbol) => {
+    if (!accountLoaders.has(symbol)) {
+      accountLoaders.set(symbol, createBatchLoader(async (usernames) => {
+        const valid = usernames.filter(username => USERNAME_PATTERN.test(username));
+        if (valid.length === 0) {
+          return usernames.map(() => null);
+        }
+
+        // Usernames are inlined because query variables cannot hold lists
+        const query = `
+          query tokenAccounts {
+            accounts(func: eq(username, ${JSON.stringify(valid)})) @filter(type(Account)) {
+              ${accountSelection(symbol)}
+            }
+          }
+        `;
+        const result = await queryAccounts(multiTokenManager.getDgraphClient(symbol), query);
+        const byName = new Map((result.accounts || []).map(account => [account.username, account]));
+        return usernames.map(username => byName.get(username) || null);
+      }));
+    }
+    return accountLoaders.get(symbol);
+  };
+
+  return {
+    account: (symbol, username) => accountLoader(symbol).load(username),
+
+    primeAccount: (symbol, account) => {
+      accountLoader(symbol).prime(account.username, account);
+    },
+
+    shared: (symbol, name, load) => {
+      const key = `${symbol}:${name}`;
+      if (!sharedLoads.has(key)) {
+        const promise = load(multiTokenManager.getDgraphClient(symbol), symbol);
+        // A failed load is retried by the next field rather than failing every field
+        promise.catch(() => sharedLoads.delete(key));
+        sharedLoads.set(key, promise);
+      }
+      return sharedLoads.get(key);
+    },
+
+    stats: () => ({
+      accountBatches: Array.from(accountLoaders.values()).reduce((sum, loader) => sum + loader.dispatches, 0),
+      sharedLoads: sharedLoads.size
+    })
+  };
+}
+
+/**
+ * Attach a resolver map to a schema built from SDL
+ * buildSchema leaves every field on the default resolver, which only reads properties
+ * of the parent value, so nested TokenQuery fields would never run
+ */
+export function bindResolvers(schema, resolvers) {
+  for (const [typeName, typeResolvers] of Object.entries(resolvers)) {
+    const type = schema.getType(typeName);
+    if (!type) {
+      continue;
+    }
+
+    if (isScalarType(type)) {
+      type.serialize = typeResolvers.serialize;
+      type.parseValue = typeResolvers.parseValue;
+      type.parseLiteral = typeResolvers.parseLiteral;
+      continue;
+    }
+
+    const fields = type.getFields();
+    for (const [fieldName, resolve] of Object.entries(typeResolvers)) {
+      if (fields[fieldName]) {
+        fields[fieldName].resolve = resolve;
+      }
+    }
+  }
+  return schema;
+}
+
+/**
+ * Token source backed by the network registry, for servers that run without a MultiTokenManager
+ * Every token of a network shares that network's Dgraph client
+ */
+export function createNetworkTokenSource(networkManager) {
+  const lookup = (symbol) => {
+    const entry = networkManager.getNetworkForToken(symbol);
+    if (!entry) {
+      throw new Error(`Token ${symbol} not found`);
+    }
+    return entry;
+  };
+
+  return {
+    getTokenSymbols: () => [...new Set(
+      networkManager.getAllNetworks().flatMap(network => (network.tokens || []).map(token => token.symbol))
+    )],
+
+    getDgraphClient: (symbol) => {
+      const { prefix, network } = lookup(symbol);
+      if (!network.dgraphClient) {
+        throw new Error(`No Dgraph client found for network ${prefix}`);
+      }
+      return network.dgraphClient;
+    },
+
+    getToken: (symbol) => {
+      const { prefix, network } = lookup(symbol);
+      return {
+        getConfig: () => ({
+          ...network.getToken(symbol),
+          network: prefix,
+          networkFeatures: network.getConfig().features || {}
+        })
+      };
+    }
+  };
+}
+
+/**
+ * @param {Object} multiTokenManager - MultiTokenManager, or createNetworkTokenSource(networkManager)
+ */
 export function createGraphQLResolvers(multiTokenManager) {
+  // Operations run without a request context still work, just without sharing loads
+  const loadersFor = (context) => context?.loaders || createGraphQLLoaders(multiTokenManager);
+
   return {
     JSON: JSONScalar,
+    DateTime: DateTimeScalar,
     
     Query: {
       token: async (parent, { symbol }) => {
@@ -128,36 +756,34 @@ export function createGraphQLResolvers(multiTokenManager) {
         };
       },
       
-      user: async ({ symbol }, { username }) => {
+      user: async ({ symbol }, { username }, context) => {
+        const account = await loadersFor(context).account(symbol, username);
+        return account ? toUser(symbol, account) : null;
+      },
+
+      users: async ({ symbol }, { limit = 100, offset = 0 }, context) => {
         const dgraphClient = multiTokenManager.getDgraphClient(symbol);
-        
+        const loaders = loadersFor(context);
+        const fields = ACCOUNT_FIELDS[symbol];
+        const holders = fields ? ` @filter(has(${fields.balance}))` : '';
+
         const query = `
-          query {
-            balance(func: eq(State.path, "@${symbol.toLowerCase()}:${username}")) {
-              State.value
-            }
-            power(func: eq(State.path, "@${symbol.toLowerCase()}:power:${username}")) {
-              State.value
-            }
-            gov(func: eq(State.path, "@${symbol.toLowerCase()}:gov:${username}")) {
-              State.value
+          query tokenUsers($first: int, $offset: int) {
+            users(func: type(Account), orderasc: username, first: $first, offset: $offset)${holders} {
+              ${accountSelection(symbol)}
             }
           }
         `;
-        
-        const result = await dgraphClient.query(query);
-        
-        if (!result.balance?.[0]) return null;
-        
-        return {
-          username,
-          balance: result.balance[0]['State.value'] || "0",
-          poweredUp: result.power?.[0]?.['State.value']?.amount || "0",
-          poweringDown: result.power?.[0]?.['State.value']?.down || "0",
-          delegatedTo: result.power?.[0]?.['State.value']?.delegatedTo || "0",
-          delegatedFrom: result.power?.[0]?.['State.value']?.delegatedFrom || "0",
-          gov: result.gov?.[0]?.['State.value']
-        };
+
+        const result = await queryAccounts(dgraphClient, query, {
+          $first: String(clampLimit(limit, 100)),
+          $offset: String(Math.max(parseInt(offset) || 0, 0))
+        });
+
+        return (result.users || []).map(account => {
+          loaders.primeAccount(symbol, account);
+          return toUser(symbol, account);
+        });
       },
       
       dex: async ({ symbol }) => {
@@ -187,61 +813,190 @@ export function createGraphQLResolvers(multiTokenManager) {
       
       orderbook: async ({ symbol }, { pair, depth = 50 }) => {
         const dgraphClient = multiTokenManager.getDgraphClient(symbol);
-        
+
         const query = `
-          query {
-            dex(func: eq(State.path, "@${symbol.toLowerCase()}:dex")) {
-              State.value
+          query tokenOrderbook($market: string) {
+            m as var(func: eq(id, $market)) @filter(type(DexMarket))
+            asks(func: type(DexOrder), orderasc: rate) @filter(uid_in(market, uid(m)) AND eq(orderType, "SELL") AND ${OPEN_ORDER_FILTER}) {
+              rate
+              amount
+              filled
+              remaining
+            }
+            bids(func: type(DexOrder), orderdesc: rate) @filter(uid_in(market, uid(m)) AND eq(orderType, "BUY") AND ${OPEN_ORDER_FILTER}) {
+              rate
+              amount
+              filled
+              remaining
             }
           }
         `;
-        
-        const result = await dgraphClient.query(query);
-        const dex = result.dex?.[0]?.['State.value'] || {};
-        const marketPair = pair.toLowerCase();
-        const market = dex[marketPair] || {};
-        
-        // Format orderbook
-        const asks = Object.values(market.sellOrders || {})
-          .sort((a, b) => parseFloat(a.rate) - parseFloat(b.rate))
-          .slice(0, depth)
-          .map(order => [order.rate, (parseFloat(order.amount) / 1000).toFixed(3)]);
-          
-        const bids = Object.values(market.buyOrders || {})
-          .sort((a, b) => parseFloat(b.rate) - parseFloat(a.rate))
-          .slice(0, depth)
-          .map(order => [order.rate, (parseFloat(order.amount) / 1000).toFixed(3)]);
-        
+
+        const result = await dgraphClient.query(query, { $market: `${symbol}:${pair}` });
+        const levels = clampLimit(depth, 50);
+
         return {
           tickerId: `${pair}_${symbol}`,
           timestamp: new Date(),
-          asks,
-          bids
+          asks: bookLevels(result.asks || [], levels),
+          bids: bookLevels(result.bids || [], levels)
         };
       },
-      
-      posts: async ({ symbol }) => {
+
+      tickers: async ({ symbol }, args, context) => {
         const dgraphClient = multiTokenManager.getDgraphClient(symbol);
-        
+        const head = await loadersFor(context).shared(symbol, 'head', loadHead);
+
         const query = `
-          query {
-            posts(func: eq(State.path, "@${symbol.toLowerCase()}:posts")) {
-              State.value
+          query tokenTickers($token: string, $since: int) {
+            m as var(func: type(DexMarket)) @filter(eq(token, $token))
+            markets(func: uid(m)) {
+              id
+              quoteCurrency
+              tick
+            }
+            orders(func: type(DexOrder)) @filter(uid_in(market, uid(m)) AND ${OPEN_ORDER_FILTER}) {
+              rate
+              orderType
+              market {
+                id
+              }
+            }
+            trades(func: type(Transaction), orderasc: blockNum) @filter(eq(category, "DEX_TRADE") AND ge(blockNum, $since)) {
+              dexDetails {
+                token
+                quoteCurrency
+                tokenAmount
+                quoteAmount
+              }
             }
           }
         `;
-        
-        const result = await dgraphClient.query(query);
-        const posts = result.posts?.[0]?.['State.value'] || {};
-        
+
+        const result = await dgraphClient.query(query, {
+          $token: symbol,
+          $since: String(Math.max(head.blockNum - BLOCKS_PER_DAY, 0))
+        });
+
+        return (result.markets || []).map(market => {
+          const orders = (result.orders || []).filter(order => order.market?.id === market.id);
+          const rates = type => orders.filter(order => order.orderType === type).map(order => Number(order.rate) || 0);
+          const trades = (result.trades || [])
+            .map(trade => trade.dexDetails)
+            .filter(details => details && details.token === symbol && details.quoteCurrency === market.quoteCurrency);
+          const prices = trades.map(tradePrice).filter(price => price > 0);
+          // tick is honeycomb's last traded rate, which outlives the 24h window
+          const lastPrice = prices.length ? prices[prices.length - 1] : Number(market.tick) || 0;
+          const bids = rates('BUY');
+          const asks = rates('SELL');
+
+          return {
+            tickerId: `${market.quoteCurrency}_${symbol}`,
+            baseCurrency: market.quoteCurrency,
+            targetCurrency: symbol,
+            lastPrice: formatRate(lastPrice),
+            baseVolume: formatUnits(trades.reduce((sum, details) => sum + (Number(details.quoteAmount) || 0), 0)),
+            targetVolume: formatUnits(trades.reduce((sum, details) => sum + (Number(details.tokenAmount) || 0), 0)),
+            bid: formatRate(bids.length ? Math.max(...bids) : 0),
+            ask: formatRate(asks.length ? Math.min(...asks) : 0),
+            high: formatRate(prices.length ? Math.max(...prices) : lastPrice),
+            low: formatRate(prices.length ? Math.min(...prices) : lastPrice)
+          };
+        });
+      },
+
+      trades: async ({ symbol }, { pair, limit = 50, type }) => {
+        const dgraphClient = multiTokenManager.getDgraphClient(symbol);
+
+        // type is a TradeType enum value, already validated by GraphQL
+        const query = `
+          query tokenTrades($token: string, $quote: string, $first: int) {
+            trades(func: type(Transaction), orderdesc: blockNum, first: $first) @filter(eq(category, "DEX_TRADE")) @cascade(dexDetails) {
+              id
+              blockNum
+              timestamp
+              dexDetails @filter(eq(token, $token) AND eq(quoteCurrency, $quote)${type ? ` AND eq(tradeType, "${type}")` : ''}) {
+                tradeType
+                tokenAmount
+                quoteAmount
+              }
+            }
+          }
+        `;
+
+        const result = await dgraphClient.query(query, {
+          $token: symbol,
+          $quote: pair,
+          $first: String(clampLimit(limit, 50))
+        });
+
+        return (result.trades || []).map(trade => {
+          const details = asArray(trade.dexDetails)[0] || {};
+          return {
+            tradeId: trade.id,
+            price: formatRate(tradePrice(details)),
+            baseVolume: formatUnits(details.quoteAmount),
+            targetVolume: formatUnits(details.tokenAmount),
+            timestamp: trade.timestamp ? new Date(trade.timestamp) : new Date(),
+            type: details.tradeType
+          };
+        });
+      },
+
+      nfts: async ({ symbol }, { user }, context) => {
+        const nftState = await loadersFor(context).shared(symbol, 'nftState', loadNftState);
+        return nftCollection(nftState, user);
+      },
+
+      sets: async ({ symbol }, args, context) => {
+        const { items, auctions } = await loadersFor(context).shared(symbol, 'nftState', loadNftState);
+        const auctionsByKey = new Map(auctions.map(auction => [`${auction.set}:${auction.uid}`, auction]));
+        const sets = new Map();
+
+        for (const item of items.values()) {
+          const set = sets.get(item.set) || { name: item.set, creator: null, firstMint: Infinity, items: [] };
+          // Set definitions are not replicated; the first account minted to stands in for the creator
+          if (item.mintedBlock !== null && item.mintedBlock < set.firstMint) {
+            set.firstMint = item.mintedBlock;
+            set.creator = item.minter;
+          }
+          set.items.push(toNftItem(item, auctionsByKey));
+          sets.set(item.set, set);
+        }
+
+        return Array.from(sets.values())
+          .sort((a, b) => a.name.localeCompare(b.name))
+          .map(set => ({
+            name: set.name,
+            creator: set.creator || '',
+            description: null,
+            icon: null,
+            banner: null,
+            totalSupply: set.items.length,
+            minted: set.items.length,
+            royalty: 0,
+            permlink: null,
+            items: set.items
+          }));
+      },
+
+      auctions: async ({ symbol }, { set }, context) => {
+        const { auctions } = await loadersFor(context).shared(symbol, 'nftState', loadNftState);
+        return set ? auctions.filter(auction => auction.set === set) : auctions;
+      },
+
+      posts: async ({ symbol }, args, context) => {
+        const { posts } = await loadersFor(context).shared(symbol, 'promotedPosts', loadPromotedPosts);
+        const lastPromoted = Math.max(0, ...Array.from(posts.values()).map(post => post.lastPromotedAt?.getTime() || 0));
+
         return {
-          count: Object.keys(posts).length,
-          promoted: Object.values(posts).filter(p => p.promoted).length,
-          trending: Object.values(posts).filter(p => p.trending).length,
-          lastUpdate: new Date()
+          count: posts.size,
+          promoted: Array.from(posts.values()).filter(post => post.promoted > 0).length,
+          trending: trendingOf(posts).length,
+          lastUpdate: lastPromoted ? new Date(lastPromoted) : new Date()
         };
       },
-      
+
       post: async ({ symbol }, { author, permlink }) => {
         const dgraphClient = multiTokenManager.getDgraphClient(symbol);
         
@@ -272,55 +1027,15 @@ export function createGraphQLResolvers(multiTokenManager) {
         };
       },
       
-      nfts: async ({ symbol }, { user }) => {
-        const dgraphClient = multiTokenManager.getDgraphClient(symbol);
-        
-        const query = `
-          query {
-            nfts(func: eq(State.path, "@${symbol.toLowerCase()}:nfts${user ? ':' + user : ''}")) {
-              State.value
-            }
-          }
-        `;
-        
-        const result = await dgraphClient.query(query);
-        const nfts = result.nfts?.[0]?.['State.value'] || {};
-        
-        if (user) {
-          return {
-            user,
-            count: Object.keys(nfts).length,
-            items: Object.entries(nfts).map(([uid, item]) => ({
-              uid,
-              ...item
-            })),
-            sets: [...new Set(Object.values(nfts).map(item => item.set))]
-          };
-        }
-        
-        return nfts;
-      },
-      
-      sets: async ({ symbol }) => {
-        const dgraphClient = multiTokenManager.getDgraphClient(symbol);
-        
-        const query = `
-          query {
-            sets(func: eq(State.path, "@${symbol.toLowerCase()}:sets")) {
-              State.value
-            }
-          }
-        `;
-        
-        const result = await dgraphClient.query(query);
-        const sets = result.sets?.[0]?.['State.value'] || {};
-        
-        return Object.entries(sets).map(([name, set]) => ({
-          name,
-          ...set
-        }));
+      trendingPosts: async ({ symbol }, { limit = 10, offset = 0 }, context) => {
+        const { posts } = await loadersFor(context).shared(symbol, 'promotedPosts', loadPromotedPosts);
+        const start = Math.max(parseInt(offset) || 0, 0);
+
+        return trendingOf(posts)
+          .slice(start, start + clampLimit(limit, 10))
+          .map(toPost);
       },
-      
+
       markets: async ({ symbol }) => {
         const dgraphClient = multiTokenManager.getDgraphClient(symbol);
         
@@ -353,23 +1068,99 @@ export function createGraphQLResolvers(multiTokenManager) {
         };
       },
       
+      runners: async ({ symbol }, args, context) => {
+        return loadersFor(context).shared(symbol, 'runners', loadRunners);
+      },
+
+      queue: async ({ symbol }, args, context) => {
+        const dgraphClient = multiTokenManager.getDgraphClient(symbol);
+        const head = await loadersFor(context).shared(symbol, 'head', loadHead);
+
+        const query = `
+          query tokenQueue($after: int, $first: int) {
+            queue(func: type(ScheduledOperation), orderasc: scheduledBlock, first: $first) @filter(gt(scheduledBlock, $after)) {
+              operationId
+              operationType
+              target
+              targetData
+              scheduledBlock
+            }
+            total(func: type(ScheduledOperation)) @filter(gt(scheduledBlock, $after)) {
+              count(uid)
+            }
+          }
+        `;
+
+        const result = await dgraphClient.query(query, {
+          $after: String(head.blockNum),
+          $first: String(MAX_LIST_SIZE)
+        });
+
+        return {
+          count: result.total?.[0]?.count || 0,
+          transactions: (result.queue || []).map(operation => ({
+            txid: operation.operationId,
+            type: operation.operationType || 'unknown',
+            from: operation.target || '',
+            to: null,
+            amount: null,
+            memo: operation.targetData || null,
+            block: operation.scheduledBlock,
+            timestamp: estimateBlockTime(head, operation.scheduledBlock)
+          }))
+        };
+      },
+
+      protocol: async ({ symbol }, args, context) => {
+        const dgraphClient = multiTokenManager.getDgraphClient(symbol);
+        const loaders = loadersFor(context);
+        const config = multiTokenManager.getToken(symbol)?.getConfig() || {};
+
+        const query = `
+          query tokenProtocol {
+            version(func: type(ChainState)) @filter(eq(key, "version")) {
+              value
+            }
+          }
+        `;
+
+        const [head, result, runners] = await Promise.all([
+          loaders.shared(symbol, 'head', loadHead),
+          dgraphClient.query(query),
+          loaders.shared(symbol, 'runners', loadRunners)
+        ]);
+
+        const enabled = features => Object.entries(features || {})
+          .filter(([, on]) => on)
+          .map(([feature]) => feature);
+
+        return {
+          version: String(result.version?.[0]?.value || config.version || 'unknown'),
+          features: [...new Set([...enabled(config.features), ...enabled(config.networkFeatures)])],
+          consensusRound: Math.floor(head.blockNum / CONSENSUS_BLOCKS),
+          witnesses: runners.map(runner => runner.account)
+        };
+      },
+
       txStatus: async ({ symbol }, { txid }) => {
         const dgraphClient = multiTokenManager.getDgraphClient(symbol);
-        
+
+        // Feed ids are "block:txid", so either form finds the transaction
         const query = `
-          query {
-            tx(func: eq(Transaction.id, "${txid}")) @filter(eq(namespace, "${symbol.toLowerCase()}")) {
-              Transaction.status
-              Transaction.block
-              Transaction.error
-              Transaction.result
+          query tokenTxStatus($txid: string) {
+            tx(func: type(Transaction), first: 1) @filter(eq(txId, $txid) OR eq(id, $txid)) {
+              id
+              blockNum
+              category
+              operationType
+              memo
             }
           }
         `;
-        
-        const result = await dgraphClient.query(query);
+
+        const result = await dgraphClient.query(query, { $txid: txid });
         const tx = result.tx?.[0];
-        
+
         if (!tx) {
           return {
             txid,
@@ -379,63 +1170,91 @@ export function createGraphQLResolvers(multiTokenManager) {
             result: null
           };
         }
-        
+
+        const failed = tx.category === 'ERROR';
         return {
           txid,
-          status: tx['Transaction.status'],
-          block: tx['Transaction.block'],
-          error: tx['Transaction.error'],
-          result: tx['Transaction.result']
+          status: failed ? 'FAILED' : 'EXECUTED',
+          block: tx.blockNum,
+          error: failed ? tx.memo || null : null,
+          result: {
+            id: tx.id,
+            category: tx.category,
+            operationType: tx.operationType || null
+          }
         };
-      }
-    },
-    
-    // Nested resolvers for complex types
-    User: {
-      nfts: async (user, args, { symbol }) => {
-        // Resolve user's NFTs
+      },
+
+      pending: async ({ symbol }, args, context) => {
         const dgraphClient = multiTokenManager.getDgraphClient(symbol);
+        const head = await loadersFor(context).shared(symbol, 'head', loadHead);
+        const tallied = Math.floor(head.blockNum / CONSENSUS_BLOCKS) * CONSENSUS_BLOCKS;
+
         const query = `
-          query {
-            nfts(func: eq(State.path, "@${symbol.toLowerCase()}:nfts:${user.username}")) {
-              State.value
+          query tokenPending($after: int, $first: int) {
+            pending(func: gt(blockNum, $after), orderdesc: blockNum, first: $first) @filter(type(Transaction)) {
+              id
+              txId
+              operationType
+              memo
+              timestamp
+              from {
+                username
+              }
+            }
+            total(func: gt(blockNum, $after)) @filter(type(Transaction)) {
+              count(uid)
             }
           }
         `;
-        const result = await dgraphClient.query(query);
-        const nfts = result.nfts?.[0]?.['State.value'] || {};
-        
+
+        const result = await dgraphClient.query(query, { $after: String(tallied), $first: String(PENDING_LIMIT) });
+        const transactions = (result.pending || []).map(tx => ({
+          txid: tx.txId || tx.id,
+          type: tx.operationType || 'UNKNOWN',
+          from: usernameOf(tx.from) || '',
+          memo: tx.memo || '',
+          timestamp: tx.timestamp ? new Date(tx.timestamp) : head.timestamp
+        }));
+
         return {
-          user: user.username,
-          count: Object.keys(nfts).length,
-          items: Object.entries(nfts).map(([uid, item]) => ({
-            uid,
-            ...item
-          })),
-          sets: [...new Set(Object.values(nfts).map(item => item.set))]
+          count: result.total?.[0]?.count ?? transactions.length,
+          transactions
         };
+      }
+    },
+
+    // Nested resolvers for complex types
+    // Loaded once per request and token, however many users are selected
+    User: {
+      nfts: async (user, args, context) => {
+        const nftState = await loadersFor(context).shared(user.symbol, 'nftState', loadNftState);
+        return nftCollection(nftState, user.username);
       },
-      
-      posts: async (user, args, { symbol }) => {
-        // Resolve user's posts
-        const dgraphClient = multiTokenManager.getDgraphClient(symbol);
-        const query = `
-          query {
-            posts(func: eq(State.path, "@${symbol.toLowerCase()}:posts")) {
-              State.value
-            }
-          }
-        `;
-        const result = await dgraphClient.query(query);
-        const allPosts = result.posts?.[0]?.['State.value'] || {};
-        
-        return Object.values(allPosts)
+
+      posts: async (user, args, context) => {
+        const { posts } = await loadersFor(context).shared(user.symbol, 'promotedPosts', loadPromotedPosts);
+
+        return Array.from(posts.values())
           .filter(post => post.author === user.username)
-          .map(post => ({
-            author: user.username,
-            ...post
-          }));
+          .map(toPost);
+      },
+
+      timeline: async (user, { limit, after, kinds, token, fromBlock, toBlock }) => {
+        const timeline = createAccountTimeline(multiTokenManager.getDgraphClient(user.symbol));
+        const { error, value } = timeline.parseParams({ limit, cursor: after, kind: kinds ?? undefined, token, fromBlock, toBlock });
+        if (error) {
+          throw new Error(error);
+        }
+
+        const result = await timeline.list(user.username, value);
+        return {
+          entries: (result?.entries || []).map(toTimelineEntry),
+          total: result?.total || 0,
+          truncated: result?.truncated || false,
+          nextCursor: result?.nextCursor || null
+        };
       }
     }
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,66 @@
+import { createLogger } from './logger.js';
+
+const logger = createLogger('hive-signature');
+
+export const HIVE_API_NODES = [
+  'https://api.hive.blog',
+  'https://api.deathwing.me',
+  'https://hive-api.arcange.eu'
+];
+
+// Signed messages further than this from the current time are rejected to limit replay
+export const MAX_MESSAGE_AGE = 5 * 60 * 1000;
+
+/**
+ * Verify a JSON message signed with an account's active key
+ * This is the flow used by POST /api/auth/token/generate: the client signs
+ * sha256(message), where message is a JSON string carrying a millisecond timestamp
+ *
+ * @param {Object} body - { account, signature, message }
+ * @param {Object} options - { getAccounts } to look up accounts without a Hive node
+ * @returns {Object} { error, status } or { value } with the parsed message
+ */
+export async function verifyHiveSignature({ account, signature, message } = {}, options = {}) {
+  if (!account || !signature || !message) {
+    return { status: 400, error: 'Missing required fields: account, signature, message' };
+  }
+
+  const dhive = await import('@hiveio/dhive');
+
+  try {
+    const messageData = JSON.parse(message);
+    if (!Number.isFinite(messageData?.timestamp)) {
+      return { status: 400, error: 'Message timestamp missing or invalid' };
+    }
+
+    // Future timestamps would stay valid until their time came and went
+    const messageAge = Date.now() - messageData.timestamp;
+    if (Math.abs(messageAge) > MAX_MESSAGE_AGE) {
+      return { status: 400, error: messageAge > 0 ? 'Message timestamp too old' : 'Message timestamp in the future' };
+    }
+
+    const getAccounts = options.getAccounts ||
+      (names => new dhive.Client(HIVE_API_NODES).database.getAccounts(names));
+
+    const accounts = await getAccounts([account]);
+    if (!accounts || accounts.length === 0) {
+      return { status: 404, error: 'Account not found on Hive' };
+    }
+
+    // Get the active public key
+    const publicKey = accounts[0].active.key_auths[0][0];
+
+    const messageHash = dhive.cryptoUtils.sha256(message);
+    const sig = dhive.Signature.fromString(signature);
+    const pubKey = dhive.PublicKey.from(publicKey);
+
+    if (!pubKey.verify(messageHash, sig)) {
+      return { status: 401, error: 'Invalid signature' };
+    }
+
+    return { value: messageData };
+  } catch (error) {
+    logger.error('Signature verification failed', { account, error: error.message });
+    return { status: 401, error: 'Signature verification failed' };
+  }
+}
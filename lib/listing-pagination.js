@@ -0,0 +1,171 @@
+/**
+ * Listing Pagination
+ * Keyset (cursor) pagination and sorting for filesystem directory listings.
+ *
+ * Cursors encode the sort key of the last item returned rather than an offset, so
+ * files added or removed by later blocks do not shift or repeat entries between pages.
+ */
+
+export const SORT_FIELDS = ['name', 'size', 'date', 'type'];
+export const SORT_ORDERS = ['asc', 'desc'];
+export const MAX_LISTING_LIMIT = 1000;
+
+/**
+ * Validate listing query parameters
+ * @param {Object} query - Express req.query
+ * @returns {Object} { error, value } where value is { limit, cursor, sort, order }
+ */
+export function parseListingOptions(query = {}) {
+  const sort = query.sort || 'name';
+  const order = query.order || 'asc';
+
+  if (!SORT_FIELDS.includes(sort)) {
+    return { error: `Invalid sort: ${sort}. Expected one of ${SORT_FIELDS.join(', ')}` };
+  }
+  if (!SORT_ORDERS.includes(order)) {
+    return { error: `Invalid order: ${order}. Expected asc or desc` };
+  }
+
+  let limit = null;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LISTING_LIMIT) {
+      return { error: `Invalid limit: must be between 1 and ${MAX_LISTING_LIMIT}` };
+    }
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+    if (cursor.s !== sort || cursor.o !== order) {
+      return { error: 'Cursor was issued for a different sort or order' };
+    }
+  }
+
+  return { value: { limit, cursor, sort, order } };
+}
+
+export function encodeCursor(sort, order, key) {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, k: key })).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!decoded || !SORT_FIELDS.includes(decoded.s) || !SORT_ORDERS.includes(decoded.o) || !Array.isArray(decoded.k)) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+}
+
+function itemDate(item) {
+  return item.contract?.blockNumber || 0;
+}
+
+function itemTypeKey(item) {
+  if (item.type === 'directory') {
+    return '';
+  }
+  return (item.extension || item.mimeType || '').toLowerCase();
+}
+
+/**
+ * Sort key for an item: [directory rank, primary value, name, exact name, unique id]
+ * Directories always come first; the name and id break ties so the order is total
+ */
+export function sortKey(item, sort) {
+  const rank = item.type === 'directory' ? 0 : 1;
+  const name = item.name || '';
+  const id = item.path || item.cid || '';
+
+  switch (sort) {
+    case 'size':
+      return [rank, item.type === 'directory' ? (item.itemCount || 0) : (parseInt(item.size) || 0), name.toLowerCase(), name, id];
+    case 'date':
+      return [rank, itemDate(item), name.toLowerCase(), name, id];
+    case 'type':
+      return [rank, itemTypeKey(item), name.toLowerCase(), name, id];
+    default:
+      return [rank, name.toLowerCase(), name, id];
+  }
+}
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  const left = String(a);
+  const right = String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Compare two sort keys; order only flips the fields after the directory rank
+ */
+export function compareKeys(a, b, order) {
+  if (a[0] !== b[0]) {
+    return a[0] - b[0];
+  }
+  const direction = order === 'desc' ? -1 : 1;
+  for (let i = 1; i < a.length; i++) {
+    const diff = compareValues(a[i], b[i]);
+    if (diff !== 0) {
+      return diff * direction;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Count listing items per type
+ */
+export function listingTotals(items) {
+  const totals = { total: items.length, directory: 0, file: 0 };
+  for (const item of items) {
+    totals[item.type] = (totals[item.type] || 0) + 1;
+  }
+  return totals;
+}
+
+/**
+ * Sort and page a fully built listing
+ * @param {Array} items - Directory contents
+ * @param {Object} options - Parsed options from parseListingOptions
+ * @returns {Object} { contents, totals, pagination }
+ */
+export function paginateListing(items, { limit = null, cursor = null, sort = 'name', order = 'asc' } = {}) {
+  const keyed = items
+    .map(item => ({ item, key: sortKey(item, sort) }))
+    .sort((a, b) => compareKeys(a.key, b.key, order));
+
+  let start = 0;
+  if (cursor) {
+    start = keyed.findIndex(entry => compareKeys(entry.key, cursor.k, order) > 0);
+    if (start === -1) {
+      start = keyed.length;
+    }
+  }
+
+  const end = limit ? start + limit : keyed.length;
+  const page = keyed.slice(start, end);
+  const hasMore = end < keyed.length;
+
+  return {
+    contents: page.map(entry => entry.item),
+    totals: listingTotals(items),
+    pagination: {
+      sort,
+      order,
+      limit,
+      returned: page.length,
+      hasMore,
+      nextCursor: hasMore && page.length > 0 ? encodeCursor(sort, order, page[page.length - 1].key) : null
+    }
+  };
+}
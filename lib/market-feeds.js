@@ -0,0 +1,309 @@
+import { normalizePair } from './subscription-hub.js';
+import { OPEN_ORDERS_BLOCK, openOrdersByMarket, aggregateLevels } from './dex-market.js';
+
+const DAY_MS = 86400000;
+
+const DEFAULT_TRADES = 500;
+const MAX_TRADES = 1000;
+
+function strip(id, namespace) {
+  return namespace && namespace !== 'default' && id.startsWith(namespace) ? id.slice(namespace.length) : id;
+}
+
+// Aggregators expect decimal strings
+function formatRate(rate) {
+  return (Number(rate) || 0).toFixed(6);
+}
+
+function formatUnits(amount) {
+  return (Number(amount) || 0).toFixed(3);
+}
+
+function tradePrice(details) {
+  const tokenAmount = Number(details?.tokenAmount) || 0;
+  return tokenAmount ? (Number(details.quoteAmount) || 0) / tokenAmount : 0;
+}
+
+function detailsOf(transaction) {
+  const details = transaction.dexDetails;
+  return Array.isArray(details) ? details[0] || null : details || null;
+}
+
+/**
+ * "LARYNX_HBD" for the LARYNX:HBD market: the token is the base, HIVE or HBD the target
+ */
+export function tickerId(marketId) {
+  return marketId.replace(':', '_');
+}
+
+/**
+ * Market Feeds
+ * Ticker, order book and trade history feeds in the CoinGecko DEX integration format
+ * for every DexMarket the transformer has written (dex, dexs and dexb under hive and hbd).
+ * Books come from open DexOrders, prices and volumes from DEX_TRADE feed transactions.
+ */
+export class MarketFeeds {
+  constructor(dgraphClient, options = {}) {
+    this.dgraph = dgraphClient;
+    this.namespace = options.namespace ?? dgraphClient?.namespace;
+  }
+
+  // Known markets by id; market snapshots used to be stored as separate nodes
+  async loadMarkets() {
+    const result = await this.dgraph.query(`
+      {
+        markets(func: type(DexMarket)) {
+          id
+          token
+          quoteCurrency
+          tick
+        }
+      }
+    `);
+
+    const markets = new Map();
+    for (const stored of result.markets || []) {
+      const id = strip(stored.id, this.namespace);
+      if (!markets.has(id)) {
+        markets.set(id, { id, token: stored.token, quoteCurrency: stored.quoteCurrency, tick: stored.tick });
+      }
+    }
+    return markets;
+  }
+
+  /**
+   * Market id for a ticker_id, or an error message
+   * @returns {Object} { error } or { marketId }
+   */
+  parseTicker(ticker) {
+    if (!ticker) {
+      return { error: 'ticker_id is required' };
+    }
+    const marketId = normalizePair(ticker);
+    if (!/^[A-Z0-9]+:(HIVE|HBD)$/.test(marketId)) {
+      return { error: `Invalid ticker_id: ${ticker}. Expected TOKEN_HIVE or TOKEN_HBD` };
+    }
+    return { marketId };
+  }
+
+  async pairs() {
+    const markets = await this.loadMarkets();
+    return Array.from(markets.values()).map(market => ({
+      ticker_id: tickerId(market.id),
+      base: market.token,
+      target: market.quoteCurrency,
+      pool_id: market.id
+    }));
+  }
+
+  /**
+   * 24h ticker of every market
+   * liquidity_in_usd is left out: no USD rate is replicated
+   */
+  async tickers(now = Date.now()) {
+    const markets = await this.loadMarkets();
+    const result = await this.dgraph.query(`
+      query marketTickers($since: string) {
+        ${OPEN_ORDERS_BLOCK}
+        trades(func: type(Transaction), orderasc: blockNum) @filter(eq(category, "DEX_TRADE") AND ge(timestamp, $since)) {
+          dexDetails {
+            token
+            quoteCurrency
+            tokenAmount
+            quoteAmount
+          }
+        }
+      }
+    `, { $since: new Date(now - DAY_MS).toISOString() });
+
+    const books = openOrdersByMarket(result.orders || [], this.namespace);
+    const trades = new Map();
+    for (const transaction of result.trades || []) {
+      const details = detailsOf(transaction);
+      if (!details?.token || !details.quoteCurrency) {
+        continue;
+      }
+      const marketId = `${String(details.token).toUpperCase()}:${String(details.quoteCurrency).toUpperCase()}`;
+      if (!trades.has(marketId)) {
+        trades.set(marketId, []);
+      }
+      trades.get(marketId).push(details);
+    }
+
+    return Array.from(markets.values()).map(market => {
+      const orders = books.get(market.id) || [];
+      const marketTrades = trades.get(market.id) || [];
+      const prices = marketTrades.map(tradePrice).filter(price => price > 0);
+      // tick is honeycomb's last traded rate, which outlives the 24h window
+      const lastPrice = prices.length ? prices[prices.length - 1] : Number(market.tick) || 0;
+      const bids = orders.filter(order => order.orderType === 'BUY').map(order => Number(order.rate) || 0);
+      const asks = orders.filter(order => order.orderType === 'SELL').map(order => Number(order.rate) || 0);
+
+      return {
+        ticker_id: tickerId(market.id),
+        base_currency: market.token,
+        target_currency: market.quoteCurrency,
+        pool_id: market.id,
+        last_price: formatRate(lastPrice),
+        base_volume: formatUnits(marketTrades.reduce((sum, details) => sum + (Number(details.tokenAmount) || 0), 0)),
+        target_volume: formatUnits(marketTrades.reduce((sum, details) => sum + (Number(details.quoteAmount) || 0), 0)),
+        bid: formatRate(bids.length ? Math.max(...bids) : 0),
+        ask: formatRate(asks.length ? Math.min(...asks) : 0),
+        high: formatRate(prices.length ? Math.max(...prices) : lastPrice),
+        low: formatRate(prices.length ? Math.min(...prices) : lastPrice)
+      };
+    });
+  }
+
+  /**
+   * Normalize order book parameters; depth counts both sides, 0 for the full book
+   * @returns {Object} { error, value } where value is { marketId, depth }
+   */
+  parseOrderbookParams(query = {}) {
+    const { error, marketId } = this.parseTicker(query.ticker_id);
+    if (error) {
+      return { error };
+    }
+
+    let depth = 100;
+    if (query.depth !== undefined) {
+      depth = parseInt(query.depth);
+      if (!(depth >= 0)) {
+        return { error: `Invalid depth: ${query.depth}` };
+      }
+    }
+
+    return { value: { marketId, depth } };
+  }
+
+  /**
+   * @returns {Object|null} null for a market the transformer has not written
+   */
+  async orderbook(params, now = Date.now()) {
+    const { marketId, depth } = params;
+    const markets = await this.loadMarkets();
+    if (!markets.has(marketId)) {
+      return null;
+    }
+
+    const result = await this.dgraph.query(`{ ${OPEN_ORDERS_BLOCK} }`);
+    const orders = openOrdersByMarket(result.orders || [], this.namespace).get(marketId) || [];
+    const perSide = depth === 0 ? Infinity : Math.max(Math.floor(depth / 2), 1);
+    const side = type => aggregateLevels(orders.filter(order => order.orderType === type), type, perSide)
+      .map(level => [formatRate(level.price), formatUnits(level.amount)]);
+
+    return {
+      ticker_id: tickerId(marketId),
+      timestamp: String(now),
+      bids: side('BUY'),
+      asks: side('SELL')
+    };
+  }
+
+  /**
+   * Normalize trade history parameters; start_time and end_time are unix milliseconds
+   * @returns {Object} { error, value } where value is { marketId, type, limit, startTime, endTime }
+   */
+  parseTradesParams(query = {}) {
+    const { error, marketId } = this.parseTicker(query.ticker_id);
+    if (error) {
+      return { error };
+    }
+
+    const type = query.type === undefined ? null : String(query.type).toLowerCase();
+    if (type !== null && type !== 'buy' && type !== 'sell') {
+      return { error: `Invalid type: ${query.type}. Expected buy or sell` };
+    }
+
+    let limit = DEFAULT_TRADES;
+    if (query.limit !== undefined) {
+      limit = parseInt(query.limit);
+      if (!(limit >= 0)) {
+        return { error: `Invalid limit: ${query.limit}` };
+      }
+      // 0 asks for everything; capped like any other page
+      limit = limit === 0 ? MAX_TRADES : Math.min(limit, MAX_TRADES);
+    }
+
+    const time = name => {
+      if (query[name] === undefined) {
+        return null;
+      }
+      const value = Number(query[name]);
+      return Number.isInteger(value) && value >= 0 ? value : NaN;
+    };
+    const startTime = time('start_time');
+    const endTime = time('end_time');
+    if (Number.isNaN(startTime) || Number.isNaN(endTime)) {
+      return { error: 'start_time and end_time must be unix timestamps in milliseconds' };
+    }
+    if (startTime !== null && endTime !== null && startTime > endTime) {
+      return { error: 'start_time must not be after end_time' };
+    }
+
+    return { value: { marketId, type, limit, startTime, endTime } };
+  }
+
+  /**
+   * Latest trades of a market, newest first, split by the taker's side
+   * @returns {Object|null} { buy, sell }, or null for an unknown market
+   */
+  async historicalTrades(params) {
+    const { marketId, type, limit, startTime, endTime } = params;
+    const markets = await this.loadMarkets();
+    if (!markets.has(marketId)) {
+      return null;
+    }
+
+    const [token, quote] = marketId.split(':');
+    const filters = ['eq(category, "DEX_TRADE")'];
+    const vars = { $token: token, $quote: quote, $first: String(limit) };
+    if (startTime !== null) {
+      filters.push('ge(timestamp, $start)');
+      vars.$start = new Date(startTime).toISOString();
+    }
+    if (endTime !== null) {
+      filters.push('le(timestamp, $end)');
+      vars.$end = new Date(endTime).toISOString();
+    }
+    const typeFilter = type ? ` AND eq(tradeType, "${type.toUpperCase()}")` : '';
+
+    const result = await this.dgraph.query(`
+      query marketTrades($token: string, $quote: string, $first: int${vars.$start ? ', $start: string' : ''}${vars.$end ? ', $end: string' : ''}) {
+        trades(func: type(Transaction), orderdesc: blockNum, first: $first) @filter(${filters.join(' AND ')}) @cascade(dexDetails) {
+          id
+          blockNum
+          timestamp
+          dexDetails @filter(eq(token, $token) AND eq(quoteCurrency, $quote)${typeFilter}) {
+            tradeType
+            tokenAmount
+            quoteAmount
+          }
+        }
+      }
+    `, vars);
+
+    const trades = { buy: [], sell: [] };
+    for (const transaction of result.trades || []) {
+      const details = detailsOf(transaction);
+      const side = String(details?.tradeType || '').toLowerCase();
+      if (!trades[side]) {
+        continue;
+      }
+      trades[side].push({
+        trade_id: strip(transaction.id, this.namespace),
+        price: formatRate(tradePrice(details)),
+        base_volume: formatUnits(details.tokenAmount),
+        target_volume: formatUnits(details.quoteAmount),
+        trade_timestamp: String(new Date(transaction.timestamp).getTime()),
+        type: side
+      });
+    }
+    return trades;
+  }
+}
+
+// Factory function
+export function createMarketFeeds(dgraphClient, options = {}) {
+  return new MarketFeeds(dgraphClient, options);
+}
@@ -10,6 +10,7 @@ import { EventEmitter } from 'events';
 import { fileURLToPath } from 'url';
 import { DgraphClient } from './dgraph-client.js';
 import { createLogger } from './logger.js';
+import { createGatewaySchema, createTokenGraphQLSchema } from './token-graphql-schema.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -18,6 +19,8 @@ export class MultiTokenManager extends EventEmitter {
     super();
     this.tokens = new Map();
     this.tokenClients = new Map(); // token -> DgraphClient
+    this.graphqlSchemas = new Map(); // token -> generated GraphQL schema
+    this.gateway = null; // GraphQL schema spanning every token
     this.logger = createLogger('multi-token-manager');
     this.config = {
       baseDataPath: config.baseDataPath || '/data/honeygraph',
@@ -116,6 +119,9 @@ export class MultiTokenManager extends EventEmitter {
     // Apply schema for this token
     await this.applyTokenSchema(symbol, dgraphClient);
 
+    // Build the GraphQL schema once, from the Dgraph types just applied
+    await this.buildGraphQLSchema(symbol, token.getConfig());
+
     // Register token
     this.tokens.set(symbol, token);
 
@@ -153,6 +159,8 @@ export class MultiTokenManager extends EventEmitter {
 
     // Remove from registry
     this.tokens.delete(symbol);
+    this.graphqlSchemas.delete(symbol);
+    this.gateway = createGatewaySchema(Array.from(this.graphqlSchemas.values()));
     await this.saveTokenRegistry();
 
     this.emit('token:unregistered', { symbol });
@@ -183,6 +191,32 @@ export class MultiTokenManager extends EventEmitter {
     return client;
   }
   
+  /**
+   * Base Dgraph schema plus the token's custom types, as applied to its namespace
+   * @param {string} symbol - Token symbol
+   * @returns {string} - Combined Dgraph schema
+   */
+  async loadDgraphSchema(symbol) {
+    // Load base schema
+    const baseSchemaPath = path.join(this.config.schemaPath, 'schema.dgraph');
+    const baseSchema = await fs.readFile(baseSchemaPath, 'utf8');
+    
+    // Check for custom schema
+    const customSchemaPath = path.join(this.config.schemaPath, 'custom', `${symbol.toLowerCase()}.dgraph`);
+    let customSchema = '';
+    
+    try {
+      customSchema = await fs.readFile(customSchemaPath, 'utf8');
+      this.logger.info(`Loaded custom schema for token: ${symbol}`);
+    } catch (err) {
+      // No custom schema for this token
+      this.logger.debug(`No custom schema found for token: ${symbol}, using base schema only`);
+    }
+    
+    // Combine schemas
+    return baseSchema + '\n\n' + customSchema;
+  }
+
   /**
    * Apply schema for a token
    * @param {string} symbol - Token symbol
@@ -190,24 +224,7 @@ export class MultiTokenManager extends EventEmitter {
    */
   async applyTokenSchema(symbol, dgraphClient) {
     try {
-      // Load base schema
-      const baseSchemaPath = path.join(this.config.schemaPath, 'schema.dgraph');
-      const baseSchema = await fs.readFile(baseSchemaPath, 'utf8');
-      
-      // Check for custom schema
-      const customSchemaPath = path.join(this.config.schemaPath, 'custom', `${symbol.toLowerCase()}.dgraph`);
-      let customSchema = '';
-      
-      try {
-        customSchema = await fs.readFile(customSchemaPath, 'utf8');
-        this.logger.info(`Loaded custom schema for token: ${symbol}`);
-      } catch (err) {
-        // No custom schema for this token
-        this.logger.debug(`No custom schema found for token: ${symbol}, using base schema only`);
-      }
-      
-      // Combine schemas
-      const combinedSchema = baseSchema + '\n\n' + customSchema;
+      const combinedSchema = await this.loadDgraphSchema(symbol);
       
       // Apply schema
       await dgraphClient.setSchema(combinedSchema);
@@ -219,6 +236,89 @@ export class MultiTokenManager extends EventEmitter {
     }
   }
 
+  graphqlExtensionPath(symbol) {
+    return path.join(this.config.schemaPath, 'custom', `${symbol.toLowerCase()}-api.graphql`);
+  }
+
+  async loadGraphQLExtension(symbol) {
+    try {
+      return await fs.readFile(this.graphqlExtensionPath(symbol), 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+      return '';
+    }
+  }
+
+  /**
+   * Build a token's GraphQL schema and refresh the gateway
+   * @param {string} symbol - Token symbol
+   * @param {Object} config - Token config
+   * @param {string} extensionSDL - Extension SDL; read from schema/custom/<token>-api.graphql when omitted
+   * @returns {Object} - { symbol, rootType, typeDefs, resolvers, schema }
+   */
+  async buildGraphQLSchema(symbol, config = this.tokens.get(symbol)?.getConfig() || {}, extensionSDL) {
+    return this.swapGraphQLSchema(await this.createGraphQLSchema(symbol, config, extensionSDL));
+  }
+
+  /**
+   * Build a token's GraphQL schema without serving it
+   * @returns {Object} - { symbol, rootType, typeDefs, resolvers, schema }
+   */
+  async createGraphQLSchema(symbol, config = this.tokens.get(symbol)?.getConfig() || {}, extensionSDL) {
+    return createTokenGraphQLSchema({
+      symbol,
+      config,
+      dgraphSchema: await this.loadDgraphSchema(symbol),
+      extensionSDL: extensionSDL ?? await this.loadGraphQLExtension(symbol),
+      getDgraphClient: (tokenSymbol) => this.getDgraphClient(tokenSymbol)
+    });
+  }
+
+  /**
+   * Serve a built schema for its token and rebuild the gateway around it
+   */
+  swapGraphQLSchema(tokenSchema) {
+    const { symbol } = tokenSchema;
+    this.graphqlSchemas.set(symbol, tokenSchema);
+    this.gateway = createGatewaySchema(Array.from(this.graphqlSchemas.values()));
+    this.logger.info(`GraphQL schema built for token: ${symbol}`);
+
+    this.emit('graphql:schema', { symbol });
+    return tokenSchema;
+  }
+
+  /**
+   * Replace a token's extension SDL and hot-swap its GraphQL schema
+   * SDL that does not build, or cannot be saved, is rejected and the running schema is kept.
+   * @param {string} symbol - Token symbol
+   * @param {string} extensionSDL - Extension SDL
+   */
+  async updateGraphQLSchema(symbol, extensionSDL = '') {
+    if (!this.tokens.has(symbol)) {
+      throw new Error(`Token ${symbol} not found`);
+    }
+
+    const tokenSchema = await this.createGraphQLSchema(symbol, undefined, extensionSDL);
+
+    await fs.mkdir(path.dirname(this.graphqlExtensionPath(symbol)), { recursive: true });
+    await fs.writeFile(this.graphqlExtensionPath(symbol), extensionSDL);
+    return this.swapGraphQLSchema(tokenSchema);
+  }
+
+  getTokenGraphQLSchema(symbol) {
+    return this.graphqlSchemas.get(symbol)?.schema || null;
+  }
+
+  getTokenGraphQLTypeDefs(symbol) {
+    return this.graphqlSchemas.get(symbol)?.typeDefs ?? null;
+  }
+
+  getGatewaySchema() {
+    return this.gateway?.schema || null;
+  }
+
   // Get pathwise namespace for a token
   getPathwiseNamespace(symbol) {
     const token = this.tokens.get(symbol);
@@ -9,6 +9,7 @@ import { execSync } from 'child_process';
 import { EventEmitter } from 'events';
 import { fileURLToPath } from 'url';
 import { DgraphClient } from './dgraph-client.js';
+import { createFeedParser, feedParser } from './feed-parser.js';
 import { createLogger } from './logger.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -22,6 +23,8 @@ export class NetworkManager extends EventEmitter {
   constructor(config = {}) {
     super();
     this.networks = new Map();
+    // Feed parsers by network prefix; networks without a grammar use the SPK one
+    this.feedParsers = new Map();
     this.logger = createLogger('network-manager');
     this.config = {
       baseDataPath: config.baseDataPath || '/data/honeygraph',
@@ -115,6 +118,12 @@ export class NetworkManager extends EventEmitter {
     // Apply network schema
     await this.applyNetworkSchema(prefix, dgraphClient);
 
+    // Feed grammar from the network config, or from schema/networks/<name>.feed.json
+    const grammar = config.feedGrammar || await this.loadFeedGrammar(prefix);
+    if (grammar) {
+      this.registerFeedGrammar(prefix, grammar);
+    }
+
     // Store network and client
     network.dgraphClient = dgraphClient;
     this.networks.set(prefix, network);
@@ -204,6 +213,37 @@ export class NetworkManager extends EventEmitter {
     }
   }
 
+  async loadFeedGrammar(prefix) {
+    const grammarPath = path.join(this.config.schemaPath, 'networks', `${prefix.slice(0, -1)}.feed.json`);
+    try {
+      const grammar = JSON.parse(await fs.readFile(grammarPath, 'utf8'));
+      this.logger.info(`Loaded feed grammar for network: ${prefix}`, { path: grammarPath });
+      return grammar;
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw new Error(`Failed to load feed grammar ${grammarPath}: ${err.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Parse a network's feed with its own grammar
+   * @param {string} prefix - Network prefix
+   * @param {Object} grammar - { name, version, extends, patterns } (see FeedParser)
+   * @throws {Error} when a pattern does not compile or names an unknown category
+   */
+  registerFeedGrammar(prefix, grammar) {
+    const parser = createFeedParser({ name: prefix.slice(0, -1), ...grammar });
+    this.feedParsers.set(prefix, parser);
+    this.emit('feed:grammar', { prefix, grammarVersion: parser.grammarVersion });
+    return parser;
+  }
+
+  getFeedParser(prefix) {
+    return this.feedParsers.get(prefix) || feedParser;
+  }
+
   getNetwork(prefix) {
     return this.networks.get(prefix);
   }
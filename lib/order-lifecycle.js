@@ -0,0 +1,675 @@
+import { createLogger } from './logger.js';
+import { normalizePair } from './subscription-hub.js';
+
+const logger = createLogger('order-lifecycle');
+
+export const ORDER_STATUSES = ['OPEN', 'PARTIAL', 'FILLED', 'CANCELLED', 'EXPIRED'];
+export const OPEN_STATUSES = ['OPEN', 'PARTIAL'];
+
+// Feed messages give token amounts in whole units, order books in milli-units
+const FEED_UNIT = 1000;
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function blankName(id) {
+  return id.replace(/[:/\-]/g, '_');
+}
+
+function marketOfOrder(orderId) {
+  return orderId.split(':').slice(0, 2).join(':');
+}
+
+function quoteOf(order) {
+  return marketOfOrder(order.id).split(':')[1];
+}
+
+function opposite(side) {
+  return side === 'SELL' ? 'BUY' : 'SELL';
+}
+
+/**
+ * Book entry of an order, from a DexOrder mutation or a stored DexOrder node
+ */
+export function orderState(order) {
+  const quote = quoteOf(order) === 'HBD' ? 'hbd' : 'hive';
+  return {
+    id: order.id,
+    from: order.from?.username || null,
+    orderType: order.orderType,
+    rate: Number(order.rate) || 0,
+    amount: Number(order.amount) || 0,
+    tokenAmount: Number(order.tokenAmount) || 0,
+    quoteAmount: Number(order[quote]) || 0,
+    filled: Number(order.filled) || 0,
+    expireBlock: order.expireBlock || null
+  };
+}
+
+/**
+ * Orders that appeared, shrank, stayed or disappeared between two snapshots of a book
+ * @param {Map} previous - order id -> state
+ * @param {Map} current - order id -> state
+ * @returns {Object} { opened, filled: [{ before, after }], unchanged, removed }
+ */
+export function diffOrderBook(previous, current) {
+  const opened = [];
+  const filled = [];
+  const unchanged = [];
+  const removed = [];
+
+  for (const [id, order] of current) {
+    const before = previous.get(id);
+    if (!before) {
+      opened.push(order);
+    } else if (order.amount < before.amount) {
+      filled.push({ before, after: order });
+    } else {
+      unchanged.push(before);
+    }
+  }
+  for (const [id, order] of previous) {
+    if (!current.has(id)) {
+      removed.push(order);
+    }
+  }
+
+  return { opened, filled, unchanged, removed };
+}
+
+/**
+ * Cancellations and takers named by a batch's DEX feed transactions
+ * Cancels are counted per account, quote currency and side; takers are listed per
+ * token and side in feed order with the milli-token amount they traded
+ */
+export function collectEvidence(transactions = []) {
+  const cancels = new Map();
+  const takers = [];
+
+  for (const transaction of transactions) {
+    const details = transaction.dexDetails || {};
+    const username = transaction.from?.username;
+    if (!username) {
+      continue;
+    }
+
+    if (transaction.category === 'DEX_CANCEL') {
+      const key = `${username}:${String(details.quoteCurrency).toUpperCase()}:${details.orderType}`;
+      cancels.set(key, (cancels.get(key) || 0) + 1);
+    } else if (transaction.category === 'DEX_TRADE' || transaction.category === 'DEX_ORDER') {
+      takers.push({
+        username,
+        token: String(details.token || '').toUpperCase(),
+        quoteCurrency: details.quoteCurrency ? String(details.quoteCurrency).toUpperCase() : null,
+        side: details.tradeType || details.orderType,
+        remaining: Math.round((Number(details.tokenAmount) || 0) * FEED_UNIT)
+      });
+    }
+  }
+
+  return { cancels, takers };
+}
+
+function takersFor(evidence, marketId, makerSide) {
+  const [token, quote] = marketId.split(':');
+  return evidence.takers.filter(taker => taker.token === token &&
+    taker.side === opposite(makerSide) &&
+    (!taker.quoteCurrency || taker.quoteCurrency === quote));
+}
+
+/**
+ * Why an order left the book: its expiry passed, its owner cancelled on that side of the
+ * market, or it was taken. With neither a cancel nor a taker in the batch, the owner
+ * removed it
+ */
+export function closeStatus(order, blockNum, evidence) {
+  if (order.expireBlock && blockNum >= order.expireBlock) {
+    return 'EXPIRED';
+  }
+
+  const key = `${order.from}:${quoteOf(order)}:${order.orderType}`;
+  const cancels = evidence.cancels.get(key) || 0;
+  if (cancels > 0) {
+    evidence.cancels.set(key, cancels - 1);
+    return 'CANCELLED';
+  }
+
+  return takersFor(evidence, marketOfOrder(order.id), order.orderType).length > 0 ? 'FILLED' : 'CANCELLED';
+}
+
+/**
+ * Attribute fills to takers in matching order: best-priced makers first, each taker
+ * until the amount they traded is used up
+ */
+export function assignTakers(fills, marketId, evidence) {
+  const byPriority = [...fills].sort((a, b) => (a.orderType === 'SELL' ? a.rate - b.rate : b.rate - a.rate));
+
+  for (const fill of byPriority) {
+    const candidates = takersFor(evidence, marketId, fill.orderType);
+    const taker = candidates.find(candidate => candidate.remaining > 0) || candidates[candidates.length - 1];
+    fill.taker = taker ? taker.username : null;
+    if (taker) {
+      taker.remaining -= fill.tokenAmount;
+    }
+  }
+}
+
+function strip(id, namespace) {
+  return namespace && namespace !== 'default' && id.startsWith(namespace) ? id.slice(namespace.length) : id;
+}
+
+/**
+ * Order Lifecycle
+ * Replication keeps only snapshots of each market's open orders. This diffs every
+ * snapshot against the previous book of that market, writes an OrderFill for each order
+ * that shrank or was taken, and closes orders that left the book as FILLED, CANCELLED
+ * or EXPIRED. Orders deleted individually (dex/<quote>/<side>Orders/<id>) are closed
+ * the same way.
+ *
+ * Books are kept in memory between batches and seeded from the stored open orders. A
+ * batch's books are staged until its mutations are written (commit); a failed write or
+ * a fork revert drops them so they are seeded again (reset).
+ */
+export class OrderLifecycle {
+  constructor(dgraphClient, options = {}) {
+    this.dgraph = dgraphClient;
+    this.namespace = options.namespace ?? dgraphClient?.namespace;
+    // marketId -> Map(order id -> state)
+    this.books = null;
+    // Books of the markets the last batch touched, until it is written
+    this.staged = null;
+  }
+
+  // Ids as DgraphClient.addNamespacePrefix stores them
+  storedId(id) {
+    return this.namespace && this.namespace !== 'default' && !id.startsWith(this.namespace)
+      ? `${this.namespace}${id}`
+      : id;
+  }
+
+  async loadBooks() {
+    if (this.books) {
+      return this.books;
+    }
+    const books = new Map();
+
+    const result = await this.dgraph.query(`
+      {
+        open(func: type(DexOrder)) @filter(eq(status, "OPEN") OR eq(status, "PARTIAL")) {
+          id
+          orderType
+          rate
+          amount
+          tokenAmount
+          hbd
+          hive
+          filled
+          expireBlock
+          from {
+            username
+          }
+        }
+      }
+    `);
+
+    for (const stored of result.open || []) {
+      const state = orderState({ ...stored, id: strip(stored.id, this.namespace) });
+      const marketId = marketOfOrder(state.id);
+      if (!books.has(marketId)) {
+        books.set(marketId, new Map());
+      }
+      const book = books.get(marketId);
+      const known = book.get(state.id);
+      // Snapshots used to be written as new nodes; amounts only shrink, so the smallest is newest
+      if (!known || state.amount < known.amount) {
+        book.set(state.id, state);
+      }
+    }
+    this.books = books;
+    return this.books;
+  }
+
+  // Keep the books of the last batch once its mutations are written
+  commit() {
+    if (this.books && this.staged) {
+      for (const [marketId, book] of this.staged) {
+        this.books.set(marketId, book);
+      }
+    }
+    this.staged = null;
+  }
+
+  // Forget the books; the next batch seeds them again from Dgraph
+  reset() {
+    this.books = null;
+    this.staged = null;
+  }
+
+  /**
+   * Uids of stored orders and markets by id; an order can have several from older snapshots
+   */
+  async resolveStored(orderIds, marketIds) {
+    const uids = new Map();
+    if (orderIds.length === 0 && marketIds.length === 0) {
+      return uids;
+    }
+
+    const result = await this.dgraph.query(`
+      {
+        orders(func: eq(id, ${JSON.stringify(orderIds.map(id => this.storedId(id)))})) @filter(type(DexOrder)) {
+          uid
+          id
+        }
+        markets(func: eq(id, ${JSON.stringify(marketIds.map(id => this.storedId(id)))})) @filter(type(DexMarket)) {
+          uid
+          id
+        }
+      }
+    `);
+
+    for (const node of [...(result.orders || []), ...(result.markets || [])]) {
+      const id = strip(node.id, this.namespace);
+      if (!uids.has(id)) {
+        uids.set(id, []);
+      }
+      uids.get(id).push(node.uid);
+    }
+    return uids;
+  }
+
+  /**
+   * Turn the batch's market snapshots and order deletions into order updates and fills
+   * @param {Object} mutations - DataTransformer mutations; dexBooks and removedOrders are read,
+   *   orders, dexMarkets, orderFills and other are written
+   * @param {Object} blockInfo - { blockNum, timestamp, forkId }
+   * @param {Function} resolveAccount - username -> account uid
+   */
+  async apply(mutations, blockInfo = {}, resolveAccount) {
+    const snapshots = mutations.dexBooks || new Map();
+    const deletions = mutations.removedOrders || new Map();
+    if (snapshots.size === 0 && deletions.size === 0) {
+      return;
+    }
+
+    const blockNum = blockInfo.blockNum || 0;
+    const timestamp = blockInfo.timestamp ? new Date(blockInfo.timestamp).toISOString() : new Date().toISOString();
+    const books = await this.loadBooks();
+    // The batch's books replace the committed ones only after commit()
+    this.staged = new Map();
+    const evidence = collectEvidence(mutations.transactions);
+    if (!mutations.orders) {
+      mutations.orders = new Map();
+    }
+
+    // Diff each touched market against its previous book
+    const changes = new Map();
+    const marketIds = new Set([...snapshots.keys(), ...Array.from(deletions.values(), removal => removal.marketId)]);
+    for (const marketId of marketIds) {
+      const previous = books.get(marketId) || new Map();
+      const snapshot = snapshots.get(marketId);
+      const current = new Map();
+      for (const [id, state] of previous) {
+        if (!snapshot || !snapshot.sides.includes(state.orderType)) {
+          current.set(id, state);
+        }
+      }
+      if (snapshot) {
+        for (const order of mutations.orders.values()) {
+          if (marketOfOrder(order.id) === marketId) {
+            current.set(order.id, orderState(order));
+          }
+        }
+      }
+      for (const [id, removal] of deletions) {
+        if (removal.marketId === marketId) {
+          current.delete(id);
+        }
+      }
+      changes.set(marketId, diffOrderBook(previous, current));
+    }
+
+    const touched = [];
+    for (const diff of changes.values()) {
+      touched.push(...diff.filled.map(({ before }) => before.id), ...diff.removed.map(order => order.id));
+    }
+    const stored = await this.resolveStored(touched, Array.from(marketIds));
+
+    for (const [marketId, diff] of changes) {
+      const market = mutations.dexMarkets?.get(marketId);
+      const storedMarket = stored.get(marketId)?.[0];
+      if (market && storedMarket) {
+        // Update the market in place rather than adding another snapshot node
+        market.uid = storedMarket;
+      }
+      const marketUid = market?.uid || storedMarket || null;
+      const book = new Map(books.get(marketId) || []);
+      this.staged.set(marketId, book);
+      const fills = [];
+
+      for (const state of diff.opened) {
+        const order = mutations.orders.get(state.id);
+        order.from = { uid: await resolveAccount(state.from) };
+        if (marketUid) {
+          order.market = { uid: marketUid };
+        }
+        book.set(state.id, state);
+      }
+
+      // Already stored as they are
+      for (const state of diff.unchanged) {
+        mutations.orders.delete(state.id);
+      }
+
+      for (const { before, after } of diff.filled) {
+        const order = mutations.orders.get(after.id);
+        const uids = stored.get(after.id);
+        if (uids) {
+          order.uid = uids[0];
+          delete order.createdAt;
+        }
+        after.filled = before.filled + (before.amount - after.amount);
+        Object.assign(order, {
+          from: { uid: await resolveAccount(after.from) },
+          status: 'PARTIAL',
+          filled: after.filled,
+          remaining: after.amount,
+          lastFillBlock: blockNum,
+          updatedAt: timestamp
+        });
+        if (marketUid) {
+          order.market = { uid: marketUid };
+        }
+        book.set(after.id, after);
+        fills.push(this.fill(before, after, order.uid));
+      }
+
+      for (const before of diff.removed) {
+        const status = closeStatus(before, blockNum, evidence);
+        const uids = stored.get(before.id) || [];
+        const filled = status === 'FILLED' ? before.filled + before.amount : before.filled;
+        uids.forEach((uid, index) => {
+          mutations.orders.set(index === 0 ? before.id : `${before.id}#${index}`, {
+            uid,
+            'dgraph.type': 'DexOrder',
+            id: before.id,
+            orderType: before.orderType,
+            status,
+            filled,
+            remaining: status === 'FILLED' ? 0 : before.amount,
+            closedBlock: blockNum,
+            updatedAt: timestamp
+          });
+        });
+        book.delete(before.id);
+
+        if (status === 'FILLED' && uids.length > 0) {
+          fills.push(this.fill(before, null, uids[0]));
+        } else if (status === 'CANCELLED') {
+          mutations.other.push(this.cancellation(before.id, before.orderType, marketUid, blockNum, timestamp));
+        }
+      }
+
+      assignTakers(fills, marketId, evidence);
+      for (const fill of fills) {
+        mutations.orderFills = mutations.orderFills || [];
+        mutations.orderFills.push({
+          uid: `_:orderfill_${blankName(fill.orderId)}_${blockNum}`,
+          'dgraph.type': 'OrderFill',
+          id: `${fill.orderId}:${blockNum}`,
+          order: { uid: fill.orderUid },
+          ...(marketUid ? { market: { uid: marketUid } } : {}),
+          ...(fill.maker ? { maker: { uid: await resolveAccount(fill.maker) } } : {}),
+          ...(fill.taker ? { taker: { uid: await resolveAccount(fill.taker) } } : {}),
+          orderType: fill.orderType,
+          rate: fill.rate,
+          amount: fill.amount,
+          tokenAmount: fill.tokenAmount,
+          quoteAmount: fill.quoteAmount,
+          blockNum,
+          timestamp,
+          ...(blockInfo.forkId ? { forkId: blockInfo.forkId } : {})
+        });
+      }
+
+      logger.debug('Order book diffed', {
+        marketId,
+        blockNum,
+        opened: diff.opened.length,
+        filled: diff.filled.length,
+        closed: diff.removed.length
+      });
+    }
+
+    // Deleted orders that were never seen open keep the old cancellation record
+    for (const [id, removal] of deletions) {
+      if (!changes.get(removal.marketId)?.removed.some(order => order.id === id)) {
+        mutations.other.push(this.cancellation(id, removal.orderType, null, blockNum, timestamp));
+      }
+    }
+  }
+
+  /**
+   * Delete the fills an orphaned fork recorded from fromBlock on and reseed the books
+   * @param {number} fromBlock - first block of the fork
+   * @param {Object} options - { forkId }
+   */
+  async rollback(fromBlock, options = {}) {
+    this.reset();
+
+    const filters = ['ge(blockNum, $fromBlock)'];
+    const vars = { $fromBlock: String(fromBlock) };
+    if (options.forkId) {
+      filters.push('eq(forkId, $forkId)');
+      vars.$forkId = options.forkId;
+    }
+
+    const result = await this.dgraph.query(`
+      query staleFills(${Object.keys(vars).map(name => `${name}: ${name === '$forkId' ? 'string' : 'int'}`).join(', ')}) {
+        stale(func: type(OrderFill)) @filter(${filters.join(' AND ')}) {
+          uid
+        }
+      }
+    `, vars);
+
+    const uids = (result.stale || []).map(fill => fill.uid);
+    await this.dgraph.deleteNodes(uids);
+
+    logger.info('Order fills rolled back', { fromBlock, forkId: options.forkId || null, removed: uids.length });
+    return { removed: uids.length };
+  }
+
+  fill(before, after, orderUid) {
+    return {
+      orderId: before.id,
+      orderUid,
+      maker: before.from,
+      orderType: before.orderType,
+      rate: before.rate,
+      amount: before.amount - (after?.amount || 0),
+      tokenAmount: before.tokenAmount - (after?.tokenAmount || 0),
+      quoteAmount: before.quoteAmount - (after?.quoteAmount || 0)
+    };
+  }
+
+  cancellation(orderId, orderType, marketUid, blockNum, timestamp) {
+    return {
+      uid: `_:cancel_${blankName(orderId)}_${blockNum}`,
+      'dgraph.type': 'OrderCancellation',
+      orderId,
+      ...(marketUid ? { market: { uid: marketUid } } : {}),
+      orderType,
+      cancelledAt: blockNum,
+      timestamp
+    };
+  }
+
+  /**
+   * Normalize order history parameters
+   * @returns {Object} { error, value } where value is { statuses, market, limit, offset }
+   */
+  parseParams(query = {}) {
+    const value = { statuses: [], market: null, limit: DEFAULT_LIMIT, offset: 0 };
+
+    if (query.status !== undefined) {
+      const statuses = String(query.status).split(',').map(status => status.trim().toUpperCase()).filter(Boolean);
+      const unknown = statuses.find(status => !ORDER_STATUSES.includes(status));
+      if (unknown || statuses.length === 0) {
+        return { error: `Invalid status: ${unknown || query.status}. Expected one of ${ORDER_STATUSES.join(', ')}` };
+      }
+      value.statuses = statuses;
+    }
+
+    if (query.market !== undefined) {
+      value.market = normalizePair(query.market);
+      if (!/^[A-Z0-9]+:[A-Z0-9]+$/.test(value.market)) {
+        return { error: `Invalid market: ${query.market}` };
+      }
+    }
+
+    if (query.limit !== undefined) {
+      value.limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    }
+    if (query.offset !== undefined) {
+      value.offset = Math.max(parseInt(query.offset) || 0, 0);
+    }
+
+    return { value };
+  }
+
+  async resolveAccount(username) {
+    const query = `
+      query getAccount($username: string) {
+        user(func: eq(username, $username)) @filter(type(Account)) {
+          uid
+        }
+      }
+    `;
+    const result = await (this.dgraph.queryGlobal
+      ? this.dgraph.queryGlobal(query, { $username: username })
+      : this.dgraph.query(query, { $username: username }));
+    return result.user?.[0]?.uid || null;
+  }
+
+  /**
+   * A user's orders, newest first, with the fills each one received
+   * Read from the account through ~from and paged in Dgraph; older snapshots of an order
+   * stored beside it are folded into one entry within the page
+   * @returns {Object|null} null when the account does not exist
+   */
+  async list(username, params) {
+    const accountUid = await this.resolveAccount(username);
+    if (!accountUid) {
+      return null;
+    }
+
+    const filters = ['type(DexOrder)'];
+    const vars = {
+      $accountUid: accountUid,
+      $first: String(params.limit),
+      $offset: String(params.offset)
+    };
+    if (params.statuses.length > 0) {
+      filters.push(`(${params.statuses.map(status => `eq(status, "${status}")`).join(' OR ')})`);
+    }
+    if (params.market) {
+      // Order ids start with their market, so the market is a range of the id index
+      filters.push('ge(id, $marketStart) AND lt(id, $marketEnd)');
+      vars.$marketStart = this.storedId(`${params.market}:`);
+      vars.$marketEnd = this.storedId(`${params.market};`);
+    }
+
+    const result = await this.dgraph.query(`
+      query userOrders($accountUid: string, $first: int, $offset: int${params.market ? ', $marketStart: string, $marketEnd: string' : ''}) {
+        var(func: uid($accountUid)) {
+          accountOrders as ~from @filter(${filters.join(' AND ')})
+        }
+        total(func: uid(accountOrders)) {
+          count(uid)
+        }
+        statuses(func: uid(accountOrders)) @groupby(status) {
+          count(uid)
+        }
+        orders(func: uid(accountOrders), orderdesc: block, first: $first, offset: $offset) {
+          id
+          orderType
+          rate
+          amount
+          filled
+          remaining
+          status
+          block
+          expireBlock
+          closedBlock
+          lastFillBlock
+          fills: ~order (orderasc: blockNum) @filter(type(OrderFill)) {
+            blockNum
+            rate
+            amount
+            tokenAmount
+            quoteAmount
+            taker {
+              username
+            }
+          }
+        }
+      }
+    `, vars);
+
+    const byId = new Map();
+    for (const stored of result.orders || []) {
+      const order = this.toOrder(stored);
+      const known = byId.get(order.id);
+      if (!known || order.fills.length > known.fills.length || order.remaining < known.remaining) {
+        byId.set(order.id, order);
+      }
+    }
+
+    const counts = Object.fromEntries(ORDER_STATUSES.map(status => [status, 0]));
+    for (const group of result.statuses?.[0]?.['@groupby'] || []) {
+      counts[group.status] = group.count;
+    }
+
+    return {
+      username,
+      filters: { status: params.statuses, market: params.market },
+      total: result.total?.[0]?.count ?? 0,
+      counts,
+      limit: params.limit,
+      offset: params.offset,
+      orders: Array.from(byId.values())
+    };
+  }
+
+  toOrder(stored) {
+    const id = strip(stored.id, this.namespace);
+    const filled = stored.filled || 0;
+    const remaining = stored.remaining ?? stored.amount ?? 0;
+    return {
+      id,
+      market: marketOfOrder(id),
+      orderType: stored.orderType,
+      rate: stored.rate,
+      status: stored.status,
+      amount: filled + remaining,
+      filled,
+      remaining,
+      openedBlock: stored.block ?? null,
+      expireBlock: stored.expireBlock ?? null,
+      closedBlock: stored.closedBlock ?? null,
+      lastFillBlock: stored.lastFillBlock ?? null,
+      fills: (stored.fills || []).map(fill => ({
+        blockNum: fill.blockNum,
+        rate: fill.rate,
+        amount: fill.amount,
+        tokenAmount: fill.tokenAmount,
+        quoteAmount: fill.quoteAmount,
+        taker: fill.taker?.username || null
+      }))
+    };
+  }
+}
+
+// Factory function
+export function createOrderLifecycle(dgraphClient, options = {}) {
+  return new OrderLifecycle(dgraphClient, options);
+}
@@ -0,0 +1,163 @@
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import { GraphQLError } from 'graphql';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('persisted-queries');
+
+export const DEFAULT_APQ_CACHE_SIZE = 1000;
+
+export function sha256Hex(query) {
+  return createHash('sha256').update(query, 'utf8').digest('hex');
+}
+
+function persistedQueryError(message, code) {
+  return new GraphQLError(message, { extensions: { code } });
+}
+
+/**
+ * Persisted Query Store
+ * Resolves the Apollo persisted-query extension
+ * ({ persistedQuery: { version: 1, sha256Hash } }) to a query document.
+ *
+ * Hashes come from an allow-list manifest loaded at startup, and — unless the store
+ * only accepts registered queries — from automatic persisted queries: a client that
+ * gets PERSISTED_QUERY_NOT_FOUND resends the hash with its query, which is kept in an
+ * LRU for the next request.
+ */
+export class PersistedQueryStore {
+  /**
+   * @param {Object} options - { allowListPath, allowOnly, cacheSize }
+   */
+  constructor(options = {}) {
+    this.allowListPath = options.allowListPath || null;
+    this.allowOnly = options.allowOnly || false;
+    this.cacheSize = options.cacheSize || DEFAULT_APQ_CACHE_SIZE;
+    this.allowList = new Map();
+    // Map iteration order is insertion order; re-inserting on read keeps it least-recent first
+    this.automatic = new Map();
+  }
+
+  /**
+   * Load the allow-list manifest
+   * Accepts a { hash: query } object or an Apollo persisted-query manifest
+   * ({ operations: [{ id, body }] }). A hash that does not match its query fails the
+   * whole load, since clients built against the manifest would otherwise miss silently.
+   */
+  async loadAllowList(filePath = this.allowListPath) {
+    if (!filePath) {
+      return this;
+    }
+
+    const manifest = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    const entries = Array.isArray(manifest.operations)
+      ? manifest.operations.map(operation => [operation.id, operation.body])
+      : Object.entries(manifest);
+
+    const allowList = new Map();
+    for (const [hash, query] of entries) {
+      if (typeof query !== 'string' || sha256Hex(query) !== hash) {
+        throw new Error(`Persisted query ${hash} in ${filePath} does not match its sha256 hash`);
+      }
+      allowList.set(hash, query);
+    }
+
+    this.allowList = allowList;
+    logger.info('Loaded persisted query allow-list', { path: filePath, queries: allowList.size });
+    return this;
+  }
+
+  get(hash) {
+    if (this.allowList.has(hash)) {
+      return this.allowList.get(hash);
+    }
+    if (this.allowOnly || !this.automatic.has(hash)) {
+      return null;
+    }
+
+    const query = this.automatic.get(hash);
+    this.automatic.delete(hash);
+    this.automatic.set(hash, query);
+    return query;
+  }
+
+  register(hash, query) {
+    if (this.allowList.has(hash)) {
+      return;
+    }
+    this.automatic.delete(hash);
+    this.automatic.set(hash, query);
+    if (this.automatic.size > this.cacheSize) {
+      this.automatic.delete(this.automatic.keys().next().value);
+    }
+  }
+
+  /**
+   * Query text for a request's parameters
+   * @param {Object} params - { query, extensions }
+   * @returns {string|null} the query to run, or null when the request carries no persisted-query extension and may run as sent
+   * @throws {GraphQLError} PERSISTED_QUERY_NOT_FOUND, PERSISTED_QUERY_NOT_ALLOWED or PERSISTED_QUERY_NOT_SUPPORTED
+   * @throws {Error} when the hash does not match the query sent with it
+   */
+  resolve({ query, extensions }) {
+    const persisted = extensions?.persistedQuery;
+
+    if (!persisted) {
+      if (this.allowOnly) {
+        throw persistedQueryError('Only persisted queries are accepted', 'PERSISTED_QUERY_REQUIRED');
+      }
+      return null;
+    }
+    if (persisted.version !== 1 || typeof persisted.sha256Hash !== 'string') {
+      throw persistedQueryError('Unsupported persisted query version', 'PERSISTED_QUERY_NOT_SUPPORTED');
+    }
+
+    const hash = persisted.sha256Hash.toLowerCase();
+
+    if (typeof query === 'string') {
+      if (sha256Hex(query) !== hash) {
+        throw new Error('provided sha does not match query');
+      }
+      if (this.allowOnly && !this.allowList.has(hash)) {
+        throw persistedQueryError('Query is not in the persisted query allow-list', 'PERSISTED_QUERY_NOT_ALLOWED');
+      }
+      this.register(hash, query);
+      return query;
+    }
+
+    const stored = this.get(hash);
+    if (stored === null) {
+      if (this.allowOnly) {
+        throw persistedQueryError('Query is not in the persisted query allow-list', 'PERSISTED_QUERY_NOT_ALLOWED');
+      }
+      // Message and code Apollo clients look for before retrying with the full query
+      throw persistedQueryError('PersistedQueryNotFound', 'PERSISTED_QUERY_NOT_FOUND');
+    }
+    return stored;
+  }
+
+  getStats() {
+    return {
+      allowList: this.allowList.size,
+      automatic: this.automatic.size,
+      cacheSize: this.cacheSize,
+      allowOnly: this.allowOnly
+    };
+  }
+}
+
+/**
+ * Store options from the environment, with explicit options taking precedence
+ */
+export function persistedQueryOptions(options = {}, env = process.env) {
+  return {
+    allowListPath: options.allowListPath || env.GRAPHQL_PERSISTED_QUERIES || null,
+    allowOnly: options.allowOnly ?? env.GRAPHQL_PERSISTED_ONLY === 'true',
+    cacheSize: options.cacheSize || parseInt(env.GRAPHQL_APQ_CACHE_SIZE) || DEFAULT_APQ_CACHE_SIZE
+  };
+}
+
+// Factory function
+export function createPersistedQueryStore(options = {}) {
+  return new PersistedQueryStore(options);
+}
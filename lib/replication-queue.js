@@ -2,18 +2,24 @@ import Bull from 'bull';
 import Redis from 'ioredis';
 
 import { createDataTransformer } from './data-transformer.js';
+import { blockTimeIndex } from './block-time-index.js';
 
 export class ReplicationQueue {
-  constructor({ dgraphClient, forkManager, zfsCheckpoints, logger, networkManager }) {
+  constructor({ dgraphClient, forkManager, zfsCheckpoints, logger, networkManager, subscriptionHub = null }) {
     this.dgraph = dgraphClient; // Default client for backward compatibility
     this.forkManager = forkManager;
     this.zfsCheckpoints = zfsCheckpoints;
     this.logger = logger;
     this.networkManager = networkManager;
+    this.subscriptionHub = subscriptionHub;
     this.dataTransformer = createDataTransformer(dgraphClient, networkManager);
     
     // Track processed operations to prevent duplicates
     this.processedOperations = new Set();
+    // Newest block announced to subscribers from live operations
+    this.lastPublishedBlock = 0;
+    // Transformer per Dgraph client for live operations; order books carry over between them
+    this.operationTransformers = new Map();
     this.operationCleanupInterval = null;
     
     // Initialize Redis connection
@@ -66,6 +72,10 @@ export class ReplicationQueue {
 
         // Write batch to Dgraph
         const result = await this.dgraph.writeBatch(transformedOps, blockData);
+        this.dataTransformer.commitBatch();
+
+        // Only committed state reaches GraphQL subscribers
+        this.publishCommitted(transformedOps, blockData);
         
         // Update fork last block
         await this.forkManager.updateForkStatus(
@@ -87,6 +97,8 @@ export class ReplicationQueue {
 
         return result;
       } catch (error) {
+        // A retry must diff against the books the failed batch started from
+        this.dataTransformer.discardBatch();
         this.logger.error('Block replication failed', { 
           error: error.message,
           blockNum: blockData.blockNum 
@@ -148,6 +160,7 @@ export class ReplicationQueue {
     // Process individual operations from honeycomb
     this.queue.process('process-operation', async (job) => {
       const { operation, checkpointHash } = job.data;
+      let transformer = null;
       
       try {
         // Create operation ID for deduplication
@@ -174,14 +187,30 @@ export class ReplicationQueue {
           }
         }
         
-        // Create token-specific transformer
-        const transformer = createDataTransformer(dgraphClient);
+        transformer = this.operationTransformer(dgraphClient);
+
+        // Live operations are stamped with the canonical fork so a revert can find what they wrote
+        const blockInfo = {
+          blockNum: operation.blockNum || 0,
+          blockHash: operation.forkHash || '',
+          timestamp: operation.timestamp || null,
+          forkId: this.forkManager.getCanonicalFork()
+        };
         
         // Transform the raw operation to Dgraph format
-        const transformedOp = await transformer.transformOperation(operation);
+        const transformedOp = await transformer.transformOperation({ ...operation, forkId: blockInfo.forkId });
         
         // Write to Dgraph
         await dgraphClient.writeOperation(transformedOp);
+        transformer.commitBatch();
+
+        // Live operations are the production path, so their events go out as they commit;
+        // the first operation of each block announces it
+        this.publishCommitted(transformedOp, blockInfo, {
+          network: dgraphClient.namespace || null,
+          block: blockInfo.blockNum > this.lastPublishedBlock
+        });
+        this.lastPublishedBlock = Math.max(this.lastPublishedBlock, blockInfo.blockNum);
         
         // Mark operation as processed
         this.processedOperations.add(operationId);
@@ -195,6 +224,10 @@ export class ReplicationQueue {
         
         return { success: true };
       } catch (error) {
+        // A retry must diff against the books the failed operation started from
+        if (transformer) {
+          transformer.discardBatch();
+        }
         this.logger.error('Operation processing failed', {
           error: error.message,
           operation: operation
@@ -277,6 +310,37 @@ export class ReplicationQueue {
     });
   }
 
+  // Long-lived transformer for live operations written through a client
+  operationTransformer(dgraphClient) {
+    if (!this.operationTransformers.has(dgraphClient)) {
+      this.operationTransformers.set(dgraphClient, createDataTransformer(dgraphClient));
+    }
+    return this.operationTransformers.get(dgraphClient);
+  }
+
+  // Drop the order books of every transformer, e.g. after a fork revert
+  discardDerivedState() {
+    this.dataTransformer.discardBatch();
+    for (const transformer of this.operationTransformers.values()) {
+      transformer.discardBatch();
+    }
+  }
+
+  // Notify subscribers about a committed batch; a failing subscriber must not fail the job
+  publishCommitted(transformedOps, blockData, { network = this.dgraph.namespace || null, block = true } = {}) {
+    if (!this.subscriptionHub) {
+      return;
+    }
+    try {
+      this.subscriptionHub.publishBatch(transformedOps, blockData, { network, block });
+    } catch (error) {
+      this.logger.error('Failed to publish subscription events', {
+        error: error.message,
+        blockNum: blockData.blockNum
+      });
+    }
+  }
+
   // Add block replication job
   async addBlockReplication(blockData, operations, priority = 0) {
     const job = await this.queue.add('replicate-block', {
@@ -392,6 +456,9 @@ export class ReplicationQueue {
     
     // Check if this is a write marker
     if (operation.type === 'write_marker') {
+      // Markers carry a block number and time, which anchor the block time index
+      blockTimeIndex.record(operation.blockNum, operation.timestamp);
+
       // Write markers indicate end of a batch
       this.logger.debug('Write marker received', {
         index: operation.index,
@@ -418,6 +485,7 @@ export class ReplicationQueue {
   // Process checkpoint notification from honeycomb
   async processCheckpoint(checkpointData) {
     const { blockNum, hash, prevHash, timestamp, nodeId } = checkpointData;
+    blockTimeIndex.record(blockNum, timestamp);
     
     this.logger.info('Processing checkpoint notification', {
       blockNum,
@@ -0,0 +1,284 @@
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+import { MAX_MESSAGE_AGE } from './hive-signature.js';
+
+const logger = createLogger('share-links');
+
+export const SHARE_LINK_ACTIONS = {
+  CREATE: 'share-link:create',
+  LIST: 'share-link:list',
+  REVOKE: 'share-link:revoke'
+};
+
+export const DEFAULT_SHARE_SECONDS = 7 * 24 * 60 * 60;
+export const MAX_SHARE_SECONDS = 30 * 24 * 60 * 60;
+
+// Encrypted key blobs are opaque to honeygraph; cap them so links stay small
+const MAX_KEY_BLOB_LENGTH = 8192;
+
+const LINK_FIELDS = `
+  uid
+  shareId
+  shareOwner
+  sharePath
+  shareType
+  shareKeyBlob
+  shareSignature
+  shareMessage
+  shareCreatedAt
+  shareExpiresAt
+  shareRevoked
+  shareRevokedAt
+  shareAccessCount
+  shareLastAccessAt
+`;
+
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Signed share link requests already served
+ * A signed message verifies for MAX_MESSAGE_AGE either side of its timestamp, so each
+ * one is remembered until then and a captured request cannot be sent again. Entries
+ * are keyed by account and message rather than signature, which a client could
+ * re-encode without re-signing.
+ */
+export class UsedMessages {
+  constructor(options = {}) {
+    this.maxAge = options.maxAge || MAX_MESSAGE_AGE;
+    this.expiries = new Map(); // sha256 of account and message -> expiry time
+  }
+
+  /**
+   * Record a message as used
+   * @returns {boolean} false when it was used before
+   */
+  use({ account, message }, timestamp, now = Date.now()) {
+    for (const [key, expiresAt] of this.expiries) {
+      if (expiresAt < now) {
+        this.expiries.delete(key);
+      }
+    }
+
+    const key = crypto.createHash('sha256').update(`${account}\n${message}`).digest('hex');
+    if (this.expiries.has(key)) {
+      return false;
+    }
+    this.expiries.set(key, timestamp + this.maxAge);
+    return true;
+  }
+}
+
+/**
+ * Share Links
+ * Time-limited, revocable links to a file or folder in a user's drive.
+ *
+ * Only the sha256 of a link token is stored, so the token in the URL is the credential.
+ * Each link keeps the owner's signed request, an access counter and a trail of
+ * ShareLinkEvent nodes (created, accessed, denied, revoked).
+ */
+export class ShareLinks {
+  constructor(dgraphClient, options = {}) {
+    this.dgraph = dgraphClient;
+    this.maxSeconds = options.maxSeconds || parseInt(process.env.SHARE_LINK_MAX_SECONDS) || MAX_SHARE_SECONDS;
+  }
+
+  /**
+   * Validate the signed create message
+   * @returns {Object} { error, value } where value is { path, expiresIn, keyBlob }
+   */
+  parseCreateMessage(messageData = {}) {
+    if (typeof messageData.path !== 'string' || !messageData.path.startsWith('/')) {
+      return { error: 'path must be an absolute drive path' };
+    }
+    if (messageData.path.split('/').includes('..')) {
+      return { error: 'path must not contain ..' };
+    }
+
+    let expiresIn = DEFAULT_SHARE_SECONDS;
+    if (messageData.expiresIn !== undefined) {
+      expiresIn = parseInt(messageData.expiresIn);
+      if (!Number.isInteger(expiresIn) || expiresIn < 60 || expiresIn > this.maxSeconds) {
+        return { error: `expiresIn must be between 60 and ${this.maxSeconds} seconds` };
+      }
+    }
+
+    const keyBlob = messageData.keyBlob || '';
+    if (typeof keyBlob !== 'string' || keyBlob.length > MAX_KEY_BLOB_LENGTH) {
+      return { error: `keyBlob must be a string of at most ${MAX_KEY_BLOB_LENGTH} characters` };
+    }
+
+    return { value: { path: messageData.path, expiresIn, keyBlob } };
+  }
+
+  event(type, { ip = '', detail = '' } = {}) {
+    return {
+      'dgraph.type': 'ShareLinkEvent',
+      shareEvent: type,
+      shareEventAt: new Date().toISOString(),
+      shareEventIp: ip || '',
+      shareEventDetail: detail
+    };
+  }
+
+  /**
+   * Store a new link
+   * @returns {Object} The stored link plus its token, which is not kept
+   */
+  async create({ owner, path, type, expiresIn, keyBlob, signature, message, ip }) {
+    const token = crypto.randomBytes(24).toString('base64url');
+    const now = Date.now();
+    const link = {
+      uid: '_:share_link',
+      'dgraph.type': 'ShareLink',
+      shareId: crypto.randomBytes(8).toString('hex'),
+      shareTokenHash: hashToken(token),
+      shareOwner: owner,
+      sharePath: path,
+      shareType: type,
+      shareKeyBlob: keyBlob || '',
+      shareSignature: signature,
+      shareMessage: message,
+      shareCreatedAt: new Date(now).toISOString(),
+      shareExpiresAt: new Date(now + expiresIn * 1000).toISOString(),
+      shareRevoked: false,
+      shareAccessCount: 0,
+      shareEvents: [this.event('created', { ip, detail: path })]
+    };
+
+    await this.dgraph.writeOperation([link]);
+    logger.info('Share link created', { owner, path, shareId: link.shareId });
+
+    const stored = { ...link };
+    delete stored.uid;
+    delete stored.shareTokenHash;
+    return { ...this.toJSON(stored), token };
+  }
+
+  async findByToken(token) {
+    const query = `
+      query shareLinkByToken($hash: string) {
+        link(func: eq(shareTokenHash, $hash)) @filter(type(ShareLink)) {
+          ${LINK_FIELDS}
+        }
+      }
+    `;
+    const result = await this.dgraph.query(query, { $hash: hashToken(token) });
+    return result.link?.[0] || null;
+  }
+
+  async findById(owner, id) {
+    const query = `
+      query shareLinkById($owner: string, $id: string) {
+        link(func: eq(shareId, $id)) @filter(type(ShareLink) AND eq(shareOwner, $owner)) {
+          ${LINK_FIELDS}
+        }
+      }
+    `;
+    const result = await this.dgraph.query(query, { $owner: owner, $id: id });
+    return result.link?.[0] || null;
+  }
+
+  async listByOwner(owner) {
+    const query = `
+      query shareLinksByOwner($owner: string) {
+        links(func: eq(shareOwner, $owner), orderdesc: shareCreatedAt) @filter(type(ShareLink)) {
+          ${LINK_FIELDS}
+          shareEvents(orderasc: shareEventAt) {
+            shareEvent
+            shareEventAt
+            shareEventDetail
+          }
+        }
+      }
+    `;
+    const result = await this.dgraph.query(query, { $owner: owner });
+    return (result.links || []).map(link => this.toJSON(link, { includeAudit: true }));
+  }
+
+  /**
+   * active, expired or revoked
+   */
+  status(link, now = Date.now()) {
+    if (link.shareRevoked) {
+      return 'revoked';
+    }
+    if (new Date(link.shareExpiresAt).getTime() <= now) {
+      return 'expired';
+    }
+    return 'active';
+  }
+
+  /**
+   * Count a successful access, or log a denied one
+   */
+  async recordAccess(link, { granted, ip, detail }) {
+    const update = {
+      uid: link.uid,
+      shareEvents: [this.event(granted ? 'accessed' : 'denied', { ip, detail })]
+    };
+    if (granted) {
+      update.shareAccessCount = (link.shareAccessCount || 0) + 1;
+      update.shareLastAccessAt = new Date().toISOString();
+    }
+
+    try {
+      await this.dgraph.writeOperation([update]);
+    } catch (error) {
+      // Serving the listing matters more than the counter
+      logger.warn('Failed to record share link access', { shareId: link.shareId, error: error.message });
+    }
+  }
+
+  async revoke(link, { ip } = {}) {
+    const revokedAt = new Date().toISOString();
+    await this.dgraph.writeOperation([{
+      uid: link.uid,
+      shareRevoked: true,
+      shareRevokedAt: revokedAt,
+      shareEvents: [this.event('revoked', { ip })]
+    }]);
+    logger.info('Share link revoked', { owner: link.shareOwner, shareId: link.shareId });
+    return this.toJSON({ ...link, shareRevoked: true, shareRevokedAt: revokedAt });
+  }
+
+  toJSON(link, { includeAudit = false } = {}) {
+    const json = {
+      id: link.shareId,
+      owner: link.shareOwner,
+      path: link.sharePath,
+      type: link.shareType,
+      createdAt: link.shareCreatedAt,
+      expiresAt: link.shareExpiresAt,
+      status: this.status(link),
+      revokedAt: link.shareRevokedAt || null,
+      accessCount: link.shareAccessCount || 0,
+      lastAccessedAt: link.shareLastAccessAt || null,
+      hasKeyBlob: !!link.shareKeyBlob,
+      signature: link.shareSignature,
+      signedMessage: link.shareMessage
+    };
+
+    if (includeAudit) {
+      const events = Array.isArray(link.shareEvents) ? link.shareEvents : (link.shareEvents ? [link.shareEvents] : []);
+      json.audit = events.map(event => ({
+        event: event.shareEvent,
+        at: event.shareEventAt,
+        detail: event.shareEventDetail || null
+      }));
+    }
+
+    return json;
+  }
+}
+
+// Factory function
+export function createShareLinks(dgraphClient, options = {}) {
+  return new ShareLinks(dgraphClient, options);
+}
+
+// Factory function
+export function createUsedMessages(options = {}) {
+  return new UsedMessages(options);
+}
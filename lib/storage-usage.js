@@ -0,0 +1,228 @@
+import { createLogger } from './logger.js';
+
+const logger = createLogger('storage-usage');
+
+// 30 days of 3 second blocks, the length of a storage contract term
+export const BLOCKS_PER_MONTH = 864000;
+
+// 7 days of 3 second blocks
+export const DEFAULT_EXPIRING_BLOCKS = 201600;
+
+/**
+ * Storage Usage
+ * Answers "what is using my BROCA?" for one account: bytes per top-level folder, MIME type
+ * and contract, purchased vs utilized space, and which contracts are about to expire.
+ *
+ * Contracts are read as DataTransformer stores them: authorized (`a`) is the purchased
+ * bytes, utilized (`u`) the bytes uploaded, and refunded (`r`) the BROCA committed.
+ * Files are grouped under their primary contract, so a CID shared with another
+ * contract is only counted once.
+ */
+export class StorageUsage {
+  constructor(dgraphClient, options = {}) {
+    this.dgraph = dgraphClient;
+    this.defaultExpiringBlocks = options.defaultExpiringBlocks || DEFAULT_EXPIRING_BLOCKS;
+  }
+
+  /**
+   * Normalize and validate request parameters
+   * @returns {Object} { error, value } where value is { expiringWithin }
+   */
+  parseParams(query = {}) {
+    const value = { expiringWithin: this.defaultExpiringBlocks };
+
+    if (query.expiringWithin !== undefined) {
+      const blocks = parseInt(query.expiringWithin);
+      if (!/^\d+$/.test(String(query.expiringWithin)) || blocks < 1) {
+        return { error: `Invalid expiringWithin: ${query.expiringWithin}. Expected a number of blocks` };
+      }
+      value.expiringWithin = blocks;
+    }
+
+    return { value };
+  }
+
+  async resolveOwner(username) {
+    const query = `
+      query getOwner($username: string) {
+        user(func: eq(username, $username)) @filter(type(Account)) {
+          uid
+        }
+      }
+    `;
+    const result = await (this.dgraph.queryGlobal
+      ? this.dgraph.queryGlobal(query, { $username: username })
+      : this.dgraph.query(query, { $username: username }));
+    return result.user?.[0]?.uid || null;
+  }
+
+  async loadContracts(ownerUid) {
+    const query = `
+      query storageUsage($ownerUid: string) {
+        contracts(func: type(StorageContract)) @filter(uid_in(owner, $ownerUid)) {
+          id
+          blockNumber
+          authorized
+          utilized
+          power
+          refunded
+          status
+          statusText
+          expiresBlock
+          files: ~contract @filter(type(ContractFile) AND NOT eq(isDeleted, true)) {
+            cid
+            size
+            mimeType
+            path
+            flags
+          }
+        }
+        latestTransaction(func: type(Transaction), orderdesc: blockNum, first: 1) {
+          blockNum
+        }
+      }
+    `;
+    return this.dgraph.query(query, { $ownerUid: ownerUid });
+  }
+
+  /**
+   * BROCA per 30 days, spreading the committed BROCA over the contract's term
+   * Contracts without a known term are assumed to run one month
+   */
+  brocaPerMonth(contract) {
+    const broca = contract.refunded || 0;
+    const term = (contract.expiresBlock || 0) - (contract.blockNumber || 0);
+    if (!broca || term <= 0) {
+      return broca;
+    }
+    return Math.round((broca * BLOCKS_PER_MONTH) / term);
+  }
+
+  /**
+   * @param {string} username
+   * @param {Object} params - Output of parseParams
+   * @returns {Object|null} null when the user does not exist
+   */
+  async summarize(username, params) {
+    const ownerUid = await this.resolveOwner(username);
+    if (!ownerUid) {
+      return null;
+    }
+
+    const result = await this.loadContracts(ownerUid);
+    const contracts = result.contracts || [];
+
+    // Without a feed transaction yet, the newest contract is the best head estimate
+    const headBlock = result.latestTransaction?.[0]?.blockNum ||
+      Math.max(0, ...contracts.map(contract => contract.blockNumber || 0));
+
+    const byFolder = new Map();
+    const byMimeType = new Map();
+    const add = (map, key, size) => {
+      const entry = map.get(key) || { files: 0, bytes: 0 };
+      entry.files += 1;
+      entry.bytes += size;
+      map.set(key, entry);
+    };
+
+    const totals = {
+      contracts: contracts.length,
+      files: 0,
+      bytes: 0,
+      purchasedBytes: 0,
+      utilizedBytes: 0,
+      broca: 0,
+      brocaPerMonth: 0
+    };
+
+    const contractUsage = contracts.map(contract => {
+      const files = Array.isArray(contract.files) ? contract.files : (contract.files ? [contract.files] : []);
+      let fileBytes = 0;
+
+      for (const file of files) {
+        const size = parseInt(file.size) || 0;
+        const segments = (file.path || '/').split('/').filter(Boolean);
+        fileBytes += size;
+        // Hidden thumbnails (flag 2) are stored and paid for like any other file
+        add(byFolder, segments.length ? `/${segments[0]}` : '/', size);
+        add(byMimeType, file.mimeType || 'application/octet-stream', size);
+      }
+
+      const purchasedBytes = contract.authorized || 0;
+      const utilizedBytes = contract.utilized || 0;
+      const brocaPerMonth = this.brocaPerMonth(contract);
+
+      totals.files += files.length;
+      totals.bytes += fileBytes;
+      totals.purchasedBytes += purchasedBytes;
+      totals.utilizedBytes += utilizedBytes;
+      totals.broca += contract.refunded || 0;
+      totals.brocaPerMonth += brocaPerMonth;
+
+      return {
+        id: contract.id,
+        status: contract.status ?? null,
+        statusText: contract.statusText || null,
+        blockNumber: contract.blockNumber || null,
+        expiresBlock: contract.expiresBlock || null,
+        expiresIn: contract.expiresBlock ? contract.expiresBlock - headBlock : null,
+        power: contract.power || 0,
+        files: files.length,
+        fileBytes,
+        purchasedBytes,
+        utilizedBytes,
+        freeBytes: Math.max(purchasedBytes - utilizedBytes, 0),
+        utilization: purchasedBytes ? utilizedBytes / purchasedBytes : null,
+        broca: contract.refunded || 0,
+        brocaPerMonth
+      };
+    });
+
+    contractUsage.sort((a, b) => b.utilizedBytes - a.utilizedBytes || String(a.id).localeCompare(String(b.id)));
+
+    const expiring = contractUsage
+      .filter(contract => contract.expiresIn !== null && contract.expiresIn > 0 && contract.expiresIn <= params.expiringWithin)
+      .sort((a, b) => a.expiresIn - b.expiresIn);
+
+    const breakdown = (map, keyName) => Array.from(map.entries())
+      .map(([key, entry]) => ({
+        [keyName]: key,
+        ...entry,
+        share: totals.bytes ? entry.bytes / totals.bytes : 0
+      }))
+      .sort((a, b) => b.bytes - a.bytes || a[keyName].localeCompare(b[keyName]));
+
+    logger.debug('Storage usage', { username, contracts: contracts.length, files: totals.files, headBlock });
+
+    return {
+      username,
+      headBlock,
+      totals: {
+        ...totals,
+        freeBytes: Math.max(totals.purchasedBytes - totals.utilizedBytes, 0),
+        utilization: totals.purchasedBytes ? totals.utilizedBytes / totals.purchasedBytes : null
+      },
+      byFolder: breakdown(byFolder, 'folder'),
+      byMimeType: breakdown(byMimeType, 'mimeType'),
+      contracts: contractUsage,
+      expiring: {
+        withinBlocks: params.expiringWithin,
+        count: expiring.length,
+        utilizedBytes: expiring.reduce((sum, contract) => sum + contract.utilizedBytes, 0),
+        brocaPerMonth: expiring.reduce((sum, contract) => sum + contract.brocaPerMonth, 0),
+        contracts: expiring.map(contract => ({
+          id: contract.id,
+          expiresBlock: contract.expiresBlock,
+          expiresIn: contract.expiresIn,
+          files: contract.files,
+          utilizedBytes: contract.utilizedBytes
+        }))
+      }
+    };
+  }
+}
+
+// Factory function
+export function createStorageUsage(dgraphClient, options = {}) {
+  return new StorageUsage(dgraphClient, options);
+}
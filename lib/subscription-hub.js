@@ -0,0 +1,269 @@
+import { EventEmitter } from 'events';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('subscription-hub');
+
+export const SUBSCRIPTION_TOPICS = {
+  BALANCE: 'balanceChanged',
+  TRANSACTION: 'transaction',
+  ORDERBOOK: 'orderbookUpdated',
+  BLOCK: 'newBlock'
+};
+
+// Account predicates written by DataTransformer.transformBalance, with the token each belongs to
+export const BALANCE_FIELDS = {
+  larynxBalance: 'LARYNX',
+  claimableLarynx: 'LARYNX',
+  power: 'LARYNX',
+  spkBalance: 'SPK',
+  claimableSpk: 'SPK',
+  spkPower: 'SPK',
+  liquidBroca: 'BROCA',
+  claimableBroca: 'BROCA',
+  brocaPower: 'BROCA',
+  storageBroca: 'BROCA',
+  validatorBroca: 'BROCA'
+};
+
+// Events buffered per subscriber before the oldest are dropped
+const DEFAULT_MAX_QUEUE = 1000;
+
+/**
+ * Market ids are stored as TOKEN:QUOTE; clients also send TOKEN_QUOTE or TOKEN/QUOTE
+ */
+export function normalizePair(pair) {
+  return String(pair || '').toUpperCase().replace(/[_/-]/g, ':');
+}
+
+function usernameOf(ref, usernames) {
+  if (!ref) {
+    return null;
+  }
+  return typeof ref === 'string' ? ref : ref.username || usernames.get(ref.uid) || null;
+}
+
+/**
+ * Derive subscription events from the mutations of a committed batch
+ * @param {Array} mutations - Objects written by writeBatch (DataTransformer.buildMutations output)
+ * @param {Object} blockInfo - { blockNum, blockHash, forkId, timestamp }
+ * @param {Object} options - { network } namespace the batch was written to; { block: false }
+ *   leaves out newBlock for a write inside a block that was already announced
+ * @returns {Array} [{ topic, payload }]
+ */
+export function eventsFromMutations(mutations = [], blockInfo = {}, { network = null, block = true } = {}) {
+  const blockNum = blockInfo.blockNum || 0;
+  const events = [];
+  const markets = new Map();
+  const market = pair => {
+    if (!markets.has(pair)) {
+      markets.set(pair, { pair, network, blockNum, buyBook: null, sellBook: null, orders: [] });
+    }
+    return markets.get(pair);
+  };
+  // Edges resolved to account uids are named by the batch's Account mutations
+  const usernames = new Map(mutations
+    .filter(mutation => mutation?.['dgraph.type'] === 'Account' && mutation.uid && mutation.username)
+    .map(mutation => [mutation.uid, mutation.username]));
+
+  for (const mutation of mutations) {
+    if (!mutation || typeof mutation !== 'object') {
+      continue;
+    }
+
+    switch (mutation['dgraph.type']) {
+      case 'Account':
+        for (const [field, token] of Object.entries(BALANCE_FIELDS)) {
+          if (mutation[field] !== undefined && mutation.username) {
+            events.push({
+              topic: SUBSCRIPTION_TOPICS.BALANCE,
+              payload: { username: mutation.username, token, field, balance: String(mutation[field]), network, blockNum }
+            });
+          }
+        }
+        break;
+
+      case 'Transaction': {
+        const from = usernameOf(mutation.from, usernames);
+        const to = usernameOf(mutation.to, usernames);
+        events.push({
+          topic: SUBSCRIPTION_TOPICS.TRANSACTION,
+          payload: {
+            id: mutation.id,
+            category: mutation.category || 'UNKNOWN',
+            operationType: mutation.operationType || null,
+            from,
+            to,
+            amount: mutation.amount !== undefined ? String(mutation.amount) : null,
+            token: mutation.token || null,
+            memo: mutation.memo || null,
+            network,
+            blockNum: mutation.blockNum || blockNum,
+            timestamp: mutation.timestamp || null
+          }
+        });
+        break;
+      }
+
+      case 'DexMarket': {
+        const entry = market(normalizePair(mutation.id));
+        entry.buyBook = mutation.buyBook ?? null;
+        entry.sellBook = mutation.sellBook ?? null;
+        break;
+      }
+
+      case 'DexOrder': {
+        const pair = normalizePair(mutation.market?.id || String(mutation.id || '').split(':').slice(0, 2).join(':'));
+        market(pair).orders.push({
+          id: mutation.id,
+          orderType: mutation.orderType || null,
+          rate: String(mutation.rate ?? ''),
+          amount: String(mutation.amount ?? 0),
+          filled: String(mutation.filled ?? 0),
+          remaining: String(mutation.remaining ?? 0),
+          status: mutation.status || null,
+          from: usernameOf(mutation.from, usernames)
+        });
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  for (const entry of markets.values()) {
+    events.push({ topic: SUBSCRIPTION_TOPICS.ORDERBOOK, payload: entry });
+  }
+
+  if (block) {
+    events.push({
+      topic: SUBSCRIPTION_TOPICS.BLOCK,
+      payload: {
+        blockNum,
+        blockHash: blockInfo.blockHash || null,
+        forkId: blockInfo.forkId || null,
+        network,
+        mutationCount: mutations.length,
+        timestamp: blockInfo.timestamp ? new Date(blockInfo.timestamp).toISOString() : new Date().toISOString()
+      }
+    });
+  }
+
+  return events;
+}
+
+/**
+ * Subscription Hub
+ * Fans committed replication batches out to GraphQL subscribers.
+ *
+ * ReplicationQueue publishes only after writeBatch or writeOperation resolves, so a
+ * subscriber that re-queries on an event always reads the state the event describes.
+ */
+export class SubscriptionHub extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.maxQueue = options.maxQueue || DEFAULT_MAX_QUEUE;
+    // One listener per open subscription
+    this.setMaxListeners(0);
+  }
+
+  publish(topic, payload) {
+    this.emit(topic, payload);
+  }
+
+  /**
+   * Publish every event derived from a committed batch
+   * @returns {number} Number of events published
+   */
+  publishBatch(mutations, blockInfo, options = {}) {
+    const events = eventsFromMutations(mutations, blockInfo, options);
+    for (const { topic, payload } of events) {
+      this.publish(topic, payload);
+    }
+    logger.debug('Published batch events', { blockNum: blockInfo?.blockNum, events: events.length });
+    return events.length;
+  }
+
+  /**
+   * Async iterator of { [topic]: payload } for events passing the filter
+   * Slow consumers lose their oldest events rather than growing the queue without bound
+   */
+  subscribe(topic, filter = () => true) {
+    const queue = [];
+    const waiting = [];
+    let done = false;
+
+    const listener = payload => {
+      if (!filter(payload)) {
+        return;
+      }
+      const value = { [topic]: payload };
+      if (waiting.length > 0) {
+        waiting.shift()({ value, done: false });
+        return;
+      }
+      queue.push(value);
+      if (queue.length > this.maxQueue) {
+        queue.shift();
+        logger.warn('Subscriber queue full, dropped oldest event', { topic });
+      }
+    };
+
+    const finish = () => {
+      if (!done) {
+        done = true;
+        this.off(topic, listener);
+        queue.length = 0;
+        while (waiting.length > 0) {
+          waiting.shift()({ value: undefined, done: true });
+        }
+      }
+      return Promise.resolve({ value: undefined, done: true });
+    };
+
+    this.on(topic, listener);
+
+    return {
+      next: () => {
+        if (queue.length > 0) {
+          return Promise.resolve({ value: queue.shift(), done: false });
+        }
+        if (done) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise(resolve => waiting.push(resolve));
+      },
+      return: finish,
+      throw: error => {
+        finish();
+        return Promise.reject(error);
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+  }
+
+  /**
+   * Root value for the Subscription type of schema/honeycomb-api.graphql
+   */
+  rootValue() {
+    return {
+      balanceChanged: ({ username, token }) => this.subscribe(SUBSCRIPTION_TOPICS.BALANCE, event =>
+        event.username === username && (!token || event.token === token.toUpperCase())),
+
+      transaction: ({ username, category }) => this.subscribe(SUBSCRIPTION_TOPICS.TRANSACTION, event =>
+        (event.from === username || event.to === username) && (!category || event.category === category)),
+
+      orderbookUpdated: ({ pair }) => this.subscribe(SUBSCRIPTION_TOPICS.ORDERBOOK, event =>
+        event.pair === normalizePair(pair)),
+
+      newBlock: () => this.subscribe(SUBSCRIPTION_TOPICS.BLOCK)
+    };
+  }
+}
+
+// Factory function
+export function createSubscriptionHub(options = {}) {
+  return new SubscriptionHub(options);
+}
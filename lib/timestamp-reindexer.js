@@ -0,0 +1,149 @@
+import { createLogger } from './logger.js';
+import { blockTimeIndex } from './block-time-index.js';
+import { HIVE_API_NODES } from './hive-signature.js';
+
+const logger = createLogger('timestamp-reindexer');
+
+/**
+ * Block time from a Hive API node; headers carry UTC times without a zone suffix
+ */
+export async function fetchHiveBlockTime(blockNum, nodes = HIVE_API_NODES) {
+  const dhive = await import('@hiveio/dhive');
+  const header = await new dhive.Client(nodes).database.getBlockHeader(blockNum);
+  if (!header?.timestamp) {
+    return null;
+  }
+  return new Date(header.timestamp.endsWith('Z') ? header.timestamp : `${header.timestamp}Z`).toISOString();
+}
+
+/**
+ * Transaction Timestamp Reindexer
+ * Rewrites the timestamp of Transaction nodes written before feed entries carried their
+ * block's time, when every entry was stamped with the time it was imported.
+ *
+ * A block's time comes from the block time index when the block was seen, otherwise
+ * from a Hive API node, and only as a last resort from the index's estimate.
+ */
+export class TransactionTimestampReindexer {
+  /**
+   * @param {Object} dgraphClient - Client for the network's namespace
+   * @param {Object} options - { index, fetchBlockTime, batchSize }; fetchBlockTime: null skips the Hive API
+   */
+  constructor(dgraphClient, options = {}) {
+    this.dgraph = dgraphClient;
+    this.index = options.index || blockTimeIndex;
+    this.fetchBlockTime = options.fetchBlockTime === undefined ? fetchHiveBlockTime : options.fetchBlockTime;
+    this.batchSize = options.batchSize || 1000;
+  }
+
+  async blockTime(blockNum) {
+    if (this.index.has(blockNum)) {
+      return { timestamp: this.index.resolve(blockNum), source: 'index' };
+    }
+
+    if (this.fetchBlockTime) {
+      try {
+        const fetched = await this.fetchBlockTime(blockNum);
+        if (fetched) {
+          this.index.record(blockNum, fetched);
+          return { timestamp: new Date(fetched).toISOString(), source: 'hive' };
+        }
+      } catch (error) {
+        logger.warn('Failed to fetch block time', { blockNum, error: error.message });
+      }
+    }
+
+    const estimate = this.index.resolve(blockNum);
+    return estimate ? { timestamp: estimate, source: 'estimate' } : null;
+  }
+
+  buildQuery({ fromBlock, toBlock }, offset) {
+    const filters = [];
+    const vars = { $first: String(this.batchSize), $offset: String(offset) };
+    const declarations = ['$first: int', '$offset: int'];
+
+    if (fromBlock !== null && fromBlock !== undefined) {
+      declarations.push('$fromBlock: int');
+      vars.$fromBlock = String(fromBlock);
+      filters.push('ge(blockNum, $fromBlock)');
+    }
+    if (toBlock !== null && toBlock !== undefined) {
+      declarations.push('$toBlock: int');
+      vars.$toBlock = String(toBlock);
+      filters.push('le(blockNum, $toBlock)');
+    }
+
+    const query = `
+      query transactionTimes(${declarations.join(', ')}) {
+        transactions(func: type(Transaction), orderasc: blockNum, first: $first, offset: $offset)${filters.length ? ` @filter(${filters.join(' AND ')})` : ''} {
+          uid
+          blockNum
+          timestamp
+        }
+      }
+    `;
+    return { query, vars };
+  }
+
+  /**
+   * Correct timestamps for every Transaction in a block range
+   * @param {Object} options - { fromBlock, toBlock, dryRun, onProgress }
+   * @returns {Object} counts of scanned, updated, unchanged and unresolved transactions, and block times by source
+   */
+  async run({ fromBlock = null, toBlock = null, dryRun = false, onProgress = null } = {}) {
+    const stats = {
+      scanned: 0,
+      updated: 0,
+      unchanged: 0,
+      unresolved: 0,
+      sources: { index: 0, hive: 0, estimate: 0 }
+    };
+    const times = new Map();
+
+    for (let offset = 0; ; offset += this.batchSize) {
+      const { query, vars } = this.buildQuery({ fromBlock, toBlock }, offset);
+      const result = await this.dgraph.query(query, vars);
+      const transactions = result.transactions || [];
+      const updates = [];
+
+      for (const tx of transactions) {
+        stats.scanned++;
+        if (!times.has(tx.blockNum)) {
+          const time = await this.blockTime(tx.blockNum);
+          times.set(tx.blockNum, time);
+          if (time) {
+            stats.sources[time.source]++;
+          }
+        }
+
+        const time = times.get(tx.blockNum);
+        if (!time) {
+          stats.unresolved++;
+        } else if (tx.timestamp && new Date(tx.timestamp).getTime() === new Date(time.timestamp).getTime()) {
+          stats.unchanged++;
+        } else {
+          updates.push({ uid: tx.uid, timestamp: time.timestamp });
+        }
+      }
+
+      if (updates.length > 0 && !dryRun) {
+        await this.dgraph.writeOperation(updates);
+      }
+      stats.updated += updates.length;
+      onProgress?.({ ...stats, blockNum: transactions[transactions.length - 1]?.blockNum || null });
+
+      if (transactions.length < this.batchSize) {
+        break;
+      }
+    }
+
+    await this.index.save();
+    logger.info('Transaction timestamps reindexed', { fromBlock, toBlock, dryRun, ...stats });
+    return stats;
+  }
+}
+
+// Factory function
+export function createTransactionTimestampReindexer(dgraphClient, options = {}) {
+  return new TransactionTimestampReindexer(dgraphClient, options);
+}
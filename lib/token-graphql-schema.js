@@ -0,0 +1,359 @@
+import { GraphQLScalarType, Kind, buildSchema } from 'graphql';
+import { DateTimeScalar, bindResolvers, queryAccounts } from './graphql-resolvers.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('token-graphql-schema');
+
+// Largest page a generated list field returns
+const MAX_PAGE_SIZE = 500;
+
+// Dgraph scalar types and the GraphQL types their predicates are exposed as
+const FIELD_TYPES = {
+  string: 'String',
+  int: 'Long',
+  float: 'Float',
+  bool: 'Boolean',
+  datetime: 'DateTime'
+};
+
+// Filter arguments for predicates with an index eq() can use
+const FILTER_TYPES = {
+  string: { graphql: 'String', dgraph: 'string', indexes: ['exact', 'hash', 'term'] },
+  int: { graphql: 'Int', dgraph: 'int', indexes: ['int'] },
+  float: { graphql: 'Float', dgraph: 'float', indexes: ['float'] },
+  bool: { graphql: 'Boolean', dgraph: 'bool', indexes: ['bool'] }
+};
+
+const GRAPHQL_NAME = /^[_A-Za-z][_0-9A-Za-z]*$/;
+
+// Declared once, whether a schema serves one token or the gateway serves them all
+const SHARED_TYPE_DEFS = `
+scalar DateTime
+scalar Long
+`;
+
+// Dgraph ints are 64-bit; GraphQL Int stops at 2^31
+const LongScalar = new GraphQLScalarType({
+  name: 'Long',
+  description: '64-bit integer, as a JSON number',
+  serialize: (value) => (typeof value === 'string' ? Number(value) : value),
+  parseValue: (value) => Number(value),
+  parseLiteral: (ast) => (ast.kind === Kind.INT ? Number(ast.value) : null)
+});
+
+/**
+ * Predicates and types declared in Dgraph schema text
+ * @param {string} text - Dgraph schema (predicate and type declarations)
+ * @returns {Object} { predicates: Map(name => { type, list, indexes }), types: Map(name => [predicate]) }
+ */
+export function parseDgraphSchema(text) {
+  const predicates = new Map();
+  const types = new Map();
+  const source = text.replace(/#.*$/gm, '');
+
+  const declaration = /^\s*<?([\w.~-]+)>?\s*:\s*(\[?)\s*(\w+)\s*\]?([^\n]*?)\.?\s*$/;
+  const describe = (match) => {
+    const indexMatch = match[4].match(/@index\(([^)]*)\)/);
+    return {
+      type: match[3],
+      list: match[2] === '[',
+      indexes: indexMatch ? indexMatch[1].split(',').map(index => index.trim()) : []
+    };
+  };
+
+  const inline = new Map();
+  const body = source.replace(/type\s+([A-Za-z_][\w]*)\s*\{([^}]*)\}/g, (block, typeName, fields) => {
+    // Some custom schemas declare predicates inside the type block; those count when
+    // the predicate is not declared at the top level as well
+    types.set(typeName, fields.split('\n').map(line => {
+      const match = line.match(declaration);
+      if (match) {
+        inline.set(match[1], describe(match));
+        return match[1];
+      }
+      return line.trim().replace(/^<|>$/g, '');
+    }).filter(Boolean));
+    return '';
+  });
+
+  for (const line of body.split('\n')) {
+    const match = line.match(declaration);
+    if (match) {
+      predicates.set(match[1], describe(match));
+    }
+  }
+  for (const [name, predicate] of inline) {
+    if (!predicates.has(name)) {
+      predicates.set(name, predicate);
+    }
+  }
+
+  return { predicates, types };
+}
+
+// Account => account, SPKStorageContract => spkStorageContract
+function rootFieldName(typeName) {
+  return typeName.replace(/^[A-Z]+?(?=[A-Z][a-z]|$)|^[A-Z]/, (lead) => lead.toLowerCase());
+}
+
+// Token symbols may start with a digit, GraphQL names may not
+function namePrefix(symbol) {
+  return /^[0-9]/.test(symbol) ? `T${symbol}` : symbol;
+}
+
+function gatewayField(symbol) {
+  return namePrefix(symbol).toLowerCase();
+}
+
+/**
+ * GraphQL field names for a type's predicates
+ * "SPKStorageContract.creator" and "op.id" drop their prefix unless that collides
+ * with another field of the type; whatever is left that GraphQL can't name is underscored.
+ */
+function fieldNames(predicateNames) {
+  const used = new Set(['uid', 'dgraphType']);
+  const names = new Map();
+
+  for (const predicate of predicateNames) {
+    const short = predicate.slice(predicate.lastIndexOf('.') + 1).replace(/\W/g, '_');
+    let name = GRAPHQL_NAME.test(short) && !used.has(short) ? short : predicate.replace(/\W/g, '_');
+    if (!GRAPHQL_NAME.test(name)) {
+      name = `_${name}`;
+    }
+    while (used.has(name)) {
+      name = `${name}_`;
+    }
+    used.add(name);
+    names.set(predicate, name);
+  }
+  return names;
+}
+
+function describeType(typeName, predicateNames, predicates) {
+  const names = fieldNames(predicateNames);
+
+  const fields = predicateNames.map(predicate => {
+    const declared = predicates.get(predicate) || { type: 'string', list: false, indexes: [] };
+    const filter = FILTER_TYPES[declared.type];
+    return {
+      predicate,
+      name: names.get(predicate),
+      type: declared.type,
+      list: declared.list,
+      filter: !declared.list && filter && declared.indexes.some(index => filter.indexes.includes(index)) ? filter : null
+    };
+  });
+
+  return { typeName, fields };
+}
+
+function generateTypeDefs(prefix, described) {
+  const objectTypes = described.map(({ typeName, fields }) => {
+    const lines = fields.map(field => {
+      const base = field.type === 'uid' ? `${prefix}_Node` : (FIELD_TYPES[field.type] || 'String');
+      const type = field.list ? `[${base}!]` : base;
+      return `  ${field.name}: ${type}`;
+    });
+    return `type ${prefix}_${typeName} {\n  uid: ID!\n  dgraphType: [String!]\n${lines.join('\n')}\n}`;
+  });
+
+  const rootFields = described.map(({ typeName, fields }) => {
+    const filters = fields.filter(field => field.filter).map(field => `${field.name}: ${field.filter.graphql}`);
+    const lookupArgs = ['uid: ID', ...filters].join(', ');
+    const listArgs = ['first: Int = 20', 'offset: Int = 0', ...filters].join(', ');
+    const root = rootFieldName(typeName);
+    return [
+      `  ${root}(${lookupArgs}): ${prefix}_${typeName}`,
+      `  ${root}List(${listArgs}): [${prefix}_${typeName}!]!`
+    ].join('\n');
+  });
+
+  return [
+    `type ${prefix}_Node {\n  uid: ID!\n  dgraphType: [String!]\n}`,
+    `type ${prefix}_Token {\n  symbol: String!\n  name: String\n  description: String\n  decimals: Int\n  types: [String!]!\n}`,
+    ...objectTypes,
+    `type ${prefix}_Query {\n  token: ${prefix}_Token!\n${rootFields.join('\n')}\n}`
+  ].join('\n\n');
+}
+
+function selectionFor(fields) {
+  return ['uid', 'dgraph.type', ...fields.map(field => (
+    field.type === 'uid' ? `<${field.predicate}> { uid dgraph.type }` : `<${field.predicate}>`
+  ))].join('\n          ');
+}
+
+function generateResolvers(prefix, symbol, config, described, getDgraphClient) {
+  const nodeFields = {
+    uid: (node) => node.uid,
+    dgraphType: (node) => node['dgraph.type'] || null
+  };
+
+  const resolvers = {
+    [`${prefix}_Node`]: nodeFields,
+    [`${prefix}_Query`]: {
+      token: () => ({
+        symbol,
+        name: config.name || null,
+        description: config.description || null,
+        decimals: config.decimals ?? null,
+        types: described.map(({ typeName }) => typeName)
+      })
+    }
+  };
+
+  for (const { typeName, fields } of described) {
+    const typeResolvers = { ...nodeFields };
+    for (const field of fields) {
+      typeResolvers[field.name] = (node) => node[field.predicate] ?? null;
+    }
+    resolvers[`${prefix}_${typeName}`] = typeResolvers;
+
+    const filterFields = fields.filter(field => field.filter);
+    const selection = selectionFor(fields);
+
+    const run = async (args, { uid, page }) => {
+      const declarations = [];
+      const vars = {};
+      const conditions = [`type(${typeName})`];
+
+      filterFields.forEach((field, index) => {
+        if (args[field.name] === undefined || args[field.name] === null) {
+          return;
+        }
+        declarations.push(`$f${index}: ${field.filter.dgraph}`);
+        vars[`$f${index}`] = String(args[field.name]);
+        conditions.push(`eq(<${field.predicate}>, $f${index})`);
+      });
+
+      let root = `func: type(${typeName})`;
+      if (uid) {
+        declarations.push('$uid: string');
+        vars.$uid = String(uid);
+        root = 'func: uid($uid)';
+      }
+      if (page) {
+        declarations.push('$first: int', '$offset: int');
+        vars.$first = String(Math.min(Math.max(parseInt(page.first) || 0, 0), MAX_PAGE_SIZE));
+        vars.$offset = String(Math.max(parseInt(page.offset) || 0, 0));
+        root += ', first: $first, offset: $offset';
+      }
+
+      const query = `
+        query ${prefix}_${typeName}(${declarations.join(', ')}) {
+          nodes(${root}) @filter(${conditions.join(' AND ')}) {
+            ${selection}
+          }
+        }
+      `;
+      const dgraphClient = getDgraphClient(symbol);
+      // Accounts are shared by every token, the rest live in the token's namespace
+      const result = typeName === 'Account'
+        ? await queryAccounts(dgraphClient, query, vars)
+        : await dgraphClient.query(query, vars);
+      return result.nodes || [];
+    };
+
+    resolvers[`${prefix}_Query`][rootFieldName(typeName)] = async (parent, args) => {
+      const hasFilter = filterFields.some(field => args[field.name] !== undefined && args[field.name] !== null);
+      if (!args.uid && !hasFilter) {
+        throw new Error(`${rootFieldName(typeName)} needs uid or one of its filter arguments`);
+      }
+      const [node] = await run(args, { uid: args.uid, page: { first: 1, offset: 0 } });
+      return node || null;
+    };
+
+    resolvers[`${prefix}_Query`][`${rootFieldName(typeName)}List`] = (parent, args) => (
+      run(args, { page: { first: args.first, offset: args.offset } })
+    );
+  }
+
+  return resolvers;
+}
+
+function buildExecutableSchema(typeDefs, resolvers) {
+  return bindResolvers(buildSchema(typeDefs), {
+    DateTime: DateTimeScalar,
+    Long: LongScalar,
+    ...resolvers
+  });
+}
+
+/**
+ * Build a token's GraphQL schema from its Dgraph types
+ * Every Dgraph type becomes <SYMBOL>_<Type>, looked up by uid or any eq()-indexed
+ * predicate, and listed a page at a time. Extension SDL (schema/custom/<token>-api.graphql
+ * or an uploaded schema) is appended, so it can add types or extend <SYMBOL>_Query;
+ * its fields resolve from the parent object.
+ *
+ * @param {Object} options - { symbol, config, dgraphSchema, extensionSDL, getDgraphClient }
+ * @returns {Object} { symbol, rootType, typeDefs, resolvers, schema }
+ * @throws {GraphQLError} when the generated or extension SDL does not build
+ */
+export function createTokenGraphQLSchema({ symbol, config = {}, dgraphSchema, extensionSDL = '', getDgraphClient }) {
+  const prefix = namePrefix(symbol);
+  const { predicates, types } = parseDgraphSchema(dgraphSchema || '');
+
+  const described = Array.from(types.entries())
+    .filter(([typeName]) => GRAPHQL_NAME.test(typeName))
+    .map(([typeName, predicateNames]) => describeType(typeName, predicateNames, predicates));
+
+  const typeDefs = [generateTypeDefs(prefix, described), extensionSDL].filter(Boolean).join('\n\n');
+  const resolvers = generateResolvers(prefix, symbol, config, described, getDgraphClient);
+  const rootType = `${prefix}_Query`;
+
+  const schema = buildExecutableSchema(
+    `${SHARED_TYPE_DEFS}\n${typeDefs}\n\nschema {\n  query: ${rootType}\n}`,
+    resolvers
+  );
+
+  return { symbol, rootType, typeDefs, resolvers, schema };
+}
+
+/**
+ * Gateway schema spanning every token
+ * Each token's root is a field named after it, so one query can read spk { ... }
+ * and larynx { ... } side by side. A token whose extension SDL clashes with another
+ * token's types is left out rather than taking the gateway down.
+ *
+ * @param {Array<Object>} tokenSchemas - results of createTokenGraphQLSchema
+ * @returns {Object} { schema, tokens, skipped }
+ */
+export function createGatewaySchema(tokenSchemas) {
+  const included = [];
+  const skipped = [];
+
+  const build = (entries) => {
+    const rootFields = entries.map(entry => `  ${gatewayField(entry.symbol)}: ${entry.rootType}!`);
+    const typeDefs = [
+      SHARED_TYPE_DEFS,
+      ...entries.map(entry => entry.typeDefs),
+      `type Query {\n  tokens: [String!]!\n${rootFields.join('\n')}\n}`
+    ].join('\n\n');
+
+    const query = { tokens: () => entries.map(entry => entry.symbol) };
+    for (const entry of entries) {
+      query[gatewayField(entry.symbol)] = () => ({});
+    }
+
+    return buildExecutableSchema(
+      typeDefs,
+      Object.assign({}, ...entries.map(entry => entry.resolvers), { Query: query })
+    );
+  };
+
+  for (const entry of tokenSchemas) {
+    try {
+      build([...included, entry]);
+      included.push(entry);
+    } catch (error) {
+      logger.warn('Leaving token out of the GraphQL gateway', { symbol: entry.symbol, error: error.message });
+      skipped.push({ symbol: entry.symbol, error: error.message });
+    }
+  }
+
+  return {
+    schema: build(included),
+    tokens: included.map(entry => entry.symbol),
+    skipped
+  };
+}
@@ -0,0 +1,430 @@
+import { createLogger } from './logger.js';
+import { normalizePair } from './subscription-hub.js';
+
+const logger = createLogger('trading-analytics');
+
+// Order books and fills hold milli-units, feed messages whole units
+const MILLI = 1000;
+
+// Dust left over from floating point when a lot is consumed
+const EPSILON = 1e-9;
+
+function strip(id, namespace) {
+  return namespace && namespace !== 'default' && id.startsWith(namespace) ? id.slice(namespace.length) : id;
+}
+
+function roundUnits(value) {
+  return Math.round(value * MILLI) / MILLI;
+}
+
+function roundRate(rate) {
+  return Math.round(rate * 1e6) / 1e6;
+}
+
+function detailsOf(transaction) {
+  const details = transaction.dexDetails;
+  return Array.isArray(details) ? details[0] || null : details || null;
+}
+
+/**
+ * Trades the user took from the book, as their Bought/Sold feed lines
+ * The feed records no fee for them
+ */
+function takerTrade(transaction, namespace) {
+  const details = detailsOf(transaction);
+  const amount = Number(details?.tokenAmount) || 0;
+  const quote = Number(details?.quoteAmount) || 0;
+  if (!details?.token || !details.quoteCurrency || amount <= 0 || quote <= 0) {
+    return null;
+  }
+  return {
+    id: strip(transaction.id, namespace),
+    role: 'taker',
+    market: `${String(details.token).toUpperCase()}:${String(details.quoteCurrency).toUpperCase()}`,
+    side: details.tradeType,
+    blockNum: transaction.blockNum || 0,
+    timestamp: transaction.timestamp || null,
+    amount,
+    quote,
+    fee: 0
+  };
+}
+
+/**
+ * Fills of the user's resting orders; the order's fee is spread over its fills
+ */
+function makerTrade(fill, namespace) {
+  const id = strip(fill.id, namespace);
+  const amount = Number(fill.amount) || 0;
+  if (amount <= 0) {
+    return null;
+  }
+  const rate = Number(fill.rate) || 0;
+  const order = Array.isArray(fill.order) ? fill.order[0] : fill.order;
+  const orderAmount = (Number(order?.filled) || 0) + (Number(order?.remaining ?? order?.amount) || 0);
+  const fee = orderAmount > 0 ? (Number(order.fee) || 0) * Math.min(amount / orderAmount, 1) : 0;
+  return {
+    id,
+    role: 'maker',
+    market: id.split(':').slice(0, 2).join(':'),
+    side: fill.orderType,
+    blockNum: fill.blockNum || 0,
+    timestamp: fill.timestamp || null,
+    amount: amount / MILLI,
+    quote: (Number(fill.quoteAmount) || Math.round(amount * rate)) / MILLI,
+    fee: fee / MILLI
+  };
+}
+
+function emptyMarket(market) {
+  const [token, quoteCurrency] = market.split(':');
+  return {
+    market,
+    token,
+    quoteCurrency,
+    trades: 0,
+    buys: 0,
+    sells: 0,
+    buyVolume: 0,
+    sellVolume: 0,
+    buyQuote: 0,
+    sellQuote: 0,
+    fees: 0,
+    realizedPnl: 0,
+    wins: 0,
+    losses: 0,
+    unmatchedSellAmount: 0,
+    lots: []
+  };
+}
+
+/**
+ * Trading Analytics
+ * Realized and unrealized P&L per market from a user's DEX trades, taken (feed
+ * transactions) and made (order fills), with FIFO cost lots. Lots are built from the
+ * whole history so trades inside a date range are matched against earlier buys.
+ */
+export class TradingAnalytics {
+  constructor(dgraphClient, options = {}) {
+    this.dgraph = dgraphClient;
+    this.namespace = options.namespace ?? dgraphClient?.namespace;
+    this.batchSize = options.batchSize || 1000;
+  }
+
+  /**
+   * Normalize request parameters
+   * @returns {Object} { error, value } where value is { market, from, to }
+   */
+  parseParams(query = {}) {
+    const value = { market: null, from: null, to: null };
+
+    if (query.market) {
+      value.market = normalizePair(query.market);
+      if (!/^[A-Z0-9]+:(HIVE|HBD)$/.test(value.market)) {
+        return { error: `Invalid market: ${query.market}. Expected TOKEN:HIVE or TOKEN:HBD` };
+      }
+    }
+
+    for (const key of ['from', 'to']) {
+      if (query[key] !== undefined) {
+        const date = new Date(query[key]);
+        if (isNaN(date.getTime())) {
+          return { error: `Invalid ${key}: ${query[key]}. Expected an ISO 8601 date` };
+        }
+        value[key] = date.toISOString();
+      }
+    }
+    if (value.from && value.to && value.from > value.to) {
+      return { error: 'from must not be after to' };
+    }
+
+    return { value };
+  }
+
+  async resolveAccount(username) {
+    const query = `
+      query getAccount($username: string) {
+        user(func: eq(username, $username)) @filter(type(Account)) {
+          uid
+        }
+      }
+    `;
+    const result = await (this.dgraph.queryGlobal
+      ? this.dgraph.queryGlobal(query, { $username: username })
+      : this.dgraph.query(query, { $username: username }));
+    return result.user?.[0]?.uid || null;
+  }
+
+  /**
+   * Every row of one trade source, oldest first, read batchSize at a time from the
+   * last (blockNum, id) seen; rows are reached from the account over a reverse edge
+   */
+  async readSource(name, edge, filter, fields, accountUid) {
+    const rows = [];
+    let after = null;
+    for (;;) {
+      const vars = { $accountUid: accountUid, $first: String(this.batchSize) };
+      let position = '';
+      if (after) {
+        vars.$afterBlock = String(after.blockNum);
+        vars.$afterId = after.id;
+        position = ' @filter(gt(blockNum, $afterBlock) OR (eq(blockNum, $afterBlock) AND gt(id, $afterId)))';
+      }
+
+      const result = await this.dgraph.query(`
+        query ${name}($accountUid: string, $first: int${after ? ', $afterBlock: int, $afterId: string' : ''}) {
+          var(func: uid($accountUid)) {
+            source as ${edge} @filter(${filter})
+          }
+          rows(func: uid(source), orderasc: blockNum, orderasc: id, first: $first)${position} {
+            ${fields}
+          }
+        }
+      `, vars);
+
+      const batch = result.rows || [];
+      rows.push(...batch);
+      if (batch.length < this.batchSize) {
+        return rows;
+      }
+      after = batch[batch.length - 1];
+    }
+  }
+
+  /**
+   * Taken and made trades of an account in block order, one per id
+   */
+  async loadTrades(accountUid) {
+    const taken = await this.readSource('userTakenTrades', '~from', 'type(Transaction) AND eq(category, "DEX_TRADE")', `
+            id
+            blockNum
+            timestamp
+            dexDetails {
+              tradeType
+              token
+              tokenAmount
+              quoteCurrency
+              quoteAmount
+            }`, accountUid);
+    const made = await this.readSource('userMadeTrades', '~maker', 'type(OrderFill)', `
+            id
+            blockNum
+            timestamp
+            orderType
+            rate
+            amount
+            quoteAmount
+            order {
+              fee
+              amount
+              filled
+              remaining
+            }`, accountUid);
+    const result = await this.dgraph.query(`
+      {
+        markets(func: type(DexMarket)) {
+          id
+          tick
+        }
+      }
+    `);
+
+    const trades = new Map();
+    for (const transaction of taken) {
+      const trade = takerTrade(transaction, this.namespace);
+      if (trade && !trades.has(trade.id)) {
+        trades.set(trade.id, trade);
+      }
+    }
+    for (const fill of made) {
+      const trade = makerTrade(fill, this.namespace);
+      if (trade && !trades.has(trade.id)) {
+        trades.set(trade.id, trade);
+      }
+    }
+
+    // Honeycomb's tick is the market's last traded rate
+    const marks = new Map();
+    for (const market of result.markets || []) {
+      const id = strip(market.id, this.namespace);
+      if (!marks.has(id) && Number(market.tick) > 0) {
+        marks.set(id, Number(market.tick));
+      }
+    }
+
+    return {
+      trades: Array.from(trades.values())
+        .filter(trade => trade.side === 'BUY' || trade.side === 'SELL')
+        .sort((a, b) => a.blockNum - b.blockNum || a.id.localeCompare(b.id)),
+      marks
+    };
+  }
+
+  /**
+   * Run one trade through its market's FIFO lots; only trades inside the range count
+   * toward volume, fees and realized P&L
+   */
+  applyTrade(state, trade, inRange) {
+    const price = trade.quote / trade.amount;
+
+    if (trade.side === 'BUY') {
+      // A buy's fee is part of what the lot cost
+      state.lots.push({ amount: trade.amount, cost: trade.quote + trade.fee * price });
+    } else {
+      let remaining = trade.amount;
+      let cost = 0;
+      while (remaining > EPSILON && state.lots.length > 0) {
+        const lot = state.lots[0];
+        const taken = Math.min(lot.amount, remaining);
+        const lotCost = lot.cost * taken / lot.amount;
+        cost += lotCost;
+        lot.cost -= lotCost;
+        lot.amount -= taken;
+        remaining -= taken;
+        if (lot.amount <= EPSILON) {
+          state.lots.shift();
+        }
+      }
+
+      if (inRange) {
+        // Tokens sold beyond the recorded buys came from transfers or claims: no known cost
+        const matched = trade.amount - Math.max(remaining, 0);
+        if (matched > EPSILON) {
+          const pnl = (trade.quote - trade.fee * price) * matched / trade.amount - cost;
+          state.realizedPnl += pnl;
+          if (pnl > 0) {
+            state.wins += 1;
+          } else {
+            state.losses += 1;
+          }
+        }
+        if (remaining > EPSILON) {
+          state.unmatchedSellAmount += remaining;
+        }
+      }
+    }
+
+    if (!inRange) {
+      return;
+    }
+    state.trades += 1;
+    state.fees += trade.fee;
+    if (trade.side === 'BUY') {
+      state.buys += 1;
+      state.buyVolume += trade.amount;
+      state.buyQuote += trade.quote;
+    } else {
+      state.sells += 1;
+      state.sellVolume += trade.amount;
+      state.sellQuote += trade.quote;
+    }
+  }
+
+  summarizeMarket(state, markPrice) {
+    const position = state.lots.reduce((sum, lot) => sum + lot.amount, 0);
+    const costBasis = state.lots.reduce((sum, lot) => sum + lot.cost, 0);
+    const value = markPrice !== null ? position * markPrice : null;
+    const closed = state.wins + state.losses;
+
+    return {
+      market: state.market,
+      token: state.token,
+      quoteCurrency: state.quoteCurrency,
+      trades: state.trades,
+      buys: state.buys,
+      sells: state.sells,
+      volume: {
+        token: roundUnits(state.buyVolume + state.sellVolume),
+        quote: roundUnits(state.buyQuote + state.sellQuote),
+        bought: roundUnits(state.buyVolume),
+        sold: roundUnits(state.sellVolume)
+      },
+      avgBuyPrice: state.buyVolume > 0 ? roundRate(state.buyQuote / state.buyVolume) : null,
+      avgSellPrice: state.sellVolume > 0 ? roundRate(state.sellQuote / state.sellVolume) : null,
+      fees: roundUnits(state.fees),
+      realizedPnl: roundUnits(state.realizedPnl),
+      unrealizedPnl: value !== null ? roundUnits(value - costBasis) : null,
+      wins: state.wins,
+      losses: state.losses,
+      winRate: closed > 0 ? Math.round(state.wins / closed * 10000) / 100 : null,
+      position: {
+        amount: roundUnits(position),
+        costBasis: roundUnits(costBasis),
+        avgCost: position > EPSILON ? roundRate(costBasis / position) : null,
+        markPrice,
+        value: value !== null ? roundUnits(value) : null
+      },
+      unmatchedSellAmount: roundUnits(state.unmatchedSellAmount)
+    };
+  }
+
+  /**
+   * P&L, volume, fees and win rate per market, with totals per quote currency
+   * @param {string} username
+   * @param {Object} params - Output of parseParams
+   * @returns {Object|null} null when the user does not exist
+   */
+  async report(username, params) {
+    const accountUid = await this.resolveAccount(username);
+    if (!accountUid) {
+      return null;
+    }
+
+    const { trades, marks } = await this.loadTrades(accountUid);
+    // Stored timestamps are not all in one ISO form, so they are compared as times
+    const from = params.from ? Date.parse(params.from) : null;
+    const to = params.to ? Date.parse(params.to) : null;
+    const states = new Map();
+    for (const trade of trades) {
+      if (params.market && trade.market !== params.market) {
+        continue;
+      }
+      const time = trade.timestamp ? Date.parse(trade.timestamp) : NaN;
+      // Later trades cannot change the cost of lots sold within the range
+      if (to !== null && time > to) {
+        continue;
+      }
+      if (!states.has(trade.market)) {
+        states.set(trade.market, emptyMarket(trade.market));
+      }
+      const inRange = from === null || isNaN(time) || time >= from;
+      this.applyTrade(states.get(trade.market), trade, inRange);
+    }
+
+    const markets = Array.from(states.values())
+      .map(state => this.summarizeMarket(state, marks.get(state.market) ?? null))
+      .sort((a, b) => a.market.localeCompare(b.market));
+
+    // Quote currencies are never added together
+    const totals = {};
+    for (const market of markets) {
+      const total = totals[market.quoteCurrency] || (totals[market.quoteCurrency] = {
+        trades: 0, volume: 0, realizedPnl: 0, unrealizedPnl: 0, wins: 0, losses: 0
+      });
+      total.trades += market.trades;
+      total.volume = roundUnits(total.volume + market.volume.quote);
+      total.realizedPnl = roundUnits(total.realizedPnl + market.realizedPnl);
+      total.unrealizedPnl = roundUnits(total.unrealizedPnl + (market.unrealizedPnl || 0));
+      total.wins += market.wins;
+      total.losses += market.losses;
+    }
+    for (const total of Object.values(totals)) {
+      const closed = total.wins + total.losses;
+      total.winRate = closed > 0 ? Math.round(total.wins / closed * 10000) / 100 : null;
+    }
+
+    logger.debug('Trading report', { username, trades: trades.length, markets: markets.length });
+
+    return {
+      username,
+      filters: { market: params.market, from: params.from, to: params.to },
+      totals,
+      markets
+    };
+  }
+}
+
+// Factory function
+export function createTradingAnalytics(dgraphClient, options = {}) {
+  return new TradingAnalytics(dgraphClient, options);
+}
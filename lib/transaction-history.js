@@ -0,0 +1,442 @@
+import { createLogger } from './logger.js';
+import { FEED_CATEGORIES } from './feed-parser.js';
+
+const logger = createLogger('transaction-history');
+
+export const EXPORT_FORMATS = ['json', 'csv'];
+
+const CSV_COLUMNS = [
+  'id', 'blockNum', 'timestamp', 'category', 'operationType', 'direction',
+  'counterparty', 'amount', 'token', 'quoteAmount', 'quoteCurrency', 'memo'
+];
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+function usernameOf(account) {
+  return account?.username || null;
+}
+
+function parseBlock(value) {
+  const block = Number(value);
+  return Number.isInteger(block) && block >= 0 ? block : null;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  // Spreadsheets run text starting with these as a formula; memos are user-written
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Cursors are opaque to clients: the block and id of the last entry on the page
+ */
+export function encodeCursor(entry) {
+  return Buffer.from(`${entry.blockNum}:${entry.id}`, 'utf8').toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  const decoded = Buffer.from(String(cursor), 'base64url').toString('utf8');
+  const separator = decoded.indexOf(':');
+  const blockNum = parseBlock(decoded.slice(0, separator));
+  if (separator === -1 || blockNum === null) {
+    return null;
+  }
+  return { blockNum, id: decoded.slice(separator + 1) };
+}
+
+/**
+ * Transaction History
+ * Lists the Transaction nodes parsed from the feed that a user sent, received or
+ * initiated, newest first, with per-token totals over the whole filtered range so an
+ * export for a tax year balances without paging through it.
+ */
+export class TransactionHistory {
+  constructor(dgraphClient, options = {}) {
+    this.dgraph = dgraphClient;
+    this.batchSize = options.batchSize || 1000;
+  }
+
+  /**
+   * Normalize and validate request parameters
+   * @returns {Object} { error, value } where value holds the filters, limit, cursor and format
+   */
+  parseParams(query = {}) {
+    const value = {
+      categories: [],
+      operationType: null,
+      token: null,
+      counterparty: null,
+      fromBlock: null,
+      toBlock: null,
+      from: null,
+      to: null,
+      limit: DEFAULT_LIMIT,
+      cursor: null,
+      format: 'json'
+    };
+
+    if (query.category !== undefined) {
+      const categories = String(query.category).split(',').map(category => category.trim().toUpperCase()).filter(Boolean);
+      const unknown = categories.find(category => !FEED_CATEGORIES.includes(category));
+      if (unknown || categories.length === 0) {
+        return { error: `Invalid category: ${unknown || query.category}. Expected one of ${FEED_CATEGORIES.join(', ')}` };
+      }
+      value.categories = categories;
+    }
+
+    if (query.operationType) {
+      value.operationType = String(query.operationType);
+    }
+    if (query.token) {
+      value.token = String(query.token).toUpperCase();
+    }
+    if (query.counterparty) {
+      value.counterparty = String(query.counterparty).replace(/^@/, '').toLowerCase();
+    }
+
+    for (const key of ['fromBlock', 'toBlock']) {
+      if (query[key] !== undefined) {
+        const block = parseBlock(query[key]);
+        if (block === null) {
+          return { error: `Invalid ${key}: ${query[key]}` };
+        }
+        value[key] = block;
+      }
+    }
+    if (value.fromBlock !== null && value.toBlock !== null && value.fromBlock > value.toBlock) {
+      return { error: 'fromBlock must not be after toBlock' };
+    }
+
+    for (const key of ['from', 'to']) {
+      if (query[key] !== undefined) {
+        const date = new Date(query[key]);
+        if (isNaN(date.getTime())) {
+          return { error: `Invalid ${key}: ${query[key]}. Expected an ISO 8601 date` };
+        }
+        value[key] = date.toISOString();
+      }
+    }
+    if (value.from && value.to && value.from > value.to) {
+      return { error: 'from must not be after to' };
+    }
+
+    if (query.limit !== undefined) {
+      value.limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    }
+
+    if (query.cursor !== undefined) {
+      value.cursor = decodeCursor(query.cursor);
+      if (!value.cursor) {
+        return { error: `Invalid cursor: ${query.cursor}` };
+      }
+    }
+
+    if (query.format !== undefined) {
+      const format = String(query.format).toLowerCase();
+      if (!EXPORT_FORMATS.includes(format)) {
+        return { error: `Invalid format: ${query.format}. Expected one of ${EXPORT_FORMATS.join(', ')}` };
+      }
+      value.format = format;
+    }
+
+    return { value };
+  }
+
+  async resolveAccount(username) {
+    const query = `
+      query getAccount($username: string) {
+        user(func: eq(username, $username)) @filter(type(Account)) {
+          uid
+        }
+      }
+    `;
+    const result = await (this.dgraph.queryGlobal
+      ? this.dgraph.queryGlobal(query, { $username: username })
+      : this.dgraph.query(query, { $username: username }));
+    return result.user?.[0]?.uid || null;
+  }
+
+  /**
+   * Transactions are reached from the account over ~from and ~to. Category, operation
+   * type and block/date ranges are filtered in Dgraph; token and counterparty live in
+   * category-specific fields and are matched after mapping.
+   * Ordered by block then id, both descending, so a batch resumes after the given
+   * { blockNum, id } position.
+   */
+  buildQuery(params, accountUid, after = null) {
+    const filters = [];
+    const vars = {
+      $accountUid: accountUid,
+      $first: String(this.batchSize)
+    };
+    const declarations = ['$accountUid: string', '$first: int'];
+
+    if (after) {
+      declarations.push('$afterBlock: int', '$afterId: string');
+      vars.$afterBlock = String(after.blockNum);
+      vars.$afterId = after.id;
+      filters.push('(lt(blockNum, $afterBlock) OR (eq(blockNum, $afterBlock) AND lt(id, $afterId)))');
+    }
+
+    if (params.categories.length > 0) {
+      filters.push(`(${params.categories.map(category => `eq(category, "${category}")`).join(' OR ')})`);
+    }
+    if (params.operationType) {
+      declarations.push('$operationType: string');
+      vars.$operationType = params.operationType;
+      filters.push('eq(operationType, $operationType)');
+    }
+    if (params.fromBlock !== null) {
+      declarations.push('$fromBlock: int');
+      vars.$fromBlock = String(params.fromBlock);
+      filters.push('ge(blockNum, $fromBlock)');
+    }
+    if (params.toBlock !== null) {
+      declarations.push('$toBlock: int');
+      vars.$toBlock = String(params.toBlock);
+      filters.push('le(blockNum, $toBlock)');
+    }
+    if (params.from) {
+      declarations.push('$fromTime: string');
+      vars.$fromTime = params.from;
+      filters.push('ge(timestamp, $fromTime)');
+    }
+    if (params.to) {
+      declarations.push('$toTime: string');
+      vars.$toTime = params.to;
+      filters.push('le(timestamp, $toTime)');
+    }
+
+    const query = `
+      query getTransactions(${declarations.join(', ')}) {
+        var(func: uid($accountUid)) {
+          sent as ~from @filter(type(Transaction))
+          received as ~to @filter(type(Transaction))
+        }
+        transactions(func: uid(sent, received), orderdesc: blockNum, orderdesc: id, first: $first)${filters.length > 0 ? ` @filter(${filters.join(' AND ')})` : ''} {
+          id
+          blockNum
+          txId
+          operationType
+          category
+          memo
+          timestamp
+          amount
+          token
+          from {
+            username
+          }
+          to {
+            username
+          }
+          dexDetails {
+            orderType
+            tradeType
+            token
+            tokenAmount
+            quoteCurrency
+            quoteAmount
+          }
+          nftDetails {
+            nftId
+            from
+            to
+            amount
+            token
+          }
+          powerDetails {
+            amount
+            token
+          }
+        }
+      }
+    `;
+
+    return { query, vars };
+  }
+
+  /**
+   * Map a Transaction node to a history entry from the user's point of view
+   */
+  toEntry(tx, username) {
+    const from = usernameOf(tx.from) || tx.nftDetails?.from || null;
+    const to = usernameOf(tx.to) || tx.nftDetails?.to || null;
+
+    let direction = null;
+    if (from === username && to && to !== username) {
+      direction = 'out';
+    } else if (to === username && from !== username) {
+      direction = 'in';
+    } else if (from === username) {
+      direction = 'self';
+    }
+
+    const dex = tx.dexDetails;
+    return {
+      id: tx.id,
+      blockNum: tx.blockNum,
+      txId: tx.txId || null,
+      timestamp: tx.timestamp || null,
+      category: tx.category || 'UNKNOWN',
+      operationType: tx.operationType || null,
+      direction,
+      from,
+      to,
+      counterparty: direction === 'out' ? to : direction === 'in' ? from : null,
+      amount: tx.amount ?? dex?.tokenAmount ?? tx.powerDetails?.amount ?? tx.nftDetails?.amount ?? null,
+      token: (tx.token || dex?.token || tx.powerDetails?.token || tx.nftDetails?.token || '').toUpperCase() || null,
+      quoteAmount: dex?.quoteAmount ?? null,
+      quoteCurrency: dex?.quoteCurrency || null,
+      memo: tx.memo || ''
+    };
+  }
+
+  /**
+   * Add an entry to per-token totals. Sent and received are token transfers; fees are
+   * tokens burned promoting content, the only charge the feed records; claims are
+   * reward claims.
+   */
+  tally(byToken, entry) {
+    if (!entry.token || typeof entry.amount !== 'number') {
+      return;
+    }
+
+    let bucket = null;
+    if (entry.category === 'TOKEN_TRANSFER' && entry.direction === 'out') {
+      bucket = 'sent';
+    } else if (entry.category === 'TOKEN_TRANSFER' && entry.direction === 'in') {
+      bucket = 'received';
+    } else if (entry.category === 'PROMOTION') {
+      bucket = 'fees';
+    } else if (entry.category === 'TOKEN_CLAIM') {
+      bucket = 'claims';
+    }
+    if (!bucket) {
+      return;
+    }
+
+    const totals = byToken[entry.token] || (byToken[entry.token] = { sent: 0, received: 0, fees: 0, claims: 0 });
+    totals[bucket] += entry.amount;
+  }
+
+  /**
+   * Finish per-token totals with what each token nets the user
+   */
+  withNet(byToken) {
+    for (const totals of Object.values(byToken)) {
+      totals.net = totals.received + totals.claims - totals.sent - totals.fees;
+    }
+    return byToken;
+  }
+
+  /**
+   * Read matching entries in Dgraph order, batch by batch, starting after a position
+   * @param {Function} visit - Called with each entry; returning false stops the scan
+   */
+  async scan(params, accountUid, username, after, visit) {
+    let position = after;
+    for (;;) {
+      const { query, vars } = this.buildQuery(params, accountUid, position);
+      const result = await this.dgraph.query(query, vars);
+      const transactions = result.transactions || [];
+
+      for (const tx of transactions) {
+        const entry = this.toEntry(tx, username);
+        if (params.token && entry.token !== params.token) {
+          continue;
+        }
+        if (params.counterparty && entry.counterparty !== params.counterparty) {
+          continue;
+        }
+        if (visit(entry) === false) {
+          return;
+        }
+      }
+
+      if (transactions.length < this.batchSize) {
+        return;
+      }
+      const last = transactions[transactions.length - 1];
+      position = { blockNum: last.blockNum, id: last.id };
+    }
+  }
+
+  /**
+   * List a user's transactions. Total and summary cover the whole filtered range and
+   * come with the first page, tallied in the same pass that reads it; pages after a
+   * cursor leave them null.
+   * @param {string} username
+   * @param {Object} params - Output of parseParams
+   * @returns {Object|null} null when the user does not exist
+   */
+  async list(username, params) {
+    const accountUid = await this.resolveAccount(username);
+    if (!accountUid) {
+      return null;
+    }
+
+    // Exports take everything after the cursor so a date range downloads in one file
+    const limit = params.format === 'csv' ? Infinity : params.limit;
+    const page = [];
+    let hasMore = false;
+    let total = params.cursor ? null : 0;
+    let summary = params.cursor ? null : {};
+    await this.scan(params, accountUid, username, params.cursor, entry => {
+      if (summary) {
+        total++;
+        this.tally(summary, entry);
+      }
+      if (page.length < limit) {
+        page.push(entry);
+        return true;
+      }
+      hasMore = true;
+      // Past the page, only the first page's totals need the rest of the range
+      return summary !== null;
+    });
+    if (summary) {
+      summary = this.withNet(summary);
+    }
+
+    logger.debug('Transaction history', { username, total, returned: page.length });
+
+    return {
+      username,
+      filters: {
+        category: params.categories,
+        operationType: params.operationType,
+        token: params.token,
+        counterparty: params.counterparty,
+        fromBlock: params.fromBlock,
+        toBlock: params.toBlock,
+        from: params.from,
+        to: params.to
+      },
+      total,
+      summary,
+      limit: params.limit,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      transactions: page
+    };
+  }
+
+  /**
+   * CSV export of history entries, one row per transaction
+   */
+  toCSV(entries) {
+    const rows = entries.map(entry => CSV_COLUMNS.map(column => csvCell(entry[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+}
+
+// Factory function
+export function createTransactionHistory(dgraphClient, options = {}) {
+  return new TransactionHistory(dgraphClient, options);
+}
@@ -0,0 +1,234 @@
+import { createLogger } from './logger.js';
+
+const logger = createLogger('trash-bin');
+
+// Reasons recorded by DataTransformer.removeFilesFromPaths
+export const DELETE_REASONS = ['storageFileDelete', 'storageCancel', 'expiry'];
+
+// 30 days of 3 second blocks
+export const DEFAULT_TRASH_BLOCKS = 864000;
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+/**
+ * Trash Bin
+ * Lists ContractFile nodes a user lost within the last N blocks, with the path they were
+ * removed from, the deleting block and the reason, so they can be re-uploaded.
+ *
+ * Only deletions recorded with a deletedBlock are listed; files removed before the
+ * block was tracked are still hidden from listings but cannot be placed in a window.
+ */
+export class TrashBin {
+  constructor(dgraphClient, options = {}) {
+    this.dgraph = dgraphClient;
+    this.defaultBlocks = options.defaultBlocks || parseInt(process.env.TRASH_WINDOW_BLOCKS) || DEFAULT_TRASH_BLOCKS;
+    this.candidateLimit = options.candidateLimit || 5000;
+  }
+
+  /**
+   * Normalize and validate request parameters
+   * @returns {Object} { error, value } where value is { blocks, reason, limit, offset }
+   */
+  parseParams(query = {}) {
+    const value = {
+      blocks: this.defaultBlocks,
+      reason: null,
+      limit: DEFAULT_LIMIT,
+      offset: 0
+    };
+
+    if (query.blocks !== undefined) {
+      const blocks = parseInt(query.blocks);
+      if (!Number.isInteger(blocks) || blocks < 1) {
+        return { error: `Invalid blocks: ${query.blocks}` };
+      }
+      value.blocks = blocks;
+    }
+
+    if (query.reason !== undefined) {
+      if (!DELETE_REASONS.includes(query.reason)) {
+        return { error: `Invalid reason: ${query.reason}. Expected one of ${DELETE_REASONS.join(', ')}` };
+      }
+      value.reason = query.reason;
+    }
+
+    if (query.limit !== undefined) {
+      value.limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    }
+    if (query.offset !== undefined) {
+      value.offset = Math.max(parseInt(query.offset) || 0, 0);
+    }
+
+    return { value };
+  }
+
+  async resolveOwner(username) {
+    const query = `
+      query getOwner($username: string) {
+        user(func: eq(username, $username)) @filter(type(Account)) {
+          uid
+        }
+      }
+    `;
+    const result = await (this.dgraph.queryGlobal
+      ? this.dgraph.queryGlobal(query, { $username: username })
+      : this.dgraph.query(query, { $username: username }));
+    return result.user?.[0]?.uid || null;
+  }
+
+  /**
+   * Newest block the index has seen, from the feed or from recorded deletions
+   */
+  async resolveHeadBlock() {
+    const query = `
+      query headBlock {
+        latestTransaction(func: type(Transaction), orderdesc: blockNum, first: 1) {
+          blockNum
+        }
+        latestDeletion(func: has(deletedBlock), orderdesc: deletedBlock, first: 1) {
+          deletedBlock
+        }
+      }
+    `;
+    const result = await this.dgraph.query(query);
+    return Math.max(
+      result.latestTransaction?.[0]?.blockNum || 0,
+      result.latestDeletion?.[0]?.deletedBlock || 0
+    );
+  }
+
+  buildQuery(params, ownerUid, sinceBlock) {
+    const filters = ['type(ContractFile)', 'eq(isDeleted, true)', 'uid(ownedFiles)'];
+    const vars = {
+      $ownerUid: ownerUid,
+      $sinceBlock: String(sinceBlock),
+      $first: String(this.candidateLimit)
+    };
+    const declarations = ['$ownerUid: string', '$sinceBlock: int', '$first: int'];
+
+    if (params.reason) {
+      declarations.push('$reason: string');
+      vars.$reason = params.reason;
+      filters.push('eq(deleteReason, $reason)');
+    }
+
+    const query = `
+      query getTrash(${declarations.join(', ')}) {
+        var(func: type(StorageContract)) @filter(uid_in(owner, $ownerUid)) {
+          ownedFiles as ~contract
+        }
+        files(func: ge(deletedBlock, $sinceBlock), orderdesc: deletedBlock, first: $first) @filter(${filters.join(' AND ')}) {
+          uid
+          cid
+          name
+          extension
+          size
+          mimeType
+          thumbnail
+          flags
+          path
+          deletedBlock
+          deletedAt
+          deleteReason
+          contract {
+            id
+            blockNumber
+            status
+            expiresBlock
+          }
+        }
+      }
+    `;
+
+    return { query, vars };
+  }
+
+  /**
+   * Map a deleted ContractFile to a trash entry
+   */
+  toEntry(file) {
+    const fileName = file.extension ? `${file.name}.${file.extension}` : file.name;
+    const directory = file.path || '/';
+
+    return {
+      cid: file.cid,
+      name: file.name,
+      extension: file.extension || '',
+      size: file.size,
+      mimeType: file.mimeType,
+      thumbnail: file.thumbnail || '',
+      originalPath: directory === '/' ? `/${fileName}` : `${directory}/${fileName}`,
+      directory,
+      deletedBlock: file.deletedBlock,
+      deletedAt: file.deletedAt || null,
+      reason: file.deleteReason || null,
+      contract: file.contract ? {
+        id: file.contract.id,
+        blockNumber: file.contract.blockNumber,
+        status: file.contract.status,
+        expiresBlock: file.contract.expiresBlock
+      } : null
+    };
+  }
+
+  /**
+   * List a user's trash
+   * @param {string} username
+   * @param {Object} params - Output of parseParams, plus an optional directory prefix
+   * @returns {Object|null} null when the user does not exist
+   */
+  async list(username, params) {
+    const ownerUid = await this.resolveOwner(username);
+    if (!ownerUid) {
+      return null;
+    }
+
+    const headBlock = await this.resolveHeadBlock();
+    const sinceBlock = Math.max(headBlock - params.blocks, 0);
+
+    const { query, vars } = this.buildQuery(params, ownerUid, sinceBlock);
+    const result = await this.dgraph.query(query, vars);
+    const files = result.files || [];
+
+    let entries = files
+      // Skip files with bitflag 2 (thumbnails/hidden files)
+      .filter(file => !((file.flags || 0) & 2))
+      .map(file => this.toEntry(file));
+
+    if (params.directory && params.directory !== '/') {
+      entries = entries.filter(entry =>
+        entry.directory === params.directory || entry.directory.startsWith(`${params.directory}/`));
+    }
+
+    entries.sort((a, b) => (b.deletedBlock || 0) - (a.deletedBlock || 0) ||
+      a.originalPath.localeCompare(b.originalPath));
+
+    const byReason = Object.fromEntries(DELETE_REASONS.map(reason => [reason, 0]));
+    for (const entry of entries) {
+      if (entry.reason) {
+        byReason[entry.reason] = (byReason[entry.reason] || 0) + 1;
+      }
+    }
+
+    logger.debug('Trash listing', { username, sinceBlock, headBlock, count: entries.length });
+
+    return {
+      username,
+      headBlock,
+      sinceBlock,
+      blocks: params.blocks,
+      total: entries.length,
+      byReason,
+      truncated: files.length >= this.candidateLimit,
+      limit: params.limit,
+      offset: params.offset,
+      entries: entries.slice(params.offset, params.offset + params.limit)
+    };
+  }
+}
+
+// Factory function
+export function createTrashBin(dgraphClient, options = {}) {
+  return new TrashBin(dgraphClient, options);
+}
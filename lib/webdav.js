@@ -0,0 +1,111 @@
+import { createHash } from 'crypto';
+
+/**
+ * WebDAV helpers
+ * XML rendering and header parsing for the read-only WebDAV frontend (RFC 4918, class 1)
+ */
+
+export const DAV_ALLOWED_METHODS = ['OPTIONS', 'GET', 'HEAD', 'PROPFIND'];
+
+// Methods that would modify the drive; answered with 405 since the mount is read-only
+export const DAV_WRITE_METHODS = ['PUT', 'DELETE', 'MKCOL', 'COPY', 'MOVE', 'PROPPATCH', 'LOCK', 'UNLOCK', 'POST'];
+
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Parse the Depth header
+ * @returns {number|string|null} 0, 1, 'infinity', or null when invalid
+ */
+export function parseDepth(header) {
+  if (header === undefined || header === null || header === '') {
+    // RFC 4918 9.1: a missing Depth header on PROPFIND means infinity
+    return 'infinity';
+  }
+
+  const value = String(header).trim().toLowerCase();
+  if (value === '0') return 0;
+  if (value === '1') return 1;
+  if (value === 'infinity') return 'infinity';
+  return null;
+}
+
+/**
+ * Build an href from path segments, percent-encoding each one
+ */
+export function buildHref(base, segments, isCollection) {
+  const encoded = segments.filter(Boolean).map(segment => encodeURIComponent(segment)).join('/');
+  const href = encoded ? `${base}/${encoded}` : base;
+  return isCollection ? `${href}/` : href;
+}
+
+/**
+ * Weak ETag for a collection, derived from its children so it changes when they do
+ */
+export function collectionEtag(children) {
+  const hash = createHash('sha1');
+  for (const child of children) {
+    hash.update(`${child.type}:${child.name}:${child.extension || ''}:${child.cid || ''}\n`);
+  }
+  return `W/"${hash.digest('hex')}"`;
+}
+
+function renderResponse(resource) {
+  const props = [
+    `<D:displayname>${escapeXml(resource.displayName)}</D:displayname>`,
+    resource.isCollection
+      ? '<D:resourcetype><D:collection/></D:resourcetype>'
+      : '<D:resourcetype/>'
+  ];
+
+  if (!resource.isCollection) {
+    props.push(`<D:getcontentlength>${parseInt(resource.contentLength) || 0}</D:getcontentlength>`);
+    props.push(`<D:getcontenttype>${escapeXml(resource.contentType || 'application/octet-stream')}</D:getcontenttype>`);
+  }
+  if (resource.etag) {
+    props.push(`<D:getetag>${escapeXml(resource.etag)}</D:getetag>`);
+  }
+  if (resource.lastModified) {
+    props.push(`<D:getlastmodified>${escapeXml(resource.lastModified.toUTCString())}</D:getlastmodified>`);
+  }
+  props.push('<D:supportedlock/>');
+
+  return [
+    '<D:response>',
+    `<D:href>${escapeXml(resource.href)}</D:href>`,
+    '<D:propstat>',
+    `<D:prop>${props.join('')}</D:prop>`,
+    '<D:status>HTTP/1.1 200 OK</D:status>',
+    '</D:propstat>',
+    '</D:response>'
+  ].join('');
+}
+
+/**
+ * Render a 207 Multi-Status body
+ * @param {Array} resources - { href, displayName, isCollection, contentLength, contentType, etag, lastModified }
+ */
+export function buildMultistatus(resources) {
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<D:multistatus xmlns:D="DAV:">',
+    ...resources.map(renderResponse),
+    '</D:multistatus>'
+  ].join('\n');
+}
+
+/**
+ * Render a DAV:error body for a failed precondition
+ */
+export function buildError(condition) {
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    `<D:error xmlns:D="DAV:"><D:${condition}/></D:error>`
+  ].join('\n');
+}
@@ -6,6 +6,13 @@ const logger = createLogger('hive-auth');
 const accountKeyCache = new Map();
 const CACHE_TTL = 60 * 60 * 1000; // 1 hour
 
+function parseAccountList(value) {
+  return (value || '')
+    .split(',')
+    .filter(a => a.trim())
+    .map(a => a.trim().toLowerCase());
+}
+
 /**
  * Middleware to authenticate Honeycomb nodes using Hive signatures
  * Expected headers:
@@ -14,13 +21,14 @@ const CACHE_TTL = 60 * 60 * 1000; // 1 hour
  * - X-Hive-Timestamp: Timestamp of the request
  */
 export function authenticateHiveNode(options = {}) {
-  // Load authorized accounts from environment
-  const authorizedAccounts = (process.env.AUTHORIZED_HONEYCOMB_NODES || '')
-    .split(',')
-    .filter(a => a.trim())
-    .map(a => a.trim().toLowerCase());
+  // Load authorized accounts from environment unless the caller names them
+  const authorizedAccounts = parseAccountList(
+    options.authorizedAccounts ? options.authorizedAccounts.join(',') : process.env.AUTHORIZED_HONEYCOMB_NODES
+  );
   
   const requireAuthorization = options.requireAuthorization !== false;
+  // With requireAllowList an empty list authorizes nobody instead of every Hive account
+  const requireAllowList = options.requireAllowList === true;
   
   return async (req, res, next) => {
     const account = req.headers['x-hive-account'];
@@ -47,7 +55,7 @@ export function authenticateHiveNode(options = {}) {
     }
     
     // Check if account is authorized (if list is configured)
-    if (authorizedAccounts.length > 0 && !authorizedAccounts.includes(account.toLowerCase())) {
+    if ((authorizedAccounts.length > 0 || requireAllowList) && !authorizedAccounts.includes(account.toLowerCase())) {
       return res.status(403).json({ 
         error: 'Account not authorized',
         account 
@@ -129,6 +137,20 @@ export function authenticateHiveNode(options = {}) {
   };
 }
 
+/**
+ * Authentication for endpoints that change what honeygraph serves (schema uploads,
+ * feed reparses). Always enforced, whatever REQUIRE_HIVE_AUTH says, and only the
+ * accounts in HONEYGRAPH_ADMIN_ACCOUNTS are let through; none when it is unset
+ */
+export function authenticateAdmin(options = {}) {
+  return authenticateHiveNode({
+    authorizedAccounts: parseAccountList(process.env.HONEYGRAPH_ADMIN_ACCOUNTS),
+    ...options,
+    requireAuthorization: true,
+    requireAllowList: true
+  });
+}
+
 /**
  * Helper function to sign a request for testing or client implementation
  */
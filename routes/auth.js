@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import crypto from 'crypto';
 import { createLogger } from '../lib/logger.js';
+import { verifyHiveSignature } from '../lib/hive-signature.js';
 
 const logger = createLogger('auth');
 
@@ -10,57 +11,15 @@ export function createAuthRoutes({ dgraphClient }) {
   // Generate API token for Hive account
   router.post('/token/generate', async (req, res) => {
     try {
-      const { account, signature, message } = req.body;
+      const { account } = req.body;
       
-      if (!account || !signature || !message) {
-        return res.status(400).json({
-          error: 'Missing required fields: account, signature, message'
-        });
+      // Verify Hive signature against the account's active key
+      const { error, status } = await verifyHiveSignature(req.body);
+      if (error) {
+        return res.status(status).json({ error });
       }
       
-      // Verify Hive signature using dhive
-      const dhive = await import('@hiveio/dhive');
-      
-      try {
-        // Parse the message to verify it's recent
-        const messageData = JSON.parse(message);
-        const messageAge = Date.now() - messageData.timestamp;
-        
-        // Reject if message is older than 5 minutes
-        if (messageAge > 5 * 60 * 1000) {
-          return res.status(400).json({ error: 'Message timestamp too old' });
-        }
-        
-        // Get account's public key from Hive
-        const hiveNode = new dhive.Client([
-          'https://api.hive.blog',
-          'https://api.deathwing.me',
-          'https://hive-api.arcange.eu'
-        ]);
-        
-        const accounts = await hiveNode.database.getAccounts([account]);
-        if (!accounts || accounts.length === 0) {
-          return res.status(404).json({ error: 'Account not found on Hive' });
-        }
-        
-        // Get the active public key
-        const publicKey = accounts[0].active.key_auths[0][0];
-        
-        // Verify signature
-        const messageHash = dhive.cryptoUtils.sha256(message);
-        const sig = dhive.Signature.from(signature);
-        const pubKey = dhive.PublicKey.from(publicKey);
-        const isValid = pubKey.verify(messageHash, sig);
-        
-        if (!isValid) {
-          return res.status(401).json({ error: 'Invalid signature' });
-        }
-        
-        logger.info(`Authenticated Hive account: ${account}`);
-      } catch (verifyError) {
-        logger.error('Signature verification failed', { error: verifyError.message });
-        return res.status(401).json({ error: 'Signature verification failed' });
-      }
+      logger.info(`Authenticated Hive account: ${account}`);
       
       const tokenPayload = {
         account,
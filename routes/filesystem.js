@@ -1,11 +1,406 @@
 import { Router } from 'express';
 import { createLogger } from '../lib/logger.js';
+import { createGatewayProxy, contentDisposition } from '../lib/gateway-proxy.js';
+import { ARCHIVE_FORMATS, ZIP_MAX_BYTES, archiveLimits, checkArchiveLimits, createArchiveWriter } from '../lib/archive-writer.js';
+import { parseListingOptions, paginateListing } from '../lib/listing-pagination.js';
+import { createTrashBin } from '../lib/trash-bin.js';
+import { createFileHistory } from '../lib/file-history.js';
+import { SHARE_LINK_ACTIONS, createShareLinks, createUsedMessages } from '../lib/share-links.js';
+import { verifyHiveSignature } from '../lib/hive-signature.js';
+import { buildPreview, galleryItems, parsePreviewOptions, previewSource } from '../lib/file-preview.js';
+import {
+  DAV_ALLOWED_METHODS,
+  DAV_WRITE_METHODS,
+  buildError,
+  buildHref,
+  buildMultistatus,
+  collectionEtag,
+  escapeXml,
+  parseDepth
+} from '../lib/webdav.js';
 
 const logger = createLogger('filesystem-api');
 
-export function createFileSystemRoutes({ dgraphClient, networkManager }) {
+const TRASH_FOLDER = '.Trash';
+
+export function createFileSystemRoutes({ dgraphClient, networkManager, verifySignature = verifyHiveSignature, archive = {} }) {
   const router = Router();
+  const exportLimits = archiveLimits(archive);
+  const gatewayProxy = createGatewayProxy();
 
+  const davRoutes = ['/webdav/:username', '/webdav/:username/*'];
+
+  /**
+   * Read-only WebDAV view of the VFS
+   * OPTIONS|PROPFIND|GET|HEAD /webdav/:username/*path
+   */
+  router.options(davRoutes, (req, res) => {
+    res.set({
+      'DAV': '1',
+      'Allow': DAV_ALLOWED_METHODS.join(', '),
+      'MS-Author-Via': 'DAV'
+    });
+    res.status(200).end();
+  });
+
+  router.propfind(davRoutes, async (req, res) => {
+    const { username } = req.params;
+    const requestPath = req.params[0] || '/';
+    res.set('DAV', '1');
+
+    try {
+      const depth = parseDepth(req.headers.depth);
+      if (depth === null) {
+        return res.status(400).json({ error: `Invalid Depth header: ${req.headers.depth}` });
+      }
+      if (depth === 'infinity') {
+        return res.status(403).type('application/xml; charset=utf-8').send(buildError('propfind-finite-depth'));
+      }
+
+      const resource = await resolveDavResource(dgraphClient, username, requestPath);
+      if (!resource) {
+        return res.status(404).end();
+      }
+
+      const base = `${req.baseUrl}/webdav/${encodeURIComponent(username)}`;
+      const segments = resource.path.split('/').filter(Boolean);
+      const responses = [toDavProps(resource, base, segments, resource.children)];
+
+      if (depth === 1 && resource.type === 'directory') {
+        for (const child of resource.children) {
+          responses.push(toDavProps(child, base, [...segments, davName(child)]));
+        }
+      }
+
+      res.status(207).type('application/xml; charset=utf-8').send(buildMultistatus(responses));
+    } catch (error) {
+      logger.error('WebDAV PROPFIND failed', { error: error.message, username, path: requestPath });
+      res.status(500).end();
+    }
+  });
+
+  router.get(davRoutes, async (req, res) => {
+    const { username } = req.params;
+    const requestPath = req.params[0] || '/';
+    res.set('DAV', '1');
+
+    try {
+      const resource = await resolveDavResource(dgraphClient, username, requestPath);
+      if (!resource) {
+        return res.status(404).end();
+      }
+
+      if (resource.type === 'directory') {
+        // Browsers get a plain index; DAV clients list with PROPFIND
+        const base = `${req.baseUrl}/webdav/${encodeURIComponent(username)}`;
+        const segments = resource.path.split('/').filter(Boolean);
+        const items = resource.children.map(child => {
+          const name = davName(child);
+          const href = buildHref(base, [...segments, name], child.type === 'directory');
+          return `<li><a href="${escapeXml(href)}">${escapeXml(name)}${child.type === 'directory' ? '/' : ''}</a></li>`;
+        });
+        return res.type('html').send(`<!DOCTYPE html><html><body><h1>${escapeXml(resource.path)}</h1><ul>${items.join('')}</ul></body></html>`);
+      }
+
+      const networkClient = getSpkClient(dgraphClient);
+      const gateways = await getOrderedGateways(networkClient, resource.contract?.id);
+      await gatewayProxy.stream({
+        cid: resource.cid,
+        gateways,
+        req,
+        res,
+        mimeType: resource.mimeType,
+        fileName: davName(resource)
+      });
+    } catch (error) {
+      logger.error('WebDAV GET failed', { error: error.message, username, path: requestPath });
+      if (!res.headersSent) {
+        res.status(500).end();
+      }
+    }
+  });
+
+  router.all(davRoutes, (req, res, next) => {
+    if (!DAV_WRITE_METHODS.includes(req.method)) {
+      return next();
+    }
+    res.set({ 'DAV': '1', 'Allow': DAV_ALLOWED_METHODS.join(', ') });
+    res.status(405).json({ error: 'WebDAV endpoint is read-only' });
+  });
+
+  /**
+   * SPK network data is in the spkccT_ namespace when networks are registered
+   */
+  function getSpkClient(dgraphClient) {
+    const spkNetwork = networkManager.getNetwork('spkccT_');
+    return spkNetwork ? spkNetwork.dgraphClient : dgraphClient;
+  }
+
+  /**
+   * Name of a listing entry as it appears in a path (files include their extension)
+   */
+  function davName(item) {
+    if (item.type === 'file' && item.extension) {
+      return `${item.name}.${item.extension}`;
+    }
+    return item.name;
+  }
+
+  /**
+   * Resolve a WebDAV path to a directory (with its children) or a file entry
+   * Returns null when nothing exists at the path
+   */
+  async function resolveDavResource(dgraphClient, username, requestPath) {
+    const networkClient = getSpkClient(dgraphClient);
+
+    let allPaths;
+    try {
+      allPaths = await loadUserPaths(networkClient, username);
+    } catch (error) {
+      if (error.message.startsWith('User not found')) {
+        return null;
+      }
+      throw error;
+    }
+
+    const path = normalizeDirectoryPath(requestPath);
+    if (path === '/') {
+      return { type: 'directory', name: username, path, children: buildDirectoryContents(allPaths, path) };
+    }
+
+    const segments = path.split('/').filter(Boolean);
+    const name = segments.pop();
+    const parentPath = segments.length ? `/${segments.join('/')}` : '/';
+    const entry = buildDirectoryContents(allPaths, parentPath).find(item => davName(item) === name);
+
+    if (!entry) {
+      return null;
+    }
+    if (entry.type === 'directory') {
+      return { ...entry, path, children: buildDirectoryContents(allPaths, path) };
+    }
+    return { ...entry, path };
+  }
+
+  /**
+   * Map a listing entry to PROPFIND properties
+   * Collection ETags are only computed when the children are known
+   */
+  function toDavProps(item, base, segments, children = null) {
+    const isCollection = item.type === 'directory';
+    let etag = null;
+    if (!isCollection) {
+      etag = `"${item.cid}"`;
+    } else if (children) {
+      etag = collectionEtag(children);
+    }
+
+    return {
+      href: buildHref(base, segments, isCollection),
+      displayName: davName(item),
+      isCollection,
+      contentLength: item.size,
+      contentType: item.mimeType,
+      etag
+    };
+  }
+
+  // Underscores are not valid in Hive account names, so this cannot shadow a user's /fse/ view
+  const shareLinkRoutes = ['/fse/_link/:token', '/fse/_link/:token/*'];
+
+  /**
+   * Read-only view of a file or folder through a share link
+   * GET /fse/_link/:token/*path
+   */
+  router.get(shareLinkRoutes, async (req, res) => {
+    try {
+      const shareLinks = createShareLinks(getSpkClient(dgraphClient));
+      const link = await shareLinks.findByToken(req.params.token);
+      if (!link) {
+        return res.status(404).json({ error: 'Share link not found' });
+      }
+
+      const status = shareLinks.status(link);
+      if (status !== 'active') {
+        await shareLinks.recordAccess(link, { granted: false, ip: req.ip, detail: status });
+        return res.status(410).json({ error: `Share link ${status}`, status });
+      }
+
+      const subPath = normalizeDirectoryPath(req.params[0] || '/');
+      if (subPath.split('/').includes('..')) {
+        return res.status(400).json({ error: 'Invalid path' });
+      }
+      if (link.shareType === 'file' && subPath !== '/') {
+        return res.status(404).json({ error: 'Not found' });
+      }
+
+      const { error: listingError, value: listingOptions } = parseDirectoryQuery(req.query);
+      if (listingError) {
+        return res.status(400).json({ error: listingError });
+      }
+
+      let fullPath = link.sharePath;
+      if (subPath !== '/') {
+        fullPath = link.sharePath === '/' ? subPath : `${link.sharePath}${subPath}`;
+      }
+
+      const resource = await resolveDavResource(dgraphClient, link.shareOwner, fullPath);
+      // A file replaced by a folder of the same name (or vice versa) is not what was shared
+      if (!resource || (subPath === '/' && resource.type !== link.shareType)) {
+        return res.status(404).json({ error: 'Shared item no longer exists' });
+      }
+
+      await shareLinks.recordAccess(link, { granted: true, ip: req.ip, detail: fullPath });
+
+      const response = {
+        link: {
+          id: link.shareId,
+          owner: link.shareOwner,
+          path: link.sharePath,
+          type: link.shareType,
+          expiresAt: link.shareExpiresAt,
+          readOnly: true
+        },
+        path: subPath,
+        type: resource.type,
+        keyBlob: link.shareKeyBlob || null
+      };
+
+      if (resource.type === 'directory') {
+        const { contents, totals, pagination } = await pageListing(getSpkClient(dgraphClient), resource.children, listingOptions);
+        Object.assign(response, { contents, totals, pagination });
+      } else {
+        const file = { ...resource };
+        delete file.path;
+        response.file = file;
+      }
+
+      res.set('Cache-Control', 'private, no-store');
+      res.json(response);
+    } catch (error) {
+      logger.error('Share link request failed', { error: error.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Signed share link messages served so far; each is accepted once
+  const usedShareMessages = createUsedMessages();
+
+  /**
+   * Check a request signed with the owner's Hive key (same flow as /api/auth/token/generate)
+   * Sends the error response and returns null when it does not authorize the action
+   */
+  async function authorizeShareRequest(req, res, action) {
+    const { error, status, value } = await verifySignature(req.body);
+    if (error) {
+      res.status(status).json({ error });
+      return null;
+    }
+    if (req.body.account !== req.params.username) {
+      res.status(403).json({ error: 'Message must be signed by the drive owner' });
+      return null;
+    }
+    if (value.action !== action) {
+      res.status(400).json({ error: `Message action must be ${action}` });
+      return null;
+    }
+    if (!usedShareMessages.use(req.body, value.timestamp)) {
+      res.status(401).json({ error: 'Signed message already used' });
+      return null;
+    }
+    return value;
+  }
+
+  /**
+   * Create a share link for a file or folder
+   * POST /fss/:username/links  { account, signature, message: { action, path, expiresIn, keyBlob, timestamp } }
+   */
+  router.post('/fss/:username/links', async (req, res) => {
+    try {
+      const { username } = req.params;
+      const messageData = await authorizeShareRequest(req, res, SHARE_LINK_ACTIONS.CREATE);
+      if (!messageData) {
+        return;
+      }
+
+      const shareLinks = createShareLinks(getSpkClient(dgraphClient));
+      const { error, value } = shareLinks.parseCreateMessage(messageData);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const path = normalizeDirectoryPath(value.path);
+      const resource = await resolveDavResource(dgraphClient, username, path);
+      if (!resource) {
+        return res.status(404).json({ error: 'Path not found', path });
+      }
+
+      const link = await shareLinks.create({
+        owner: username,
+        path,
+        type: resource.type,
+        expiresIn: value.expiresIn,
+        keyBlob: value.keyBlob,
+        signature: req.body.signature,
+        message: req.body.message,
+        ip: req.ip
+      });
+
+      res.status(201).json({ ...link, url: `/fse/_link/${link.token}` });
+    } catch (error) {
+      logger.error('Share link creation failed', { error: error.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * List the owner's share links with access counters and audit trail
+   * POST /fss/:username/links/list  { account, signature, message: { action, timestamp } }
+   */
+  router.post('/fss/:username/links/list', async (req, res) => {
+    try {
+      const messageData = await authorizeShareRequest(req, res, SHARE_LINK_ACTIONS.LIST);
+      if (!messageData) {
+        return;
+      }
+
+      const links = await createShareLinks(getSpkClient(dgraphClient)).listByOwner(req.params.username);
+      res.json({ username: req.params.username, links });
+    } catch (error) {
+      logger.error('Share link listing failed', { error: error.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * Revoke a share link
+   * POST /fss/:username/links/:id/revoke  { account, signature, message: { action, id, timestamp } }
+   */
+  router.post('/fss/:username/links/:id/revoke', async (req, res) => {
+    try {
+      const messageData = await authorizeShareRequest(req, res, SHARE_LINK_ACTIONS.REVOKE);
+      if (!messageData) {
+        return;
+      }
+      if (messageData.id !== req.params.id) {
+        return res.status(400).json({ error: 'Signed message is for a different link' });
+      }
+
+      const shareLinks = createShareLinks(getSpkClient(dgraphClient));
+      const link = await shareLinks.findById(req.params.username, req.params.id);
+      if (!link) {
+        return res.status(404).json({ error: 'Share link not found' });
+      }
+      if (link.shareRevoked) {
+        return res.status(409).json({ error: 'Share link already revoked' });
+      }
+
+      res.json(await shareLinks.revoke(link, { ip: req.ip }));
+    } catch (error) {
+      logger.error('Share link revocation failed', { error: error.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
 
   /**
    * Get files shared with me (encrypted files I have access to)
@@ -19,7 +414,7 @@ export function createFileSystemRoutes({ dgraphClient, networkManager }) {
       logger.info('Shared with me request', { username, path: requestPath });
       
       // Handle shared encrypted files
-      await handleSharedWithMeRequest(dgraphClient, username, requestPath, res);
+      await handleSharedWithMeRequest(dgraphClient, username, requestPath, res, req);
     } catch (error) {
       logger.error('Shared with me request failed', { error: error.message });
       res.status(500).json({ error: 'Internal server error' });
@@ -38,7 +433,7 @@ export function createFileSystemRoutes({ dgraphClient, networkManager }) {
       logger.info('Shared by me request', { username, path: requestPath });
       
       // Handle files shared by user
-      await handleSharedByMeRequest(dgraphClient, username, requestPath, res);
+      await handleSharedByMeRequest(dgraphClient, username, requestPath, res, req);
     } catch (error) {
       logger.error('Shared by me request failed', { error: error.message });
       res.status(500).json({ error: 'Internal server error' });
@@ -61,7 +456,7 @@ export function createFileSystemRoutes({ dgraphClient, networkManager }) {
     
     try {
       // Look for the file in the root directory ("/")
-      await handleFileRequest(dgraphClient, username, `/${filename}`, res);
+      await handleFileRequest(dgraphClient, username, `/${filename}`, res, req);
     } catch (error) {
       logger.error('Root-level file request failed', { 
         error: error.message,
@@ -104,17 +499,29 @@ export function createFileSystemRoutes({ dgraphClient, networkManager }) {
         lastSegment
       });
       
+      // The virtual .Trash folder lists files removed from the user's contracts
+      if (pathParts[0] === TRASH_FOLDER) {
+        await handleTrashRequest(dgraphClient, username, pathParts.slice(1), req, res);
+        return;
+      }
+      
+      // ?at=block shows a directory as it was at that block
+      if (req.query.at !== undefined) {
+        await handleDirectoryAtBlockRequest(dgraphClient, username, normalizedPath, req, res);
+        return;
+      }
+      
       // First, always try to find an exact file match
       try {
         logger.info('Trying file request first');
-        await handleFileRequest(dgraphClient, username, normalizedPath, res);
+        await handleFileRequest(dgraphClient, username, normalizedPath, res, req);
         return; // If file found, we're done
       } catch (fileError) {
         logger.info('File not found, trying directory', { error: fileError.message });
         
         // Second, try to find an exact directory match
         try {
-          await handleDirectoryRequest(dgraphClient, username, normalizedPath, res);
+          await handleDirectoryRequest(dgraphClient, username, normalizedPath, res, req);
           return; // If directory found, we're done
         } catch (dirError) {
           logger.info('Directory not found, trying search', { error: dirError.message });
@@ -148,10 +555,28 @@ export function createFileSystemRoutes({ dgraphClient, networkManager }) {
    * Get available IPFS gateways from storage nodes
    */
   async function getStorageNodeGateways(dgraphClient, contractId) {
+    const gateways = await getStorageNodeGatewaysByContract(dgraphClient, [contractId]);
+    return gateways.get(contractId) || [];
+  }
+
+  /**
+   * Storage node gateways of several contracts in one query
+   * @returns {Map} contract id -> gateways, absent for unknown contracts
+   */
+  async function getStorageNodeGatewaysByContract(dgraphClient, contractIds) {
+    const byContract = new Map();
+    if (contractIds.length === 0) {
+      return byContract;
+    }
+
+    // One variable per id, so contract ids never become query text
+    const vars = Object.fromEntries(contractIds.map((contractId, i) => [`$c${i}`, contractId]));
+    const params = Object.keys(vars).map(name => `${name}: string`).join(', ');
     const query = `
-      query getStorageGateways($contractId: string) {
-        contract(func: eq(StorageContract.id, $contractId)) {
+      query getStorageGateways(${params}) {
+        contract(func: eq(StorageContract.id, [${Object.keys(vars).join(', ')}])) {
           id
+          StorageContract.id
           storageNodes {
             username
             services @filter(eq(serviceType, "IPFS")) {
@@ -165,18 +590,12 @@ export function createFileSystemRoutes({ dgraphClient, networkManager }) {
     `;
 
     try {
-      const result = await dgraphClient.query(query, { $contractId: contractId });
-      const contract = result.contract?.[0];
-      
-      if (!contract || !contract.storageNodes) {
-        return [];
-      }
+      const result = await dgraphClient.query(query, vars);
 
-      const gateways = [];
-      
-      for (const node of contract.storageNodes) {
-        if (node.services) {
-          for (const service of node.services) {
+      for (const contract of result.contract || []) {
+        const gateways = [];
+        for (const node of contract.storageNodes || []) {
+          for (const service of node.services || []) {
             if (service.active && service.enabled === 1 && service.api) {
               gateways.push({
                 url: service.api,
@@ -186,13 +605,14 @@ export function createFileSystemRoutes({ dgraphClient, networkManager }) {
             }
           }
         }
+        // Everything a single-id lookup matched is that contract
+        byContract.set(contractIds.length === 1 ? contractIds[0] : contract['StorageContract.id'] || contract.id, gateways);
       }
-      
-      return gateways;
     } catch (error) {
-      logger.error('Failed to get storage gateways', { error: error.message, contractId });
-      return [];
+      logger.error('Failed to get storage gateways', { error: error.message, contracts: contractIds.length });
     }
+
+    return byContract;
   }
 
   /**
@@ -234,20 +654,103 @@ export function createFileSystemRoutes({ dgraphClient, networkManager }) {
   }
 
   /**
-   * Handle file requests - redirect to IPFS with version control
+   * Build the ordered gateway list used for proxied file delivery
+   * Storage nodes holding the contract come first, then network gateways, then the public gateway
    */
-  async function handleFileRequest(dgraphClient, username, filePath, res) {
-    logger.info('handleFileRequest called', { username, filePath });
-    
-    // Get the correct network client (SPK network data is in spkccT_ namespace)
-    const spkNetwork = networkManager.getNetwork('spkccT_');
-    const networkClient = spkNetwork ? spkNetwork.dgraphClient : dgraphClient;
-    
-    logger.info('Using network client', { 
-      hasSpkNetwork: !!spkNetwork,
-      namespace: networkClient.namespace || 'default'
+  async function getOrderedGateways(dgraphClient, contractId, networkGateways = null) {
+    const storageGateways = await getStorageNodeGateways(dgraphClient, contractId);
+    networkGateways = networkGateways || await getAllIPFSGateways(dgraphClient);
+    return orderGateways(storageGateways, networkGateways);
+  }
+
+  function orderGateways(storageGateways, networkGateways) {
+    const publicGateway = process.env.IPFS_GATEWAY || 'https://ipfs.dlux.io';
+
+    const ordered = [
+      ...storageGateways.map(g => ({ url: g.url, account: g.account, priority: 'contract-storage-node' })),
+      ...networkGateways.map(g => ({ url: g.url, account: g.account, priority: 'network-fallback' })),
+      { url: publicGateway, account: null, priority: 'public-fallback' }
+    ];
+
+    // The same node can appear as both a storage node and a network gateway
+    const seen = new Set();
+    return ordered.filter(g => {
+      const key = g.url.replace(/\/+$/, '');
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
     });
-    
+  }
+
+  /**
+   * Set `preview` on each file entry of a listing page
+   * Thumbnail URLs use the first gateway getOrderedGateways picks for the entry's contract
+   */
+  async function attachPreviews(networkClient, items) {
+    const files = items.filter(item => item.type === 'file');
+    const contractIds = [...new Set(files
+      .filter(item => previewSource(item)?.cid)
+      .map(item => item.contract?.id || ''))];
+    const networkGateways = contractIds.length > 0 ? await getAllIPFSGateways(networkClient) : [];
+    const storageGateways = await getStorageNodeGatewaysByContract(networkClient, contractIds.filter(Boolean));
+
+    for (const item of files) {
+      const source = previewSource(item);
+      let gatewayUrl = null;
+      if (source?.cid) {
+        const gateways = orderGateways(storageGateways.get(item.contract?.id || '') || [], networkGateways);
+        gatewayUrl = gateways[0].url;
+      }
+      item.preview = buildPreview(item, gatewayUrl);
+    }
+  }
+
+  /**
+   * Listing options plus ?thumbnails=only
+   * @returns {Object} { error, value }
+   */
+  function parseDirectoryQuery(query) {
+    const listing = parseListingOptions(query);
+    if (listing.error) {
+      return listing;
+    }
+    const preview = parsePreviewOptions(query);
+    if (preview.error) {
+      return preview;
+    }
+    return { value: { ...listing.value, ...preview.value } };
+  }
+
+  /**
+   * Sort and page a listing, then attach previews to the page
+   * Gallery mode drops everything without a preview before paging, so totals and cursors match the grid
+   */
+  async function pageListing(networkClient, items, options) {
+    const listed = options.galleryOnly ? galleryItems(items) : items;
+    const page = paginateListing(listed, options);
+    await attachPreviews(networkClient, page.contents);
+    return page;
+  }
+
+  /**
+   * Whether file content should be streamed through honeygraph instead of redirected
+   * ?proxy=true|false overrides the FS_PROXY_MODE default
+   */
+  function shouldProxy(req) {
+    const override = req.query.proxy;
+    if (override !== undefined) {
+      return override === 'true' || override === '1';
+    }
+    return process.env.FS_PROXY_MODE === 'true';
+  }
+
+  /**
+   * Find the visible versions of a file, newest first
+   * Throws if the file does not exist
+   */
+  async function findFileVersions(networkClient, username, filePath) {
     // Split the path to get directory and filename
     const pathParts = filePath.split('/');
     const fileNameWithExt = pathParts.pop();
@@ -349,9 +852,51 @@ export function createFileSystemRoutes({ dgraphClient, networkManager }) {
     // Sort by block number (newest first) for version control
     files.sort((a, b) => (b.contract.blockNumber || 0) - (a.contract.blockNumber || 0));
     
+    return { files, fileNameWithExt };
+  }
+
+  /**
+   * Handle file requests - redirect (or proxy) to IPFS with version control
+   */
+  async function handleFileRequest(dgraphClient, username, filePath, res, req = null) {
+    logger.info('handleFileRequest called', { username, filePath });
+    
+    // Get the correct network client (SPK network data is in spkccT_ namespace)
+    const spkNetwork = networkManager.getNetwork('spkccT_');
+    const networkClient = spkNetwork ? spkNetwork.dgraphClient : dgraphClient;
+    
+    logger.info('Using network client', { 
+      hasSpkNetwork: !!spkNetwork,
+      namespace: networkClient.namespace || 'default'
+    });
+    
+    const { files, fileNameWithExt } = await findFileVersions(networkClient, username, filePath);
+    
     // Get the newest version
     const newestFile = files[0];
     
+    if (req && shouldProxy(req)) {
+      const gateways = await getOrderedGateways(networkClient, newestFile.contract.id);
+      
+      res.set({
+        'X-IPFS-CID': newestFile.cid,
+        'X-Contract-ID': newestFile.contract.id,
+        'X-Block-Number': newestFile.contract.blockNumber,
+        'X-File-Size': newestFile.size,
+        'X-Version-Count': files.length
+      });
+      
+      await gatewayProxy.stream({
+        cid: newestFile.cid,
+        gateways,
+        req,
+        res,
+        mimeType: newestFile.mimeType,
+        fileName: fileNameWithExt
+      });
+      return;
+    }
+    
     // Try to get gateways from the storage nodes that have this file
     let gatewayUrl = null;
     const storageGateways = await getStorageNodeGateways(networkClient, newestFile.contract.id);
@@ -402,9 +947,24 @@ export function createFileSystemRoutes({ dgraphClient, networkManager }) {
   /**
    * Handle directory requests - return listing of files and subdirectories
    */
-  async function handleDirectoryRequest(dgraphClient, username, directoryPath, res) {
+  async function handleDirectoryRequest(dgraphClient, username, directoryPath, res, req = null) {
     logger.info('handleDirectoryRequest called', { username, directoryPath });
     
+    const archiveFormat = req?.query?.format;
+    if (archiveFormat && !ARCHIVE_FORMATS[archiveFormat]) {
+      res.status(400).json({
+        error: `Unsupported archive format: ${archiveFormat}`,
+        supportedFormats: Object.keys(ARCHIVE_FORMATS)
+      });
+      return;
+    }
+    
+    const { error: listingError, value: listingOptions } = parseDirectoryQuery(req?.query);
+    if (listingError) {
+      res.status(400).json({ error: listingError });
+      return;
+    }
+    
     // Get the correct network client (SPK network data is in spkccT_ namespace)
     const spkNetwork = networkManager.getNetwork('spkccT_');
     const networkClient = spkNetwork ? spkNetwork.dgraphClient : dgraphClient;
@@ -414,6 +974,143 @@ export function createFileSystemRoutes({ dgraphClient, networkManager }) {
       hasClient: !!networkClient
     });
     
+    const allPaths = await loadUserPaths(networkClient, username);
+    const normalizedPath = normalizeDirectoryPath(directoryPath);
+    
+    if (archiveFormat) {
+      await streamDirectoryArchive(networkClient, username, normalizedPath, allPaths, archiveFormat, res);
+      return;
+    }
+    
+    const contents = buildDirectoryContents(allPaths, normalizedPath);
+    
+    // Sort and page: directories first, then by the requested field
+    const { contents: contentsArray, totals, pagination } = await pageListing(networkClient, contents, listingOptions);
+
+    logger.info('Directory listing result', {
+      directoryPath: normalizedPath,
+      itemCount: contentsArray.length,
+      totals,
+      hasMore: pagination.hasMore
+    });
+
+    // Format response
+    const directoryResponse = {
+      path: normalizedPath,
+      username: username,
+      type: 'directory',
+      contents: contentsArray,
+      totals,
+      pagination
+    };
+
+    res.json(directoryResponse);
+  }
+
+  /**
+   * Handle directory requests at a past block - rebuilt from each file's version chain
+   */
+  async function handleDirectoryAtBlockRequest(dgraphClient, username, directoryPath, req, res) {
+    const at = parseInt(req.query.at);
+    if (!/^\d+$/.test(String(req.query.at)) || !Number.isSafeInteger(at)) {
+      res.status(400).json({ error: `Invalid at: ${req.query.at}. Expected a block number` });
+      return;
+    }
+    
+    const { error: listingError, value: listingOptions } = parseDirectoryQuery(req.query);
+    if (listingError) {
+      res.status(400).json({ error: listingError });
+      return;
+    }
+    
+    const allPaths = await createFileHistory(getSpkClient(dgraphClient)).loadPathsAt(username, at);
+    if (!allPaths) {
+      res.status(404).json({ error: `User not found: ${username}` });
+      return;
+    }
+    
+    const normalizedPath = normalizeDirectoryPath(directoryPath);
+    if (normalizedPath !== '/' && !allPaths.some(p => p.fullPath === normalizedPath)) {
+      res.status(404).json({ error: 'Directory not found at block', path: normalizedPath, at });
+      return;
+    }
+    
+    const contents = buildDirectoryContents(allPaths, normalizedPath);
+    const { contents: contentsArray, totals, pagination } = await pageListing(getSpkClient(dgraphClient), contents, listingOptions);
+    
+    res.json({
+      path: normalizedPath,
+      username,
+      type: 'directory',
+      at,
+      contents: contentsArray,
+      totals,
+      pagination
+    });
+  }
+
+  /**
+   * Handle the virtual .Trash folder - files deleted in the last N blocks
+   * Sub-paths narrow the listing to files originally under that directory
+   */
+  async function handleTrashRequest(dgraphClient, username, subPathParts, req, res) {
+    const trashBin = createTrashBin(getSpkClient(dgraphClient));
+    const { error, value } = trashBin.parseParams(req.query);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+
+    const directory = subPathParts.length ? `/${subPathParts.join('/')}` : '/';
+    const trash = await trashBin.list(username, { ...value, directory });
+    if (!trash) {
+      res.status(404).json({ error: `User not found: ${username}` });
+      return;
+    }
+
+    const path = directory === '/' ? `/${TRASH_FOLDER}` : `/${TRASH_FOLDER}${directory}`;
+    res.json({
+      path,
+      username,
+      type: 'directory',
+      virtual: true,
+      headBlock: trash.headBlock,
+      sinceBlock: trash.sinceBlock,
+      blocks: trash.blocks,
+      contents: trash.entries.map(entry => ({ type: 'file', ...entry })),
+      totals: { total: trash.total, file: trash.total, byReason: trash.byReason },
+      pagination: {
+        limit: trash.limit,
+        offset: trash.offset,
+        returned: trash.entries.length,
+        hasMore: trash.offset + trash.entries.length < trash.total
+      }
+    });
+  }
+
+  /**
+   * Normalize a directory path - leading slash, no trailing slash unless root
+   */
+  function normalizeDirectoryPath(directoryPath) {
+    let normalizedPath;
+    if (directoryPath === '' || directoryPath === '/') {
+      normalizedPath = '/';
+    } else {
+      // Remove trailing slash
+      normalizedPath = directoryPath.endsWith('/') ? directoryPath.slice(0, -1) : directoryPath;
+      // Ensure it starts with /
+      if (!normalizedPath.startsWith('/')) {
+        normalizedPath = '/' + normalizedPath;
+      }
+    }
+    
+    return normalizedPath;
+  }
+
+  /**
+   * Load every Path node (with files) owned by a user
+   */
+  async function loadUserPaths(networkClient, username) {
     // First get the user UID to ensure we can query with it
     // IMPORTANT: Accounts are global, not network-specific
     const userQuery = `
@@ -436,19 +1133,6 @@ export function createFileSystemRoutes({ dgraphClient, networkManager }) {
       throw new Error(`User not found: ${username}`);
     }
     
-    // Normalize directory path - remove trailing slash unless it's root
-    let normalizedPath;
-    if (directoryPath === '' || directoryPath === '/') {
-      normalizedPath = '/';
-    } else {
-      // Remove trailing slash
-      normalizedPath = directoryPath.endsWith('/') ? directoryPath.slice(0, -1) : directoryPath;
-      // Ensure it starts with /
-      if (!normalizedPath.startsWith('/')) {
-        normalizedPath = '/' + normalizedPath;
-      }
-    }
-    
     // Query all paths for this user to build directory structure
     // Use pagination to avoid exceeding gRPC message size limits
     const pageSize = 1000;
@@ -492,7 +1176,6 @@ export function createFileSystemRoutes({ dgraphClient, networkManager }) {
 
       logger.info('Querying paths page for user', { 
         username, 
-        directoryPath: normalizedPath,
         userUid: user.uid,
         offset,
         limit: pageSize
@@ -535,6 +1218,14 @@ export function createFileSystemRoutes({ dgraphClient, networkManager }) {
         throw error;
       }
     }
+    
+    return allPaths;
+  }
+
+  /**
+   * Build the directory entries (files with revisions, and direct subdirectories) for a path
+   */
+  function buildDirectoryContents(allPaths, normalizedPath) {
     const contents = new Map(); // Use Map to handle duplicates
     
     // Add preset folders if at root
@@ -742,43 +1433,182 @@ export function createFileSystemRoutes({ dgraphClient, networkManager }) {
       }
     }
     
-    // Convert map to sorted array
-    const contentsArray = Array.from(contents.values());
-    
-    // Sort contents: directories first, then files, alphabetically
-    contentsArray.sort((a, b) => {
-      if (a.type !== b.type) {
-        return a.type === 'directory' ? -1 : 1;
+    return Array.from(contents.values());
+  }
+
+  /**
+   * Collect the newest visible version of every file at or below a directory
+   * Returns archive-relative directory and file entries for export
+   */
+  function collectArchiveEntries(allPaths, directoryPath, rootName) {
+    const prefix = directoryPath === '/' ? '/' : `${directoryPath}/`;
+    const directories = new Set();
+    const files = new Map();
+
+    for (const pathEntity of allPaths) {
+      const { fullPath } = pathEntity;
+      if (fullPath !== directoryPath && !fullPath.startsWith(prefix)) {
+        continue;
       }
-      // Defensive check for missing names
-      if (!a.name || !b.name) {
-        logger.error('Missing name in sort', { 
-          aName: a.name, 
-          aType: a.type,
-          bName: b.name,
-          bType: b.type
-        });
-        return (!a.name ? 1 : 0) - (!b.name ? 1 : 0);
+
+      const relativeDir = fullPath === directoryPath ? '' : fullPath.slice(prefix.length);
+      const archiveDir = relativeDir ? `${rootName}/${relativeDir}` : rootName;
+      directories.add(archiveDir);
+
+      const filesArray = pathEntity.files ? (Array.isArray(pathEntity.files) ? pathEntity.files : [pathEntity.files]) : [];
+      for (const file of filesArray) {
+        // Skip files with bitflag 2 (thumbnails/hidden), deleted files and unnamed files
+        if (((file.flags || 0) & 2) || file.isDeleted || !file.name || !file.cid) {
+          continue;
+        }
+
+        const fileKey = file.extension ? `${file.name}.${file.extension}` : file.name;
+        const archivePath = `${archiveDir}/${fileKey}`;
+        const existing = files.get(archivePath);
+
+        // Keep the newest version, same as file access
+        if (!existing || (file.contract?.blockNumber || 0) > (existing.contract?.blockNumber || 0)) {
+          files.set(archivePath, { ...file, sourcePath: fullPath === '/' ? `/${fileKey}` : `${fullPath}/${fileKey}` });
+        }
       }
-      return a.name.localeCompare(b.name);
+    }
+
+    return {
+      directories: Array.from(directories).sort(),
+      files: Array.from(files.entries())
+        .map(([archivePath, file]) => ({ archivePath, file }))
+        .sort((a, b) => a.archivePath.localeCompare(b.archivePath))
+    };
+  }
+
+  /**
+   * Stream a directory tree as a tar or zip archive
+   * Files are fetched from their contract's storage gateways with the same failover as
+   * proxied file access. A manifest.json with CIDs, contract IDs and sizes is written last
+   * so it can also record files that could not be fetched.
+   */
+  async function streamDirectoryArchive(networkClient, username, directoryPath, allPaths, format, res) {
+    const rootName = directoryPath === '/' ? username : directoryPath.split('/').filter(p => p).pop();
+    const { directories, files } = collectArchiveEntries(allPaths, directoryPath, rootName);
+    
+    if (directories.length === 0 && directoryPath !== '/') {
+      res.status(404).json({ error: 'Directory not found', path: directoryPath });
+      return;
+    }
+    
+    const totalSize = files.reduce((sum, { file }) => sum + (parseInt(file.size) || 0), 0);
+
+    // Refused before any header is sent or file fetched
+    const overLimit = checkArchiveLimits({ fileCount: files.length, totalSize }, exportLimits);
+    if (overLimit) {
+      res.status(413).json(overLimit);
+      return;
+    }
+
+    if (format === 'zip' && totalSize > ZIP_MAX_BYTES) {
+      res.status(400).json({
+        error: 'Directory is too large for zip export, use format=tar',
+        totalSize
+      });
+      return;
+    }
+
+    logger.info('Streaming directory archive', {
+      username,
+      directoryPath,
+      format,
+      directories: directories.length,
+      files: files.length,
+      totalSize
     });
 
-    logger.info('Directory listing result', {
-      directoryPath: normalizedPath,
-      itemCount: contentsArray.length,
-      directories: contentsArray.filter(i => i.type === 'directory').length,
-      files: contentsArray.filter(i => i.type === 'file').length
+    const { contentType, extension } = ARCHIVE_FORMATS[format];
+    res.status(200).set({
+      'Content-Type': contentType,
+      'Content-Disposition': contentDisposition('attachment', `${rootName}.${extension}`),
+      'Cache-Control': 'no-store, no-transform',
+      'X-File-Count': files.length,
+      'X-Total-Size': totalSize
     });
 
-    // Format response
-    const directoryResponse = {
-      path: normalizedPath,
-      username: username,
-      type: 'directory',
-      contents: contentsArray
-    };
+    const writer = createArchiveWriter(format, res);
+    const networkGateways = await getAllIPFSGateways(networkClient);
+    const mtime = new Date();
+    const manifestFiles = [];
+    let activeController = null;
 
-    res.json(directoryResponse);
+    // Stop the current gateway download if the client disconnects
+    res.on('close', () => {
+      if (!res.writableFinished && activeController) {
+        activeController.abort();
+      }
+    });
+
+    try {
+      for (const directory of directories) {
+        await writer.addDirectory(directory, { mtime });
+      }
+
+      for (const { archivePath, file } of files) {
+        const entry = {
+          path: archivePath,
+          sourcePath: file.sourcePath,
+          cid: file.cid,
+          contractId: file.contract?.id || null,
+          blockNumber: file.contract?.blockNumber || null,
+          size: parseInt(file.size) || 0,
+          mimeType: file.mimeType || null,
+          encrypted: !!file.contract?.encryptionData
+        };
+
+        const gateways = await getOrderedGateways(networkClient, entry.contractId, networkGateways);
+        const { response, gateway, controller, attempts } = await gatewayProxy.open(file.cid, gateways);
+
+        if (!response || !response.ok || !response.body) {
+          manifestFiles.push({ ...entry, status: 'unavailable', attempts });
+          continue;
+        }
+
+        // The gateway's length is authoritative for tar headers; metadata size can be stale
+        const contentLength = parseInt(response.headers.get('content-length'));
+        const size = Number.isFinite(contentLength) ? contentLength : entry.size;
+
+        activeController = controller;
+        const bytes = await writer.addFile(archivePath, response.body, { size, mtime });
+        activeController = null;
+
+        manifestFiles.push({
+          ...entry,
+          status: bytes === entry.size ? 'ok' : 'size-mismatch',
+          bytes,
+          gateway: gateway.url
+        });
+      }
+
+      const manifest = {
+        username,
+        path: directoryPath,
+        format,
+        createdAt: mtime.toISOString(),
+        fileCount: files.length,
+        totalSize,
+        missing: manifestFiles.filter(f => f.status === 'unavailable').length,
+        files: manifestFiles
+      };
+
+      await writer.addBuffer('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)), { mtime });
+      await writer.finalize();
+      res.end();
+    } catch (error) {
+      // Headers are already sent, so the only signal left is a truncated download
+      logger.error('Directory archive stream failed', {
+        error: error.message,
+        username,
+        directoryPath,
+        format
+      });
+      res.destroy(error);
+    }
   }
 
   /**
@@ -1249,7 +2079,7 @@ export function createFileSystemRoutes({ dgraphClient, networkManager }) {
   /**
    * Handle files shared with me (encrypted files where I have access)
    */
-  async function handleSharedWithMeRequest(dgraphClient, username, requestPath, res) {
+  async function handleSharedWithMeRequest(dgraphClient, username, requestPath, res, req = null) {
     // Query for encrypted contracts where this user has an encryption key
     const query = `
       query getSharedWithMe($username: string) {
@@ -1317,13 +2147,21 @@ export function createFileSystemRoutes({ dgraphClient, networkManager }) {
       await handleSharedFileRequest(dgraphClient, contracts, normalizedPath, sharedInfo, res);
     } else {
       // Directory listing
+      const { error: listingError, value: listingOptions } = parseDirectoryQuery(req?.query);
+      if (listingError) {
+        return res.status(400).json({ error: listingError });
+      }
+      
       const fileSystem = buildSharedFileSystemStructure(contracts, normalizedPath, sharedInfo);
+      const { contents, totals, pagination } = await pageListing(getSpkClient(dgraphClient), fileSystem, listingOptions);
       
       res.json({
         path: normalizedPath,
         username: username,
         type: 'shared-with-me',
-        contents: fileSystem
+        contents,
+        totals,
+        pagination
       });
     }
   }
@@ -1331,7 +2169,7 @@ export function createFileSystemRoutes({ dgraphClient, networkManager }) {
   /**
    * Handle files I've shared with others
    */
-  async function handleSharedByMeRequest(dgraphClient, username, requestPath, res) {
+  async function handleSharedByMeRequest(dgraphClient, username, requestPath, res, req = null) {
     // Query for my encrypted contracts that have encryption keys
     const query = `
       query getSharedByMe($username: string) {
@@ -1397,13 +2235,21 @@ export function createFileSystemRoutes({ dgraphClient, networkManager }) {
       await handleFileRequest(dgraphClient, username, normalizedPath, res);
     } else {
       // Directory listing with sharing info
+      const { error: listingError, value: listingOptions } = parseDirectoryQuery(req?.query);
+      if (listingError) {
+        return res.status(400).json({ error: listingError });
+      }
+      
       const fileSystem = buildSharedByMeFileSystemStructure(contracts, normalizedPath, sharingInfo);
+      const { contents, totals, pagination } = await pageListing(getSpkClient(dgraphClient), fileSystem, listingOptions);
       
       res.json({
         path: normalizedPath,
         username: username,
         type: 'shared-by-me',
-        contents: fileSystem
+        contents,
+        totals,
+        pagination
       });
     }
   }
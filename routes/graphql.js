@@ -1,20 +1,129 @@
 import { Router } from 'express';
 import { createHandler } from 'graphql-http/lib/use/express';
 import expressPlayground from 'graphql-playground-middleware-express';
-import { buildSchema } from 'graphql';
+import { buildSchema, execute } from 'graphql';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { createGraphQLResolvers } from '../lib/graphql-resolvers.js';
+import { bindResolvers, createGraphQLLoaders, createGraphQLResolvers, createNetworkTokenSource } from '../lib/graphql-resolvers.js';
+import { analyzeQueryCost, createQueryCostRule, queryCostErrors, queryCostLimits } from '../lib/graphql-query-cost.js';
+import { createPersistedQueryStore, persistedQueryOptions } from '../lib/persisted-queries.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+async function loadApiSchema() {
+  const schemaPath = path.join(__dirname, '../schema/honeycomb-api.graphql');
+  const schemaString = await fs.readFile(schemaPath, 'utf8');
+  return buildSchema(schemaString);
+}
+
+function formatGraphQLError(error) {
+  console.error('GraphQL Error:', error);
+  return {
+    message: error.message,
+    locations: error.locations,
+    path: error.path,
+    extensions: {
+      ...error.extensions,
+      code: error.extensions?.code || error.originalError?.extensions?.code || 'INTERNAL_ERROR',
+      exception: process.env.NODE_ENV !== 'production' ? {
+        stacktrace: error.stack?.split('\n')
+      } : undefined
+    }
+  };
+}
+
+/**
+ * Execute with the request's variables applied to the cost limits, reporting the
+ * operation's cost and timing in the response extensions
+ */
+function createTimedExecute(limits) {
+  return async (args) => {
+    const cost = analyzeQueryCost(args.schema, args.document, {
+      operationName: args.operationName,
+      variables: args.variableValues
+    });
+    const errors = queryCostErrors(cost, limits);
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    const startedAt = new Date();
+    const started = process.hrtime.bigint();
+    const result = await execute(args);
+    const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+
+    return {
+      ...result,
+      extensions: {
+        ...result.extensions,
+        cost: { ...cost, ...limits },
+        timing: {
+          operationName: args.operationName || null,
+          startedAt: startedAt.toISOString(),
+          durationMs: Math.round(durationMs * 1000) / 1000
+        }
+      }
+    };
+  };
+}
+
+function parseJsonParam(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error('Unparsable JSON parameter');
+  }
+}
+
+/**
+ * Request parameters with persisted-query hashes replaced by their documents
+ * Returns undefined for ordinary requests so graphql-http parses them as usual.
+ * Express has already parsed the JSON body and query string; GET parameters arrive as strings.
+ */
+function createPersistedParamsParser(persistedQueries) {
+  return async (req) => {
+    const raw = req.raw;
+    const source = (raw.method === 'GET' ? raw.query : raw.body) || {};
+    const extensions = parseJsonParam(source.extensions);
+
+    const query = persistedQueries.resolve({ query: source.query, extensions });
+    if (query === null) {
+      return undefined;
+    }
+
+    return {
+      operationName: source.operationName || undefined,
+      query,
+      variables: parseJsonParam(source.variables) || undefined,
+      extensions
+    };
+  };
+}
+
 /**
  * Create GraphQL routes for honeygraph
  * Provides a unified GraphQL API for all token data
+ * Tokens come from the MultiTokenManager when one is running, otherwise from the network registry
+ *
+ * @param {Object} options - { multiTokenManager, networkManager, queryLimits: { maxDepth, maxComplexity },
+ *   persistedQueries: { allowListPath, allowOnly, cacheSize } }
  */
-export function createGraphQLRoutes({ multiTokenManager }) {
+export function createGraphQLRoutes({ multiTokenManager, networkManager, queryLimits = {}, persistedQueries: persistedQueryConfig = {} }) {
   const router = Router();
+  const tokenSource = multiTokenManager || createNetworkTokenSource(networkManager);
+  const limits = queryCostLimits(queryLimits);
+
+  // The allow-list is read at startup; a bad manifest keeps the endpoint from serving at all
+  const persistedQueries = createPersistedQueryStore(persistedQueryOptions(persistedQueryConfig));
+  const allowListLoaded = persistedQueries.loadAllowList();
+  allowListLoaded.catch(error => console.error('Failed to load persisted queries:', error.message));
+  
+  // Create resolvers
+  const resolvers = createGraphQLResolvers(tokenSource);
   
   // Load GraphQL schema
   let schema;
@@ -23,9 +132,7 @@ export function createGraphQLRoutes({ multiTokenManager }) {
   async function loadSchema() {
     if (!schemaLoaded) {
       try {
-        const schemaPath = path.join(__dirname, '../schema/honeycomb-api.graphql');
-        const schemaString = await fs.readFile(schemaPath, 'utf8');
-        schema = buildSchema(schemaString);
+        schema = bindResolvers(await loadApiSchema(), resolvers);
         schemaLoaded = true;
       } catch (error) {
         console.error('Failed to load GraphQL schema:', error);
@@ -35,36 +142,24 @@ export function createGraphQLRoutes({ multiTokenManager }) {
     return schema;
   }
   
-  // Create resolvers
-  const rootResolver = createGraphQLResolvers(multiTokenManager);
-  
   // Initialize GraphQL handler
   let graphqlHandler;
   
   async function initializeHandler() {
     if (!graphqlHandler) {
-      await loadSchema();
+      await Promise.all([loadSchema(), allowListLoaded]);
       graphqlHandler = createHandler({
         schema,
-        rootValue: rootResolver,
+        parseRequestParams: createPersistedParamsParser(persistedQueries),
+        validationRules: (req, args, specifiedRules) => [...specifiedRules, createQueryCostRule(limits)],
+        execute: createTimedExecute(limits),
+        // Fresh loaders per request, so batched and shared loads never outlive it
         context: async (req) => ({
-          multiTokenManager,
+          multiTokenManager: tokenSource,
+          loaders: createGraphQLLoaders(tokenSource),
           req
         }),
-        formatError: (error) => {
-          console.error('GraphQL Error:', error);
-          return {
-            message: error.message,
-            locations: error.locations,
-            path: error.path,
-            extensions: {
-              code: error.originalError?.extensions?.code || 'INTERNAL_ERROR',
-              exception: process.env.NODE_ENV !== 'production' ? {
-                stacktrace: error.stack?.split('\n')
-              } : undefined
-            }
-          };
-        }
+        formatError: formatGraphQLError
       });
     }
     return graphqlHandler;
@@ -106,93 +201,89 @@ export function createGraphQLRoutes({ multiTokenManager }) {
 }
 
 /**
- * Create token-specific GraphQL endpoint
- * Each token can have its own GraphQL endpoint with custom schema
+ * Serve the Subscription root over graphql-ws
+ * The server owns the HTTP upgrade; wss should be created with noServer and fed
+ * upgrades for the GraphQL path, so it can share the port with /fork-stream
+ *
+ * @param {Object} options - { wss, subscriptionHub }
+ * @returns {Object} graphql-ws Disposable
  */
-export function createTokenGraphQLRoutes({ token, dgraphClient }) {
-  const router = Router();
-  
-  // Token-specific GraphQL endpoint
-  router.use('/', async (req, res, next) => {
-    try {
-      // Load token-specific schema if available
-      const baseSchemaPath = path.join(__dirname, '../schema/honeycomb-api.graphql');
-      const customSchemaPath = path.join(__dirname, '../schema/custom', `${token.toLowerCase()}-api.graphql`);
-      
-      let schemaString = await fs.readFile(baseSchemaPath, 'utf8');
-      
-      // Try to load custom schema
-      try {
-        const customSchema = await fs.readFile(customSchemaPath, 'utf8');
-        schemaString += '\n\n' + customSchema;
-      } catch (err) {
-        // No custom schema, use base only
-      }
-      
-      const schema = buildSchema(schemaString);
-      
-      // Create token-specific resolvers
-      const rootResolver = {
-        Query: {
-          info: async () => {
-            const query = `
-              query {
-                info(func: eq(State.path, "@${token.toLowerCase()}:info")) {
-                  State.value
-                }
-              }
-            `;
-            const result = await dgraphClient.query(query);
-            return result.info?.[0]?.['State.value'] || {};
-          },
-          
-          user: async (args) => {
-            const { username } = args;
-            const query = `
-              query {
-                balance(func: eq(State.path, "@${token.toLowerCase()}:${username}")) {
-                  State.value
-                }
-              }
-            `;
-            const result = await dgraphClient.query(query);
-            
-            if (!result.balance?.[0]) return null;
-            
-            return {
-              username,
-              balance: result.balance[0]['State.value'] || "0"
-            };
-          },
-          
-          dex: async () => {
-            const query = `
-              query {
-                dex(func: eq(State.path, "@${token.toLowerCase()}:dex")) {
-                  State.value
-                }
-              }
-            `;
-            const result = await dgraphClient.query(query);
-            return result.dex?.[0]?.['State.value'] || {};
-          }
-        }
-      };
-      
-      const handler = createHandler({
+export async function attachGraphQLSubscriptions({ wss, subscriptionHub }) {
+  const { useServer } = await import('graphql-ws/lib/use/ws');
+  const schema = await loadApiSchema();
+
+  return useServer({
+    schema,
+    roots: {
+      subscription: subscriptionHub.rootValue()
+    },
+    onError: (ctx, message, errors) => {
+      console.error('GraphQL subscription error:', errors.map(error => error.message).join('; '));
+    }
+  }, wss);
+}
+
+/**
+ * Serve prebuilt schemas, one graphql-http handler per schema instance
+ * A hot-reloaded schema is a new instance, so it is served from the next request on
+ */
+function createSchemaServer(queryLimits) {
+  const limits = queryCostLimits(queryLimits);
+  const handlers = new WeakMap();
+
+  return (schema, req, res, next) => {
+    if (!handlers.has(schema)) {
+      handlers.set(schema, createHandler({
         schema,
-        rootValue: rootResolver
-      });
-      
-      handler(req, res, next);
-      
-    } catch (error) {
-      res.status(500).json({
-        error: 'Failed to initialize token GraphQL endpoint',
-        message: error.message
-      });
+        validationRules: (request, args, specifiedRules) => [...specifiedRules, createQueryCostRule(limits)],
+        execute: createTimedExecute(limits),
+        context: async (request) => ({ req: request }),
+        formatError: formatGraphQLError
+      }));
+    }
+    handlers.get(schema)(req, res, next);
+  };
+}
+
+/**
+ * Create token-specific GraphQL endpoints
+ * Each token is served the schema MultiTokenManager generated from its Dgraph types
+ * when it registered, at /:symbol
+ */
+export function createTokenGraphQLRoutes({ multiTokenManager, queryLimits = {} }) {
+  const router = Router();
+  const serve = createSchemaServer(queryLimits);
+
+  router.all('/:symbol', (req, res, next) => {
+    const symbol = req.params.symbol.toUpperCase();
+    const schema = multiTokenManager.getTokenGraphQLSchema(symbol);
+
+    if (!schema) {
+      return res.status(404).json({ error: `Token ${symbol} not found` });
     }
+    serve(schema, req, res, next);
   });
-  
+
+  return router;
+}
+
+/**
+ * Create the GraphQL gateway endpoint
+ * One query can span every registered token, each under a field named after it:
+ * { spk { token { name } } larynx { accountList { username } } }
+ */
+export function createGraphQLGatewayRoutes({ multiTokenManager, queryLimits = {} }) {
+  const router = Router();
+  const serve = createSchemaServer(queryLimits);
+
+  router.all('/', (req, res, next) => {
+    const schema = multiTokenManager.getGatewaySchema();
+
+    if (!schema) {
+      return res.status(503).json({ error: 'No token schemas registered' });
+    }
+    serve(schema, req, res, next);
+  });
+
   return router;
-}
\ No newline at end of file
+}
@@ -6,12 +6,14 @@ import { createAdminRoutes } from './admin.js';
 import { createCheckpointRoutes } from './checkpoints.js';
 import { createSyncRoutes } from './sync.js';
 import { createSPKRoutes } from './spk.js';
+import { createMarketRoutes } from './markets.js';
 import { createFileSystemRoutes } from './filesystem.js';
 import { createMultiTokenRoutes } from './multi-token.js';
-import { createGraphQLRoutes } from './graphql.js';
+import { createGraphQLGatewayRoutes, createGraphQLRoutes, createTokenGraphQLRoutes } from './graphql.js';
+import { createRegistryRoutes } from './registry.js';
 import { createDataTransformer } from '../lib/data-transformer.js';
 import { createAuthRoutes } from './auth.js';
-import { authenticateHiveNode } from '../middleware/hive-auth.js';
+import { authenticateHiveNode, authenticateAdmin } from '../middleware/hive-auth.js';
 
 // Validation schemas
 const schemas = {
@@ -59,7 +61,7 @@ export function validate(schema) {
   };
 }
 
-export function createRouter({ dgraphClient, forkManager, replicationQueue, zfsCheckpoints, peerSync, networkManager }) {
+export function createRouter({ dgraphClient, forkManager, replicationQueue, zfsCheckpoints, peerSync, networkManager, multiTokenManager }) {
   const router = Router();
   const dataTransformer = createDataTransformer(dgraphClient, networkManager);
 
@@ -70,6 +72,8 @@ export function createRouter({ dgraphClient, forkManager, replicationQueue, zfsC
   const hiveAuth = authenticateHiveNode({ 
     requireAuthorization: process.env.REQUIRE_HIVE_AUTH === 'true' 
   });
+  // Schema uploads and feed reparses always need a signed request from an admin account
+  const adminAuth = authenticateAdmin();
 
   // NOTE: HTTP replication endpoints removed - data streaming happens via WebSocket at /fork-stream
   // router.use('/replicate', hiveAuth, createReplicationRoutes({ 
@@ -115,15 +119,27 @@ export function createRouter({ dgraphClient, forkManager, replicationQueue, zfsC
     dgraphClient,
     dataTransformer,
     schemas,
-    validate 
+    validate,
+    networkManager
   }));
+
+  // CoinGecko/CoinMarketCap DEX integration feeds
+  router.use('/markets', createMarketRoutes({ dgraphClient, networkManager }));
   
+  // Generated per-token GraphQL schemas (if a MultiTokenManager is running)
+  if (multiTokenManager) {
+    router.use('/registry', createRegistryRoutes({ multiTokenManager, authenticate: adminAuth }));
+    router.use('/graphql/tokens', createTokenGraphQLRoutes({ multiTokenManager }));
+    router.use('/graphql/gateway', createGraphQLGatewayRoutes({ multiTokenManager }));
+  }
+
   // Network-based multi-token routes (if manager is provided)
   if (networkManager) {
     const multiTokenRouter = createMultiTokenRoutes({
       networkManager,
       schemas,
-      validate
+      validate,
+      authenticate: adminAuth
     });
     
     // Mount both /token and /network routes
@@ -144,6 +160,7 @@ export function createRouter({ dgraphClient, forkManager, replicationQueue, zfsC
         replication: '/api/replicate',
         query: '/api/query',
         admin: '/api/admin',
+        markets: '/api/markets',
         health: '/health',
         networks: networkManager ? '/api/networks' : undefined,
         tokens: networkManager ? '/api/tokens' : undefined,
@@ -151,7 +168,10 @@ export function createRouter({ dgraphClient, forkManager, replicationQueue, zfsC
         tokenInfo: networkManager ? '/api/token/{token}/info' : undefined,
         networkQuery: networkManager ? '/api/network/{prefix}/query' : undefined,
         tokenQuery: networkManager ? '/api/token/{token}/query' : undefined,
-        graphql: networkManager ? '/api/graphql' : undefined
+        graphql: networkManager ? '/api/graphql' : undefined,
+        tokenGraphQL: multiTokenManager ? '/api/graphql/tokens/{token}' : undefined,
+        graphqlGateway: multiTokenManager ? '/api/graphql/gateway' : undefined,
+        registry: multiTokenManager ? '/api/registry/tokens' : undefined
       }
     });
   });
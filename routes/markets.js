@@ -0,0 +1,77 @@
+import { Router } from 'express';
+import { createLogger } from '../lib/logger.js';
+import { createMarketFeeds } from '../lib/market-feeds.js';
+
+const logger = createLogger('market-routes');
+
+/**
+ * Create market data routes
+ * Pairs, tickers, order books and trade history of the SPK network DEX in the
+ * format CoinGecko and CoinMarketCap poll from DEX integrations
+ */
+export function createMarketRoutes({ dgraphClient, networkManager }) {
+  const router = Router();
+
+  function getMarketFeeds() {
+    const spkNetwork = networkManager?.getNetwork('spkccT_');
+    return createMarketFeeds(spkNetwork ? spkNetwork.dgraphClient : dgraphClient);
+  }
+
+  router.get('/pairs', async (req, res) => {
+    try {
+      res.json(await getMarketFeeds().pairs());
+    } catch (error) {
+      logger.error('Market pairs failed', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/tickers', async (req, res) => {
+    try {
+      res.json(await getMarketFeeds().tickers());
+    } catch (error) {
+      logger.error('Market tickers failed', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/orderbook', async (req, res) => {
+    try {
+      const feeds = getMarketFeeds();
+      const { error, value } = feeds.parseOrderbookParams(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const orderbook = await feeds.orderbook(value);
+      if (!orderbook) {
+        return res.status(404).json({ error: 'Ticker not found' });
+      }
+      res.json(orderbook);
+    } catch (error) {
+      logger.error('Market orderbook failed', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/historical_trades', async (req, res) => {
+    try {
+      const feeds = getMarketFeeds();
+      const { error, value } = feeds.parseTradesParams(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const trades = await feeds.historicalTrades(value);
+      if (!trades) {
+        return res.status(404).json({ error: 'Ticker not found' });
+      }
+      res.json(trades);
+    } catch (error) {
+      logger.error('Market trades failed', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
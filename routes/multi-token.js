@@ -2,13 +2,17 @@ import { Router } from 'express';
 import { createQueryRoutes } from './query.js';
 import { createSPKRoutes } from './spk.js';
 import { createDataTransformer } from '../lib/data-transformer.js';
+import { createFeedCoverage } from '../lib/feed-coverage.js';
+import { createFeedReparser, createReparseJobs } from '../lib/feed-reparser.js';
+import { authenticateAdmin } from '../middleware/hive-auth.js';
 
 /**
  * Create network-based routes
  * Routes are accessible at /api/network/{prefix}/... and /api/token/{token}/...
  */
-export function createMultiTokenRoutes({ networkManager, schemas, validate }) {
+export function createMultiTokenRoutes({ networkManager, schemas, validate, authenticate = authenticateAdmin() }) {
   const router = Router();
+  const reparseJobs = createReparseJobs();
   
   // Network-based routes - /api/network/{prefix}/...
   router.use('/network/:prefix/*', async (req, res, next) => {
@@ -176,6 +180,76 @@ export function createMultiTokenRoutes({ networkManager, schemas, validate }) {
     }
   });
   
+  // Feed grammar the network's feed is parsed with
+  router.get('/network/:prefix/feed/grammar', (req, res) => {
+    res.json({
+      network: req.networkPrefix,
+      grammar: networkManager.getFeedParser(req.networkPrefix).describe()
+    });
+  });
+
+  // Share of stored feed entries the grammar classifies, and the most common unmatched messages
+  router.get('/network/:prefix/feed/coverage', async (req, res) => {
+    try {
+      const coverage = createFeedCoverage(req.dgraphClient, {
+        parser: networkManager.getFeedParser(req.networkPrefix)
+      });
+      const { error, value } = coverage.parseParams(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      res.json({
+        network: req.networkPrefix,
+        ...await coverage.report(value)
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: 'Failed to build feed coverage report',
+        message: error.message
+      });
+    }
+  });
+
+  // Upgrade stored UNKNOWN transactions with the current grammar, as a background job
+  router.post('/network/:prefix/feed/reparse', authenticate, (req, res) => {
+    const { fromBlock = null, toBlock = null, dryRun = false } = req.body || {};
+    for (const [name, block] of Object.entries({ fromBlock, toBlock })) {
+      if (block !== null && (!Number.isInteger(block) || block < 0)) {
+        return res.status(400).json({ error: `Invalid ${name}: ${block}` });
+      }
+    }
+
+    const reparser = createFeedReparser(req.dgraphClient, { networkManager });
+    const { job, running } = reparseJobs.start(req.networkPrefix, reparser, {
+      fromBlock,
+      toBlock,
+      dryRun: dryRun === true,
+      grammarVersion: networkManager.getFeedParser(req.networkPrefix).grammarVersion
+    });
+    if (running) {
+      return res.status(409).json({
+        error: 'A re-parse is already running for this network',
+        jobId: running.id
+      });
+    }
+
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `${req.baseUrl}/network/${req.params.prefix}/feed/reparse/${job.id}`
+    });
+  });
+
+  // Progress or outcome of a re-parse job
+  router.get('/network/:prefix/feed/reparse/:jobId', authenticate, (req, res) => {
+    const job = reparseJobs.get(req.params.jobId);
+    if (!job || job.network !== req.networkPrefix) {
+      return res.status(404).json({ error: 'Re-parse job not found' });
+    }
+    res.json(reparseJobs.describe(job));
+  });
+
   // List all registered networks
   router.get('/networks', (req, res) => {
     const networks = networkManager.getAllNetworks();
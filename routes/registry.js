@@ -0,0 +1,61 @@
+import { Router } from 'express';
+import { authenticateAdmin } from '../middleware/hive-auth.js';
+
+/**
+ * Create token registry routes
+ * Exposes the GraphQL schemas MultiTokenManager builds for each token, and hot-reloads
+ * a token's schema when new extension SDL is posted
+ */
+export function createRegistryRoutes({ multiTokenManager, authenticate = authenticateAdmin() }) {
+  const router = Router();
+
+  router.get('/tokens', (req, res) => {
+    res.json({
+      tokens: multiTokenManager.getTokenSymbols().map(symbol => ({
+        symbol,
+        graphql: Boolean(multiTokenManager.getTokenGraphQLSchema(symbol))
+      }))
+    });
+  });
+
+  // Generated and extension SDL for one token
+  router.get('/tokens/:symbol/schema', (req, res) => {
+    const symbol = req.params.symbol.toUpperCase();
+    const typeDefs = multiTokenManager.getTokenGraphQLTypeDefs(symbol);
+
+    if (typeDefs === null) {
+      return res.status(404).json({ error: `Token ${symbol} not found` });
+    }
+    res.type('text/plain').send(typeDefs);
+  });
+
+  // Replace the token's extension SDL; the new schema serves the next request
+  router.post('/tokens/:symbol/schema', authenticate, async (req, res) => {
+    const symbol = req.params.symbol.toUpperCase();
+    const { schema } = req.body || {};
+
+    if (typeof schema !== 'string') {
+      return res.status(400).json({ error: 'schema must be a GraphQL SDL string' });
+    }
+    if (!multiTokenManager.getToken(symbol)) {
+      return res.status(404).json({ error: `Token ${symbol} not found` });
+    }
+
+    try {
+      const tokenSchema = await multiTokenManager.updateGraphQLSchema(symbol, schema);
+      res.json({
+        success: true,
+        symbol,
+        rootType: tokenSchema.rootType
+      });
+    } catch (error) {
+      // The running schema is kept when the new one fails to build
+      res.status(400).json({
+        error: 'Failed to update schema',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
@@ -1,11 +1,28 @@
 import { Router } from 'express';
 import { createLogger } from '../lib/logger.js';
+import { createFileSearch } from '../lib/file-search.js';
+import { createTrashBin } from '../lib/trash-bin.js';
+import { createFileHistory } from '../lib/file-history.js';
+import { createStorageUsage } from '../lib/storage-usage.js';
+import { createTransactionHistory } from '../lib/transaction-history.js';
+import { createAccountTimeline } from '../lib/account-timeline.js';
+import { createBalanceHistory } from '../lib/balance-history.js';
+import { createOrderLifecycle } from '../lib/order-lifecycle.js';
+import { createTradingAnalytics } from '../lib/trading-analytics.js';
+import { createDexCandles } from '../lib/dex-candles.js';
+import { createDexMarketData } from '../lib/dex-market.js';
 
 const logger = createLogger('spk-routes');
 
-export function createSPKRoutes({ dgraphClient, dataTransformer, schemas, validate }) {
+export function createSPKRoutes({ dgraphClient, dataTransformer, schemas, validate, networkManager }) {
   const router = Router();
 
+  // SPK network data lives in the spkccT_ namespace when networks are registered
+  function getSpkClient() {
+    const spkNetwork = networkManager?.getNetwork('spkccT_');
+    return spkNetwork ? spkNetwork.dgraphClient : dgraphClient;
+  }
+
   // Get user's complete profile with all related data
   router.get('/user/:username', async (req, res) => {
     try {
@@ -189,6 +206,224 @@ export function createSPKRoutes({ dgraphClient, dataTransformer, schemas, valida
     }
   });
 
+  /**
+   * Global full-text file search with facets
+   * GET /search/files?q=&owner=&status=&fromBlock=&toBlock=&mimeType=&license=&label=&size=&limit=&offset=
+   */
+  router.get('/search/files', async (req, res) => {
+    try {
+      const fileSearch = createFileSearch(getSpkClient());
+      const { error, value } = fileSearch.parseParams(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      res.json(await fileSearch.search(value));
+    } catch (error) {
+      logger.error('File search failed', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * Files removed from a user's contracts in the last N blocks
+   * GET /user/:username/trash?blocks=&reason=&limit=&offset=
+   */
+  router.get('/user/:username/trash', async (req, res) => {
+    try {
+      const trashBin = createTrashBin(getSpkClient());
+      const { error, value } = trashBin.parseParams(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const trash = await trashBin.list(req.params.username, value);
+      if (!trash) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json(trash);
+    } catch (error) {
+      logger.error('Trash listing failed', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * Storage used by an account, broken down by top-level folder, MIME type and contract
+   * GET /user/:username/usage?expiringWithin=
+   */
+  router.get('/user/:username/usage', async (req, res) => {
+    try {
+      const storageUsage = createStorageUsage(getSpkClient());
+      const { error, value } = storageUsage.parseParams(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const usage = await storageUsage.summarize(req.params.username, value);
+      if (!usage) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json(usage);
+    } catch (error) {
+      logger.error('Storage usage failed', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * Feed transactions a user sent, received or initiated, with per-token totals
+   * GET /user/:username/transactions?category=&operationType=&token=&counterparty=&fromBlock=&toBlock=&from=&to=&limit=&cursor=&format=json|csv
+   */
+  router.get('/user/:username/transactions', async (req, res) => {
+    try {
+      const history = createTransactionHistory(getSpkClient());
+      const { error, value } = history.parseParams(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const result = await history.list(req.params.username, value);
+      if (!result) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      if (value.format === 'csv') {
+        const filename = `${req.params.username.replace(/[^\w.-]/g, '_')}-transactions.csv`;
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        return res.send(history.toCSV(result.transactions));
+      }
+
+      res.json(result);
+    } catch (error) {
+      logger.error('Transaction history failed', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * Feed transactions, balance changes and contract events for a user, interleaved by block
+   * GET /user/:username/timeline?kind=transaction,dex,balance,contract&token=&fromBlock=&toBlock=&limit=&cursor=
+   */
+  router.get('/user/:username/timeline', async (req, res) => {
+    try {
+      const timeline = createAccountTimeline(getSpkClient());
+      const { error, value } = timeline.parseParams(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const result = await timeline.list(req.params.username, value);
+      if (!result) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json(result);
+    } catch (error) {
+      logger.error('Account timeline failed', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * DEX orders a user placed, open and closed, with their fills
+   * GET /user/:username/orders?status=OPEN,PARTIAL,FILLED,CANCELLED,EXPIRED&market=&limit=&offset=
+   */
+  router.get('/user/:username/orders', async (req, res) => {
+    try {
+      const lifecycle = createOrderLifecycle(getSpkClient());
+      const { error, value } = lifecycle.parseParams(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const result = await lifecycle.list(req.params.username, value);
+      if (!result) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json(result);
+    } catch (error) {
+      logger.error('Order history failed', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * DEX P&L with FIFO lots, volume, fees and win rate per market
+   * GET /user/:username/trading?market=&from=&to=
+   */
+  router.get('/user/:username/trading', async (req, res) => {
+    try {
+      const analytics = createTradingAnalytics(getSpkClient());
+      const { error, value } = analytics.parseParams(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const result = await analytics.report(req.params.username, value);
+      if (!result) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json(result);
+    } catch (error) {
+      logger.error('Trading analytics failed', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * Balances of every tracked field, now or as of a block
+   * GET /user/:username/balances?at=
+   */
+  router.get('/user/:username/balances', async (req, res) => {
+    try {
+      const history = createBalanceHistory(getSpkClient());
+      const { error, value } = history.parseAtParams(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const result = await history.balancesAt(req.params.username, value.at);
+      if (!result) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json(result);
+    } catch (error) {
+      logger.error('Balances at block failed', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * One balance field over a block range, raw changes or interval buckets for charting
+   * GET /user/:username/balances/:field/series?fromBlock=&toBlock=&interval=&limit=
+   */
+  router.get('/user/:username/balances/:field/series', async (req, res) => {
+    try {
+      const history = createBalanceHistory(getSpkClient());
+      const { error, value } = history.parseSeriesParams(req.params.field, req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const result = await history.series(req.params.username, value);
+      if (!result) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json(result);
+    } catch (error) {
+      logger.error('Balance series failed', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   // Get storage network statistics
   router.get('/storage/stats', async (req, res) => {
     try {
@@ -236,66 +471,49 @@ export function createSPKRoutes({ dgraphClient, dataTransformer, schemas, valida
     }
   });
 
-  // Get DEX market data
+  /**
+   * Market depth by price level, spread, mid price, last trade and 24h statistics
+   * GET /dex/:pair?depth=
+   */
   router.get('/dex/:pair', async (req, res) => {
     try {
-      const { pair } = req.params;
-      const { depth = 20 } = req.query;
-      
-      const query = `
-        query getMarket($pair: string) {
-          buyOrders: orders(func: type(DexOrder), orderdesc: rate, first: ${depth}) 
-            @filter(eq(pair, $pair) AND eq(type, "BUY") AND eq(status, "OPEN")) {
-            rate
-            amount
-            filled
-            owner {
-              username
-            }
-          }
-          
-          sellOrders: orders(func: type(DexOrder), orderasc: rate, first: ${depth}) 
-            @filter(eq(pair, $pair) AND eq(type, "SELL") AND eq(status, "OPEN")) {
-            rate
-            amount
-            filled
-            owner {
-              username
-            }
-          }
-          
-          recentTrades: fills(func: type(OrderFill), orderdesc: timestamp, first: 50) 
-            @filter(eq(order.pair, $pair)) {
-            amount
-            rate
-            timestamp
-            order {
-              type
-            }
-            counterparty {
-              username
-            }
-          }
-          
-          pool: pool(func: eq(pair, $pair)) {
-            token0Reserve
-            token1Reserve
-            totalShares
-            tvl
-            volume24h
-            apy
-          }
-        }
-      `;
-      
-      const vars = { $pair: pair };
-      const result = await dgraphClient.client.newTxn().queryWithVars(query, vars);
-      res.json(result.getJson());
+      const marketData = createDexMarketData(getSpkClient());
+      const { error, value } = marketData.parseParams(req.params.pair, req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const result = await marketData.summary(value);
+      if (!result) {
+        return res.status(404).json({ error: 'Market not found' });
+      }
+
+      res.json(result);
     } catch (error) {
+      logger.error('DEX market failed', { error: error.message });
       res.status(500).json({ error: error.message });
     }
   });
 
+  /**
+   * Candles in TradingView UDF history shape
+   * GET /dex/:pair/candles?interval=1m|5m|1h|4h|1d&from=&to=&countback=
+   */
+  router.get('/dex/:pair/candles', async (req, res) => {
+    try {
+      const candles = createDexCandles(getSpkClient());
+      const { error, value } = candles.parseParams(req.params.pair, req.query);
+      if (error) {
+        return res.status(400).json({ s: 'error', errmsg: error });
+      }
+
+      res.json(await candles.history(value));
+    } catch (error) {
+      logger.error('Candles failed', { error: error.message });
+      res.status(500).json({ s: 'error', errmsg: error.message });
+    }
+  });
+
   // Get rich list
   router.get('/richlist/:token', async (req, res) => {
     try {
@@ -398,6 +616,24 @@ export function createSPKRoutes({ dgraphClient, dataTransformer, schemas, valida
     }
   });
 
+  /**
+   * Version chain of a file across contract metadata updates
+   * GET /file/:cid/history
+   */
+  router.get('/file/:cid/history', async (req, res) => {
+    try {
+      const history = await createFileHistory(getSpkClient()).getHistory(req.params.cid);
+      if (!history) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+
+      res.json(history);
+    } catch (error) {
+      logger.error('File history failed', { cid: req.params.cid, error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   // Get storage providers for a specific file
   router.get('/file/:cid/providers', async (req, res) => {
     try {
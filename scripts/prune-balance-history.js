@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Apply the balance history retention policy to stored BalanceChange nodes
+ *
+ * Usage: node scripts/prune-balance-history.js [--namespace spkccT_]
+ *          [--head-block N] [--full-blocks N] [--bucket-blocks N] [--max-blocks N] [--dry-run]
+ *
+ * Unset windows come from BALANCE_HISTORY_FULL_BLOCKS, BALANCE_HISTORY_BUCKET_BLOCKS and
+ * BALANCE_HISTORY_MAX_BLOCKS. The head block defaults to the newest recorded change.
+ */
+import { createDgraphClient } from '../lib/dgraph-client.js';
+import { createLogger } from '../lib/logger.js';
+import { createBalanceHistory } from '../lib/balance-history.js';
+import chalk from 'chalk';
+
+const logger = createLogger('prune-balance-history');
+
+function parseArgs(argv) {
+  const options = { namespace: 'spkccT_', headBlock: null, retention: {}, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--namespace': options.namespace = argv[++i]; break;
+      case '--head-block': options.headBlock = parseInt(argv[++i]); break;
+      case '--full-blocks': options.retention.fullBlocks = parseInt(argv[++i]); break;
+      case '--bucket-blocks': options.retention.bucketBlocks = parseInt(argv[++i]); break;
+      case '--max-blocks': options.retention.maxBlocks = parseInt(argv[++i]); break;
+      case '--dry-run': options.dryRun = true; break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+async function prune() {
+  const options = parseArgs(process.argv.slice(2));
+  const dgraphClient = createDgraphClient({ namespace: options.namespace, logger });
+
+  try {
+    const history = createBalanceHistory(dgraphClient, { retention: options.retention });
+    const { fullBlocks, bucketBlocks, maxBlocks } = history.retention;
+    console.log(chalk.blue(`Pruning balance history in ${options.namespace}: every change for ${fullBlocks} blocks, ` +
+      `then one per ${bucketBlocks} blocks${maxBlocks ? ` up to ${maxBlocks} blocks back` : ''}${options.dryRun ? ' (dry run)' : ''}...`));
+
+    const stats = await history.prune({ headBlock: options.headBlock, dryRun: options.dryRun });
+    if (stats.compactBefore === null) {
+      console.log(chalk.green(`Nothing to prune (newest change at block ${stats.headBlock ?? 'none'})`));
+      return;
+    }
+
+    console.log(chalk.green(`${options.dryRun ? 'Would merge' : 'Merged'} ${stats.removed} changes into ${stats.compacted} ` +
+      `across ${stats.accounts} accounts (compacting before block ${stats.compactBefore})`));
+  } finally {
+    if (dgraphClient.clientStub) {
+      dgraphClient.clientStub.close();
+    }
+  }
+}
+
+prune().catch(error => {
+  console.error(chalk.red('Prune failed:'), error.message);
+  process.exit(1);
+});
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Correct the timestamps of existing Transaction nodes from their block's time
+ *
+ * Usage: node scripts/reindex-transaction-timestamps.js [--namespace spkccT_]
+ *          [--from-block N] [--to-block N] [--batch-size N] [--dry-run] [--no-hive]
+ *
+ * Block times come from the block time index (BLOCK_TIME_INDEX_PATH) and, for blocks it
+ * has not seen, from a Hive API node unless --no-hive is given.
+ */
+import { createDgraphClient } from '../lib/dgraph-client.js';
+import { createLogger } from '../lib/logger.js';
+import { createTransactionTimestampReindexer } from '../lib/timestamp-reindexer.js';
+import chalk from 'chalk';
+
+const logger = createLogger('reindex-transaction-timestamps');
+
+function parseArgs(argv) {
+  const options = { namespace: 'spkccT_', fromBlock: null, toBlock: null, batchSize: 1000, dryRun: false, hive: true };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--namespace': options.namespace = argv[++i]; break;
+      case '--from-block': options.fromBlock = parseInt(argv[++i]); break;
+      case '--to-block': options.toBlock = parseInt(argv[++i]); break;
+      case '--batch-size': options.batchSize = parseInt(argv[++i]); break;
+      case '--dry-run': options.dryRun = true; break;
+      case '--no-hive': options.hive = false; break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+async function reindex() {
+  const options = parseArgs(process.argv.slice(2));
+  const dgraphClient = createDgraphClient({ namespace: options.namespace, logger });
+
+  console.log(chalk.blue(`Reindexing transaction timestamps in ${options.namespace}${options.dryRun ? ' (dry run)' : ''}...`));
+
+  try {
+    const reindexer = createTransactionTimestampReindexer(dgraphClient, {
+      batchSize: options.batchSize,
+      ...(options.hive ? {} : { fetchBlockTime: null })
+    });
+
+    const stats = await reindexer.run({
+      fromBlock: options.fromBlock,
+      toBlock: options.toBlock,
+      dryRun: options.dryRun,
+      onProgress: progress => {
+        console.log(chalk.gray(`  scanned ${progress.scanned}, ${options.dryRun ? 'would update' : 'updated'} ${progress.updated} (through block ${progress.blockNum})`));
+      }
+    });
+
+    console.log(chalk.green(`Scanned ${stats.scanned} transactions: ${stats.updated} ${options.dryRun ? 'to update' : 'updated'}, ${stats.unchanged} unchanged, ${stats.unresolved} without a block time`));
+    console.log(chalk.green(`Block times from index: ${stats.sources.index}, Hive API: ${stats.sources.hive}, estimated: ${stats.sources.estimate}`));
+  } finally {
+    if (dgraphClient.clientStub) {
+      dgraphClient.clientStub.close();
+    }
+  }
+}
+
+reindex().catch(error => {
+  console.error(chalk.red('Reindex failed:'), error.message);
+  process.exit(1);
+});
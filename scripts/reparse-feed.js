@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Re-parse stored UNKNOWN and catch-all feed transactions with the current feed grammar
+ *
+ * Usage: node scripts/reparse-feed.js [--namespace spkccT_]
+ *          [--from-block N] [--to-block N] [--batch-size N] [--dry-run]
+ *
+ * The network's grammar is read from schema/networks/<name>.feed.json when present,
+ * otherwise the built-in SPK grammar is used.
+ */
+import { createDgraphClient } from '../lib/dgraph-client.js';
+import { createLogger } from '../lib/logger.js';
+import { NetworkManager } from '../lib/network-manager.js';
+import { createFeedReparser } from '../lib/feed-reparser.js';
+import chalk from 'chalk';
+
+const logger = createLogger('reparse-feed');
+
+function parseArgs(argv) {
+  const options = { namespace: 'spkccT_', fromBlock: null, toBlock: null, batchSize: 500, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--namespace': options.namespace = argv[++i]; break;
+      case '--from-block': options.fromBlock = parseInt(argv[++i]); break;
+      case '--to-block': options.toBlock = parseInt(argv[++i]); break;
+      case '--batch-size': options.batchSize = parseInt(argv[++i]); break;
+      case '--dry-run': options.dryRun = true; break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+async function reparse() {
+  const options = parseArgs(process.argv.slice(2));
+  const dgraphClient = createDgraphClient({ namespace: options.namespace, logger });
+
+  // Only the feed grammar is needed, so the network is not initialized
+  const networkManager = new NetworkManager();
+  const grammar = await networkManager.loadFeedGrammar(options.namespace);
+  if (grammar) {
+    networkManager.registerFeedGrammar(options.namespace, grammar);
+  }
+  const grammarVersion = networkManager.getFeedParser(options.namespace).grammarVersion;
+
+  console.log(chalk.blue(`Re-parsing unmatched feed transactions in ${options.namespace} with ${grammarVersion}${options.dryRun ? ' (dry run)' : ''}...`));
+
+  try {
+    const reparser = createFeedReparser(dgraphClient, { networkManager, batchSize: options.batchSize });
+
+    const stats = await reparser.run({
+      fromBlock: options.fromBlock,
+      toBlock: options.toBlock,
+      dryRun: options.dryRun,
+      onProgress: progress => {
+        console.log(chalk.gray(`  scanned ${progress.scanned}, ${options.dryRun ? 'would upgrade' : 'upgraded'} ${progress.upgraded} (through block ${progress.blockNum})`));
+      }
+    });
+
+    console.log(chalk.green(`Scanned ${stats.scanned} transactions: ${stats.upgraded} ${options.dryRun ? 'to upgrade' : 'upgraded'}, ${stats.unmatched} still unmatched`));
+    for (const [category, count] of Object.entries(stats.byCategory)) {
+      console.log(chalk.green(`  ${category}: ${count}`));
+    }
+  } finally {
+    if (dgraphClient.clientStub) {
+      dgraphClient.clientStub.close();
+    }
+  }
+}
+
+reparse().catch(error => {
+  console.error(chalk.red('Re-parse failed:'), error.message);
+  process.exit(1);
+});
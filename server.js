@@ -17,6 +17,12 @@ import { createServer } from 'http';
 import { WebSocketServer } from 'ws';
 import { WSForkHandler } from './lib/ws-fork-handler.js';
 import { NetworkManager, DEFAULT_NETWORKS } from './lib/network-manager.js';
+import { MultiTokenManager } from './lib/multi-token-manager.js';
+import { createSubscriptionHub } from './lib/subscription-hub.js';
+import { createBalanceHistory } from './lib/balance-history.js';
+import { createOrderLifecycle } from './lib/order-lifecycle.js';
+import { createDexCandles } from './lib/dex-candles.js';
+import { attachGraphQLSubscriptions } from './routes/graphql.js';
 
 config();
 
@@ -50,6 +56,18 @@ for (const [prefix, config] of Object.entries(DEFAULT_NETWORKS)) {
   }
 }
 
+// Initialize token registry if enabled; it mounts /registry and the per-token GraphQL routes
+const multiTokenManager = process.env.MULTI_TOKEN_ENABLED === 'true' ?
+  new MultiTokenManager({
+    dgraphUrl: process.env.DGRAPH_URL || 'http://localhost:9080',
+    schemaPath: path.join(__dirname, 'schema'),
+    baseDataPath: process.env.DATA_PATH || './data/honeygraph'
+  }) : null;
+
+if (multiTokenManager) {
+  await multiTokenManager.initialize();
+}
+
 // Default DgraphClient for backward compatibility
 const dgraphClient = new DgraphClient({
   url: process.env.DGRAPH_URL || 'http://localhost:9080',
@@ -97,15 +115,46 @@ if (peerSync) {
   setInterval(() => peerSync.healthCheckPeers(), 300000); // 5 minutes
 }
 
+// GraphQL subscription events, published by the replication queue after each commit
+const subscriptionHub = createSubscriptionHub();
+
 // Initialize replication queue
 const replicationQueue = new ReplicationQueue({
   dgraphClient,
   forkManager,
   zfsCheckpoints,
   logger,
-  networkManager
+  networkManager,
+  subscriptionHub
 });
 
+// Candles drop the trades of orphaned forks and are rebuilt from the remaining blocks;
+// the fork's order fills are deleted and the order books reseeded
+forkManager.onRevert(async ({ forkId, atBlock }) => {
+  replicationQueue.discardDerivedState();
+  const spkNetwork = networkManager.getNetwork('spkccT_');
+  if (spkNetwork) {
+    await createOrderLifecycle(spkNetwork.dgraphClient).rollback(atBlock, { forkId });
+    await createDexCandles(spkNetwork.dgraphClient).rollback(atBlock, { forkId });
+  }
+});
+
+// Balance history retention on the SPK network (0 disables)
+const balancePruneInterval = parseInt(process.env.BALANCE_HISTORY_PRUNE_INTERVAL ?? 3600000);
+if (balancePruneInterval > 0) {
+  setInterval(async () => {
+    const spkNetwork = networkManager.getNetwork('spkccT_');
+    if (!spkNetwork) {
+      return;
+    }
+    try {
+      await createBalanceHistory(spkNetwork.dgraphClient).prune();
+    } catch (error) {
+      logger.error('Balance history pruning failed', { error: error.message });
+    }
+  }, balancePruneInterval);
+}
+
 // Middleware
 app.use(helmet());
 app.use(cors({
@@ -141,7 +190,7 @@ import { createFileSystemRoutes } from './routes/filesystem.js';
 app.use('/', createFileSystemRoutes({ dgraphClient, networkManager }));
 
 // API routes
-app.use('/api', createRouter({ dgraphClient, forkManager, replicationQueue, zfsCheckpoints, peerSync, networkManager }));
+app.use('/api', createRouter({ dgraphClient, forkManager, replicationQueue, zfsCheckpoints, peerSync, networkManager, multiTokenManager }));
 
 // Peer discovery endpoint (for other honeygraph nodes)
 app.get('/api/honeygraph-peers', (req, res) => {
@@ -185,10 +234,11 @@ const gracefulShutdown = async (signal) => {
   clearInterval(heartbeatInterval);
   forkHandler.stopCleanup();
   
-  // Close WebSocket server
+  // Close WebSocket servers
   wss.close(() => {
     logger.info('WebSocket server closed');
   });
+  graphqlWss.close();
   
   // Stop accepting new requests
   server.close(() => {
@@ -210,12 +260,31 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 // Create HTTP server
 const server = createServer(app);
 
-// Create WebSocket server
-const wss = new WebSocketServer({ 
-  server,
-  path: '/fork-stream'
+// Create WebSocket servers
+// Both share the HTTP port, so upgrades are routed by path instead of letting each server claim them
+const wss = new WebSocketServer({ noServer: true });
+const graphqlWss = new WebSocketServer({ noServer: true });
+const upgradeRoutes = {
+  '/fork-stream': wss,
+  '/api/graphql': graphqlWss
+};
+
+server.on('upgrade', (req, socket, head) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const target = upgradeRoutes[pathname];
+  if (!target) {
+    socket.destroy();
+    return;
+  }
+  target.handleUpgrade(req, socket, head, (ws) => {
+    target.emit('connection', ws, req);
+  });
 });
 
+attachGraphQLSubscriptions({ wss: graphqlWss, subscriptionHub })
+  .then(() => logger.info('GraphQL subscriptions available at /api/graphql'))
+  .catch(err => logger.error('Failed to start GraphQL subscriptions', { error: err.message }));
+
 // Create fork handler for WebSocket
 const forkHandler = new WSForkHandler({
   maxForksPerBlock: 10,
@@ -313,6 +382,7 @@ forkHandler.on('checkpoint', async (data) => {
 server.listen(PORT, () => {
   logger.info(`Honeygraph API server listening on port ${PORT}`);
   logger.info(`WebSocket endpoint: ws://localhost:${PORT}/fork-stream`);
+  logger.info(`GraphQL subscriptions: ws://localhost:${PORT}/api/graphql`);
 });
 
 // Initialize schema on startup
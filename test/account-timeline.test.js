@@ -0,0 +1,237 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { buildSchema, graphql } from 'graphql';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createSPKRoutes } from '../routes/spk.js';
+import { bindResolvers, createGraphQLResolvers, createNetworkTokenSource } from '../lib/graphql-resolvers.js';
+import { createAccountTimeline } from '../lib/account-timeline.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const TRANSACTIONS = [
+  {
+    id: '120:t2',
+    blockNum: 120,
+    txId: 't2',
+    category: 'DEX_TRADE',
+    operationType: 'dexMarketSell',
+    from: { username: 'alice' },
+    dexDetails: { tradeType: 'SELL', token: 'LARYNX', tokenAmount: 300, quoteCurrency: 'HIVE', quoteAmount: 9 },
+    memo: '@alice| Sold 0.300 LARYNX for 0.009 HIVE'
+  },
+  {
+    id: '110:t1',
+    blockNum: 110,
+    txId: 't1',
+    category: 'TOKEN_TRANSFER',
+    operationType: 'send',
+    from: { username: 'alice' },
+    to: { username: 'bob' },
+    amount: 200,
+    token: 'LARYNX',
+    memo: '@alice| Sent @bob 0.200 LARYNX'
+  }
+];
+
+// Writes to alice's balance and contract paths, as stored by DgraphClient.writeBatch
+const OPERATIONS = [
+  { uid: '0x15', blockNum: 120, index: 2, path: 'balances/alice', data: '500' },
+  { uid: '0x14', blockNum: 110, index: 0, path: 'balances/alice', data: '800', previousValue: '1000' },
+  { uid: '0x13', blockNum: 105, index: 1, path: 'lbroca/alice', data: '"4500,5qUoh"', previousValue: '"5000,5qTzz"' },
+  { uid: '0x12', blockNum: 105, index: 0, path: 'contract/alice/alice:0:100-abc', data: JSON.stringify({ c: 3, u: 2048 }) },
+  { uid: '0x11', blockNum: 101, index: 0, path: 'contract/alice/alice:0:100-abc', data: JSON.stringify({ c: 1, u: 0 }) },
+  { uid: '0x10', blockNum: 102, index: 0, path: 'spk/alice', data: '10', reverted: true }
+];
+
+const CONTRACTS = [
+  { id: 'alice:0:100-abc', blockNumber: 100, status: 3, statusText: 'ACTIVE', authorized: 4096, purchaser: { username: 'alice' } }
+];
+
+// Newest first within the block window and row limit of a query
+function window(rows, vars, field = 'blockNum') {
+  return rows
+    .filter(row => !vars.$fromBlock || row[field] >= parseInt(vars.$fromBlock))
+    .filter(row => !vars.$toBlock || row[field] <= parseInt(vars.$toBlock))
+    .sort((a, b) => b[field] - a[field])
+    .slice(0, vars.$first ? parseInt(vars.$first) : undefined);
+}
+
+function createClient() {
+  const answer = async (query, vars = {}) => {
+    if (query.includes('getAccount')) {
+      return vars.$username === 'alice' ? { user: [{ uid: '0xa1' }] } : { user: [] };
+    }
+    if (query.includes('tokenAccounts')) {
+      return { accounts: [{ username: 'alice', larynxBalance: 500 }] };
+    }
+    if (query.includes('getTransactions')) {
+      return { transactions: window(TRANSACTIONS, vars) };
+    }
+    if (query.includes('timelineContracts')) {
+      return { contracts: CONTRACTS };
+    }
+    if (query.includes('timelineOperations')) {
+      return { operations: window(OPERATIONS, vars) };
+    }
+    throw new Error(`Unexpected query: ${query}`);
+  };
+  return {
+    namespace: 'spkccT_',
+    query: jest.fn(answer),
+    queryGlobal: jest.fn(answer)
+  };
+}
+
+function defaults() {
+  return createAccountTimeline(null).parseParams({}).value;
+}
+
+describe('Account timeline', () => {
+  let app;
+  let spkClient;
+
+  beforeEach(() => {
+    spkClient = createClient();
+    const networkManager = {
+      getNetwork: jest.fn(prefix => (prefix === 'spkccT_' ? { dgraphClient: spkClient } : null))
+    };
+
+    app = express();
+    app.use('/api/spk', createSPKRoutes({ dgraphClient: { query: jest.fn() }, networkManager }));
+  });
+
+  it('interleaves transactions, balance deltas and contract events by block', async () => {
+    const response = await request(app)
+      .get('/api/spk/user/alice/timeline')
+      .expect(200);
+
+    // Within a block, transactions come before the changes they caused
+    expect(response.body.entries.map(entry => [entry.blockNum, entry.kind, entry.type])).toEqual([
+      [120, 'dex', 'DEX_TRADE'],
+      [120, 'balance', 'BALANCE_CHANGE'],
+      [110, 'transaction', 'TOKEN_TRANSFER'],
+      [110, 'balance', 'BALANCE_CHANGE'],
+      [105, 'contract', 'CONTRACT_STATUS'],
+      [105, 'balance', 'BALANCE_CHANGE'],
+      [100, 'contract', 'CONTRACT_OPENED']
+    ]);
+
+    const [sold, afterSale, sent, afterSend, activated, broca] = response.body.entries;
+    expect(sold).toMatchObject({ id: 'tx:120:t2', ref: '120:t2', token: 'LARYNX', amount: 300, direction: 'self' });
+    // No previousValue: the older write in the window supplies the before value
+    expect(afterSale.balance).toEqual({ field: 'larynxBalance', before: 800, after: 500, delta: -300 });
+    expect(sent).toMatchObject({ direction: 'out', counterparty: 'bob', amount: 200 });
+    expect(afterSend).toMatchObject({
+      token: 'LARYNX',
+      amount: -200,
+      direction: 'out',
+      balance: { field: 'larynxBalance', before: 1000, after: 800, delta: -200 }
+    });
+    expect(activated.description).toBe('Contract alice:0:100-abc UPLOADING -> ACTIVE');
+    expect(broca.balance).toEqual({ field: 'liquidBroca', before: 5000, after: 4500, delta: -500 });
+
+    const [operationsQuery] = spkClient.query.mock.calls.find(([query]) => query.includes('timelineOperations'));
+    expect(operationsQuery).toContain('"balances/alice"');
+    expect(operationsQuery).toContain('"contract/alice/100-abc"');
+  });
+
+  it('filters by kind, token and block range and pages with a cursor', async () => {
+    const first = await request(app)
+      .get('/api/spk/user/alice/timeline?kind=balance&token=larynx&limit=1')
+      .expect(200);
+    expect(first.body.total).toBe(2);
+    expect(first.body.entries.map(entry => entry.id)).toEqual(['balance:0x15']);
+
+    const second = await request(app)
+      .get(`/api/spk/user/alice/timeline?kind=balance&token=larynx&limit=1&cursor=${first.body.nextCursor}`)
+      .expect(200);
+    expect(second.body.entries.map(entry => entry.id)).toEqual(['balance:0x14']);
+    expect(second.body.nextCursor).toBeNull();
+
+    // The write at 110 carried its previous value; the one at 120 has nothing older in range
+    const ranged = await request(app)
+      .get('/api/spk/user/alice/timeline?kind=balance&fromBlock=115')
+      .expect(200);
+    expect(ranged.body.entries).toHaveLength(1);
+    expect(ranged.body.entries[0].balance).toEqual({ field: 'larynxBalance', before: null, after: 500, delta: null });
+  });
+
+  it('reads each page from the cursor block when sources hit their row limit', async () => {
+    // Contract status changes are left out: their before value can need a write outside a small window
+    const kind = 'transaction,dex,balance';
+    const everything = await createAccountTimeline(spkClient).list('alice', { ...defaults(), kinds: kind.split(','), limit: 50 });
+    const timeline = createAccountTimeline(spkClient, { candidateLimit: 2 });
+    spkClient.query.mockClear();
+
+    const seen = [];
+    let cursor = null;
+    for (let page = 0; page < 10; page++) {
+      const { value } = timeline.parseParams({ kind, limit: 2, cursor });
+      const result = await timeline.list('alice', value);
+      seen.push(...result.entries.map(entry => entry.id));
+      cursor = result.nextCursor;
+      if (!cursor) {
+        break;
+      }
+    }
+
+    expect(seen).toEqual(everything.entries.map(entry => entry.id));
+    const ceilings = spkClient.query.mock.calls
+      .filter(([query]) => query.includes('timelineOperations'))
+      .map(([, vars]) => vars.$toBlock);
+    expect(ceilings[0]).toBeUndefined();
+    expect(ceilings.slice(1).every(block => block !== undefined)).toBe(true);
+  });
+
+  it('validates parameters and unknown users', async () => {
+    const invalidKind = await request(app).get('/api/spk/user/alice/timeline?kind=posts').expect(400);
+    expect(invalidKind.body.error).toContain('Invalid kind: posts');
+
+    await request(app).get('/api/spk/user/alice/timeline?fromBlock=20&toBlock=10').expect(400);
+    await request(app).get('/api/spk/user/alice/timeline?cursor=bad').expect(400);
+
+    const missing = await request(app).get('/api/spk/user/nobody/timeline').expect(404);
+    expect(missing.body).toEqual({ error: 'User not found' });
+  });
+
+  it('is served as User.timeline in GraphQL', async () => {
+    const source = await fs.readFile(path.join(__dirname, '../schema/honeycomb-api.graphql'), 'utf8');
+    const schema = buildSchema(source);
+    const network = {
+      dgraphClient: spkClient,
+      tokens: [{ symbol: 'LARYNX', name: 'Larynx' }],
+      getToken: symbol => network.tokens.find(token => token.symbol === symbol)
+    };
+    const networkManager = {
+      getAllNetworks: () => [{ prefix: 'spkccT_', tokens: network.tokens }],
+      getNetworkForToken: symbol => (network.getToken(symbol) ? { prefix: 'spkccT_', network } : null)
+    };
+    bindResolvers(schema, createGraphQLResolvers(createNetworkTokenSource(networkManager)));
+
+    const result = await graphql({
+      schema,
+      source: `{
+        token(symbol: "LARYNX") {
+          user(username: "alice") {
+            timeline(kinds: ["balance"], token: "LARYNX", limit: 5) {
+              total
+              entries { blockNum amount balance { field before after delta } }
+            }
+          }
+        }
+      }`
+    });
+
+    expect(result.errors).toBeUndefined();
+    expect(result.data.token.user.timeline).toEqual({
+      total: 2,
+      entries: [
+        { blockNum: 120, amount: '-300', balance: { field: 'larynxBalance', before: '800', after: '500', delta: '-300' } },
+        { blockNum: 110, amount: '-200', balance: { field: 'larynxBalance', before: '1000', after: '800', delta: '-200' } }
+      ]
+    });
+  });
+});
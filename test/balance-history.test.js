@@ -0,0 +1,219 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createSPKRoutes } from '../routes/spk.js';
+import { createDataTransformer } from '../lib/data-transformer.js';
+import { createBalanceHistory, compactChanges } from '../lib/balance-history.js';
+
+// alice's recorded larynxBalance history; the change at 300 stands for merged changes from 250
+const CHANGES = [
+  { uid: '0xc1', balanceField: 'larynxBalance', blockNum: 100, previousBalance: 0, newBalance: 1000 },
+  { uid: '0xc2', balanceField: 'larynxBalance', blockNum: 200, previousBalance: 1000, newBalance: 800 },
+  { uid: '0xc3', balanceField: 'larynxBalance', blockNum: 210, previousBalance: 800, newBalance: 900 },
+  { uid: '0xc4', balanceField: 'larynxBalance', blockNum: 300, previousBalance: 900, newBalance: 500, compactedFrom: 250 },
+  { uid: '0xc5', balanceField: 'spkBalance', blockNum: 150, previousBalance: 40, newBalance: 75 }
+];
+
+function createClient() {
+  const answer = async (query, vars = {}) => {
+    if (query.includes('balancesAt')) {
+      if (vars.$username !== 'alice') {
+        return { user: [] };
+      }
+      const user = { uid: '0xa1', larynxBalance: 500, spkBalance: 75 };
+      if (vars.$at !== undefined) {
+        const at = parseInt(vars.$at);
+        for (const field of ['larynxBalance', 'spkBalance', 'liquidBroca']) {
+          const changes = CHANGES.filter(change => change.balanceField === field);
+          const before = changes.filter(change => change.blockNum <= at).pop();
+          const after = changes.find(change => change.blockNum > at);
+          if (before) user[`before_${field}`] = [before];
+          if (after) user[`after_${field}`] = [after];
+        }
+      }
+      return { user: [user] };
+    }
+    if (query.includes('balanceSeries')) {
+      if (vars.$username !== 'alice') {
+        return { user: [] };
+      }
+      const fromBlock = parseInt(vars.$fromBlock);
+      const toBlock = vars.$toBlock === undefined ? Infinity : parseInt(vars.$toBlock);
+      const changes = CHANGES.filter(change => change.balanceField === vars.$field);
+      return {
+        user: [{
+          uid: '0xa1',
+          start: changes.filter(change => change.blockNum < fromBlock).slice(-1),
+          changes: changes
+            .filter(change => change.blockNum >= fromBlock && change.blockNum <= toBlock)
+            .slice(0, parseInt(vars.$first))
+        }]
+      };
+    }
+    throw new Error(`Unexpected query: ${query}`);
+  };
+  return {
+    namespace: 'spkccT_',
+    query: jest.fn(answer),
+    queryGlobal: jest.fn(answer)
+  };
+}
+
+describe('Balance history recording', () => {
+  it('records old and new values when a balance path overwrites an account predicate', async () => {
+    const dgraph = {
+      query: jest.fn(async () => ({})),
+      queryGlobal: jest.fn(async query => {
+        if (query.includes('eq(username, "alice")')) {
+          return { account: [{ uid: '0xa1' }] };
+        }
+        if (query.includes('uid(0xa1)')) {
+          return { account: [{ larynxBalance: 1000, liquidBroca: 5000 }] };
+        }
+        return { account: [] };
+      })
+    };
+    const transformer = createDataTransformer(dgraph, null);
+
+    const mutations = await transformer.transformOperations([
+      { type: 'put', path: ['balances', 'alice'], data: 800 },
+      { type: 'put', path: ['balances', 'alice'], data: 700 },
+      { type: 'put', path: ['lbroca', 'alice'], data: '4500,5qUoh' },
+      { type: 'put', path: ['spk', 'bob'], data: 50 },
+      // Rewriting the same value is not a change
+      { type: 'put', path: ['cbalances', 'bob'], data: 0 }
+    ], { blockNum: 120, timestamp: '2025-03-01T00:00:00.000Z' });
+
+    const changes = mutations.filter(mutation => mutation['dgraph.type'] === 'BalanceChange');
+    expect(changes).toEqual([
+      expect.objectContaining({
+        id: 'alice:larynxBalance:120',
+        account: { uid: '0xa1' },
+        balanceField: 'larynxBalance',
+        token: 'LARYNX',
+        blockNum: 120,
+        previousBalance: 1000,
+        newBalance: 700
+      }),
+      expect.objectContaining({ id: 'alice:liquidBroca:120', previousBalance: 5000, newBalance: 4500 }),
+      expect.objectContaining({ id: 'bob:spkBalance:120', account: { uid: '_:account_bob' }, previousBalance: 0, newBalance: 50 })
+    ]);
+    expect(mutations.find(mutation => mutation.username === 'alice').larynxBalance).toBe(700);
+
+    // alice's stored balances are read once per batch
+    const balanceLookups = dgraph.queryGlobal.mock.calls.filter(([query]) => query.includes('uid(0xa1)'));
+    expect(balanceLookups).toHaveLength(1);
+  });
+});
+
+describe('Balance history API', () => {
+  let app;
+
+  beforeEach(() => {
+    const spkClient = createClient();
+    const networkManager = {
+      getNetwork: jest.fn(prefix => (prefix === 'spkccT_' ? { dgraphClient: spkClient } : null))
+    };
+    app = express();
+    app.use('/api/spk', createSPKRoutes({ dgraphClient: { query: jest.fn() }, networkManager }));
+  });
+
+  it('answers balances as of a block', async () => {
+    const response = await request(app).get('/api/spk/user/alice/balances?at=205').expect(200);
+    expect(response.body.at).toBe(205);
+    expect(response.body.balances.larynxBalance).toEqual({ token: 'LARYNX', value: 800, changedAt: 200, exact: true });
+    expect(response.body.balances.spkBalance).toEqual({ token: 'SPK', value: 75, changedAt: 150, exact: true });
+    // Never changed: the current value held all along
+    expect(response.body.balances.liquidBroca).toEqual({ token: 'BROCA', value: 0, changedAt: null, exact: true });
+
+    // Before the first recorded change, the value it replaced
+    const early = await request(app).get('/api/spk/user/alice/balances?at=120').expect(200);
+    expect(early.body.balances.spkBalance).toEqual({ token: 'SPK', value: 40, changedAt: null, exact: true });
+
+    // Inside a compacted stretch the intermediate values are gone
+    const compacted = await request(app).get('/api/spk/user/alice/balances?at=260').expect(200);
+    expect(compacted.body.balances.larynxBalance).toMatchObject({ value: 900, exact: false });
+
+    const current = await request(app).get('/api/spk/user/alice/balances').expect(200);
+    expect(current.body.balances.larynxBalance).toEqual({ token: 'LARYNX', value: 500 });
+  });
+
+  it('serves a field as change points or interval buckets', async () => {
+    const points = await request(app)
+      .get('/api/spk/user/alice/balances/larynxBalance/series?fromBlock=150')
+      .expect(200);
+    expect(points.body).toMatchObject({ field: 'larynxBalance', token: 'LARYNX', startBalance: 1000, truncated: false });
+    expect(points.body.points).toEqual([
+      { blockNum: 200, value: 800, change: -200 },
+      { blockNum: 210, value: 900, change: 100 },
+      { blockNum: 300, value: 500, change: -400, compactedFrom: 250 }
+    ]);
+
+    const buckets = await request(app)
+      .get('/api/spk/user/alice/balances/larynxBalance/series?interval=100&limit=3')
+      .expect(200);
+    expect(buckets.body.truncated).toBe(true);
+    expect(buckets.body.points).toEqual([
+      { blockNum: 100, open: 0, high: 1000, low: 0, close: 1000, changes: 1 },
+      { blockNum: 200, open: 1000, high: 1000, low: 800, close: 900, changes: 2 }
+    ]);
+  });
+
+  it('validates parameters and unknown users', async () => {
+    await request(app).get('/api/spk/user/alice/balances?at=-1').expect(400);
+    const field = await request(app).get('/api/spk/user/alice/balances/broca/series').expect(400);
+    expect(field.body.error).toContain('Invalid field: broca');
+    await request(app).get('/api/spk/user/alice/balances/spkBalance/series?fromBlock=20&toBlock=10').expect(400);
+    await request(app).get('/api/spk/user/alice/balances/spkBalance/series?interval=0').expect(400);
+
+    const missing = await request(app).get('/api/spk/user/nobody/balances').expect(404);
+    expect(missing.body).toEqual({ error: 'User not found' });
+  });
+});
+
+describe('Balance history retention', () => {
+  it('merges changes into the last of each group and keeps the series chained', () => {
+    const { updates, deletes } = compactChanges(CHANGES.slice(0, 4), change => Math.floor(change.blockNum / 1000));
+    expect(updates).toEqual([{ uid: '0xc4', previousBalance: 0, compactedFrom: 100 }]);
+    expect(deletes).toEqual(['0xc1', '0xc2', '0xc3']);
+  });
+
+  it('keeps recent changes, buckets older ones and collapses the oldest', async () => {
+    const stored = [
+      { uid: '0x1', balanceField: 'larynxBalance', blockNum: 100, previousBalance: 0, newBalance: 10 },
+      { uid: '0x2', balanceField: 'larynxBalance', blockNum: 150, previousBalance: 10, newBalance: 20 },
+      { uid: '0x3', balanceField: 'larynxBalance', blockNum: 1010, previousBalance: 20, newBalance: 30 },
+      { uid: '0x4', balanceField: 'larynxBalance', blockNum: 1020, previousBalance: 30, newBalance: 40 },
+      { uid: '0x5', balanceField: 'larynxBalance', blockNum: 1150, previousBalance: 40, newBalance: 50 },
+      { uid: '0x6', balanceField: 'spkBalance', blockNum: 1030, previousBalance: 0, newBalance: 5 }
+    ];
+    const dgraph = {
+      query: jest.fn(async (query, vars) => {
+        if (query.includes('latest')) {
+          return { latest: [{ blockNum: 1200 }] };
+        }
+        const before = parseInt(vars.$before);
+        return parseInt(vars.$offset) > 0
+          ? { accounts: [] }
+          : { accounts: [{ uid: '0xa1', changes: stored.filter(change => change.blockNum < before) }] };
+      }),
+      writeOperation: jest.fn(async () => ({ success: true })),
+      deleteNodes: jest.fn(async uids => ({ success: true, deleted: uids.length }))
+    };
+    const history = createBalanceHistory(dgraph, {
+      retention: { fullBlocks: 100, bucketBlocks: 100, maxBlocks: 1000 }
+    });
+
+    const dryRun = await history.prune({ dryRun: true });
+    expect(dryRun).toMatchObject({ headBlock: 1200, compactBefore: 1100, collapseBefore: 200, accounts: 1, compacted: 2, removed: 2 });
+    expect(dgraph.writeOperation).not.toHaveBeenCalled();
+
+    await history.prune();
+    // 100 and 150 are past the maximum age; 1010 and 1020 share a bucket; 1150 is recent
+    expect(dgraph.writeOperation).toHaveBeenCalledWith([
+      { uid: '0x2', compactedFrom: 100, previousBalance: 0 },
+      { uid: '0x4', compactedFrom: 1010, previousBalance: 20 }
+    ]);
+    expect(dgraph.deleteNodes).toHaveBeenCalledWith(['0x1', '0x3']);
+  });
+});
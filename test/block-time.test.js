@@ -0,0 +1,117 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createBlockTimeIndex, blockTimeIndex } from '../lib/block-time-index.js';
+import { createDataTransformer } from '../lib/data-transformer.js';
+import { createTransactionTimestampReindexer } from '../lib/timestamp-reindexer.js';
+
+const T0 = Date.parse('2025-03-01T00:00:00.000Z');
+
+function at(seconds) {
+  return new Date(T0 + seconds * 1000).toISOString();
+}
+
+describe('BlockTimeIndex', () => {
+  it('returns recorded times and estimates unseen blocks from their neighbours', () => {
+    const index = createBlockTimeIndex({ path: null, maxDistance: 100 });
+    index.record(1000, at(0));
+    // Two skipped blocks between 1000 and 1010
+    index.record(1010, at(36));
+
+    expect(index.resolve(1000)).toBe(at(0));
+    expect(index.resolve(1005)).toBe(at(18));
+    expect(index.resolve(1020)).toBe(at(66));
+    expect(index.resolve(990)).toBe(at(-30));
+    expect(index.resolve(1200)).toBeNull();
+    expect(index.has(1005)).toBe(false);
+
+    expect(index.record(0, at(0))).toBe(false);
+    expect(index.record(1020, 'not a date')).toBe(false);
+  });
+
+  it('persists recorded blocks', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'block-times-'));
+    const file = path.join(dir, 'block-times.json');
+    try {
+      const index = createBlockTimeIndex({ path: file });
+      index.record(2000, T0);
+      await index.save();
+
+      const reloaded = createBlockTimeIndex({ path: file });
+      expect(reloaded.resolve(2000)).toBe(at(0));
+      expect(reloaded.getStats()).toMatchObject({ blocks: 1, firstBlock: 2000, lastBlock: 2000 });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Feed transaction timestamps', () => {
+  let transformer;
+
+  beforeEach(() => {
+    transformer = createDataTransformer({ query: jest.fn(async () => ({})) }, null);
+  });
+
+  it('stamps entries with their block time rather than the import time', async () => {
+    const mutations = await transformer.transformOperations([
+      { type: 'put', path: ['feed', '5000:abc'], data: '@alice| Sent @bob 1 LARYNX' },
+      // Backfilled from an earlier block
+      { type: 'put', path: ['feed', '4990:def'], data: '@bob| Sent @alice 2 LARYNX' }
+    ], { blockNum: 5000, timestamp: at(300) });
+
+    const transactions = mutations.filter(mutation => mutation['dgraph.type'] === 'Transaction');
+    expect(transactions.find(tx => tx.id === '5000:abc').timestamp).toBe(at(300));
+    expect(transactions.find(tx => tx.id === '4990:def').timestamp).toBe(at(270));
+
+    // The batch's block anchors later lookups
+    expect(blockTimeIndex.resolve(5001)).toBe(at(303));
+  });
+});
+
+describe('TransactionTimestampReindexer', () => {
+  it('rewrites timestamps that differ from their block time', async () => {
+    const index = createBlockTimeIndex({ path: null });
+    index.record(100, at(0));
+
+    const stored = [
+      { uid: '0x1', blockNum: 100, timestamp: at(0) },
+      { uid: '0x2', blockNum: 100, timestamp: '2026-01-01T00:00:00.000Z' },
+      { uid: '0x3', blockNum: 200, timestamp: '2026-01-01T00:00:00.000Z' },
+      { uid: '0x4', blockNum: 300, timestamp: '2026-01-01T00:00:00.000Z' }
+    ];
+    const dgraphClient = {
+      query: jest.fn(async (query, vars) => ({
+        transactions: stored
+          .filter(tx => tx.blockNum >= parseInt(vars.$fromBlock))
+          .slice(parseInt(vars.$offset), parseInt(vars.$offset) + parseInt(vars.$first))
+      })),
+      writeOperation: jest.fn(async () => ({ success: true }))
+    };
+    const fetchBlockTime = jest.fn(async blockNum => (blockNum === 200 ? '2025-03-01T00:05:05Z' : null));
+
+    const reindexer = createTransactionTimestampReindexer(dgraphClient, { index, fetchBlockTime, batchSize: 2 });
+    const stats = await reindexer.run({ fromBlock: 100 });
+
+    expect(stats).toEqual({
+      scanned: 4,
+      updated: 3,
+      unchanged: 1,
+      unresolved: 0,
+      sources: { index: 1, hive: 1, estimate: 1 }
+    });
+    expect(dgraphClient.writeOperation.mock.calls.flat(2)).toEqual([
+      { uid: '0x2', timestamp: at(0) },
+      { uid: '0x3', timestamp: at(305) },
+      // Estimated from block 200, which the Hive lookup added to the index
+      { uid: '0x4', timestamp: at(605) }
+    ]);
+    expect(dgraphClient.query.mock.calls[0][0]).toContain('ge(blockNum, $fromBlock)');
+
+    dgraphClient.writeOperation.mockClear();
+    const preview = await reindexer.run({ fromBlock: 100, dryRun: true });
+    expect(preview.updated).toBe(3);
+    expect(dgraphClient.writeOperation).not.toHaveBeenCalled();
+  });
+});
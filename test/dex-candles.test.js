@@ -0,0 +1,289 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createSPKRoutes } from '../routes/spk.js';
+import { createDexCandles, tradeRollups } from '../lib/dex-candles.js';
+
+// 2025-03-01T00:00:00Z
+const DAY = 1740787200;
+const at = seconds => new Date((DAY + seconds) * 1000).toISOString();
+
+function fill(orderId, blockNum, orderType, rate, amount) {
+  return { id: `${orderId}:${blockNum}`, orderType, rate, amount, quoteAmount: Math.round(amount * rate), blockNum };
+}
+
+function feedTrade(blockNum, tokenAmount, quoteAmount, token = 'LARYNX', quoteCurrency = 'HBD') {
+  return {
+    category: 'DEX_TRADE',
+    blockNum,
+    timestamp: at(0),
+    dexDetails: { tradeType: 'BUY', token, tokenAmount, quoteCurrency, quoteAmount }
+  };
+}
+
+function byType(mutations, type) {
+  return mutations.filter(mutation => mutation['dgraph.type'] === type);
+}
+
+describe('Trade rollups', () => {
+  it('orders a block\'s fills as they matched and falls back to feed trades', () => {
+    const rollups = tradeRollups({
+      orderFills: [
+        fill('LARYNX:HBD:0.6:tx2', 100, 'SELL', 0.6, 1000),
+        fill('LARYNX:HBD:0.5:tx1', 100, 'SELL', 0.5, 2000)
+      ],
+      transactions: [
+        // Same block as the fills: already counted by them
+        feedTrade(100, 3, 1.6),
+        feedTrade(100, 4, 1, 'SPK', 'HIVE')
+      ]
+    }, { blockNum: 100, timestamp: at(30) });
+
+    expect(rollups).toEqual([
+      {
+        pair: 'LARYNX:HBD', blockNum: 100, blockTime: DAY + 30, source: 'fills',
+        openRate: 0.5, highRate: 0.6, lowRate: 0.5, closeRate: 0.6,
+        volumeToken: 3000, volumeQuote: 1600, tradeCount: 2
+      },
+      {
+        pair: 'SPK:HIVE', blockNum: 100, blockTime: DAY + 30, source: 'feed',
+        openRate: 0.25, highRate: 0.25, lowRate: 0.25, closeRate: 0.25,
+        volumeToken: 4000, volumeQuote: 1000, tradeCount: 1
+      }
+    ]);
+  });
+});
+
+describe('Candle rollups', () => {
+  it('folds a block into stored candles and starts new ones', async () => {
+    const dgraph = {
+      namespace: 'spkccT_',
+      query: jest.fn(async query => {
+        if (query.includes('candles(func: eq(id')) {
+          return {
+            candles: [{
+              uid: '0xc1', id: 'spkccT_LARYNX:HBD:1h:' + DAY, pair: 'LARYNX:HBD', interval: '1h', bucketStart: DAY,
+              openRate: 0.4, highRate: 0.45, lowRate: 0.4, closeRate: 0.45,
+              volumeToken: 1000, volumeQuote: 420, tradeCount: 2, firstBlock: 80, lastBlock: 90
+            }]
+          };
+        }
+        return {};
+      })
+    };
+    const mutations = {
+      orderFills: [fill('LARYNX:HBD:0.5:tx1', 100, 'SELL', 0.5, 2000)],
+      transactions: []
+    };
+
+    await createDexCandles(dgraph).apply(mutations, { blockNum: 100, timestamp: at(330), forkId: 'main' });
+
+    expect(byType(mutations.ohlc, 'DexTradeBlock')).toEqual([
+      expect.objectContaining({ id: 'LARYNX:HBD:100', pair: 'LARYNX:HBD', blockTime: DAY + 330, forkId: 'main', closeRate: 0.5 })
+    ]);
+    const candles = Object.fromEntries(byType(mutations.ohlc, 'DexCandle').map(candle => [candle.interval, candle]));
+    expect(Object.values(candles).map(candle => candle.id).sort()).toEqual([
+      `LARYNX:HBD:1d:${DAY}`,
+      `LARYNX:HBD:1h:${DAY}`,
+      `LARYNX:HBD:1m:${DAY + 300}`,
+      `LARYNX:HBD:4h:${DAY}`,
+      `LARYNX:HBD:5m:${DAY + 300}`
+    ]);
+    expect(candles['1h']).toEqual(expect.objectContaining({
+      uid: '0xc1', openRate: 0.4, highRate: 0.5, lowRate: 0.4, closeRate: 0.5,
+      volumeToken: 3000, volumeQuote: 1420, tradeCount: 3, firstBlock: 80, lastBlock: 100
+    }));
+    expect(candles['1m']).toEqual(expect.objectContaining({
+      uid: `_:candle_LARYNX_HBD_1m_${DAY + 300}`, openRate: 0.5, firstBlock: 100, lastBlock: 100, tradeCount: 1
+    }));
+  });
+
+  it('replaces the trade blocks another fork wrote at a height and keeps later ones', async () => {
+    const stored = [
+      { uid: '0xb1', pair: 'LARYNX:HBD', blockNum: 90, blockTime: DAY + 10, openRate: 0.4, highRate: 0.4, lowRate: 0.4, closeRate: 0.4, volumeToken: 1000, volumeQuote: 400, tradeCount: 1 },
+      { uid: '0xb2', pair: 'LARYNX:HBD', blockNum: 100, blockTime: DAY + 40, openRate: 0.7, highRate: 0.7, lowRate: 0.7, closeRate: 0.7, volumeToken: 500, volumeQuote: 350, tradeCount: 1 },
+      { uid: '0xb3', pair: 'LARYNX:HBD', blockNum: 110, blockTime: DAY + 50, openRate: 0.8, highRate: 0.8, lowRate: 0.8, closeRate: 0.8, volumeToken: 100, volumeQuote: 80, tradeCount: 1 }
+    ];
+    const candle = (uid, interval, bucketStart) => ({
+      uid, id: `LARYNX:HBD:${interval}:${bucketStart}`, pair: 'LARYNX:HBD', interval, bucketStart,
+      openRate: 0.4, highRate: 0.8, lowRate: 0.4, closeRate: 0.8, volumeToken: 1600, volumeQuote: 830, tradeCount: 3, firstBlock: 90, lastBlock: 110
+    });
+    const dgraph = {
+      query: jest.fn(async query => {
+        if (query.includes('recorded(func: eq(id')) {
+          return { recorded: [{ ...stored[1], id: 'LARYNX:HBD:100', forkId: 'orphan', source: 'fills' }] };
+        }
+        if (query.includes('kept0')) {
+          return { kept0: stored };
+        }
+        if (query.includes('candles(func: eq(id')) {
+          return { candles: ['1m', '5m', '1h', '4h', '1d'].map((interval, index) => candle(`0xc${index}`, interval, DAY)) };
+        }
+        return {};
+      }),
+      writeOperation: jest.fn(),
+      deleteNodes: jest.fn()
+    };
+
+    // Block 100 again, from the branch that won
+    const mutations = { orderFills: [fill('LARYNX:HBD:0.5:tx1', 100, 'SELL', 0.5, 2000)], transactions: [] };
+    await createDexCandles(dgraph).apply(mutations, { blockNum: 100, timestamp: at(40), forkId: 'main' });
+
+    // Everything goes out with the batch
+    expect(dgraph.writeOperation).not.toHaveBeenCalled();
+    expect(dgraph.deleteNodes).not.toHaveBeenCalled();
+    expect(dgraph.query.mock.calls.some(([query]) => query.includes('staleTrades'))).toBe(false);
+
+    expect(byType(mutations.ohlc, 'DexTradeBlock')).toEqual([
+      expect.objectContaining({ uid: '0xb2', id: 'LARYNX:HBD:100', closeRate: 0.5, volumeToken: 2000, forkId: 'main' })
+    ]);
+    const hour = byType(mutations.ohlc, 'DexCandle').find(bar => bar.interval === '1h');
+    expect(hour).toEqual(expect.objectContaining({
+      uid: '0xc2', openRate: 0.4, highRate: 0.8, lowRate: 0.4, closeRate: 0.8,
+      volumeToken: 3100, volumeQuote: 1480, tradeCount: 3, firstBlock: 90, lastBlock: 110
+    }));
+  });
+
+  it('adds the trades of one block written by separate operations', async () => {
+    // What earlier calls wrote, by id, as Dgraph would return it
+    const store = new Map();
+    let nextUid = 1;
+    const dgraph = {
+      query: jest.fn(async query => {
+        if (query.includes('kept0')) {
+          return { kept0: Array.from(store.values()).filter(node => node['dgraph.type'] === 'DexTradeBlock') };
+        }
+        const ids = JSON.parse(query.match(/eq\(id, (\[.*?\])\)/)[1]);
+        const found = ids.filter(id => store.has(id)).map(id => store.get(id));
+        return query.includes('recorded(') ? { recorded: found } : { candles: found };
+      })
+    };
+    const candles = createDexCandles(dgraph);
+    const write = async (mutations, blockInfo) => {
+      await candles.apply(mutations, blockInfo);
+      for (const node of mutations.ohlc || []) {
+        store.set(node.id, { ...store.get(node.id), ...node, uid: node.uid.startsWith('_:') ? `0x${nextUid++}` : node.uid });
+      }
+    };
+    const live = { blockNum: 100, timestamp: at(40), forkId: 'main', blockHash: 'h100' };
+
+    // Two feed lines of block 100, then the snapshot's fills for the same trades
+    await write({ transactions: [feedTrade(100, 2, 1)] }, live);
+    await write({ transactions: [feedTrade(100, 1, 0.6)] }, live);
+    expect(store.get('LARYNX:HBD:100')).toMatchObject({
+      source: 'feed', tradeCount: 2, volumeToken: 3000, volumeQuote: 1600, openRate: 0.5, closeRate: 0.6
+    });
+    expect(store.get(`LARYNX:HBD:1h:${DAY}`)).toMatchObject({ tradeCount: 2, volumeToken: 3000 });
+
+    const fills = { orderFills: [fill('LARYNX:HBD:0.5:tx1', 100, 'SELL', 0.5, 2000), fill('LARYNX:HBD:0.6:tx2', 100, 'SELL', 0.6, 1000)] };
+    await write(fills, live);
+    // The fills replace the feed stand-ins rather than counting the trades twice
+    expect(store.get('LARYNX:HBD:100')).toMatchObject({ source: 'fills', tradeCount: 2, volumeToken: 3000 });
+    expect(store.get(`LARYNX:HBD:1h:${DAY}`)).toMatchObject({ tradeCount: 2, volumeToken: 3000, volumeQuote: 1600 });
+
+    // A feed line after the fills is already counted
+    const late = { transactions: [feedTrade(100, 1, 0.6)] };
+    await candles.apply(late, live);
+    expect(late.ohlc).toBeUndefined();
+  });
+
+  it('leaves recorded trade blocks alone when a block is replayed', async () => {
+    const dgraph = {
+      query: jest.fn(async query => (query.includes('recorded(func: eq(id')
+        ? { recorded: [{ uid: '0xb2', id: 'LARYNX:HBD:100', pair: 'LARYNX:HBD', blockNum: 100, blockTime: DAY + 40 }] }
+        : {}))
+    };
+    const mutations = { orderFills: [fill('LARYNX:HBD:0.5:tx1', 100, 'SELL', 0.5, 2000)], transactions: [] };
+
+    await createDexCandles(dgraph).apply(mutations, { blockNum: 100, timestamp: at(40), isReplay: true });
+
+    expect(mutations.ohlc).toBeUndefined();
+    expect(dgraph.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('drops an orphaned fork\'s trade blocks and deletes candles left empty', async () => {
+    const dgraph = {
+      query: jest.fn(async query => {
+        if (query.includes('staleTrades')) {
+          return { stale: [{ uid: '0xb9', pair: 'SPK:HIVE', blockNum: 200, blockTime: DAY + 4000 }] };
+        }
+        if (query.includes('candles(func: eq(id')) {
+          return { candles: [{ uid: '0xc9', id: `SPK:HIVE:1h:${DAY + 3600}`, pair: 'SPK:HIVE', interval: '1h', bucketStart: DAY + 3600, lastBlock: 200 }] };
+        }
+        return {};
+      }),
+      writeOperation: jest.fn(),
+      deleteNodes: jest.fn(async uids => ({ success: true, deleted: uids.length }))
+    };
+
+    const result = await createDexCandles(dgraph).rollback(150, { forkId: 'QmOrphan' });
+
+    expect(dgraph.query.mock.calls[0][1]).toEqual({ $fromBlock: '150', $forkId: 'QmOrphan' });
+    expect(result).toEqual({ removed: 1, rebuilt: 0, deleted: 1 });
+    expect(dgraph.deleteNodes).toHaveBeenCalledWith(['0xb9', '0xc9']);
+    expect(dgraph.writeOperation).not.toHaveBeenCalled();
+  });
+});
+
+describe('Candles API', () => {
+  let app;
+  let spkClient;
+
+  beforeEach(() => {
+    const bars = [
+      { id: 'spkccT_a', bucketStart: DAY, openRate: 0.4, highRate: 0.5, lowRate: 0.4, closeRate: 0.5, volumeToken: 3000, tradeCount: 3, lastBlock: 100 },
+      { id: 'spkccT_b', bucketStart: DAY + 3600, openRate: 0.5, highRate: 0.55, lowRate: 0.45, closeRate: 0.45, volumeToken: 1500, tradeCount: 2, lastBlock: 1300 }
+    ];
+    spkClient = {
+      namespace: 'spkccT_',
+      query: jest.fn(async (query, vars) => {
+        const fromBucket = parseInt(vars.$fromBucket);
+        const inRange = bars.filter(bar => (query.includes('ge(bucketStart') ? bar.bucketStart >= fromBucket : true) &&
+          bar.bucketStart <= parseInt(vars.$to));
+        return {
+          bars: inRange.reverse().slice(0, parseInt(vars.$first)),
+          previous: bars.filter(bar => bar.bucketStart < fromBucket).slice(-1)
+        };
+      })
+    };
+    const networkManager = {
+      getNetwork: jest.fn(prefix => (prefix === 'spkccT_' ? { dgraphClient: spkClient } : null))
+    };
+    app = express();
+    app.use('/api/spk', createSPKRoutes({ dgraphClient: { query: jest.fn() }, networkManager }));
+  });
+
+  it('answers TradingView history requests', async () => {
+    const response = await request(app)
+      .get(`/api/spk/dex/larynx_hbd/candles?interval=1h&from=${DAY}&to=${DAY + 7200}`)
+      .expect(200);
+    expect(response.body).toEqual({
+      s: 'ok',
+      t: [DAY, DAY + 3600],
+      o: [0.4, 0.5],
+      h: [0.5, 0.55],
+      l: [0.4, 0.45],
+      c: [0.5, 0.45],
+      v: [3, 1.5]
+    });
+    expect(spkClient.query.mock.calls[0][1]).toMatchObject({ $pair: 'LARYNX:HBD', $interval: '1h', $fromBucket: String(DAY) });
+
+    // TradingView resolution and countback
+    const last = await request(app)
+      .get(`/api/spk/dex/LARYNX:HBD/candles?resolution=60&to=${DAY + 7200}&countback=1`)
+      .expect(200);
+    expect(last.body.t).toEqual([DAY + 3600]);
+
+    const empty = await request(app)
+      .get(`/api/spk/dex/LARYNX:HBD/candles?interval=1h&from=${DAY + 7200}&to=${DAY + 9000}`)
+      .expect(200);
+    expect(empty.body).toEqual({ s: 'no_data', nextTime: DAY + 3600 });
+  });
+
+  it('rejects unknown intervals and ranges', async () => {
+    const interval = await request(app).get('/api/spk/dex/LARYNX:HBD/candles?interval=2h').expect(400);
+    expect(interval.body).toEqual({ s: 'error', errmsg: expect.stringContaining('Invalid interval: 2h') });
+    await request(app).get('/api/spk/dex/LARYNX:HBD/candles?from=200&to=100').expect(400);
+    await request(app).get('/api/spk/dex/LARYNX/candles').expect(400);
+  });
+});
@@ -0,0 +1,116 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createSPKRoutes } from '../routes/spk.js';
+
+const ORDERS = [
+  { id: 'spkccT_LARYNX:HBD:0.5:tx1', orderType: 'SELL', rate: 0.5, amount: 400, filled: 600, remaining: 400 },
+  // Snapshot stored before tx1 was partly filled
+  { id: 'spkccT_LARYNX:HBD:0.5:tx1', orderType: 'SELL', rate: 0.5, amount: 1000, filled: 0, remaining: 1000 },
+  { id: 'spkccT_LARYNX:HBD:0.5:tx4', orderType: 'SELL', rate: 0.5, amount: 600, filled: 0, remaining: 600 },
+  { id: 'spkccT_LARYNX:HBD:0.6:tx2', orderType: 'SELL', rate: 0.6, amount: 2000, filled: 0 },
+  { id: 'spkccT_LARYNX:HBD:0.4:tx3', orderType: 'BUY', rate: 0.4, amount: 3000, filled: 0, remaining: 3000 },
+  { id: 'spkccT_LARYNX:HBD:0.35:tx5', orderType: 'BUY', rate: 0.35, amount: 1000, filled: 0, remaining: 1000 },
+  // Another market
+  { id: 'spkccT_LARYNX:HIVE:2:tx6', orderType: 'SELL', rate: 2, amount: 100, filled: 0, remaining: 100 }
+];
+
+describe('DEX market API', () => {
+  let app;
+  let spkClient;
+  let stored;
+
+  beforeEach(() => {
+    stored = {
+      'spkccT_LARYNX:HBD': {
+        market: [{ token: 'LARYNX', quoteCurrency: 'HBD', tick: '0.45' }],
+        day: [
+          { blockNum: 100, openRate: 0.4, highRate: 0.42, lowRate: 0.4, closeRate: 0.42, volumeToken: 2000, volumeQuote: 820, tradeCount: 2 },
+          { blockNum: 150, openRate: 0.5, highRate: 0.5, lowRate: 0.38, closeRate: 0.38, volumeToken: 1000, volumeQuote: 440, tradeCount: 3 }
+        ],
+        last: [{ blockNum: 150, blockTime: 1740787200, closeRate: 0.38, volumeToken: 1000, tradeCount: 3 }]
+      },
+      'spkccT_SPK:HIVE': { market: [{ token: 'SPK', quoteCurrency: 'HIVE', tick: '0.02' }], day: [], last: [] }
+    };
+    spkClient = {
+      namespace: 'spkccT_',
+      query: jest.fn(async (query, vars) => ({ orders: ORDERS, ...(stored[vars.$market] || {}) }))
+    };
+    const networkManager = {
+      getNetwork: jest.fn(prefix => (prefix === 'spkccT_' ? { dgraphClient: spkClient } : null))
+    };
+    app = express();
+    app.use('/api/spk', createSPKRoutes({ dgraphClient: { query: jest.fn() }, networkManager }));
+  });
+
+  it('aggregates the book into price levels with spread, mid and 24h statistics', async () => {
+    const response = await request(app).get('/api/spk/dex/larynx_hbd').expect(200);
+
+    expect(response.body).toMatchObject({
+      pair: 'LARYNX:HBD',
+      token: 'LARYNX',
+      quoteCurrency: 'HBD',
+      lastPrice: 0.38,
+      lastTrade: { price: 0.38, blockNum: 150, timestamp: '2025-03-01T00:00:00.000Z', volume: 1, trades: 3 },
+      bestBid: 0.4,
+      bestAsk: 0.5,
+      spread: 0.1,
+      spreadPercent: 22.22,
+      mid: 0.45
+    });
+    expect(response.body.depth).toEqual({
+      asks: [
+        { price: 0.5, amount: 1, total: 0.5, orders: 2, cumulative: 1 },
+        { price: 0.6, amount: 2, total: 1.2, orders: 1, cumulative: 3 }
+      ],
+      bids: [
+        { price: 0.4, amount: 3, total: 1.2, orders: 1, cumulative: 3 },
+        { price: 0.35, amount: 1, total: 0.35, orders: 1, cumulative: 4 }
+      ],
+      askOrders: 3,
+      bidOrders: 2
+    });
+    expect(response.body.stats24h).toEqual({
+      open: 0.4,
+      high: 0.5,
+      low: 0.38,
+      close: 0.38,
+      change: -0.02,
+      changePercent: -5,
+      volumeToken: 3,
+      volumeQuote: 1.26,
+      trades: 5
+    });
+
+    const [query, vars] = spkClient.query.mock.calls[0];
+    expect(query).toContain('eq(status, "OPEN") OR eq(status, "PARTIAL")');
+    expect(vars).toMatchObject({ $market: 'spkccT_LARYNX:HBD', $pair: 'LARYNX:HBD' });
+  });
+
+  it('limits depth and falls back to the tick before any trade is replicated', async () => {
+    const limited = await request(app).get('/api/spk/dex/LARYNX:HBD?depth=1').expect(200);
+    expect(limited.body.depth.asks).toHaveLength(1);
+    expect(limited.body.depth.bids).toHaveLength(1);
+
+    const quiet = await request(app).get('/api/spk/dex/SPK-HIVE').expect(200);
+    expect(quiet.body).toMatchObject({
+      lastPrice: 0.02,
+      lastTrade: null,
+      bestBid: null,
+      bestAsk: null,
+      spread: null,
+      mid: null,
+      stats24h: { open: null, volumeToken: 0, trades: 0 },
+      depth: { asks: [], bids: [], askOrders: 0, bidOrders: 0 }
+    });
+  });
+
+  it('validates the pair and reports unknown markets', async () => {
+    const pair = await request(app).get('/api/spk/dex/LARYNX:USD').expect(400);
+    expect(pair.body.error).toContain('Expected TOKEN:HIVE or TOKEN:HBD');
+    await request(app).get('/api/spk/dex/LARYNX:HBD?depth=0').expect(400);
+
+    const missing = await request(app).get('/api/spk/dex/BROCA:HBD').expect(404);
+    expect(missing.body).toEqual({ error: 'Market not found' });
+  });
+});
@@ -0,0 +1,271 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+jest.unstable_mockModule('../lib/dgraph-client.js', () => ({
+  DgraphClient: class {}
+}));
+
+const { createFeedParser, feedParser } = await import('../lib/feed-parser.js');
+const { NetworkManager } = await import('../lib/network-manager.js');
+const { createFeedCoverage, messageTemplate } = await import('../lib/feed-coverage.js');
+const { createFeedReparser } = await import('../lib/feed-reparser.js');
+const { createMultiTokenRoutes } = await import('../routes/multi-token.js');
+
+const DLUX_GRAMMAR = {
+  version: 2,
+  patterns: [
+    {
+      operationType: 'dexSwap',
+      pattern: '^@([a-z0-9.-]+)\\| Swapped ([\\d,.]+) (\\w+) for ([\\d,.]+) (HIVE|HBD)$',
+      category: 'DEX_TRADE',
+      fields: {
+        account: 1,
+        amount: { group: 2, type: 'amount' },
+        token: { group: 3, type: 'uppercase' },
+        quoteAmount: { group: 4, type: 'amount' },
+        quoteCurrency: 5,
+        tradeType: { value: 'SWAP' }
+      }
+    }
+  ]
+};
+
+const SWAP = '@alice| Swapped 1,000.5 dlux for 2.5 HIVE';
+
+describe('Feed grammars', () => {
+  it('tries network patterns after the SPK ones and before the catch-all', () => {
+    const parser = createFeedParser({ name: 'dlux', ...DLUX_GRAMMAR });
+
+    expect(parser.grammarVersion).toBe('dlux@2+spk@1');
+    expect(parser.parseFeedEntry('100:abc', SWAP)).toMatchObject({
+      operationType: 'dexSwap',
+      category: 'DEX_TRADE',
+      account: 'alice',
+      amount: 1000.5,
+      token: 'DLUX',
+      quoteAmount: 2.5,
+      quoteCurrency: 'HIVE',
+      tradeType: 'SWAP',
+      parserVersion: 'dlux@2+spk@1'
+    });
+    expect(parser.parseFeedEntry('100:def', '@alice| Sent @bob 1 LARYNX').category).toBe('TOKEN_TRANSFER');
+
+    // The SPK grammar leaves the line to its catch-all
+    expect(feedParser.parseFeedEntry('100:abc', SWAP)).toMatchObject({ operationType: 'error', parserVersion: 'spk@1' });
+  });
+
+  it('rejects patterns that cannot be parsed', () => {
+    const withPattern = overrides => () => createFeedParser({
+      name: 'dlux',
+      version: 1,
+      patterns: [{ ...DLUX_GRAMMAR.patterns[0], ...overrides }]
+    });
+
+    expect(withPattern({ category: 'SWAP' })).toThrow('unknown category SWAP');
+    expect(withPattern({ pattern: '^(unclosed' })).toThrow('dexSwap pattern does not compile');
+    expect(withPattern({ fields: { amount: { type: 'amount' } } })).toThrow('dexSwap.amount needs a capture group or a value');
+    expect(() => createFeedParser({ name: 'dlux', version: 1, extends: 'hive', patterns: [] })).toThrow('unknown base grammar hive');
+  });
+
+  it('registers a grammar per network from schema/networks', async () => {
+    const schemaPath = await fs.mkdtemp(path.join(os.tmpdir(), 'feed-grammar-'));
+    try {
+      await fs.mkdir(path.join(schemaPath, 'networks'));
+      await fs.writeFile(path.join(schemaPath, 'networks', 'dlux.feed.json'), JSON.stringify(DLUX_GRAMMAR));
+
+      const networkManager = new NetworkManager({ schemaPath });
+      const registered = jest.fn();
+      networkManager.on('feed:grammar', registered);
+
+      networkManager.registerFeedGrammar('dlux_', await networkManager.loadFeedGrammar('dlux_'));
+
+      expect(registered).toHaveBeenCalledWith({ prefix: 'dlux_', grammarVersion: 'dlux@2+spk@1' });
+      expect(networkManager.getFeedParser('dlux_').describe().custom).toEqual(['dexSwap']);
+      expect(networkManager.getFeedParser('spkccT_')).toBe(feedParser);
+      expect(await networkManager.loadFeedGrammar('spkccT_')).toBeNull();
+    } finally {
+      await fs.rm(schemaPath, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Feed coverage', () => {
+  it('groups unmatched messages by shape and flags the ones the grammar now parses', async () => {
+    const dgraphClient = {
+      query: jest.fn(async () => ({
+        total: [{ count: 10 }],
+        unmatchedTotal: [{ count: 4 }],
+        unmatched: [
+          { id: '300:a', blockNum: 300, operationType: 'error', category: 'ERROR', memo: '@bob| Swapped 3 dlux for 1 HIVE', parserVersion: 'spk@1' },
+          { id: '200:b', blockNum: 200, operationType: 'UNKNOWN', category: 'UNKNOWN', memo: 'Staked QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG' },
+          { id: '150:c', blockNum: 150, operationType: 'error', category: 'ERROR', memo: SWAP, parserVersion: 'spk@1' },
+          { id: '100:d', blockNum: 100, operationType: 'UNKNOWN', category: 'UNKNOWN', memo: 'Staked QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o' }
+        ]
+      }))
+    };
+    const coverage = createFeedCoverage(dgraphClient, { parser: createFeedParser({ name: 'dlux', ...DLUX_GRAMMAR }) });
+
+    expect(coverage.parseParams({ limit: '0' })).toEqual({ error: 'Invalid limit: 0' });
+    const report = await coverage.report(coverage.parseParams({ limit: '5' }).value);
+
+    expect(report).toMatchObject({ total: 10, unmatched: 4, coverage: 0.6, sampled: 4, reparsable: 2, templates: 2 });
+    expect(report.messages).toEqual([
+      {
+        template: '@{account}| Swapped {number} dlux for {number} HIVE',
+        count: 2,
+        example: '@bob| Swapped 3 dlux for 1 HIVE',
+        latestBlock: 300,
+        operationTypes: ['error'],
+        parserVersions: ['spk@1'],
+        parsesAs: 'DEX_TRADE'
+      },
+      {
+        template: 'Staked {id}',
+        count: 2,
+        example: 'Staked QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG',
+        latestBlock: 200,
+        operationTypes: ['UNKNOWN'],
+        parserVersions: ['unversioned'],
+        parsesAs: null
+      }
+    ]);
+    expect(dgraphClient.query.mock.calls[0][0]).toContain('eq(operationType, "error")');
+    expect(messageTemplate('@a-b.c| Sent @bob 1,000 SPK')).toBe('@{account}| Sent @{account} {number} SPK');
+  });
+});
+
+describe('FeedReparser', () => {
+  it('rewrites stored transactions a new pattern matches on their existing nodes', async () => {
+    const networkManager = new NetworkManager();
+    networkManager.registerFeedGrammar('dlux_', DLUX_GRAMMAR);
+
+    const stored = [
+      { uid: '0x10', id: '150:c', blockNum: 150, memo: SWAP, timestamp: '2025-03-01T00:00:00.000Z' },
+      { uid: '0x11', id: '200:b', blockNum: 200, memo: 'Staked QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG', timestamp: '2025-03-01T00:00:03.000Z' }
+    ];
+    // Upgraded transactions drop out of the unmatched query
+    const upgraded = new Set();
+    const dgraphClient = {
+      namespace: 'dlux_',
+      query: jest.fn(async (query, vars) => {
+        if (query.includes('account(func')) {
+          return { account: [] };
+        }
+        const unmatched = stored.filter(tx => !upgraded.has(tx.uid));
+        return { transactions: unmatched.slice(parseInt(vars.$offset), parseInt(vars.$offset) + parseInt(vars.$first)) };
+      }),
+      writeOperation: jest.fn(async nodes => {
+        nodes.forEach(node => upgraded.add(node.uid));
+        return { success: true };
+      })
+    };
+
+    const reparser = createFeedReparser(dgraphClient, { networkManager, batchSize: 1 });
+
+    const preview = await reparser.run({ dryRun: true });
+    expect(preview).toEqual({ scanned: 2, upgraded: 1, unmatched: 1, byCategory: { DEX_TRADE: 1 } });
+    expect(dgraphClient.writeOperation).not.toHaveBeenCalled();
+
+    const stats = await reparser.run();
+    expect(stats).toEqual(preview);
+    expect(dgraphClient.writeOperation).toHaveBeenCalledTimes(1);
+
+    const [account, transaction] = dgraphClient.writeOperation.mock.calls[0][0];
+    expect(account).toEqual({ uid: '_:account_alice', 'dgraph.type': 'Account', username: 'alice' });
+    expect(transaction).toMatchObject({
+      uid: '0x10',
+      id: '150:c',
+      operationType: 'dexSwap',
+      category: 'DEX_TRADE',
+      parserVersion: 'dlux@2+spk@1',
+      from: { uid: '_:account_alice' },
+      timestamp: '2025-03-01T00:00:00.000Z'
+    });
+    expect(JSON.parse(transaction.dexDetails)).toMatchObject({ tradeType: 'SWAP', token: 'DLUX', quoteAmount: 2.5 });
+  });
+});
+
+describe('Feed grammar routes', () => {
+  const parser = createFeedParser({ name: 'dlux', ...DLUX_GRAMMAR });
+  let stored;
+  let dgraphClient;
+  let networkManager;
+
+  beforeEach(() => {
+    stored = [{ uid: '0x10', id: '150:c', blockNum: 150, memo: SWAP, timestamp: '2025-03-01T00:00:00.000Z' }];
+    dgraphClient = {
+      namespace: 'dlux_',
+      query: jest.fn(async (query) => (query.includes('account(func') ? { account: [] } : { transactions: stored.splice(0) })),
+      writeOperation: jest.fn(async () => ({ success: true }))
+    };
+    networkManager = {
+      getNetwork: prefix => (prefix === 'dlux_' ? { dgraphClient } : null),
+      getAllNetworks: () => [{ prefix: 'dlux_' }],
+      getFeedParser: () => parser
+    };
+  });
+
+  function createApp(options = {}) {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', createMultiTokenRoutes({ networkManager, ...options }));
+    return app;
+  }
+
+  it('serves a network\'s grammar and validates re-parse ranges', async () => {
+    const app = createApp({ authenticate: (req, res, next) => next() });
+
+    const grammar = await request(app).get('/api/network/dlux/feed/grammar');
+    expect(grammar.status).toBe(200);
+    expect(grammar.body).toMatchObject({ network: 'dlux_', grammar: { grammarVersion: 'dlux@2+spk@1', custom: ['dexSwap'] } });
+
+    const invalid = await request(app).post('/api/network/dlux/feed/reparse').send({ fromBlock: 'soon' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body).toEqual({ error: 'Invalid fromBlock: soon' });
+  });
+
+  it('runs a re-parse as a background job', async () => {
+    const app = createApp({ authenticate: (req, res, next) => next() });
+
+    const started = await request(app).post('/api/network/dlux/feed/reparse').send({ fromBlock: 100 });
+    expect(started.status).toBe(202);
+    expect(started.body).toEqual({
+      jobId: expect.any(String),
+      status: 'running',
+      statusUrl: `/api/network/dlux/feed/reparse/${started.body.jobId}`
+    });
+
+    let job;
+    for (let attempt = 0; attempt < 20; attempt++) {
+      job = (await request(app).get(started.body.statusUrl).expect(200)).body;
+      if (job.status !== 'running') {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    expect(job).toMatchObject({
+      id: started.body.jobId,
+      network: 'dlux_',
+      status: 'completed',
+      grammarVersion: 'dlux@2+spk@1',
+      fromBlock: 100,
+      dryRun: false,
+      stats: { scanned: 1, upgraded: 1, unmatched: 0, byCategory: { DEX_TRADE: 1 } }
+    });
+    expect(dgraphClient.writeOperation).toHaveBeenCalledTimes(1);
+
+    await request(app).get('/api/network/dlux/feed/reparse/nope').expect(404);
+  });
+
+  it('requires an admin signature to start a re-parse', async () => {
+    const app = createApp();
+
+    const anonymous = await request(app).post('/api/network/dlux/feed/reparse').send({});
+    expect(anonymous.status).toBe(401);
+    expect(dgraphClient.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,258 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createFileSystemRoutes } from '../routes/filesystem.js';
+import { createSPKRoutes } from '../routes/spk.js';
+import { createDataTransformer } from '../lib/data-transformer.js';
+import { fileStateAt } from '../lib/file-history.js';
+
+// Renamed from "draft" in /Documents to "final" in /Documents/Reports at block 500
+const reportFile = {
+  uid: '0xf1',
+  cid: 'QmReport',
+  name: 'final',
+  extension: 'pdf',
+  size: 1024,
+  mimeType: 'application/pdf',
+  labels: '2',
+  license: '',
+  flags: 0,
+  path: '/Documents/Reports',
+  contract: { id: 'alice:0:100-abc', blockNumber: 100 },
+  versions: [
+    {
+      id: 'QmReport:100',
+      versionBlock: 100,
+      changedFields: ['created'],
+      newName: 'draft',
+      newExtension: 'pdf',
+      newPath: '/Documents',
+      newLabels: '',
+      newLicense: ''
+    },
+    {
+      id: 'QmReport:500',
+      versionBlock: 500,
+      changedFields: ['name', 'path', 'labels'],
+      previousName: 'draft',
+      previousPath: '/Documents',
+      previousLabels: '',
+      newName: 'final',
+      newPath: '/Documents/Reports',
+      newLabels: '2',
+      versionContract: { id: 'alice:0:100-abc' }
+    }
+  ]
+};
+
+const lateFile = {
+  uid: '0xf2',
+  cid: 'QmLate',
+  name: 'later',
+  extension: 'txt',
+  size: 10,
+  flags: 0,
+  path: '/Documents',
+  contract: { id: 'alice:0:800-def', blockNumber: 800 },
+  versions: []
+};
+
+describe('File version history', () => {
+  let app;
+  let spkClient;
+
+  beforeEach(() => {
+    spkClient = {
+      namespace: 'spkccT_',
+      queryGlobal: jest.fn(async (query, vars) => (
+        vars.$username === 'alice' ? { user: [{ uid: '0xa1' }] } : { user: [] }
+      )),
+      query: jest.fn(async (query, vars) => {
+        if (query.includes('fileHistory')) {
+          return vars.$cid === 'QmReport' ? { file: [reportFile] } : { file: [] };
+        }
+        if (query.includes('filesAt')) {
+          return { files: [reportFile, lateFile] };
+        }
+        return {};
+      })
+    };
+
+    const networkManager = {
+      getNetwork: jest.fn(prefix => (prefix === 'spkccT_' ? { dgraphClient: spkClient } : null))
+    };
+
+    app = express();
+    app.use('/api/spk', createSPKRoutes({ dgraphClient: { query: jest.fn() }, networkManager }));
+    app.use('/', createFileSystemRoutes({ dgraphClient: spkClient, networkManager }));
+  });
+
+  it('returns the version chain for a CID', async () => {
+    const response = await request(app)
+      .get('/api/spk/file/QmReport/history')
+      .expect(200);
+
+    expect(response.body.current).toMatchObject({ name: 'final', path: '/Documents/Reports', owner: null });
+    expect(response.body.versions).toHaveLength(2);
+    expect(response.body.versions[0]).toMatchObject({ block: 100, type: 'created' });
+    expect(response.body.versions[0].changes.name).toEqual({ from: null, to: 'draft' });
+    expect(response.body.versions[1]).toEqual({
+      block: 500,
+      type: 'updated',
+      contract: 'alice:0:100-abc',
+      changes: {
+        name: { from: 'draft', to: 'final' },
+        path: { from: '/Documents', to: '/Documents/Reports' },
+        labels: { from: '', to: '2' }
+      }
+    });
+
+    await request(app).get('/api/spk/file/QmMissing/history').expect(404);
+  });
+
+  it('shows a directory as it was before a rename', async () => {
+    const response = await request(app)
+      .get('/fs/alice/Documents?at=300')
+      .expect(200);
+
+    expect(response.body).toMatchObject({ path: '/Documents', at: 300 });
+    expect(response.body.contents).toEqual([
+      expect.objectContaining({ type: 'file', name: 'draft', cid: 'QmReport', labels: '' })
+    ]);
+  });
+
+  it('shows a directory after the rename with later files', async () => {
+    const response = await request(app)
+      .get('/fs/alice/Documents?at=900')
+      .expect(200);
+
+    expect(response.body.contents.map(item => item.name)).toEqual(['Reports', 'later']);
+
+    const reports = await request(app)
+      .get('/fs/alice/Documents/Reports?at=900')
+      .expect(200);
+    expect(reports.body.contents[0]).toMatchObject({ name: 'final', labels: '2' });
+  });
+
+  it('rejects bad blocks and directories that did not exist yet', async () => {
+    await request(app).get('/fs/alice/Documents?at=soon').expect(400);
+    await request(app).get('/fs/alice/Documents/Reports?at=300').expect(404);
+    await request(app).get('/fs/bob/Documents?at=300').expect(404);
+  });
+
+  it('hides files outside their lifetime', () => {
+    expect(fileStateAt(reportFile, 50)).toBeNull();
+
+    const deleted = { ...reportFile, isDeleted: true, deletedBlock: 700 };
+    expect(fileStateAt(deleted, 699)).toMatchObject({ name: 'final', isDeleted: false });
+    expect(fileStateAt(deleted, 700)).toBeNull();
+
+    const restored = {
+      ...deleted,
+      isDeleted: false,
+      versions: [...reportFile.versions, { id: 'QmReport:750', versionBlock: 750, changedFields: ['restored'] }]
+    };
+    expect(fileStateAt(restored, 720)).toBeNull();
+    expect(fileStateAt(restored, 760)).toMatchObject({ name: 'final' });
+  });
+
+  describe('recording versions', () => {
+    let transformer;
+    let mutations;
+
+    beforeEach(() => {
+      transformer = createDataTransformer({ query: jest.fn() }, null);
+      mutations = {
+        accounts: new Map(),
+        contracts: new Map(),
+        files: new Map(),
+        paths: new Map(),
+        transactions: [],
+        other: []
+      };
+    });
+
+    const metadata = {
+      name: 'final',
+      extension: 'pdf',
+      mimeType: 'application/pdf',
+      path: '/Documents/Reports',
+      flags: 0,
+      license: '',
+      labels: '2',
+      thumbnail: ''
+    };
+
+    it('records a created version for new files', () => {
+      const file = { uid: '_:file_QmNew', cid: 'QmNew', ...metadata };
+      transformer.recordFileVersion(file, metadata, { blockNum: 100, contractUid: '_:c1', hasMetadata: true }, mutations);
+
+      const [version] = mutations.fileVersions.values();
+      expect(version).toMatchObject({
+        'dgraph.type': 'FileVersion',
+        id: 'QmNew:100',
+        versionOf: { uid: '_:file_QmNew' },
+        versionBlock: 100,
+        changedFields: ['created'],
+        newName: 'final',
+        newPath: '/Documents/Reports'
+      });
+    });
+
+    it('records previous values and updates existing files in place', async () => {
+      const file = {
+        uid: '0xf1', cid: 'QmReport', name: 'draft', extension: 'pdf', path: '/Documents',
+        labels: '', license: '', isExisting: true
+      };
+      transformer.recordFileVersion(file, metadata, { blockNum: 500, contractUid: '0xc1', hasMetadata: true }, mutations);
+
+      const [version] = mutations.fileVersions.values();
+      expect(version).toMatchObject({
+        id: 'QmReport:500',
+        versionOf: { uid: '0xf1' },
+        changedFields: ['name', 'path', 'labels'],
+        previousName: 'draft',
+        newName: 'final',
+        previousPath: '/Documents',
+        newPath: '/Documents/Reports',
+        previousLabels: '',
+        newLabels: '2'
+      });
+      expect(file).toMatchObject({ name: 'final', path: '/Documents/Reports', labels: '2', hasUpdates: true });
+
+      const built = await transformer.buildMutations(mutations, { blockNum: 500 });
+      expect(JSON.stringify(built)).toContain('"versionBlock":500');
+    });
+
+    it('reuses the stored file when an existing CID is uploaded again', async () => {
+      transformer.dgraph.query.mockResolvedValueOnce({
+        file: [{
+          uid: '0xf1', id: 'QmReport', cid: 'QmReport', name: 'final', extension: 'pdf', path: '/Documents/Reports',
+          labels: '2', license: '', isDeleted: true, contract: { uid: '0xc1', blockNumber: 500 }
+        }]
+      });
+
+      const file = await transformer.ensureFile('QmReport', { ...metadata, contract: { uid: '0xc2' } }, mutations);
+
+      const [query, vars] = transformer.dgraph.query.mock.calls[0];
+      expect(query).toContain('file(func: eq(cid, $cid)) @filter(type(ContractFile))');
+      expect(vars).toEqual({ $cid: 'QmReport' });
+      expect(file).toMatchObject({ uid: '0xf1', isExisting: true });
+      expect(mutations.files.get('QmReport')).toBe(file);
+
+      // The stored file was removed from its old contract, so the upload restores it
+      transformer.recordFileVersion(file, metadata, { blockNum: 700, contractUid: '0xc2', hasMetadata: true }, mutations);
+      expect(mutations.fileVersions.get('QmReport:700')).toMatchObject({ versionOf: { uid: '0xf1' }, changedFields: ['restored'] });
+      expect(file.isDeleted).toBe(false);
+    });
+
+    it('ignores updates without metadata and unchanged files', () => {
+      const file = { uid: '0xf1', cid: 'QmReport', ...metadata, isExisting: true };
+      transformer.recordFileVersion(file, { ...metadata, name: 'QmReport' }, { blockNum: 600, contractUid: '0xc1', hasMetadata: false }, mutations);
+      transformer.recordFileVersion(file, metadata, { blockNum: 601, contractUid: '0xc1', hasMetadata: true }, mutations);
+
+      expect(mutations.fileVersions.size).toBe(0);
+      expect(file.name).toBe('final');
+    });
+  });
+});
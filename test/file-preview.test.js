@@ -0,0 +1,163 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createFileSystemRoutes } from '../routes/filesystem.js';
+import { parseThumbnailRef, buildPreview } from '../lib/file-preview.js';
+
+const cid = suffix => `Qm${suffix.padEnd(44, 'x')}`;
+
+const VIDEO = cid('Video');
+const VIDEO_THUMB = cid('VideoThumb');
+const PHOTO = cid('Photo');
+const SONG = cid('Song');
+
+describe('File previews', () => {
+  describe('parseThumbnailRef', () => {
+    it('reads CIDs, ipfs URIs and gateway links with media hints', () => {
+      expect(parseThumbnailRef(`${VIDEO_THUMB}#1920x1080,93.5s`)).toEqual({
+        cid: VIDEO_THUMB, url: null, width: 1920, height: 1080, duration: 93.5
+      });
+      expect(parseThumbnailRef(`ipfs://${VIDEO_THUMB}`)).toMatchObject({ cid: VIDEO_THUMB, url: null });
+      expect(parseThumbnailRef(`https://ipfs.example.com/ipfs/${VIDEO_THUMB}?filename=t.jpg`)).toMatchObject({ cid: VIDEO_THUMB });
+      expect(parseThumbnailRef('https://img.example.com/t.jpg#640x480')).toEqual({
+        cid: null, url: 'https://img.example.com/t.jpg', width: 640, height: 480, duration: null
+      });
+    });
+
+    it('ignores empty and unusable references', () => {
+      expect(parseThumbnailRef('')).toBeNull();
+      expect(parseThumbnailRef(undefined)).toBeNull();
+      expect(parseThumbnailRef('thumb')).toBeNull();
+      expect(parseThumbnailRef('ipfs://not-a-cid')).toBeNull();
+    });
+
+    it('previews images without a thumbnail as themselves', () => {
+      const preview = buildPreview(
+        { type: 'file', cid: PHOTO, extension: 'png', mimeType: 'image/png', thumbnail: '' },
+        'https://gw.example.com/'
+      );
+      expect(preview).toEqual({
+        source: 'file',
+        kind: 'image',
+        thumbnailCid: PHOTO,
+        thumbnailUrl: `https://gw.example.com/ipfs/${PHOTO}`,
+        width: null,
+        height: null,
+        duration: null
+      });
+    });
+  });
+
+  describe('directory listings', () => {
+    let app;
+    let spkClient;
+
+    beforeEach(() => {
+      spkClient = {
+        namespace: 'spkccT_',
+        queryGlobal: jest.fn(async () => ({ user: [{ uid: '0x1', username: 'alice' }] })),
+        query: jest.fn(async (query, vars) => {
+          if (query.includes('getAllPaths')) {
+            return {
+              paths: [
+                {
+                  fullPath: '/Media',
+                  pathName: 'Media',
+                  files: [
+                    {
+                      cid: VIDEO, name: 'clip', extension: 'mp4', size: 500, mimeType: 'video/mp4', flags: 0,
+                      thumbnail: `${VIDEO_THUMB}#1280x720,42s`,
+                      contract: { id: 'alice:0:100-abc', blockNumber: 100 }
+                    },
+                    {
+                      cid: VIDEO_THUMB, name: 'clip-thumb', extension: 'jpg', size: 20, mimeType: 'image/jpeg', flags: 2,
+                      contract: { id: 'alice:0:100-abc', blockNumber: 100 }
+                    },
+                    {
+                      cid: PHOTO, name: 'beach', extension: 'png', size: 300, mimeType: 'application/octet-stream', flags: 0,
+                      thumbnail: '',
+                      contract: { id: 'alice:0:200-def', blockNumber: 200 }
+                    },
+                    {
+                      cid: SONG, name: 'song', extension: 'mp3', size: 400, mimeType: 'application/octet-stream', flags: 0,
+                      thumbnail: '',
+                      contract: { id: 'alice:0:200-def', blockNumber: 200 }
+                    }
+                  ]
+                },
+                { fullPath: '/Media/Albums', pathName: 'Albums', files: [] }
+              ]
+            };
+          }
+          if (query.includes('getStorageGateways')) {
+            // Only the first contract has a storage node with a gateway
+            return {
+              contract: [
+                { 'StorageContract.id': 'alice:0:100-abc', storageNodes: [{ username: 'node1', services: [{ api: 'https://node1.example.com', active: true, enabled: 1 }] }] },
+                { 'StorageContract.id': 'alice:0:200-def', storageNodes: [] }
+              ]
+            };
+          }
+          if (query.includes('getAllGateways')) {
+            return { gateways: [{ api: 'https://network.example.com', provider: { username: 'node2' } }] };
+          }
+          return {};
+        })
+      };
+
+      const networkManager = {
+        getNetwork: jest.fn(prefix => (prefix === 'spkccT_' ? { dgraphClient: spkClient } : null))
+      };
+
+      app = express();
+      app.use('/', createFileSystemRoutes({ dgraphClient: spkClient, networkManager }));
+    });
+
+    it('adds a preview to every file entry using the contract gateway order', async () => {
+      const response = await request(app).get('/fs/alice/Media').expect(200);
+      const byName = Object.fromEntries(response.body.contents.map(item => [item.name, item]));
+
+      expect(byName.Albums.preview).toBeUndefined();
+      expect(byName.clip.preview).toEqual({
+        source: 'thumbnail',
+        kind: 'video',
+        thumbnailCid: VIDEO_THUMB,
+        thumbnailUrl: `https://node1.example.com/ipfs/${VIDEO_THUMB}`,
+        width: 1280,
+        height: 720,
+        duration: 42
+      });
+      expect(byName.beach.preview).toMatchObject({
+        source: 'file',
+        kind: 'image',
+        thumbnailUrl: `https://network.example.com/ipfs/${PHOTO}`
+      });
+      expect(byName.song.preview).toBeNull();
+      expect(byName['clip-thumb']).toBeUndefined();
+
+      // One storage gateway lookup for every contract on the page
+      const lookups = spkClient.query.mock.calls.filter(([query]) => query.includes('getStorageGateways'));
+      expect(lookups).toHaveLength(1);
+      expect(lookups[0][0]).toContain('getStorageGateways($c0: string, $c1: string)');
+      expect(lookups[0][0]).toContain('eq(StorageContract.id, [$c0, $c1])');
+      expect(lookups[0][1]).toEqual({ $c0: 'alice:0:200-def', $c1: 'alice:0:100-abc' });
+    });
+
+    it('returns only previewable files in gallery mode', async () => {
+      const response = await request(app).get('/fs/alice/Media?thumbnails=only&limit=1').expect(200);
+
+      expect(response.body.totals).toEqual({ total: 2, directory: 0, file: 2 });
+      expect(response.body.contents.map(item => item.name)).toEqual(['beach']);
+      expect(response.body.pagination.hasMore).toBe(true);
+
+      const next = await request(app)
+        .get(`/fs/alice/Media?thumbnails=only&limit=1&cursor=${response.body.pagination.nextCursor}`)
+        .expect(200);
+      expect(next.body.contents.map(item => item.name)).toEqual(['clip']);
+    });
+
+    it('rejects unknown thumbnail modes', async () => {
+      await request(app).get('/fs/alice/Media?thumbnails=all').expect(400);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createSPKRoutes } from '../routes/spk.js';
+
+const MB = 1024 * 1024;
+
+function file(cid, name, overrides = {}) {
+  return {
+    uid: `0x${cid}`,
+    cid,
+    name,
+    extension: 'mp4',
+    size: 5 * MB,
+    mimeType: 'video/mp4',
+    license: '',
+    labels: '',
+    flags: 0,
+    path: '/Videos',
+    contract: { id: `c_${cid}`, blockNumber: 100, status: 3, owner: { username: 'alice' } },
+    ...overrides
+  };
+}
+
+describe('File search', () => {
+  let app;
+  let spkClient;
+  let defaultClient;
+
+  beforeEach(() => {
+    const grouped = (predicate, counts) => [{ '@groupby': Object.entries(counts).map(([value, count]) => ({ [predicate]: value, count })) }];
+    // Dgraph ranks the matches into tiers and counts the facets over all of them
+    spkClient = {
+      namespace: 'spkccT_',
+      queryGlobal: jest.fn(async () => ({ user: [{ uid: '0xa1' }] })),
+      query: jest.fn(async () => ({
+        exact: [file('Qm2', 'trip', { license: '1', labels: '25', size: 50 * MB })],
+        named: [file('Qm1', 'holiday trip', { contract: { id: 'c1', blockNumber: 50, status: 3, owner: { username: 'alice' } } })],
+        other: [
+          file('Qm3', 'tripod review', { mimeType: 'image/png', size: 200 * 1024, labels: '2' }),
+          file('Qm4', 'notes', { path: '/Documents/trip', mimeType: 'text/plain', size: 2 * 1024 * 1024 * 1024 })
+        ],
+        total: [{ count: 4 }],
+        mimeTypes: grouped('mimeType', { 'video/mp4': 2, 'image/png': 1, 'text/plain': 1 }),
+        licenses: grouped('license', { '': 3, 1: 1 }),
+        labelSets: grouped('labels', { '': 2, 25: 1, 2: 1 }),
+        size_tiny: [{ count: 1 }],
+        size_small: [{ count: 1 }],
+        size_medium: [{ count: 1 }],
+        size_large: [{ count: 0 }],
+        size_huge: [{ count: 1 }]
+      }))
+    };
+    defaultClient = { query: jest.fn() };
+
+    const networkManager = {
+      getNetwork: jest.fn(prefix => (prefix === 'spkccT_' ? { dgraphClient: spkClient } : null))
+    };
+
+    app = express();
+    app.use('/api/spk', createSPKRoutes({ dgraphClient: defaultClient, networkManager }));
+  });
+
+  it('ranks matches by relevance and returns facets', async () => {
+    const response = await request(app)
+      .get('/api/spk/search/files?q=trip')
+      .expect(200);
+
+    expect(defaultClient.query).not.toHaveBeenCalled();
+    expect(response.body.total).toBe(4);
+    expect(response.body.results.map(r => r.cid)).toEqual(['Qm2', 'Qm1', 'Qm3', 'Qm4']);
+    expect(response.body.results[0]).toMatchObject({ name: 'trip', owner: 'alice', contract: { id: 'c_Qm2', status: 3 } });
+
+    const { facets } = response.body;
+    expect(facets.mimeType).toEqual([
+      { value: 'video/mp4', count: 2 },
+      { value: 'image/png', count: 1 },
+      { value: 'text/plain', count: 1 }
+    ]);
+    expect(facets.license).toEqual([{ value: '1', count: 1 }]);
+    expect(facets.label).toEqual([{ value: '2', count: 2 }, { value: '5', count: 1 }]);
+    expect(facets.size.find(b => b.value === 'tiny').count).toBe(1);
+    expect(facets.size.find(b => b.value === 'small').count).toBe(1);
+    expect(facets.size.find(b => b.value === 'medium').count).toBe(1);
+    expect(facets.size.find(b => b.value === 'huge').count).toBe(1);
+
+    const [query, vars] = spkClient.query.mock.calls[0];
+    expect(query).toContain('anyoftext(name, $q)');
+    expect(query).toContain('anyoftext(path, $q)');
+    expect(query).toContain('NOT eq(isDeleted, true)');
+    // Hidden files (flag bit 2) are left out of matches and facets alike
+    expect(query).toContain('NOT eq(flags, [2,3,6,7,10,11,14,15])');
+    expect(query).toContain('exact(func: uid(exactNames), orderdesc: uploadedAt, first: $first)');
+    expect(query).toContain('named(func: uid(namedFiles), orderdesc: uploadedAt, first: $first)');
+    expect(query).toContain('mimeTypes(func: uid(matches)) @groupby(mimeType)');
+    expect(query).toContain('size_small(func: uid(matches)) @filter(ge(size, 1048576) AND le(size, 10485759))');
+    expect(vars).toMatchObject({ $q: 'trip', $first: '20' });
+  });
+
+  it('applies label and license filters in Dgraph', async () => {
+    await request(app)
+      .get('/api/spk/search/files?q=trip&label=2&license=1')
+      .expect(200);
+
+    const [query, vars] = spkClient.query.mock.calls[0];
+    expect(query).toContain('eq(license, $license) AND eq(labelList, $label)');
+    expect(vars).toMatchObject({ $license: '1', $label: '2' });
+  });
+
+  it('matches single-character terms against label codes', async () => {
+    await request(app)
+      .get('/api/spk/search/files?q=trip%202')
+      .expect(200);
+
+    const [query] = spkClient.query.mock.calls[0];
+    expect(query).toContain('var(func: eq(labelList, ["2"])) { labelMatches as uid }');
+    expect(query).toContain('matches as var(func: uid(nameMatches, pathMatches, labelMatches))');
+  });
+
+  it('pushes owner, status, block range, mime type and size filters to Dgraph', async () => {
+    await request(app)
+      .get('/api/spk/search/files?q=trip&owner=alice&status=active&fromBlock=10&toBlock=200&mimeType=video/mp4&size=small')
+      .expect(200);
+
+    expect(spkClient.queryGlobal.mock.calls[0][1]).toEqual({ $username: 'alice' });
+
+    const [query, vars] = spkClient.query.mock.calls[0];
+    expect(query).toContain('eq(status, $status) AND ge(blockNumber, $fromBlock) AND le(blockNumber, $toBlock) AND uid_in(owner, $ownerUid)');
+    expect(query).toContain('uid(contractFiles)');
+    expect(query).toContain('eq(mimeType, $mimeType)');
+    expect(vars).toMatchObject({
+      $status: '3',
+      $fromBlock: '10',
+      $toBlock: '200',
+      $ownerUid: '0xa1',
+      $mimeType: 'video/mp4',
+      $minSize: String(MB),
+      $maxSize: String(10 * MB - 1)
+    });
+  });
+
+  it('returns nothing for an unknown owner without searching', async () => {
+    spkClient.queryGlobal.mockResolvedValueOnce({ user: [] });
+
+    const response = await request(app)
+      .get('/api/spk/search/files?q=trip&owner=nobody')
+      .expect(200);
+
+    expect(response.body.total).toBe(0);
+    expect(spkClient.query).not.toHaveBeenCalled();
+  });
+
+  it('browses by recency without a query', async () => {
+    const response = await request(app)
+      .get('/api/spk/search/files?limit=2')
+      .expect(200);
+
+    const [query, vars] = spkClient.query.mock.calls[0];
+    expect(query).toContain('matches as var(func: type(ContractFile))');
+    expect(query).toContain('other(func: uid(matches), orderdesc: uploadedAt, first: $first) {');
+    expect(query).not.toContain('exactNames');
+    expect(vars.$first).toBe('2');
+    expect(response.body.results.map(r => r.cid)).toEqual(['Qm2', 'Qm1']);
+    expect(response.body.total).toBe(4);
+  });
+
+  it('reads every tier up to the end of the requested page', async () => {
+    const response = await request(app)
+      .get('/api/spk/search/files?q=trip&limit=2&offset=2')
+      .expect(200);
+
+    expect(spkClient.query.mock.calls[0][1].$first).toBe('4');
+    expect(response.body.results.map(r => r.cid)).toEqual(['Qm3', 'Qm4']);
+  });
+
+  it('rejects invalid parameters', async () => {
+    await request(app).get('/api/spk/search/files?status=bogus').expect(400);
+    await request(app).get('/api/spk/search/files?fromBlock=-1').expect(400);
+    await request(app).get('/api/spk/search/files?size=enormous').expect(400);
+  });
+});
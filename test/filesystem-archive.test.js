@@ -0,0 +1,277 @@
+import { jest } from '@jest/globals';
+import http from 'http';
+import request from 'supertest';
+import express from 'express';
+import { createFileSystemRoutes } from '../routes/filesystem.js';
+import { crc32 } from '../lib/archive-writer.js';
+
+const BLOBS = {
+  QmReport: Buffer.from('quarterly report contents'),
+  QmNotes: Buffer.from('notes in a nested folder'),
+  QmOldReport: Buffer.from('stale version')
+};
+
+function createGatewayServer() {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    hits.push(req.url);
+    const cid = req.url.replace('/ipfs/', '');
+    const blob = BLOBS[cid];
+    if (!blob) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Length': blob.length });
+    res.end(blob);
+  });
+  return { server, hits };
+}
+
+function listen(server) {
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+function binaryParser(res, cb) {
+  const chunks = [];
+  res.on('data', c => chunks.push(c));
+  res.on('end', () => cb(null, Buffer.concat(chunks)));
+}
+
+function readTar(buffer) {
+  const entries = {};
+  let offset = 0;
+  while (offset + 512 <= buffer.length) {
+    const header = buffer.subarray(offset, offset + 512);
+    if (header.every(b => b === 0)) {
+      break;
+    }
+    const field = (start, length) => header.subarray(start, start + length).toString('utf8').replace(/\0.*$/s, '');
+    const prefix = field(345, 155);
+    const name = prefix ? `${prefix}/${field(0, 100)}` : field(0, 100);
+    const size = parseInt(field(124, 12), 8);
+    const type = field(156, 1);
+    offset += 512;
+    entries[name] = { type, data: buffer.subarray(offset, offset + size) };
+    offset += Math.ceil(size / 512) * 512;
+  }
+  return entries;
+}
+
+function readZip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    const crc = buffer.readUInt32LE(offset + 16);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.subarray(offset + 46, offset + 46 + nameLength).toString('utf8');
+    const localNameLength = buffer.readUInt16LE(localOffset + 26);
+    const dataStart = localOffset + 30 + localNameLength;
+    entries[name] = { crc, data: buffer.subarray(dataStart, dataStart + size) };
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('FileSystem API directory export', () => {
+  let app;
+  let gateway;
+  let gatewayUrl;
+  let mockDgraphClient;
+  let mockNetworkManager;
+  const originalEnv = { ...process.env };
+
+  beforeAll(async () => {
+    gateway = createGatewayServer();
+    gatewayUrl = await listen(gateway.server);
+  });
+
+  afterAll(async () => {
+    gateway.server.closeAllConnections?.();
+    await new Promise(resolve => gateway.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    process.env.IPFS_GATEWAY = 'http://127.0.0.1:9';
+    process.env.IPFS_GATEWAY_TIMEOUT = '500';
+    gateway.hits.length = 0;
+
+    const paths = [
+      {
+        fullPath: '/Documents',
+        pathName: 'Documents',
+        files: [
+          { cid: 'QmReport', name: 'report', extension: 'pdf', size: BLOBS.QmReport.length, mimeType: 'application/pdf',
+            contract: { id: 'alice_200_new', blockNumber: 200 } },
+          { cid: 'QmOldReport', name: 'report', extension: 'pdf', size: BLOBS.QmOldReport.length,
+            contract: { id: 'alice_100_old', blockNumber: 100 } },
+          { cid: 'QmDeleted', name: 'gone', extension: 'txt', size: 4, isDeleted: true,
+            contract: { id: 'alice_150_del', blockNumber: 150 } },
+          { cid: 'QmThumb', name: 'thumb', extension: 'jpg', size: 4, flags: 2,
+            contract: { id: 'alice_200_new', blockNumber: 200 } }
+        ]
+      },
+      {
+        fullPath: '/Documents/Projects',
+        pathName: 'Projects',
+        files: [
+          { cid: 'QmNotes', name: 'notes', extension: 'txt', size: BLOBS.QmNotes.length,
+            contract: { id: 'alice_210_notes', blockNumber: 210 } },
+          { cid: 'QmMissing', name: 'lost', extension: 'bin', size: 10,
+            contract: { id: 'alice_220_lost', blockNumber: 220 } }
+        ]
+      },
+      { fullPath: '/Documents/Empty', pathName: 'Empty', files: [] },
+      { fullPath: '/Фото 2024', pathName: 'Фото 2024', files: [] },
+      {
+        fullPath: '/Images',
+        pathName: 'Images',
+        files: [
+          { cid: 'QmOther', name: 'cat', extension: 'png', size: 3, contract: { id: 'alice_300_img', blockNumber: 300 } }
+        ]
+      }
+    ];
+
+    mockDgraphClient = {
+      namespace: 'spkccT_',
+      queryGlobal: jest.fn(async () => ({ user: [{ uid: '0x1', username: 'alice' }] })),
+      query: jest.fn(async (query) => {
+        if (query.includes('getFile')) {
+          return { paths: [] };
+        }
+        if (query.includes('getAllPaths')) {
+          return { paths };
+        }
+        if (query.includes('getStorageGateways')) {
+          return {
+            contract: [{
+              id: 'contract',
+              storageNodes: [{ username: 'node1', services: [{ api: gatewayUrl, active: true, enabled: 1 }] }]
+            }]
+          };
+        }
+        return { gateways: [] };
+      })
+    };
+
+    mockNetworkManager = {
+      getNetwork: jest.fn(() => ({ dgraphClient: mockDgraphClient }))
+    };
+
+    app = express();
+    app.use('/', createFileSystemRoutes({ dgraphClient: mockDgraphClient, networkManager: mockNetworkManager }));
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('streams a tar of every subpath with a manifest', async () => {
+    const response = await request(app)
+      .get('/fs/alice/Documents?format=tar')
+      .buffer(true)
+      .parse(binaryParser)
+      .expect(200);
+
+    expect(response.headers['content-type']).toBe('application/x-tar');
+    expect(response.headers['content-disposition']).toBe('attachment; filename="Documents.tar"');
+
+    const entries = readTar(response.body);
+    expect(Object.keys(entries).sort()).toEqual([
+      'Documents/',
+      'Documents/Empty/',
+      'Documents/Projects/',
+      'Documents/Projects/notes.txt',
+      'Documents/report.pdf',
+      'manifest.json'
+    ]);
+    expect(entries['Documents/report.pdf'].data.equals(BLOBS.QmReport)).toBe(true);
+    expect(entries['Documents/Projects/notes.txt'].data.equals(BLOBS.QmNotes)).toBe(true);
+    expect(gateway.hits).not.toContain('/ipfs/QmOldReport');
+    expect(gateway.hits).not.toContain('/ipfs/QmOther');
+
+    const manifest = JSON.parse(entries['manifest.json'].data.toString());
+    expect(manifest).toMatchObject({ username: 'alice', path: '/Documents', format: 'tar', fileCount: 3, missing: 1 });
+    expect(manifest.files.find(f => f.path === 'Documents/report.pdf')).toMatchObject({
+      cid: 'QmReport',
+      contractId: 'alice_200_new',
+      blockNumber: 200,
+      size: BLOBS.QmReport.length,
+      bytes: BLOBS.QmReport.length,
+      status: 'ok'
+    });
+    expect(manifest.files.find(f => f.cid === 'QmMissing').status).toBe('unavailable');
+  });
+
+  it('streams a zip with valid CRCs', async () => {
+    const response = await request(app)
+      .get('/fs/alice/Documents/Projects?format=zip')
+      .buffer(true)
+      .parse(binaryParser)
+      .expect(200);
+
+    expect(response.headers['content-type']).toBe('application/zip');
+
+    const entries = readZip(response.body);
+    expect(Object.keys(entries).sort()).toEqual(['Projects/', 'Projects/notes.txt', 'manifest.json']);
+    expect(entries['Projects/notes.txt'].data.equals(BLOBS.QmNotes)).toBe(true);
+    expect(entries['Projects/notes.txt'].crc).toBe(crc32(BLOBS.QmNotes));
+
+    const manifest = JSON.parse(entries['manifest.json'].data.toString());
+    expect(manifest.files.map(f => [f.path, f.status])).toEqual([
+      ['Projects/lost.bin', 'unavailable'],
+      ['Projects/notes.txt', 'ok']
+    ]);
+  });
+
+  it('names a non-Latin-1 folder\'s archive with an RFC 5987 filename*', async () => {
+    const response = await request(app)
+      .get(`/fs/alice/${encodeURIComponent('Фото 2024')}?format=zip`)
+      .buffer(true)
+      .parse(binaryParser)
+      .expect(200);
+
+    expect(response.headers['content-disposition']).toBe(
+      `attachment; filename="____ 2024.zip"; filename*=UTF-8''${encodeURIComponent('Фото 2024.zip')}`
+    );
+    expect(Object.keys(readZip(response.body)).sort()).toEqual(['manifest.json', 'Фото 2024/']);
+  });
+
+  it('refuses exports over the file count or size limit before streaming', async () => {
+    const limited = express();
+    limited.use('/', createFileSystemRoutes({ dgraphClient: mockDgraphClient, networkManager: mockNetworkManager, archive: { maxFiles: 2 } }));
+
+    const tooMany = await request(limited).get('/fs/alice/Documents?format=tar').expect(413);
+    expect(tooMany.body).toEqual({ error: 'Directory has too many files to export', fileCount: 3, maxFiles: 2 });
+    expect(tooMany.headers['content-disposition']).toBeUndefined();
+
+    process.env.ARCHIVE_MAX_BYTES = String(BLOBS.QmNotes.length);
+    const sized = express();
+    sized.use('/', createFileSystemRoutes({ dgraphClient: mockDgraphClient, networkManager: mockNetworkManager }));
+
+    const tooLarge = await request(sized).get('/fs/alice/Documents/Projects?format=zip').expect(413);
+    expect(tooLarge.body).toMatchObject({ error: 'Directory is too large to export', maxBytes: BLOBS.QmNotes.length });
+    await request(sized).get('/fs/alice/Images?format=tar').expect(200);
+
+    expect(gateway.hits).not.toContain('/ipfs/QmNotes');
+  });
+
+  it('rejects unknown formats', async () => {
+    const response = await request(app)
+      .get('/fs/alice/Documents?format=rar')
+      .expect(400);
+
+    expect(response.body.supportedFormats).toEqual(['tar', 'zip']);
+  });
+
+  it('returns 404 for a directory with no paths', async () => {
+    await request(app)
+      .get('/fs/alice/Nowhere?format=tar')
+      .expect(404);
+  });
+});
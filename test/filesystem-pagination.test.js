@@ -0,0 +1,180 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createFileSystemRoutes } from '../routes/filesystem.js';
+import { paginateListing, parseListingOptions, decodeCursor } from '../lib/listing-pagination.js';
+
+function file(name, extension, size, blockNumber) {
+  return {
+    cid: `Qm${name}`,
+    name,
+    extension,
+    size,
+    mimeType: `type/${extension}`,
+    contract: { id: `alice_${blockNumber}_${name}`, blockNumber }
+  };
+}
+
+describe('Listing pagination', () => {
+  const items = [
+    { name: 'Zeta', type: 'directory', path: '/Zeta', itemCount: 1 },
+    { name: 'alpha', type: 'directory', path: '/alpha', itemCount: 5 },
+    { name: 'b', type: 'file', cid: 'Qm2', extension: 'txt', size: 30, contract: { blockNumber: 20 } },
+    { name: 'a', type: 'file', cid: 'Qm1', extension: 'png', size: 10, contract: { blockNumber: 30 } },
+    { name: 'c', type: 'file', cid: 'Qm3', extension: 'mp4', size: 20, contract: { blockNumber: 10 } }
+  ];
+
+  it('keeps directories first and sorts each field in both orders', () => {
+    const names = (sort, order) => paginateListing(items, { sort, order }).contents.map(i => i.name);
+
+    expect(names('name', 'asc')).toEqual(['alpha', 'Zeta', 'a', 'b', 'c']);
+    expect(names('name', 'desc')).toEqual(['Zeta', 'alpha', 'c', 'b', 'a']);
+    expect(names('size', 'asc')).toEqual(['Zeta', 'alpha', 'a', 'c', 'b']);
+    expect(names('date', 'desc')).toEqual(['Zeta', 'alpha', 'a', 'b', 'c']);
+    expect(names('type', 'asc')).toEqual(['alpha', 'Zeta', 'c', 'a', 'b']);
+  });
+
+  it('walks every item exactly once with cursors', () => {
+    const seen = [];
+    let cursor = null;
+    do {
+      const page = paginateListing(items, { limit: 2, cursor, sort: 'size', order: 'desc' });
+      seen.push(...page.contents.map(i => i.name));
+      cursor = page.pagination.nextCursor ? decodeCursor(page.pagination.nextCursor) : null;
+    } while (cursor);
+
+    expect(seen).toEqual(['alpha', 'Zeta', 'b', 'c', 'a']);
+  });
+
+  it('does not shift pages when items are added before the cursor', () => {
+    const first = paginateListing(items, { limit: 3, sort: 'name', order: 'asc' });
+    expect(first.contents.map(i => i.name)).toEqual(['alpha', 'Zeta', 'a']);
+
+    // A later block adds a file that sorts before the cursor
+    const grown = [...items, { name: '0-new', type: 'file', cid: 'Qm0', size: 1 }];
+    const cursor = decodeCursor(first.pagination.nextCursor);
+    const second = paginateListing(grown, { limit: 3, cursor, sort: 'name', order: 'asc' });
+
+    expect(second.contents.map(i => i.name)).toEqual(['b', 'c']);
+    expect(second.pagination.hasMore).toBe(false);
+    expect(second.pagination.nextCursor).toBeNull();
+    expect(second.totals).toEqual({ total: 6, directory: 2, file: 4 });
+  });
+
+  it('rejects invalid options and mismatched cursors', () => {
+    expect(parseListingOptions({ sort: 'owner' }).error).toMatch(/Invalid sort/);
+    expect(parseListingOptions({ order: 'up' }).error).toMatch(/Invalid order/);
+    expect(parseListingOptions({ limit: '0' }).error).toMatch(/Invalid limit/);
+    expect(parseListingOptions({ limit: '5000' }).error).toMatch(/Invalid limit/);
+    expect(parseListingOptions({ cursor: 'not-a-cursor' }).error).toBe('Invalid cursor');
+
+    const { pagination } = paginateListing(items, { limit: 1, sort: 'size', order: 'asc' });
+    expect(parseListingOptions({ cursor: pagination.nextCursor, sort: 'name' }).error).toMatch(/different sort/);
+    expect(parseListingOptions({ cursor: pagination.nextCursor, sort: 'size' }).value.cursor.s).toBe('size');
+  });
+});
+
+describe('FileSystem API listing pagination', () => {
+  let app;
+  let mockDgraphClient;
+
+  beforeEach(() => {
+    mockDgraphClient = {
+      namespace: 'spkccT_',
+      queryGlobal: jest.fn(async () => ({ user: [{ uid: '0x1', username: 'alice' }] })),
+      query: jest.fn(async (query) => {
+        if (query.includes('getAllPaths')) {
+          return {
+            paths: [
+              {
+                fullPath: '/Uploads',
+                pathName: 'Uploads',
+                files: [
+                  file('one', 'jpg', 300, 100),
+                  file('two', 'png', 100, 300),
+                  file('three', 'txt', 200, 200),
+                  file('four', 'jpg', 400, 400)
+                ]
+              },
+              { fullPath: '/Uploads/Raw', pathName: 'Raw', files: [] }
+            ]
+          };
+        }
+        return { paths: [] };
+      })
+    };
+
+    const mockNetworkManager = {
+      getNetwork: jest.fn(() => ({ dgraphClient: mockDgraphClient }))
+    };
+
+    app = express();
+    app.use('/', createFileSystemRoutes({ dgraphClient: mockDgraphClient, networkManager: mockNetworkManager }));
+  });
+
+  it('pages /fs listings with cursors and totals', async () => {
+    const first = await request(app)
+      .get('/fs/alice/Uploads?limit=2&sort=size&order=desc')
+      .expect(200);
+
+    expect(first.body.contents.map(i => i.name)).toEqual(['Raw', 'four']);
+    expect(first.body.totals).toEqual({ total: 5, directory: 1, file: 4 });
+    expect(first.body.pagination).toMatchObject({ sort: 'size', order: 'desc', limit: 2, returned: 2, hasMore: true });
+
+    const second = await request(app)
+      .get(`/fs/alice/Uploads?limit=2&sort=size&order=desc&cursor=${first.body.pagination.nextCursor}`)
+      .expect(200);
+
+    expect(second.body.contents.map(i => i.name)).toEqual(['one', 'three']);
+
+    const third = await request(app)
+      .get(`/fs/alice/Uploads?limit=2&sort=size&order=desc&cursor=${second.body.pagination.nextCursor}`)
+      .expect(200);
+
+    expect(third.body.contents.map(i => i.name)).toEqual(['two']);
+    expect(third.body.pagination.hasMore).toBe(false);
+  });
+
+  it('returns the full listing when no limit is given', async () => {
+    const response = await request(app)
+      .get('/fs/alice/Uploads?sort=date')
+      .expect(200);
+
+    expect(response.body.contents.map(i => i.name)).toEqual(['Raw', 'one', 'three', 'two', 'four']);
+    expect(response.body.pagination.nextCursor).toBeNull();
+  });
+
+  it('rejects invalid listing parameters', async () => {
+    const response = await request(app)
+      .get('/fs/alice/Uploads?sort=owner')
+      .expect(400);
+
+    expect(response.body.error).toMatch(/Invalid sort/);
+  });
+
+  it('pages /fse listings', async () => {
+    mockDgraphClient.query.mockImplementation(async () => ({
+      keys: ['a', 'b', 'c'].map((name, i) => ({
+        encryptedKey: `key${i}`,
+        keyType: 'ecies',
+        metadata: {
+          contract: {
+            id: `bob_${i}`,
+            blockNumber: i,
+            purchaser: { username: 'bob' },
+            files: [{ cid: `Qm${name}`, name, size: i, path: '/' }]
+          }
+        }
+      }))
+    }));
+
+    const response = await request(app)
+      .get('/fse/alice/?limit=2&sort=name&order=desc')
+      .expect(200);
+
+    expect(response.body.type).toBe('shared-with-me');
+    expect(response.body.contents.map(i => i.name)).toEqual(['c', 'b']);
+    expect(response.body.totals).toEqual({ total: 3, directory: 0, file: 3 });
+    expect(response.body.pagination.hasMore).toBe(true);
+  });
+});
@@ -0,0 +1,258 @@
+import { jest } from '@jest/globals';
+import http from 'http';
+import request from 'supertest';
+import express from 'express';
+import { createFileSystemRoutes } from '../routes/filesystem.js';
+
+const CID = 'QmProxyTestCid123';
+const CONTENT = Buffer.from('0123456789abcdefghijklmnopqrstuvwxyz');
+
+/**
+ * Minimal IPFS gateway stand-in that honours single byte ranges
+ */
+function createGatewayServer() {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    hits.push({ url: req.url, range: req.headers.range });
+
+    if (req.url !== `/ipfs/${CID}`) {
+      res.writeHead(404);
+      return res.end();
+    }
+
+    const match = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+    if (match) {
+      const start = parseInt(match[1]);
+      const end = match[2] ? parseInt(match[2]) : CONTENT.length - 1;
+      if (start >= CONTENT.length) {
+        res.writeHead(416, { 'Content-Range': `bytes */${CONTENT.length}` });
+        return res.end();
+      }
+      res.writeHead(206, {
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': end - start + 1,
+        'Content-Range': `bytes ${start}-${end}/${CONTENT.length}`,
+        'Accept-Ranges': 'bytes'
+      });
+      return res.end(CONTENT.subarray(start, end + 1));
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': CONTENT.length,
+      'Accept-Ranges': 'bytes'
+    });
+    res.end(CONTENT);
+  });
+  return { server, hits };
+}
+
+function listen(server) {
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+function close(server) {
+  server.closeAllConnections?.();
+  return new Promise(resolve => server.close(resolve));
+}
+
+describe('FileSystem API proxy mode', () => {
+  let app;
+  let mockDgraphClient;
+  let goodGateway;
+  let goodUrl;
+  let hangingServer;
+  let hangingUrl;
+  let failingServer;
+  let failingUrl;
+  let storageNodeUrls;
+  let fileName;
+  const originalEnv = { ...process.env };
+
+  beforeAll(async () => {
+    goodGateway = createGatewayServer();
+    goodUrl = await listen(goodGateway.server);
+
+    // Accepts the connection but never answers
+    hangingServer = http.createServer(() => {});
+    hangingUrl = await listen(hangingServer);
+
+    failingServer = http.createServer((req, res) => {
+      res.writeHead(503);
+      res.end();
+    });
+    failingUrl = await listen(failingServer);
+  });
+
+  afterAll(async () => {
+    await close(goodGateway.server);
+    await close(hangingServer);
+    await close(failingServer);
+  });
+
+  beforeEach(() => {
+    process.env.IPFS_GATEWAY_TIMEOUT = '200';
+    process.env.IPFS_GATEWAY = 'http://127.0.0.1:9';
+    delete process.env.FS_PROXY_MODE;
+    goodGateway.hits.length = 0;
+    storageNodeUrls = [goodUrl];
+    fileName = 'clip';
+
+    mockDgraphClient = {
+      namespace: 'spkccT_',
+      query: jest.fn(async (query) => {
+        if (query.includes('getFile')) {
+          return {
+            paths: [{
+              fullPath: '/Videos',
+              owner: { username: 'alice' },
+              files: [{
+                uid: '0x1',
+                cid: CID,
+                name: fileName,
+                extension: 'mp4',
+                size: CONTENT.length,
+                mimeType: 'video/mp4',
+                flags: 0,
+                contract: { id: 'alice_100_abc', blockNumber: 100 }
+              }]
+            }]
+          };
+        }
+        if (query.includes('getStorageGateways')) {
+          return {
+            contract: [{
+              id: 'alice_100_abc',
+              storageNodes: storageNodeUrls.map((api, i) => ({
+                username: `node${i}`,
+                services: [{ api, active: true, enabled: 1 }]
+              }))
+            }]
+          };
+        }
+        return { gateways: [] };
+      })
+    };
+
+    const mockNetworkManager = {
+      getNetwork: jest.fn(() => ({ dgraphClient: mockDgraphClient }))
+    };
+
+    app = express();
+    app.use('/', createFileSystemRoutes({ dgraphClient: mockDgraphClient, networkManager: mockNetworkManager }));
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('redirects by default', async () => {
+    const response = await request(app)
+      .get('/fs/alice/Videos/clip.mp4')
+      .expect(302);
+
+    expect(response.headers.location).toBe(`${goodUrl}/ipfs/${CID}`);
+    expect(goodGateway.hits).toHaveLength(0);
+  });
+
+  it('streams the file with the stored mime type', async () => {
+    const response = await request(app)
+      .get('/fs/alice/Videos/clip.mp4?proxy=true')
+      .buffer(true)
+      .parse((res, cb) => {
+        const chunks = [];
+        res.on('data', c => chunks.push(c));
+        res.on('end', () => cb(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+
+    expect(response.body.equals(CONTENT)).toBe(true);
+    expect(response.headers['content-type']).toBe('video/mp4');
+    expect(response.headers['content-length']).toBe(String(CONTENT.length));
+    expect(response.headers['etag']).toBe(`"${CID}"`);
+    expect(response.headers['x-ipfs-cid']).toBe(CID);
+    expect(response.headers['x-gateway-priority']).toBe('contract-storage-node');
+  });
+
+  it('streams when FS_PROXY_MODE is enabled', async () => {
+    process.env.FS_PROXY_MODE = 'true';
+
+    await request(app)
+      .get('/fs/alice/Videos/clip.mp4')
+      .expect(200);
+
+    await request(app)
+      .get('/fs/alice/Videos/clip.mp4?proxy=false')
+      .expect(302);
+  });
+
+  it('sends non-Latin-1 file names as an RFC 5987 filename*', async () => {
+    fileName = '动画 🎬';
+
+    const response = await request(app)
+      .get(`/fs/alice/Videos/${encodeURIComponent('动画 🎬.mp4')}?proxy=true`)
+      .expect(200);
+
+    expect(response.headers['content-disposition']).toBe(
+      `inline; filename="__ _.mp4"; filename*=UTF-8''${encodeURIComponent('动画 🎬.mp4')}`
+    );
+  });
+
+  it('forwards Range requests and returns partial content', async () => {
+    const response = await request(app)
+      .get('/fs/alice/Videos/clip.mp4?proxy=true')
+      .set('Range', 'bytes=10-15')
+      .expect(206);
+
+    expect(response.headers['content-range']).toBe(`bytes 10-15/${CONTENT.length}`);
+    expect(response.headers['content-length']).toBe('6');
+    expect(goodGateway.hits[0].range).toBe('bytes=10-15');
+  });
+
+  it('passes through unsatisfiable ranges', async () => {
+    const response = await request(app)
+      .get('/fs/alice/Videos/clip.mp4?proxy=true')
+      .set('Range', 'bytes=1000-')
+      .expect(416);
+
+    expect(response.headers['content-range']).toBe(`bytes */${CONTENT.length}`);
+  });
+
+  it('answers If-None-Match locally with 304', async () => {
+    await request(app)
+      .get('/fs/alice/Videos/clip.mp4?proxy=true')
+      .set('If-None-Match', `"${CID}"`)
+      .expect(304);
+
+    expect(goodGateway.hits).toHaveLength(0);
+  });
+
+  it('fails over past gateways that time out or error', async () => {
+    storageNodeUrls = [hangingUrl, failingUrl, goodUrl];
+
+    const response = await request(app)
+      .get('/fs/alice/Videos/clip.mp4?proxy=true')
+      .set('Range', 'bytes=0-3')
+      .expect(206);
+
+    expect(response.headers['x-storage-node']).toBe('node2');
+    expect(goodGateway.hits).toHaveLength(1);
+  });
+
+  it('returns 502 when every gateway fails', async () => {
+    storageNodeUrls = [hangingUrl, failingUrl];
+
+    const response = await request(app)
+      .get('/fs/alice/Videos/clip.mp4?proxy=true')
+      .expect(502);
+
+    expect(response.body.error).toBe('All gateways failed');
+    expect(response.body.attempts).toEqual([
+      { gateway: hangingUrl, error: 'timeout' },
+      { gateway: failingUrl, status: 503 },
+      expect.objectContaining({ gateway: 'http://127.0.0.1:9' })
+    ]);
+  });
+});
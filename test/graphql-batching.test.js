@@ -0,0 +1,224 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { buildSchema, graphql, parse, validate, specifiedRules } from 'graphql';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createBatchLoader } from '../lib/batch-loader.js';
+import { bindResolvers, createGraphQLLoaders, createGraphQLResolvers, createNetworkTokenSource } from '../lib/graphql-resolvers.js';
+import { analyzeQueryCost, createQueryCostRule } from '../lib/graphql-query-cost.js';
+import { createGraphQLRoutes } from '../routes/graphql.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const HEAD = { blockNum: 300050, timestamp: '2025-01-02T00:00:00.000Z' };
+
+const ACCOUNTS = [
+  { username: 'alice', larynxBalance: 5000, power: 1000, claimableLarynx: 12, powerGranting: 300 },
+  { username: 'bob', larynxBalance: 20 },
+  { username: 'carol', larynxBalance: 7, power: 7 }
+];
+
+const responses = {
+  tokenUsers: (vars) => ({
+    users: ACCOUNTS.slice(parseInt(vars.$offset), parseInt(vars.$offset) + parseInt(vars.$first))
+  }),
+  tokenAccounts: (vars, query) => ({
+    accounts: ACCOUNTS.filter(account => query.includes(`"${account.username}"`))
+  }),
+  tokenNfts: () => ({
+    latest: [HEAD],
+    events: [
+      { id: '10:vop_1', blockNum: 10, category: 'NFT_MINT', nftDetails: { nftId: '1A', setName: 'dlux', to: 'alice' } },
+      { id: '11:vop_2', blockNum: 11, category: 'NFT_MINT', nftDetails: { nftId: '1B', setName: 'dlux', to: 'carol' } }
+    ],
+    auctions: []
+  }),
+  tokenPromotions: () => ({
+    latest: [HEAD],
+    promotions: [
+      { blockNum: 300000, timestamp: '2025-01-01T23:57:30.000Z', content: 'bob/fresh', amount: 5, token: 'LARYNX' }
+    ]
+  })
+};
+
+function queryName(query) {
+  return query.match(/query\s+(\w+)/)[1];
+}
+
+function createNetworkManager(dgraphClient) {
+  const network = {
+    dgraphClient,
+    tokens: [{ symbol: 'LARYNX', name: 'Larynx' }],
+    getToken: symbol => network.tokens.find(token => token.symbol === symbol),
+    getConfig: () => ({ tokens: network.tokens, features: {} })
+  };
+  return {
+    getAllNetworks: () => [{ prefix: 'spkccT_', ...network.getConfig() }],
+    getNetworkForToken: symbol => (network.getToken(symbol) ? { prefix: 'spkccT_', network } : null)
+  };
+}
+
+describe('BatchLoader', () => {
+  it('fetches keys requested in the same tick with one call and caches them', async () => {
+    const batchFn = jest.fn(async keys => keys.map(key => (key === 'bad' ? new Error('missing') : key.toUpperCase())));
+    const loader = createBatchLoader(batchFn, { maxBatchSize: 2 });
+
+    const results = await Promise.allSettled([loader.load('a'), loader.load('b'), loader.load('a'), loader.load('bad')]);
+
+    expect(results.map(result => result.value ?? result.reason.message)).toEqual(['A', 'B', 'A', 'missing']);
+    expect(batchFn.mock.calls).toEqual([[['a', 'b']], [['bad']]]);
+
+    await expect(loader.load('b')).resolves.toBe('B');
+    expect(batchFn).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('GraphQL batching and query cost', () => {
+  let schema;
+  let dgraphClient;
+  let tokenSource;
+
+  beforeAll(async () => {
+    const source = await fs.readFile(path.join(__dirname, '../schema/honeycomb-api.graphql'), 'utf8');
+    schema = buildSchema(source);
+
+    dgraphClient = {
+      query: jest.fn(async (query, vars = {}) => responses[queryName(query)](vars, query)),
+      queryGlobal: jest.fn(async (query, vars = {}) => responses[queryName(query)](vars, query))
+    };
+    tokenSource = createNetworkTokenSource(createNetworkManager(dgraphClient));
+    bindResolvers(schema, createGraphQLResolvers(tokenSource));
+  });
+
+  beforeEach(() => {
+    dgraphClient.query.mockClear();
+    dgraphClient.queryGlobal.mockClear();
+  });
+
+  function calledQueries() {
+    return [...dgraphClient.query.mock.calls, ...dgraphClient.queryGlobal.mock.calls].map(([query]) => queryName(query));
+  }
+
+  it('loads nested fields of a user list once per request', async () => {
+    const loaders = createGraphQLLoaders(tokenSource);
+    const result = await graphql({
+      schema,
+      source: `{
+        token(symbol: "LARYNX") {
+          users(limit: 3) { username balance poweredUp delegatedTo rewards { pending } nfts { count } posts { permlink } }
+        }
+      }`,
+      contextValue: { loaders }
+    });
+
+    expect(result.errors).toBeUndefined();
+    expect(result.data.token.users).toEqual([
+      { username: 'alice', balance: '5000', poweredUp: '1000', delegatedTo: '300', rewards: { pending: '12' }, nfts: { count: 1 }, posts: [] },
+      { username: 'bob', balance: '20', poweredUp: '0', delegatedTo: '0', rewards: { pending: '0' }, nfts: { count: 0 }, posts: [{ permlink: 'fresh' }] },
+      { username: 'carol', balance: '7', poweredUp: '7', delegatedTo: '0', rewards: { pending: '0' }, nfts: { count: 1 }, posts: [] }
+    ]);
+    expect(calledQueries().sort()).toEqual(['tokenNfts', 'tokenPromotions', 'tokenUsers']);
+  });
+
+  it('batches user lookups across aliases into one account query', async () => {
+    const loaders = createGraphQLLoaders(tokenSource);
+    const result = await graphql({
+      schema,
+      source: `{
+        token(symbol: "LARYNX") {
+          a: user(username: "alice") { balance }
+          b: user(username: "bob") { balance }
+          again: user(username: "alice") { poweredUp }
+          nobody: user(username: "nobody") { balance }
+          invalid: user(username: "\\"} drop") { balance }
+        }
+      }`,
+      contextValue: { loaders }
+    });
+
+    expect(result.errors).toBeUndefined();
+    expect(result.data.token).toEqual({
+      a: { balance: '5000' },
+      b: { balance: '20' },
+      again: { poweredUp: '1000' },
+      nobody: null,
+      invalid: null
+    });
+    expect(calledQueries()).toEqual(['tokenAccounts']);
+    expect(loaders.stats().accountBatches).toBe(1);
+
+    const [query] = dgraphClient.queryGlobal.mock.calls[0];
+    expect(query).toContain('eq(username, ["alice","bob","nobody"])');
+  });
+
+  it('measures depth and complexity with list page sizes', () => {
+    const document = parse(`
+      query Holders($first: Int) {
+        token(symbol: "LARYNX") {
+          users(limit: $first) { username nfts { items { uid } } }
+        }
+      }
+    `);
+
+    // users: (1 + username + nfts(1 + items 10 * (1 + uid))) * page size
+    expect(analyzeQueryCost(schema, document)).toEqual({ depth: 5, complexity: 1 + 100 * (1 + 1 + 1 + 10 * 2) });
+    expect(analyzeQueryCost(schema, document, { variables: { first: 2 } })).toEqual({ depth: 5, complexity: 1 + 2 * 23 });
+  });
+
+  it('rejects deep or expensive operations during validation', () => {
+    const rules = [...specifiedRules, createQueryCostRule({ maxDepth: 4, maxComplexity: 100 })];
+
+    const deep = validate(schema, parse('{ token(symbol: "LARYNX") { users(limit: 1) { nfts { items { uid } } } } }'), rules);
+    expect(deep.map(error => error.extensions.code)).toEqual(['QUERY_TOO_DEEP']);
+
+    const wide = validate(schema, parse('{ token(symbol: "LARYNX") { users(limit: 100) { username balance } } }'), rules);
+    expect(wide.map(error => error.extensions.code)).toEqual(['QUERY_TOO_COMPLEX']);
+
+    const fine = validate(schema, parse('{ token(symbol: "LARYNX") { users(limit: 10) { username } } }'), rules);
+    expect(fine).toEqual([]);
+  });
+
+  describe('HTTP endpoint', () => {
+    let app;
+
+    beforeAll(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/graphql', createGraphQLRoutes({
+        networkManager: createNetworkManager(dgraphClient),
+        queryLimits: { maxDepth: 6, maxComplexity: 500 }
+      }));
+    });
+
+    it('reports operation cost and timing in extensions', async () => {
+      const res = await request(app)
+        .post('/api/graphql')
+        .send({
+          query: 'query Holders { token(symbol: "LARYNX") { users(limit: 2) { username nfts { count } } } }',
+          operationName: 'Holders'
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.token.users.map(user => user.username)).toEqual(['alice', 'bob']);
+      expect(res.body.extensions.cost).toEqual({ depth: 4, complexity: 1 + 2 * 4, maxDepth: 6, maxComplexity: 500 });
+      expect(res.body.extensions.timing).toMatchObject({ operationName: 'Holders' });
+      expect(res.body.extensions.timing.durationMs).toBeGreaterThanOrEqual(0);
+      expect(new Date(res.body.extensions.timing.startedAt).toISOString()).toBe(res.body.extensions.timing.startedAt);
+    });
+
+    it('rejects page sizes passed as variables before executing', async () => {
+      const res = await request(app)
+        .post('/api/graphql')
+        .send({
+          query: 'query Holders($n: Int) { token(symbol: "LARYNX") { users(limit: $n) { username } } }',
+          variables: { n: 1000 }
+        });
+
+      expect(res.body.data).toBeUndefined();
+      expect(res.body.errors[0].extensions.code).toBe('QUERY_TOO_COMPLEX');
+      expect(calledQueries()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,314 @@
+import { jest } from '@jest/globals';
+import { buildSchema, graphql } from 'graphql';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { bindResolvers, createGraphQLResolvers, createNetworkTokenSource } from '../lib/graphql-resolvers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const HEAD = { blockNum: 300050, timestamp: '2025-01-02T00:00:00.000Z' };
+
+// Shapes written by DataTransformer and read back from Dgraph
+const responses = {
+  tokenHead: () => ({ latest: [HEAD] }),
+  tokenOrderbook: () => ({
+    asks: [
+      { rate: 0.2, amount: 5000, filled: 1000, remaining: 4000 },
+      { rate: 0.2, amount: 1000, remaining: 1000 },
+      { rate: 0.25, amount: 2000, filled: 0 }
+    ],
+    bids: [{ rate: 0.15, amount: 3000, remaining: 3000 }]
+  }),
+  tokenTickers: () => ({
+    markets: [{ id: 'LARYNX:HIVE', quoteCurrency: 'HIVE', tick: '0.180000' }],
+    orders: [
+      { rate: 0.2, orderType: 'SELL', market: { id: 'LARYNX:HIVE' } },
+      { rate: 0.15, orderType: 'BUY', market: { id: 'LARYNX:HIVE' } },
+      { rate: 0.17, orderType: 'BUY', market: { id: 'LARYNX:HIVE' } }
+    ],
+    trades: [
+      { dexDetails: { token: 'LARYNX', quoteCurrency: 'HIVE', tokenAmount: 100, quoteAmount: 16 } },
+      { dexDetails: { token: 'LARYNX', quoteCurrency: 'HBD', tokenAmount: 10, quoteAmount: 5 } },
+      { dexDetails: { token: 'LARYNX', quoteCurrency: 'HIVE', tokenAmount: 50, quoteAmount: 10 } }
+    ]
+  }),
+  tokenTrades: () => ({
+    trades: [{
+      id: '300040:tx9',
+      blockNum: 300040,
+      timestamp: '2025-01-01T23:59:30.000Z',
+      dexDetails: { tradeType: 'SELL', tokenAmount: 50, quoteAmount: 10 }
+    }]
+  }),
+  tokenNfts: () => ({
+    latest: [HEAD],
+    events: [
+      { id: '10:vop_1', blockNum: 10, category: 'NFT_MINT', nftDetails: { nftId: '1A', setName: 'dlux', to: 'alice' } },
+      { id: '11:vop_2', blockNum: 11, category: 'NFT_MINT', nftDetails: { nftId: '1B', setName: 'dlux', to: 'bob' } },
+      { id: '20:tx1', blockNum: 20, category: 'NFT_TRANSFER', nftDetails: { nftId: 'dlux:1A', to: 'carol' } },
+      { id: '30:vop_3', blockNum: 30, category: 'NFT_AUCTION_END', nftId: 'dlux:1B', seller: 'bob', winner: null }
+    ],
+    auctions: [
+      { operationId: 'process_auction_old', target: 'dlux:1A', scheduledBlock: 90000 },
+      {
+        operationId: 'process_auction_1',
+        target: 'dlux:1B',
+        operationData: JSON.stringify({ price: 1000, bid: 1500, bidder: 'dave' }),
+        scheduledBlock: 300150
+      }
+    ]
+  }),
+  tokenPromotions: () => ({
+    latest: [HEAD],
+    promotions: [
+      { blockNum: 1000, timestamp: '2024-12-01T00:00:00.000Z', content: 'alice/old-post', amount: 50, token: 'LARYNX' },
+      { blockNum: 300000, timestamp: '2025-01-01T23:57:30.000Z', content: 'bob/fresh', amount: 5, token: 'LARYNX' },
+      { blockNum: 300010, timestamp: '2025-01-01T23:58:00.000Z', content: 'alice/old-post', amount: 2, token: 'LARYNX' },
+      { blockNum: 300020, timestamp: '2025-01-01T23:58:30.000Z', content: 'carol/spk-only', amount: 9, token: 'SPK' }
+    ]
+  }),
+  tokenRunners: () => ({
+    runners: [
+      { username: 'node-b', runnerNode: { api: 'https://b', lastSeen: 299000, active: true }, contracts: 0 },
+      { username: 'node-a', runnerNode: { api: 'https://a', lastSeen: 300000, active: true }, contracts: 12 },
+      { username: 'retired', runnerNode: { api: 'https://c', active: false }, contracts: 3 }
+    ]
+  }),
+  tokenQueue: () => ({
+    queue: [{ operationId: 'expire_contract_1', operationType: 'expire_contract', target: 'alice:0:1-abc', scheduledBlock: 300070 }],
+    total: [{ count: 4 }]
+  }),
+  tokenProtocol: () => ({ version: [{ value: 'v1.5.0' }] }),
+  tokenTxStatus: (vars) => ({
+    tx: {
+      tx1: [{ id: '20:tx1', blockNum: 20, category: 'TOKEN_TRANSFER', operationType: 'send' }],
+      bad: [{ id: '21:bad', blockNum: 21, category: 'ERROR', operationType: 'invalidOperation', memo: '@alice| Invalid dex operation' }]
+    }[vars.$txid] || []
+  }),
+  tokenPending: () => ({
+    pending: [{ id: '300050:tx7', txId: 'tx7', operationType: 'send', memo: '@alice| Sent @bob 1.000 LARYNX', timestamp: HEAD.timestamp, from: { username: 'alice' } }],
+    // More untallied transactions than the listed page
+    total: [{ count: 250 }]
+  })
+};
+
+function queryName(query) {
+  return query.match(/query\s+(\w+)/)[1];
+}
+
+describe('GraphQL TokenQuery resolvers', () => {
+  let schema;
+  let dgraphClient;
+
+  beforeAll(async () => {
+    const source = await fs.readFile(path.join(__dirname, '../schema/honeycomb-api.graphql'), 'utf8');
+    schema = buildSchema(source);
+
+    dgraphClient = {
+      query: jest.fn(async (query, vars = {}) => responses[queryName(query)](vars)),
+      queryGlobal: jest.fn(async (query, vars = {}) => responses[queryName(query)](vars))
+    };
+
+    const network = {
+      dgraphClient,
+      tokens: [{ symbol: 'LARYNX', name: 'Larynx', features: { transfers: true, staking: true, mining: false } }],
+      getToken: symbol => network.tokens.find(token => token.symbol === symbol),
+      getConfig: () => ({ tokens: network.tokens, features: { dex: true, contracts: true } })
+    };
+    const networkManager = {
+      getAllNetworks: () => [{ prefix: 'spkccT_', ...network.getConfig() }],
+      getNetworkForToken: symbol => (network.getToken(symbol) ? { prefix: 'spkccT_', network } : null)
+    };
+
+    bindResolvers(schema, createGraphQLResolvers(createNetworkTokenSource(networkManager)));
+  });
+
+  async function run(source) {
+    const result = await graphql({ schema, source });
+    expect(result.errors).toBeUndefined();
+    return result.data.token;
+  }
+
+  it('builds the orderbook, tickers and trades from DexOrder and DEX_TRADE data', async () => {
+    const data = await run(`{
+      token(symbol: "larynx") {
+        orderbook(pair: HIVE, depth: 5) { tickerId asks bids }
+        tickers { tickerId baseCurrency targetCurrency lastPrice baseVolume targetVolume bid ask high low }
+        trades(pair: HIVE, type: SELL) { tradeId price baseVolume targetVolume timestamp type }
+      }
+    }`);
+
+    expect(data.orderbook).toEqual({
+      tickerId: 'HIVE_LARYNX',
+      asks: [['0.200000', '5.000'], ['0.250000', '2.000']],
+      bids: [['0.150000', '3.000']]
+    });
+    expect(data.tickers).toEqual([{
+      tickerId: 'HIVE_LARYNX',
+      baseCurrency: 'HIVE',
+      targetCurrency: 'LARYNX',
+      lastPrice: '0.200000',
+      baseVolume: '26.000',
+      targetVolume: '150.000',
+      bid: '0.170000',
+      ask: '0.200000',
+      high: '0.200000',
+      low: '0.160000'
+    }]);
+    expect(data.trades).toEqual([{
+      tradeId: '300040:tx9',
+      price: '0.200000',
+      baseVolume: '10.000',
+      targetVolume: '50.000',
+      timestamp: '2025-01-01T23:59:30.000Z',
+      type: 'SELL'
+    }]);
+
+    const tickerCall = dgraphClient.query.mock.calls.find(([query]) => queryName(query) === 'tokenTickers');
+    expect(tickerCall[1]).toEqual({ $token: 'LARYNX', $since: String(HEAD.blockNum - 28800) });
+  });
+
+  it('replays NFT transactions into collections, sets and open auctions', async () => {
+    const data = await run(`{
+      token(symbol: "LARYNX") {
+        nfts(user: "bob") { user count sets items { uid set owner locked price auctionId } }
+        sets { name creator minted items { uid owner } }
+        auctions(set: "dlux") { id set uid seller startPrice currentBid bidder endBlock endTime }
+      }
+    }`);
+
+    expect(data.nfts).toEqual({
+      user: 'bob',
+      count: 1,
+      sets: ['dlux'],
+      items: [{ uid: '1B', set: 'dlux', owner: 'bob', locked: true, price: '1500', auctionId: 'process_auction_1' }]
+    });
+    expect(data.sets).toEqual([{
+      name: 'dlux',
+      creator: 'alice',
+      minted: 2,
+      items: [{ uid: '1A', owner: 'carol' }, { uid: '1B', owner: 'bob' }]
+    }]);
+    expect(data.auctions).toEqual([{
+      id: 'process_auction_1',
+      set: 'dlux',
+      uid: '1B',
+      seller: 'bob',
+      startPrice: '1000',
+      currentBid: '1500',
+      bidder: 'dave',
+      endBlock: 300150,
+      endTime: '2025-01-02T00:05:00.000Z'
+    }]);
+  });
+
+  it('ranks promoted posts by recent promotion for this token', async () => {
+    const data = await run(`{
+      token(symbol: "LARYNX") {
+        posts { count promoted trending lastUpdate }
+        trendingPosts(limit: 1) { author permlink promoted created }
+      }
+    }`);
+
+    expect(data.posts).toEqual({ count: 2, promoted: 2, trending: 2, lastUpdate: '2025-01-01T23:58:00.000Z' });
+    expect(data.trendingPosts).toEqual([
+      { author: 'bob', permlink: 'fresh', promoted: '5.000', created: '2025-01-01T23:57:30.000Z' }
+    ]);
+  });
+
+  it('reports runners, the chrono queue and protocol details', async () => {
+    const data = await run(`{
+      token(symbol: "LARYNX") {
+        runners { account contracts type lastRun }
+        queue { count transactions { txid type from block timestamp } }
+        protocol { version features consensusRound witnesses }
+      }
+    }`);
+
+    expect(data.runners).toEqual([
+      { account: 'node-a', contracts: 12, type: 'storage', lastRun: 300000 },
+      { account: 'node-b', contracts: 0, type: 'api', lastRun: 299000 }
+    ]);
+    expect(data.queue).toEqual({
+      count: 4,
+      transactions: [{
+        txid: 'expire_contract_1',
+        type: 'expire_contract',
+        from: 'alice:0:1-abc',
+        block: 300070,
+        timestamp: '2025-01-02T00:01:00.000Z'
+      }]
+    });
+    expect(data.protocol).toEqual({
+      version: 'v1.5.0',
+      features: ['transfers', 'staking', 'dex', 'contracts'],
+      consensusRound: 3000,
+      witnesses: ['node-a', 'node-b']
+    });
+  });
+
+  it('resolves transaction status and the untallied pending window', async () => {
+    const data = await run(`{
+      token(symbol: "LARYNX") {
+        done: txStatus(txid: "tx1") { txid status block error result }
+        failed: txStatus(txid: "bad") { status error }
+        unknown: txStatus(txid: "nope") { status block }
+        pending { count transactions { txid type from memo } }
+      }
+    }`);
+
+    expect(data.done).toEqual({
+      txid: 'tx1',
+      status: 'EXECUTED',
+      block: 20,
+      error: null,
+      result: { id: '20:tx1', category: 'TOKEN_TRANSFER', operationType: 'send' }
+    });
+    expect(data.failed).toEqual({ status: 'FAILED', error: '@alice| Invalid dex operation' });
+    expect(data.unknown).toEqual({ status: 'PENDING', block: null });
+    expect(data.pending).toEqual({
+      count: 250,
+      transactions: [{ txid: 'tx7', type: 'send', from: 'alice', memo: '@alice| Sent @bob 1.000 LARYNX' }]
+    });
+
+    const pendingCall = dgraphClient.query.mock.calls.find(([query]) => queryName(query) === 'tokenPending');
+    expect(pendingCall[0]).toContain('pending(func: gt(blockNum, $after), orderdesc: blockNum, first: $first)');
+    expect(pendingCall[1]).toEqual({ $after: '300000', $first: '200' });
+  });
+
+  it('reads NFT history in batches instead of scanning every transaction', async () => {
+    const tokenNfts = responses.tokenNfts;
+    // A full first batch of mints, then the transfer in the next one
+    const mints = Array.from({ length: 1000 }, (_, i) => ({
+      uid: `0x${(i + 1).toString(16)}`,
+      id: `${i + 1}:vop_${i}`,
+      blockNum: i + 1,
+      category: 'NFT_MINT',
+      nftDetails: { nftId: `${i}`, setName: 'bulk', to: 'alice' }
+    }));
+    responses.tokenNfts = () => ({ latest: [HEAD], events: mints, auctions: [] });
+    responses.tokenNftEvents = () => ({
+      events: [{ uid: '0x5000', id: '2000:tx1', blockNum: 2000, category: 'NFT_TRANSFER', nftDetails: { nftId: 'bulk:7', to: 'carol' } }]
+    });
+
+    try {
+      dgraphClient.query.mockClear();
+      const data = await run('{ token(symbol: "LARYNX") { nfts(user: "carol") { count items { uid } } } }');
+      expect(data.nfts).toEqual({ count: 1, items: [{ uid: '7' }] });
+
+      const [firstQuery] = dgraphClient.query.mock.calls.find(([query]) => queryName(query) === 'tokenNfts');
+      expect(firstQuery).toContain('events(func: eq(category, ["NFT_MINT","NFT_TRANSFER","NFT_SALE","NFT_AUCTION_END"]), first: $first)');
+      const [, nextVars] = dgraphClient.query.mock.calls.find(([query]) => queryName(query) === 'tokenNftEvents');
+      expect(nextVars).toEqual({ $first: '1000', $after: '0x3e8' });
+    } finally {
+      responses.tokenNfts = tokenNfts;
+      delete responses.tokenNftEvents;
+    }
+  });
+
+  it('rejects tokens no network carries', async () => {
+    const result = await graphql({ schema, source: '{ token(symbol: "DOGE") { tickers { tickerId } } }' });
+    expect(result.errors[0].message).toBe('Token DOGE not found');
+  });
+});
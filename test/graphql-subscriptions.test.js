@@ -0,0 +1,154 @@
+import { jest } from '@jest/globals';
+import { buildSchema, parse, subscribe } from 'graphql';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createSubscriptionHub, eventsFromMutations } from '../lib/subscription-hub.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Shapes produced by DataTransformer.buildMutations for one block
+const batch = [
+  { uid: '0x1', 'dgraph.type': 'Account', username: 'alice', larynxBalance: 5000, liquidBroca: 120 },
+  { uid: '0x2', 'dgraph.type': 'Account', username: 'bob', spkBalance: 42 },
+  {
+    uid: '_:tx_1', 'dgraph.type': 'Transaction', id: '100:vop_1', blockNum: 100, category: 'TOKEN_TRANSFER',
+    operationType: 'send', from: { username: 'alice' }, to: { username: 'bob' }, amount: 1000, token: 'LARYNX',
+    timestamp: '2025-01-01T00:00:00.000Z'
+  },
+  {
+    uid: '_:tx_2', 'dgraph.type': 'Transaction', id: '100:vop_2', blockNum: 100, category: 'POWER_UP',
+    from: { username: 'carol' }
+  },
+  { uid: '_:m', 'dgraph.type': 'DexMarket', id: 'LARYNX:HBD', buyBook: '0.1_a', sellBook: '0.2_b' },
+  {
+    uid: '_:o', 'dgraph.type': 'DexOrder', id: 'LARYNX:HBD:0.2:abc', market: { id: 'LARYNX:HBD' },
+    orderType: 'SELL', rate: 0.2, amount: 500, filled: 200, remaining: 300, status: 'PARTIAL', from: { username: 'alice' }
+  }
+];
+const blockInfo = { blockNum: 100, blockHash: 'hash100', forkId: 'fork1', timestamp: Date.parse('2025-01-01T00:00:00Z') };
+
+describe('GraphQL subscriptions', () => {
+  let schema;
+  let hub;
+
+  beforeAll(async () => {
+    const source = await fs.readFile(path.join(__dirname, '../schema/honeycomb-api.graphql'), 'utf8');
+    schema = buildSchema(source);
+  });
+
+  beforeEach(() => {
+    hub = createSubscriptionHub();
+  });
+
+  async function open(document) {
+    const iterator = await subscribe({ schema, document: parse(document), rootValue: hub.rootValue() });
+    expect(iterator.errors).toBeUndefined();
+    return iterator;
+  }
+
+  it('derives balance, transaction, orderbook and block events from a batch', () => {
+    const events = eventsFromMutations(batch, blockInfo, { network: 'spkccT_' });
+
+    expect(events.map(event => event.topic)).toEqual([
+      'balanceChanged', 'balanceChanged', 'balanceChanged', 'transaction', 'transaction', 'orderbookUpdated', 'newBlock'
+    ]);
+    expect(events[1].payload).toEqual({
+      username: 'alice', token: 'BROCA', field: 'liquidBroca', balance: '120', network: 'spkccT_', blockNum: 100
+    });
+    expect(events[5].payload).toMatchObject({ pair: 'LARYNX:HBD', sellBook: '0.2_b', orders: [{ status: 'PARTIAL', remaining: '300' }] });
+    expect(events[6].payload).toMatchObject({ blockNum: 100, blockHash: 'hash100', mutationCount: 6 });
+  });
+
+  it('delivers filtered balance and transaction events to subscribers', async () => {
+    const balances = await open('subscription { balanceChanged(username: "alice", token: "larynx") { username token field balance blockNum } }');
+    const transfers = await open('subscription { transaction(username: "bob", category: "TOKEN_TRANSFER") { id from to amount } }');
+
+    hub.publishBatch(batch, blockInfo);
+
+    expect((await balances.next()).value.data.balanceChanged).toEqual({
+      username: 'alice', token: 'LARYNX', field: 'larynxBalance', balance: '5000', blockNum: 100
+    });
+    expect((await transfers.next()).value.data.transaction).toEqual({
+      id: '100:vop_1', from: 'alice', to: 'bob', amount: '1000'
+    });
+
+    await balances.return();
+    await transfers.return();
+    expect(hub.listenerCount('balanceChanged')).toBe(0);
+  });
+
+  it('streams orderbook updates and new blocks', async () => {
+    const book = await open('subscription { orderbookUpdated(pair: "larynx_hbd") { pair orders { id status filled } } }');
+    const blocks = await open('subscription { newBlock { blockNum forkId } }');
+
+    hub.publishBatch(batch, blockInfo);
+    hub.publishBatch([], { ...blockInfo, blockNum: 101 });
+
+    expect((await book.next()).value.data.orderbookUpdated).toEqual({
+      pair: 'LARYNX:HBD',
+      orders: [{ id: 'LARYNX:HBD:0.2:abc', status: 'PARTIAL', filled: '200' }]
+    });
+    expect((await blocks.next()).value.data.newBlock).toEqual({ blockNum: 100, forkId: 'fork1' });
+    expect((await blocks.next()).value.data.newBlock.blockNum).toBe(101);
+
+    await book.return();
+    await blocks.return();
+  });
+
+  it('publishes live operations once they are written', async () => {
+    // Bull is mocked in setup; imported here so the mock applies
+    const { ReplicationQueue } = await import('../lib/replication-queue.js');
+    const dgraphClient = {
+      namespace: 'spkccT_',
+      query: jest.fn(async () => ({})),
+      queryGlobal: jest.fn(async () => ({ account: [{ uid: '0xa1' }] })),
+      writeOperation: jest.fn(async () => ({ success: true }))
+    };
+    const logger = { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const replication = new ReplicationQueue({
+      dgraphClient,
+      forkManager: { getCanonicalFork: () => 'fork1' },
+      logger,
+      subscriptionHub: hub
+    });
+    // Run each queued job straight away
+    const processors = new Map(replication.queue.process.mock.calls);
+    replication.queue.add.mockImplementation(async (name, data) => {
+      await processors.get(name)({ data });
+      return { id: name };
+    });
+
+    const balances = await open('subscription { balanceChanged(username: "alice") { username token balance blockNum } }');
+    const published = jest.spyOn(hub, 'publish');
+
+    await replication.addOperation({ type: 'put', path: ['balances', 'alice'], data: 800, blockNum: 120, index: 1 });
+    await replication.addOperation({ type: 'put', path: ['spk', 'alice'], data: 50, blockNum: 120, index: 2 });
+
+    expect(dgraphClient.writeOperation).toHaveBeenCalledTimes(2);
+    expect((await balances.next()).value.data.balanceChanged).toEqual({
+      username: 'alice', token: 'LARYNX', balance: '800', blockNum: 120
+    });
+    expect((await balances.next()).value.data.balanceChanged).toMatchObject({ token: 'SPK', balance: '50' });
+    // The block is announced once, by its first operation
+    expect(published.mock.calls.filter(([topic]) => topic === 'newBlock')).toEqual([
+      ['newBlock', expect.objectContaining({ blockNum: 120, network: 'spkccT_' })]
+    ]);
+
+    await balances.return();
+    await replication.close();
+  });
+
+  it('drops the oldest events for slow subscribers', async () => {
+    hub = createSubscriptionHub({ maxQueue: 2 });
+    const blocks = await open('subscription { newBlock { blockNum } }');
+
+    for (const blockNum of [1, 2, 3]) {
+      hub.publishBatch([], { blockNum });
+    }
+
+    expect((await blocks.next()).value.data.newBlock.blockNum).toBe(2);
+    expect((await blocks.next()).value.data.newBlock.blockNum).toBe(3);
+    await blocks.return();
+  });
+});
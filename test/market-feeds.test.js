@@ -0,0 +1,149 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createMarketRoutes } from '../routes/markets.js';
+
+const NOW = Date.parse('2025-03-01T12:00:00Z');
+
+const MARKETS = [
+  { id: 'spkccT_LARYNX:HBD', token: 'LARYNX', quoteCurrency: 'HBD', tick: '0.45' },
+  // Older snapshot of the same market
+  { id: 'spkccT_LARYNX:HBD', token: 'LARYNX', quoteCurrency: 'HBD', tick: '0.4' },
+  { id: 'spkccT_SPK:HIVE', token: 'SPK', quoteCurrency: 'HIVE', tick: '0.02' },
+  { id: 'spkccT_BROCA:HIVE', token: 'BROCA', quoteCurrency: 'HIVE', tick: '0.001' }
+];
+
+const ORDERS = [
+  { id: 'spkccT_LARYNX:HBD:0.5:tx1', orderType: 'SELL', rate: 0.5, amount: 1000, filled: 0, remaining: 1000 },
+  { id: 'spkccT_LARYNX:HBD:0.6:tx2', orderType: 'SELL', rate: 0.6, amount: 2000, filled: 0, remaining: 2000 },
+  { id: 'spkccT_LARYNX:HBD:0.4:tx3', orderType: 'BUY', rate: 0.4, amount: 3000, filled: 0, remaining: 3000 },
+  { id: 'spkccT_LARYNX:HBD:0.35:tx4', orderType: 'BUY', rate: 0.35, amount: 1000, filled: 0, remaining: 1000 },
+  { id: 'spkccT_SPK:HIVE:0.03:tx5', orderType: 'SELL', rate: 0.03, amount: 5000, filled: 0, remaining: 5000 }
+];
+
+function trade(id, blockNum, timestamp, tradeType, token, quoteCurrency, tokenAmount, quoteAmount) {
+  return { id: `spkccT_${id}`, blockNum, timestamp, dexDetails: { tradeType, token, quoteCurrency, tokenAmount, quoteAmount } };
+}
+
+const TRADES = [
+  trade('feed1', 100, '2025-03-01T01:00:00Z', 'BUY', 'LARYNX', 'HBD', 10, 4),
+  trade('feed2', 110, '2025-03-01T02:00:00Z', 'SELL', 'LARYNX', 'HBD', 20, 9),
+  // Nested nodes can come back as a one-element list
+  { ...trade('feed3', 120, '2025-03-01T03:00:00Z', 'BUY', 'LARYNX', 'HBD', 5, 2.5), dexDetails: [{ tradeType: 'BUY', token: 'LARYNX', quoteCurrency: 'HBD', tokenAmount: 5, quoteAmount: 2.5 }] }
+];
+
+describe('Market feeds API', () => {
+  let app;
+  let spkClient;
+
+  beforeEach(() => {
+    spkClient = {
+      namespace: 'spkccT_',
+      query: jest.fn(async (query, vars = {}) => {
+        if (query.includes('markets(func: type(DexMarket))')) {
+          return { markets: MARKETS };
+        }
+        if (query.includes('marketTrades')) {
+          return {
+            trades: TRADES
+              .filter(item => !vars.$start || item.timestamp >= vars.$start)
+              .slice()
+              .reverse()
+              .slice(0, parseInt(vars.$first))
+          };
+        }
+        return { orders: ORDERS, trades: TRADES };
+      })
+    };
+    const networkManager = {
+      getNetwork: jest.fn(prefix => (prefix === 'spkccT_' ? { dgraphClient: spkClient } : null))
+    };
+    app = express();
+    app.use('/api/markets', createMarketRoutes({ dgraphClient: { query: jest.fn() }, networkManager }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lists every known market as a pair', async () => {
+    const response = await request(app).get('/api/markets/pairs').expect(200);
+    expect(response.body).toEqual([
+      { ticker_id: 'LARYNX_HBD', base: 'LARYNX', target: 'HBD', pool_id: 'LARYNX:HBD' },
+      { ticker_id: 'SPK_HIVE', base: 'SPK', target: 'HIVE', pool_id: 'SPK:HIVE' },
+      { ticker_id: 'BROCA_HIVE', base: 'BROCA', target: 'HIVE', pool_id: 'BROCA:HIVE' }
+    ]);
+  });
+
+  it('reports 24h tickers with the best bid and ask', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    const response = await request(app).get('/api/markets/tickers').expect(200);
+
+    expect(response.body).toHaveLength(3);
+    expect(response.body[0]).toEqual({
+      ticker_id: 'LARYNX_HBD',
+      base_currency: 'LARYNX',
+      target_currency: 'HBD',
+      pool_id: 'LARYNX:HBD',
+      last_price: '0.500000',
+      base_volume: '35.000',
+      target_volume: '15.500',
+      bid: '0.400000',
+      ask: '0.500000',
+      high: '0.500000',
+      low: '0.400000'
+    });
+    // No trades in the window: the tick stands in
+    expect(response.body[1]).toMatchObject({
+      ticker_id: 'SPK_HIVE', last_price: '0.020000', base_volume: '0.000', bid: '0.000000', ask: '0.030000', high: '0.020000'
+    });
+
+    const tickerCall = spkClient.query.mock.calls.find(([query]) => query.includes('marketTickers'));
+    expect(tickerCall[1]).toEqual({ $since: '2025-02-28T12:00:00.000Z' });
+  });
+
+  it('serves the order book to the requested depth', async () => {
+    const response = await request(app).get('/api/markets/orderbook?ticker_id=LARYNX_HBD&depth=2').expect(200);
+    expect(response.body).toEqual({
+      ticker_id: 'LARYNX_HBD',
+      timestamp: expect.any(String),
+      bids: [['0.400000', '3.000']],
+      asks: [['0.500000', '1.000']]
+    });
+
+    const full = await request(app).get('/api/markets/orderbook?ticker_id=LARYNX_HBD&depth=0').expect(200);
+    expect(full.body.asks).toEqual([['0.500000', '1.000'], ['0.600000', '2.000']]);
+    expect(full.body.bids).toHaveLength(2);
+  });
+
+  it('splits historical trades by side, newest first', async () => {
+    const response = await request(app).get('/api/markets/historical_trades?ticker_id=LARYNX_HBD').expect(200);
+    expect(response.body.buy).toEqual([
+      { trade_id: 'feed3', price: '0.500000', base_volume: '5.000', target_volume: '2.500', trade_timestamp: String(Date.parse('2025-03-01T03:00:00Z')), type: 'buy' },
+      { trade_id: 'feed1', price: '0.400000', base_volume: '10.000', target_volume: '4.000', trade_timestamp: String(Date.parse('2025-03-01T01:00:00Z')), type: 'buy' }
+    ]);
+    expect(response.body.sell).toEqual([
+      expect.objectContaining({ trade_id: 'feed2', price: '0.450000', type: 'sell' })
+    ]);
+
+    await request(app)
+      .get(`/api/markets/historical_trades?ticker_id=LARYNX_HBD&type=sell&limit=1&start_time=${Date.parse('2025-03-01T02:00:00Z')}`)
+      .expect(200);
+    const [query, vars] = spkClient.query.mock.calls.filter(([text]) => text.includes('marketTrades')).pop();
+    expect(query).toContain('eq(tradeType, "SELL")');
+    expect(vars).toEqual({ $token: 'LARYNX', $quote: 'HBD', $first: '1', $start: '2025-03-01T02:00:00.000Z' });
+  });
+
+  it('validates tickers and parameters', async () => {
+    const missing = await request(app).get('/api/markets/orderbook').expect(400);
+    expect(missing.body).toEqual({ error: 'ticker_id is required' });
+    await request(app).get('/api/markets/orderbook?ticker_id=LARYNX_USD').expect(400);
+    await request(app).get('/api/markets/orderbook?ticker_id=LARYNX_HBD&depth=-1').expect(400);
+    await request(app).get('/api/markets/historical_trades?ticker_id=LARYNX_HBD&type=swap').expect(400);
+    await request(app).get('/api/markets/historical_trades?ticker_id=LARYNX_HBD&start_time=5&end_time=1').expect(400);
+
+    const unknown = await request(app).get('/api/markets/orderbook?ticker_id=DLUX_HIVE').expect(404);
+    expect(unknown.body).toEqual({ error: 'Ticker not found' });
+    await request(app).get('/api/markets/historical_trades?ticker_id=DLUX_HIVE').expect(404);
+  });
+});
@@ -0,0 +1,304 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createSPKRoutes } from '../routes/spk.js';
+import { createDataTransformer } from '../lib/data-transformer.js';
+import { createOrderLifecycle } from '../lib/order-lifecycle.js';
+
+const ACCOUNTS = { alice: '0xa1', bob: '0xb1', carol: '0xc1' };
+
+// Uids the orders got when the first snapshot was written
+const STORED = {
+  'LARYNX:HBD': '0x900',
+  'LARYNX:HBD:0.5:tx1': '0x101',
+  'LARYNX:HBD:0.6:tx2': '0x102',
+  'LARYNX:HBD:0.4:tx3': '0x103'
+};
+
+function createReplicaClient() {
+  return {
+    query: jest.fn(async query => {
+      if (query.includes('open(func: type(DexOrder))')) {
+        return { open: [] };
+      }
+      if (query.includes('orders(func: eq(id')) {
+        const ids = id => JSON.parse(query.match(new RegExp(`${id}\\(func: eq\\(id, (\\[.*?\\])\\)`))[1]);
+        const found = list => list.filter(nodeId => STORED[nodeId]).map(nodeId => ({ uid: STORED[nodeId], id: nodeId }));
+        return { orders: found(ids('orders')), markets: found(ids('markets')) };
+      }
+      return {};
+    }),
+    queryGlobal: jest.fn(async query => {
+      const username = query.match(/eq\(username, "([^"]+)"\)/)?.[1];
+      return { account: ACCOUNTS[username] ? [{ uid: ACCOUNTS[username] }] : [] };
+    })
+  };
+}
+
+function market(sellOrders, buyOrders) {
+  return { type: 'put', path: ['dex', 'hbd'], data: { tick: '0.5', sellOrders, buyOrders } };
+}
+
+function byType(mutations, type) {
+  return mutations.filter(mutation => mutation['dgraph.type'] === type);
+}
+
+describe('Order lifecycle replication', () => {
+  it('opens, fills, cancels and expires orders across order book snapshots', async () => {
+    const transformer = createDataTransformer(createReplicaClient(), null);
+
+    const opened = await transformer.transformOperations([
+      market({
+        '0.5:tx1': { from: 'alice', amount: 1000, hbd: 500, block: 100, expire_path: '500:abc' },
+        '0.6:tx2': { from: 'alice', amount: 2000, hbd: 1200, block: 100, expire_path: '150:def' }
+      }, {
+        '0.4:tx3': { from: 'carol', amount: 3000, hbd: 1200, block: 100, expire_path: '500:ghi' }
+      })
+    ], { blockNum: 100 });
+    transformer.commitBatch();
+
+    const openOrders = byType(opened, 'DexOrder');
+    expect(openOrders.map(order => [order.id, order.status])).toEqual([
+      ['LARYNX:HBD:0.5:tx1', 'OPEN'],
+      ['LARYNX:HBD:0.6:tx2', 'OPEN'],
+      ['LARYNX:HBD:0.4:tx3', 'OPEN']
+    ]);
+    expect(openOrders[0].from).toEqual({ uid: '0xa1' });
+    expect(openOrders[0].market).toEqual({ uid: '0x900' });
+    expect(byType(opened, 'OrderFill')).toEqual([]);
+
+    // bob takes 600 from tx1 and carol cancels her bid
+    const traded = await transformer.transformOperations([
+      { type: 'put', path: ['feed', '120:t1'], data: '@bob| Bought 0.600 LARYNX for 0.300 HBD' },
+      { type: 'put', path: ['feed', '120:t2'], data: '@carol| canceled a hbd dex_buy' },
+      market({
+        '0.5:tx1': { from: 'alice', amount: 400, hbd: 200, block: 100, expire_path: '500:abc' },
+        '0.6:tx2': { from: 'alice', amount: 2000, hbd: 1200, block: 100, expire_path: '150:def' }
+      }, {})
+    ], { blockNum: 120, timestamp: '2025-03-01T00:00:00.000Z' });
+    transformer.commitBatch();
+
+    const orders = byType(traded, 'DexOrder');
+    expect(orders).toEqual([
+      expect.objectContaining({ uid: '0x101', status: 'PARTIAL', filled: 600, remaining: 400, lastFillBlock: 120 }),
+      expect.objectContaining({ uid: '0x103', status: 'CANCELLED', remaining: 3000, closedBlock: 120 })
+    ]);
+    expect(orders[0].createdAt).toBeUndefined();
+    expect(byType(traded, 'OrderFill')).toEqual([
+      expect.objectContaining({
+        id: 'LARYNX:HBD:0.5:tx1:120',
+        order: { uid: '0x101' },
+        maker: { uid: '0xa1' },
+        taker: { uid: '0xb1' },
+        orderType: 'SELL',
+        rate: 0.5,
+        amount: 600,
+        quoteAmount: 300,
+        blockNum: 120
+      })
+    ]);
+    expect(byType(traded, 'OrderCancellation')).toEqual([
+      expect.objectContaining({ orderId: 'LARYNX:HBD:0.4:tx3', orderType: 'BUY', cancelledAt: 120 })
+    ]);
+
+    // tx2 is removed past its expiry; tx1 is taken by a new account
+    const closed = await transformer.transformOperations([
+      { type: 'put', path: ['feed', '160:t3'], data: '@dave| Bought 0.400 LARYNX for 0.200 HBD' },
+      { type: 'del', path: ['dex', 'hbd', 'sellOrders', '0.6:tx2'] },
+      { type: 'del', path: ['dex', 'hbd', 'sellOrders', '0.5:tx1'] }
+    ], { blockNum: 160 });
+
+    expect(byType(closed, 'DexOrder').map(order => [order.uid, order.status, order.filled, order.remaining])).toEqual([
+      ['0x101', 'FILLED', 1000, 0],
+      ['0x102', 'EXPIRED', 0, 2000]
+    ]);
+    expect(byType(closed, 'OrderFill')).toEqual([
+      expect.objectContaining({ order: { uid: '0x101' }, amount: 400, taker: { uid: '_:account_dave' } })
+    ]);
+    expect(byType(closed, 'OrderCancellation')).toEqual([]);
+  });
+
+  it('diffs a retried batch against the books it started from', async () => {
+    const client = createReplicaClient();
+    const query = client.query.getMockImplementation();
+    // What the first batch wrote, for when the books are seeded again
+    client.query.mockImplementation(async (text, vars) => (text.includes('open(func: type(DexOrder))')
+      ? { open: [{ id: 'LARYNX:HBD:0.5:tx1', orderType: 'SELL', rate: 0.5, amount: 1000, hbd: 500, filled: 0, from: { username: 'alice' } }] }
+      : query(text, vars)));
+    const transformer = createDataTransformer(client, null);
+    await transformer.transformOperations([
+      market({ '0.5:tx1': { from: 'alice', amount: 1000, hbd: 500, block: 100, expire_path: '500:abc' } }, {})
+    ], { blockNum: 100 });
+    transformer.commitBatch();
+
+    const fill = [
+      { type: 'put', path: ['feed', '120:t1'], data: '@bob| Bought 0.600 LARYNX for 0.300 HBD' },
+      market({ '0.5:tx1': { from: 'alice', amount: 400, hbd: 200, block: 100, expire_path: '500:abc' } }, {})
+    ];
+    const failed = await transformer.transformOperations(fill, { blockNum: 120, forkId: 'fork-a' });
+    expect(byType(failed, 'OrderFill')).toHaveLength(1);
+
+    // The write failed, so the fill has to be found again on the retry
+    transformer.discardBatch();
+    const retried = await transformer.transformOperations(fill, { blockNum: 120, forkId: 'fork-a' });
+    expect(byType(retried, 'OrderFill')).toEqual([
+      expect.objectContaining({ id: 'LARYNX:HBD:0.5:tx1:120', amount: 600, forkId: 'fork-a' })
+    ]);
+  });
+
+  it('keeps the books of live operations between jobs and stamps their fork', async () => {
+    // Bull is mocked in setup; imported here so the mock applies
+    const { ReplicationQueue } = await import('../lib/replication-queue.js');
+    const client = createReplicaClient();
+    client.writeOperation = jest.fn(async () => ({ success: true }));
+    const replication = new ReplicationQueue({
+      dgraphClient: client,
+      forkManager: { getCanonicalFork: () => 'fork1' },
+      logger: { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() }
+    });
+    const processors = new Map(replication.queue.process.mock.calls);
+    replication.queue.add.mockImplementation(async (name, data) => {
+      await processors.get(name)({ data });
+      return { id: name };
+    });
+
+    await replication.addOperation({
+      ...market({ '0.5:tx1': { from: 'alice', amount: 1000, hbd: 500, block: 100, expire_path: '500:abc' } }, {}),
+      blockNum: 100,
+      index: 1
+    });
+    await replication.addOperation({
+      ...market({ '0.5:tx1': { from: 'alice', amount: 400, hbd: 200, block: 100, expire_path: '500:abc' } }, {}),
+      blockNum: 120,
+      index: 2
+    });
+
+    const seeded = client.query.mock.calls.filter(([query]) => query.includes('open(func: type(DexOrder))'));
+    expect(seeded).toHaveLength(1);
+    expect(byType(client.writeOperation.mock.calls[1][0], 'OrderFill')).toEqual([
+      expect.objectContaining({ id: 'LARYNX:HBD:0.5:tx1:120', amount: 600, forkId: 'fork1' })
+    ]);
+
+    // A revert drops the books, so the next operation seeds them again
+    replication.discardDerivedState();
+    expect(replication.operationTransformer(client).orderLifecycle.books).toBeNull();
+    await replication.close();
+  });
+
+  it('deletes an orphaned fork\'s fills and reseeds the books', async () => {
+    const client = createReplicaClient();
+    const query = client.query.getMockImplementation();
+    client.query.mockImplementation(async (text, vars) => (
+      text.includes('staleFills') ? { stale: [{ uid: '0xf1' }, { uid: '0xf2' }] } : query(text, vars)
+    ));
+    client.deleteNodes = jest.fn(async uids => ({ success: true, deleted: uids.length }));
+
+    const lifecycle = createOrderLifecycle(client);
+    await lifecycle.loadBooks();
+    expect(await lifecycle.rollback(120, { forkId: 'fork-a' })).toEqual({ removed: 2 });
+
+    const [text, vars] = client.query.mock.calls.at(-1);
+    expect(text).toContain('stale(func: type(OrderFill)) @filter(ge(blockNum, $fromBlock) AND eq(forkId, $forkId))');
+    expect(vars).toEqual({ $fromBlock: '120', $forkId: 'fork-a' });
+    expect(client.deleteNodes).toHaveBeenCalledWith(['0xf1', '0xf2']);
+    expect(lifecycle.books).toBeNull();
+  });
+});
+
+describe('User order history API', () => {
+  let app;
+  let spkClient;
+
+  beforeEach(() => {
+    const answer = async (query, vars = {}) => {
+      if (query.includes('getAccount')) {
+        return { user: vars.$username === 'alice' ? [{ uid: '0xa1' }] : [] };
+      }
+      if (query.includes('userOrders')) {
+        // Filters, paging and aggregates as Dgraph applies them
+        const nodes = [
+          {
+            id: 'spkccT_LARYNX:HBD:0.5:tx1', orderType: 'SELL', rate: 0.5, amount: 400, filled: 1000, remaining: 0,
+            status: 'FILLED', block: 100, expireBlock: 500, closedBlock: 160, lastFillBlock: 120,
+            fills: [
+              { blockNum: 120, rate: 0.5, amount: 600, quoteAmount: 300, taker: { username: 'bob' } },
+              { blockNum: 160, rate: 0.5, amount: 400, quoteAmount: 200, taker: { username: 'dave' } }
+            ]
+          },
+          // Snapshot written before the lifecycle tracked this order
+          { id: 'spkccT_LARYNX:HBD:0.5:tx1', orderType: 'SELL', rate: 0.5, amount: 1000, filled: 0, remaining: 1000, status: 'OPEN', block: 100 },
+          { id: 'spkccT_SPK:HIVE:0.1:tx7', orderType: 'BUY', rate: 0.1, amount: 50, filled: 0, remaining: 50, status: 'OPEN', block: 90 }
+        ].filter(order => (!query.includes('eq(status, "FILLED")') || order.status === 'FILLED') &&
+          (!vars.$marketStart || (order.id >= vars.$marketStart && order.id < vars.$marketEnd)));
+        const statuses = [...new Set(nodes.map(order => order.status))]
+          .map(status => ({ status, count: nodes.filter(order => order.status === status).length }));
+        const offset = parseInt(vars.$offset);
+        return {
+          total: [{ count: nodes.length }],
+          statuses: [{ '@groupby': statuses }],
+          orders: nodes.slice(offset, offset + parseInt(vars.$first))
+        };
+      }
+      throw new Error(`Unexpected query: ${query}`);
+    };
+    spkClient = { namespace: 'spkccT_', query: jest.fn(answer), queryGlobal: jest.fn(answer) };
+    const networkManager = {
+      getNetwork: jest.fn(prefix => (prefix === 'spkccT_' ? { dgraphClient: spkClient } : null))
+    };
+    app = express();
+    app.use('/api/spk', createSPKRoutes({ dgraphClient: { query: jest.fn() }, networkManager }));
+  });
+
+  it('lists a user\'s orders with their fills, one entry per order', async () => {
+    const response = await request(app).get('/api/spk/user/alice/orders').expect(200);
+    // Totals count stored nodes, the legacy snapshot included
+    expect(response.body.total).toBe(3);
+    expect(response.body.counts).toMatchObject({ OPEN: 2, FILLED: 1 });
+    expect(response.body.orders).toHaveLength(2);
+    expect(response.body.orders[0]).toEqual({
+      id: 'LARYNX:HBD:0.5:tx1',
+      market: 'LARYNX:HBD',
+      orderType: 'SELL',
+      rate: 0.5,
+      status: 'FILLED',
+      amount: 1000,
+      filled: 1000,
+      remaining: 0,
+      openedBlock: 100,
+      expireBlock: 500,
+      closedBlock: 160,
+      lastFillBlock: 120,
+      fills: [
+        { blockNum: 120, rate: 0.5, amount: 600, tokenAmount: undefined, quoteAmount: 300, taker: 'bob' },
+        { blockNum: 160, rate: 0.5, amount: 400, tokenAmount: undefined, quoteAmount: 200, taker: 'dave' }
+      ].map(fill => JSON.parse(JSON.stringify(fill)))
+    });
+
+    const filled = await request(app).get('/api/spk/user/alice/orders?status=filled&market=larynx_hbd').expect(200);
+    expect(filled.body.filters).toEqual({ status: ['FILLED'], market: 'LARYNX:HBD' });
+    expect(filled.body.orders.map(order => order.id)).toEqual(['LARYNX:HBD:0.5:tx1']);
+    const [ordersQuery, ordersVars] = spkClient.query.mock.calls.at(-1);
+    expect(ordersQuery).toContain('var(func: uid($accountUid))');
+    expect(ordersQuery).toContain('accountOrders as ~from @filter(type(DexOrder) AND (eq(status, "FILLED")) AND ge(id, $marketStart) AND lt(id, $marketEnd))');
+    expect(ordersQuery).toContain('orders(func: uid(accountOrders), orderdesc: block, first: $first, offset: $offset)');
+    expect(ordersVars).toEqual({
+      $accountUid: '0xa1', $first: '50', $offset: '0', $marketStart: 'spkccT_LARYNX:HBD:', $marketEnd: 'spkccT_LARYNX:HBD;'
+    });
+
+    const spk = await request(app).get('/api/spk/user/alice/orders?market=SPK:HIVE').expect(200);
+    expect(spk.body.orders.map(order => order.status)).toEqual(['OPEN']);
+
+    const paged = await request(app).get('/api/spk/user/alice/orders?limit=1&offset=2').expect(200);
+    expect(paged.body.orders.map(order => order.id)).toEqual(['SPK:HIVE:0.1:tx7']);
+    expect(paged.body.total).toBe(3);
+  });
+
+  it('validates parameters and unknown users', async () => {
+    const status = await request(app).get('/api/spk/user/alice/orders?status=done').expect(400);
+    expect(status.body.error).toContain('Invalid status: DONE');
+    await request(app).get('/api/spk/user/alice/orders?market=LARYNX').expect(400);
+
+    const missing = await request(app).get('/api/spk/user/nobody/orders').expect(404);
+    expect(missing.body).toEqual({ error: 'User not found' });
+  });
+});
@@ -0,0 +1,137 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createPersistedQueryStore, sha256Hex } from '../lib/persisted-queries.js';
+import { createGraphQLRoutes } from '../routes/graphql.js';
+
+const TOKENS_QUERY = 'query Tokens { allTokens { symbol } }';
+const OTHER_QUERY = '{ allTokens { symbol } }';
+
+function persisted(query) {
+  return { persistedQuery: { version: 1, sha256Hash: sha256Hex(query) } };
+}
+
+function createApp(persistedQueries) {
+  const dgraphClient = { query: jest.fn(), queryGlobal: jest.fn() };
+  const network = {
+    dgraphClient,
+    tokens: [{ symbol: 'LARYNX', name: 'Larynx' }],
+    getToken: symbol => network.tokens.find(token => token.symbol === symbol),
+    getConfig: () => ({ tokens: network.tokens, features: {} })
+  };
+  const networkManager = {
+    getAllNetworks: () => [{ prefix: 'spkccT_', ...network.getConfig() }],
+    getNetworkForToken: symbol => (network.getToken(symbol) ? { prefix: 'spkccT_', network } : null)
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/graphql', createGraphQLRoutes({ networkManager, persistedQueries }));
+  return app;
+}
+
+describe('PersistedQueryStore', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'persisted-queries-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('loads plain and Apollo manifests and rejects mismatched hashes', async () => {
+    const plain = path.join(dir, 'plain.json');
+    await fs.writeFile(plain, JSON.stringify({ [sha256Hex(TOKENS_QUERY)]: TOKENS_QUERY }));
+    const apollo = path.join(dir, 'apollo.json');
+    await fs.writeFile(apollo, JSON.stringify({
+      format: 'apollo-persisted-query-manifest',
+      version: 1,
+      operations: [{ id: sha256Hex(OTHER_QUERY), name: null, type: 'query', body: OTHER_QUERY }]
+    }));
+    const broken = path.join(dir, 'broken.json');
+    await fs.writeFile(broken, JSON.stringify({ [sha256Hex(TOKENS_QUERY)]: OTHER_QUERY }));
+
+    const store = createPersistedQueryStore();
+    await store.loadAllowList(plain);
+    expect(store.get(sha256Hex(TOKENS_QUERY))).toBe(TOKENS_QUERY);
+
+    await store.loadAllowList(apollo);
+    expect(store.get(sha256Hex(OTHER_QUERY))).toBe(OTHER_QUERY);
+
+    await expect(store.loadAllowList(broken)).rejects.toThrow('does not match its sha256 hash');
+    expect(store.getStats().allowList).toBe(1);
+  });
+
+  it('drops the least recently used automatic query', () => {
+    const store = createPersistedQueryStore({ cacheSize: 2 });
+    const queries = ['{ a }', '{ b }', '{ c }'];
+
+    store.resolve({ query: queries[0], extensions: persisted(queries[0]) });
+    store.resolve({ query: queries[1], extensions: persisted(queries[1]) });
+    expect(store.resolve({ extensions: persisted(queries[0]) })).toBe(queries[0]);
+    store.resolve({ query: queries[2], extensions: persisted(queries[2]) });
+
+    expect(store.get(sha256Hex(queries[0]))).toBe(queries[0]);
+    expect(store.get(sha256Hex(queries[1]))).toBeNull();
+    expect(store.get(sha256Hex(queries[2]))).toBe(queries[2]);
+    expect(() => store.resolve({ query: queries[0], extensions: persisted(queries[1]) }))
+      .toThrow('provided sha does not match query');
+  });
+});
+
+describe('GraphQL persisted queries', () => {
+  it('registers automatic persisted queries and serves them by hash over GET', async () => {
+    const app = createApp({ allowOnly: false });
+    const extensions = JSON.stringify(persisted(TOKENS_QUERY));
+
+    const miss = await request(app).get('/api/graphql').query({ extensions });
+    expect(miss.status).toBe(200);
+    expect(miss.body.errors[0]).toMatchObject({
+      message: 'PersistedQueryNotFound',
+      extensions: { code: 'PERSISTED_QUERY_NOT_FOUND' }
+    });
+
+    const register = await request(app)
+      .post('/api/graphql')
+      .send({ query: TOKENS_QUERY, extensions: persisted(TOKENS_QUERY) });
+    expect(register.body.data).toEqual({ allTokens: [{ symbol: 'LARYNX' }] });
+
+    const hit = await request(app).get('/api/graphql').query({ extensions, operationName: 'Tokens' });
+    expect(hit.body.data).toEqual({ allTokens: [{ symbol: 'LARYNX' }] });
+
+    const adHoc = await request(app).post('/api/graphql').send({ query: OTHER_QUERY });
+    expect(adHoc.body.data).toEqual({ allTokens: [{ symbol: 'LARYNX' }] });
+  });
+
+  it('only runs allow-listed hashes in allow-only mode', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'persisted-queries-'));
+    const allowListPath = path.join(dir, 'allow-list.json');
+    await fs.writeFile(allowListPath, JSON.stringify({ [sha256Hex(TOKENS_QUERY)]: TOKENS_QUERY }));
+
+    try {
+      const app = createApp({ allowListPath, allowOnly: true });
+
+      const allowed = await request(app).post('/api/graphql').send({ extensions: persisted(TOKENS_QUERY) });
+      expect(allowed.body.data).toEqual({ allTokens: [{ symbol: 'LARYNX' }] });
+
+      const adHoc = await request(app).post('/api/graphql').send({ query: OTHER_QUERY });
+      expect(adHoc.body.errors[0].extensions.code).toBe('PERSISTED_QUERY_REQUIRED');
+
+      const register = await request(app)
+        .post('/api/graphql')
+        .send({ query: OTHER_QUERY, extensions: persisted(OTHER_QUERY) });
+      expect(register.body.errors[0].extensions.code).toBe('PERSISTED_QUERY_NOT_ALLOWED');
+
+      const unknown = await request(app).post('/api/graphql').send({ extensions: persisted(OTHER_QUERY) });
+      expect(unknown.body.data).toBeUndefined();
+      expect(unknown.body.errors[0].extensions.code).toBe('PERSISTED_QUERY_NOT_ALLOWED');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,238 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { PrivateKey, cryptoUtils } from '@hiveio/dhive';
+import { createFileSystemRoutes } from '../routes/filesystem.js';
+import { verifyHiveSignature } from '../lib/hive-signature.js';
+import { hashToken, createUsedMessages } from '../lib/share-links.js';
+
+const aliceKey = PrivateKey.fromSeed('alice-active-key');
+const malloryKey = PrivateKey.fromSeed('mallory-active-key');
+
+function signed(account, key, fields) {
+  const message = JSON.stringify({ timestamp: Date.now(), ...fields });
+  return { account, message, signature: key.sign(cryptoUtils.sha256(message)).toString() };
+}
+
+describe('Share links', () => {
+  let app;
+  let links;
+  let spkClient;
+
+  beforeEach(() => {
+    links = [];
+
+    spkClient = {
+      namespace: 'spkccT_',
+      queryGlobal: jest.fn(async (query, vars) => (
+        vars.$username === 'alice' ? { user: [{ uid: '0x1', username: 'alice' }] } : { user: [] }
+      )),
+      query: jest.fn(async (query, vars) => {
+        if (query.includes('getAllPaths')) {
+          return {
+            paths: [
+              {
+                fullPath: '/Private',
+                pathName: 'Private',
+                files: [{
+                  cid: 'QmSecret',
+                  name: 'plans',
+                  extension: 'pdf',
+                  size: 100,
+                  mimeType: 'application/pdf',
+                  contract: { id: 'alice:0:100-abc', blockNumber: 100, encryptionData: '#bob:enc' }
+                }]
+              },
+              { fullPath: '/Private/Old', pathName: 'Old', files: [] }
+            ]
+          };
+        }
+        if (query.includes('shareLinkByToken')) {
+          return { link: links.filter(link => link.shareTokenHash === vars.$hash) };
+        }
+        if (query.includes('shareLinkById')) {
+          return { link: links.filter(link => link.shareId === vars.$id && link.shareOwner === vars.$owner) };
+        }
+        if (query.includes('shareLinksByOwner')) {
+          return { links: links.filter(link => link.shareOwner === vars.$owner) };
+        }
+        return {};
+      }),
+      writeOperation: jest.fn(async (operations) => {
+        for (const operation of operations) {
+          const existing = links.find(link => link.uid === operation.uid);
+          if (existing) {
+            const { shareEvents, ...fields } = operation;
+            Object.assign(existing, fields);
+            existing.shareEvents.push(...shareEvents);
+          } else {
+            links.push({ ...operation, uid: `0x${links.length + 10}` });
+          }
+        }
+        return { success: true };
+      })
+    };
+
+    const networkManager = {
+      getNetwork: jest.fn(prefix => (prefix === 'spkccT_' ? { dgraphClient: spkClient } : null))
+    };
+
+    const publicKeys = { alice: aliceKey, mallory: malloryKey };
+    const verifySignature = body => verifyHiveSignature(body, {
+      getAccounts: async ([name]) => (publicKeys[name]
+        ? [{ active: { key_auths: [[publicKeys[name].createPublic().toString(), 1]] } }]
+        : [])
+    });
+
+    app = express();
+    app.use(express.json());
+    app.use('/', createFileSystemRoutes({ dgraphClient: spkClient, networkManager, verifySignature }));
+  });
+
+  async function createLink(fields = {}) {
+    const response = await request(app)
+      .post('/fss/alice/links')
+      .send(signed('alice', aliceKey, { action: 'share-link:create', path: '/Private', ...fields }))
+      .expect(201);
+    return response.body;
+  }
+
+  it('creates a signed link and serves a read-only listing with the key blob', async () => {
+    const link = await createLink({ keyBlob: 'encrypted-aes-key', expiresIn: 3600 });
+
+    expect(link).toMatchObject({ owner: 'alice', path: '/Private', type: 'directory', status: 'active', accessCount: 0 });
+    expect(link.url).toBe(`/fse/_link/${link.token}`);
+    expect(links[0].shareTokenHash).toBe(hashToken(link.token));
+    expect(links[0]).not.toHaveProperty('token');
+
+    const response = await request(app).get(link.url).expect(200);
+
+    expect(response.headers['cache-control']).toBe('private, no-store');
+    expect(response.body.link).toMatchObject({ owner: 'alice', path: '/Private', readOnly: true });
+    expect(response.body.keyBlob).toBe('encrypted-aes-key');
+    expect(response.body.contents.map(item => item.name)).toEqual(['Old', 'plans']);
+    expect(response.body.contents[1].contract.encryptionData).toBe('#bob:enc');
+
+    const file = await request(app).get(`${link.url}/plans.pdf`).expect(200);
+    expect(file.body.file).toMatchObject({ cid: 'QmSecret', type: 'file' });
+
+    expect(links[0].shareAccessCount).toBe(2);
+    expect(links[0].shareEvents.map(e => e.shareEvent)).toEqual(['created', 'accessed', 'accessed']);
+  });
+
+  it('lists links with counters and audit trail, and revokes them', async () => {
+    const link = await createLink();
+    await request(app).get(link.url).expect(200);
+
+    const list = await request(app)
+      .post('/fss/alice/links/list')
+      .send(signed('alice', aliceKey, { action: 'share-link:list' }))
+      .expect(200);
+    expect(list.body.links[0]).toMatchObject({ id: link.id, accessCount: 1 });
+    expect(list.body.links[0].audit.map(e => e.event)).toEqual(['created', 'accessed']);
+    // Client IPs stay in the stored audit trail
+    expect(list.body.links[0].audit[1]).not.toHaveProperty('ip');
+    expect(links[0].shareEvents[1]).toHaveProperty('shareEventIp');
+
+    const revoked = await request(app)
+      .post(`/fss/alice/links/${link.id}/revoke`)
+      .send(signed('alice', aliceKey, { action: 'share-link:revoke', id: link.id }))
+      .expect(200);
+    expect(revoked.body.status).toBe('revoked');
+
+    const denied = await request(app).get(link.url).expect(410);
+    expect(denied.body.status).toBe('revoked');
+    expect(links[0].shareEvents.map(e => e.shareEvent)).toEqual(['created', 'accessed', 'revoked', 'denied']);
+
+    await request(app)
+      .post(`/fss/alice/links/${link.id}/revoke`)
+      .send(signed('alice', aliceKey, { action: 'share-link:revoke', id: link.id, timestamp: Date.now() + 1 }))
+      .expect(409);
+  });
+
+  it('accepts each signed message once', async () => {
+    const link = await createLink();
+
+    const listing = signed('alice', aliceKey, { action: 'share-link:list' });
+    await request(app).post('/fss/alice/links/list').send(listing).expect(200);
+    const replayed = await request(app).post('/fss/alice/links/list').send(listing).expect(401);
+    expect(replayed.body.error).toBe('Signed message already used');
+
+    const revoke = signed('alice', aliceKey, { action: 'share-link:revoke', id: link.id });
+    await request(app).post(`/fss/alice/links/${link.id}/revoke`).send(revoke).expect(200);
+    await request(app).post(`/fss/alice/links/${link.id}/revoke`).send(revoke).expect(401);
+
+    const create = signed('alice', aliceKey, { action: 'share-link:create', path: '/Private' });
+    await request(app).post('/fss/alice/links').send(create).expect(201);
+    await request(app).post('/fss/alice/links').send(create).expect(401);
+    expect(links).toHaveLength(2);
+  });
+
+  it('refuses expired links', async () => {
+    const link = await createLink();
+    links[0].shareExpiresAt = new Date(Date.now() - 1000).toISOString();
+
+    const response = await request(app).get(link.url).expect(410);
+    expect(response.body.status).toBe('expired');
+    expect(links[0].shareAccessCount).toBe(0);
+  });
+
+  it('forgets used messages once their timestamp window has passed', () => {
+    const used = createUsedMessages({ maxAge: 1000 });
+    const body = { account: 'alice', message: '{"timestamp":5000}' };
+
+    expect(used.use(body, 5000, 5000)).toBe(true);
+    expect(used.use(body, 5000, 6000)).toBe(false);
+    expect(used.use({ ...body, account: 'bob' }, 5000, 6000)).toBe(true);
+
+    used.use({ account: 'carol', message: '{"timestamp":7000}' }, 7000, 7000);
+    expect(used.expiries.size).toBe(1);
+  });
+
+  it('rejects requests not signed by the owner', async () => {
+    await request(app)
+      .post('/fss/alice/links')
+      .send(signed('mallory', malloryKey, { action: 'share-link:create', path: '/Private' }))
+      .expect(403);
+
+    const forged = signed('alice', malloryKey, { action: 'share-link:create', path: '/Private' });
+    await request(app).post('/fss/alice/links').send(forged).expect(401);
+
+    await request(app)
+      .post('/fss/alice/links')
+      .send(signed('alice', aliceKey, { action: 'share-link:list', path: '/Private' }))
+      .expect(400);
+
+    expect(links).toHaveLength(0);
+  });
+
+  it('rejects messages without a current timestamp', async () => {
+    const create = { action: 'share-link:create', path: '/Private' };
+    for (const timestamp of [undefined, 'NaN', null, Date.now() - 10 * 60 * 1000, Date.now() + 10 * 60 * 1000]) {
+      await request(app)
+        .post('/fss/alice/links')
+        .send(signed('alice', aliceKey, { ...create, timestamp }))
+        .expect(400);
+    }
+
+    const future = await request(app)
+      .post('/fss/alice/links')
+      .send(signed('alice', aliceKey, { ...create, timestamp: Date.now() + 10 * 60 * 1000 }))
+      .expect(400);
+    expect(future.body.error).toBe('Message timestamp in the future');
+
+    expect(links).toHaveLength(0);
+  });
+
+  it('validates the shared path and expiry', async () => {
+    await request(app)
+      .post('/fss/alice/links')
+      .send(signed('alice', aliceKey, { action: 'share-link:create', path: '/Nope' }))
+      .expect(404);
+    await request(app)
+      .post('/fss/alice/links')
+      .send(signed('alice', aliceKey, { action: 'share-link:create', path: '/Private', expiresIn: 10 }))
+      .expect(400);
+    await request(app).get('/fse/_link/not-a-token').expect(404);
+  });
+});
@@ -0,0 +1,132 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createSPKRoutes } from '../routes/spk.js';
+
+const contracts = [
+  {
+    id: 'alice:0:1000-abc',
+    blockNumber: 1000,
+    authorized: 10000,
+    utilized: 7000,
+    power: 3,
+    refunded: 100,
+    status: 3,
+    statusText: 'ACTIVE',
+    // Two months of blocks
+    expiresBlock: 1729000,
+    files: [
+      { cid: 'QmA', size: 4000, mimeType: 'video/mp4', path: '/Videos', flags: 0 },
+      { cid: 'QmB', size: 2000, mimeType: 'image/jpeg', path: '/Videos/Thumbs', flags: 2 },
+      { cid: 'QmC', size: 1000, mimeType: 'application/pdf', path: '/', flags: 0 }
+    ]
+  },
+  {
+    id: 'alice:0:900000-def',
+    blockNumber: 900000,
+    authorized: 5000,
+    utilized: 5000,
+    power: 2,
+    refunded: 50,
+    status: 3,
+    statusText: 'ACTIVE',
+    expiresBlock: 1764000,
+    files: { cid: 'QmD', size: 5000, mimeType: 'image/jpeg', path: '/Photos/2024', flags: 0 }
+  },
+  {
+    id: 'alice:0:5000-old',
+    blockNumber: 5000,
+    authorized: 1000,
+    utilized: 0,
+    refunded: 10,
+    statusText: 'PENDING',
+    expiresBlock: 869000
+  }
+];
+
+describe('Storage usage', () => {
+  let app;
+  let spkClient;
+
+  beforeEach(() => {
+    spkClient = {
+      namespace: 'spkccT_',
+      queryGlobal: jest.fn(async (query, vars) => (
+        vars.$username === 'alice' ? { user: [{ uid: '0xa1' }] } : { user: [] }
+      )),
+      query: jest.fn(async (query) => {
+        if (query.includes('storageUsage')) {
+          return { contracts, latestTransaction: [{ blockNum: 1700000 }] };
+        }
+        return {};
+      })
+    };
+
+    const networkManager = {
+      getNetwork: jest.fn(prefix => (prefix === 'spkccT_' ? { dgraphClient: spkClient } : null))
+    };
+
+    app = express();
+    app.use('/api/spk', createSPKRoutes({ dgraphClient: { query: jest.fn() }, networkManager }));
+  });
+
+  it('breaks usage down by folder, MIME type and contract', async () => {
+    const response = await request(app).get('/api/spk/user/alice/usage').expect(200);
+    const { body } = response;
+
+    expect(body).toMatchObject({ username: 'alice', headBlock: 1700000 });
+    expect(body.totals).toEqual({
+      contracts: 3,
+      files: 4,
+      bytes: 12000,
+      purchasedBytes: 16000,
+      utilizedBytes: 12000,
+      freeBytes: 4000,
+      utilization: 0.75,
+      broca: 160,
+      brocaPerMonth: 50 + 50 + 10
+    });
+
+    expect(body.byFolder).toEqual([
+      { folder: '/Videos', files: 2, bytes: 6000, share: 0.5 },
+      { folder: '/Photos', files: 1, bytes: 5000, share: 5000 / 12000 },
+      { folder: '/', files: 1, bytes: 1000, share: 1000 / 12000 }
+    ]);
+    expect(body.byMimeType.map(entry => [entry.mimeType, entry.bytes])).toEqual([
+      ['image/jpeg', 7000],
+      ['video/mp4', 4000],
+      ['application/pdf', 1000]
+    ]);
+
+    expect(body.contracts[0]).toMatchObject({
+      id: 'alice:0:1000-abc',
+      files: 3,
+      fileBytes: 7000,
+      purchasedBytes: 10000,
+      utilizedBytes: 7000,
+      freeBytes: 3000,
+      utilization: 0.7,
+      broca: 100,
+      brocaPerMonth: 50,
+      expiresIn: 29000
+    });
+    expect(body.contracts[2]).toMatchObject({ id: 'alice:0:5000-old', files: 0, utilization: 0, expiresIn: -831000 });
+  });
+
+  it('lists contracts expiring within the window, soonest first', async () => {
+    const defaults = await request(app).get('/api/spk/user/alice/usage').expect(200);
+    expect(defaults.body.expiring).toMatchObject({ withinBlocks: 201600, count: 2, utilizedBytes: 12000 });
+    expect(defaults.body.expiring.contracts.map(contract => contract.id)).toEqual(['alice:0:1000-abc', 'alice:0:900000-def']);
+
+    const narrow = await request(app).get('/api/spk/user/alice/usage?expiringWithin=30000').expect(200);
+    expect(narrow.body.expiring.contracts).toEqual([
+      { id: 'alice:0:1000-abc', expiresBlock: 1729000, expiresIn: 29000, files: 3, utilizedBytes: 7000 }
+    ]);
+  });
+
+  it('rejects bad windows and unknown users', async () => {
+    await request(app).get('/api/spk/user/alice/usage?expiringWithin=soon').expect(400);
+    await request(app).get('/api/spk/user/alice/usage?expiringWithin=0').expect(400);
+    await request(app).get('/api/spk/user/bob/usage').expect(404);
+  });
+});
@@ -0,0 +1,227 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const DGRAPH_SCHEMA = `
+username: string @index(exact, term) .
+larynxBalance: int .
+lastSeen: datetime .
+runnerNode: uid .
+
+type Account {
+  username
+  larynxBalance
+  lastSeen
+  runnerNode
+}
+`;
+
+const SPK_TYPES = `
+# Predicates declared inside the type block, as schema/custom/dlux.dgraph does
+type SPKStorageContract {
+  SPKStorageContract.id: string @index(hash) .
+  SPKStorageContract.totalSize: int .
+  SPKStorageContract.providers: [uid] .
+}
+`;
+
+const queries = [];
+
+// Accounts answer from the global namespace, everything else per token
+async function answer(query, vars) {
+  queries.push({ query, vars });
+  if (query.includes('type(Account)')) {
+    return {
+      nodes: [
+        { uid: '0x1', 'dgraph.type': ['Account'], username: 'alice', larynxBalance: 5000000000, lastSeen: '2025-01-02T00:00:00Z', runnerNode: { uid: '0x9' } },
+        { uid: '0x2', 'dgraph.type': ['Account'], username: 'bob', larynxBalance: 20 }
+      ].filter(account => !vars.$f0 || account.username === vars.$f0).slice(0, parseInt(vars.$first))
+    };
+  }
+  return {
+    nodes: [{ uid: '0x5', 'SPKStorageContract.id': 'alice:0:1-abc', 'SPKStorageContract.totalSize': 1024, 'SPKStorageContract.providers': [{ uid: '0x1' }] }]
+  };
+}
+
+jest.unstable_mockModule('../lib/dgraph-client.js', () => ({
+  DgraphClient: class {
+    async setSchema() {}
+    query(query, vars = {}) {
+      return answer(query, vars);
+    }
+    queryGlobal(query, vars = {}) {
+      return answer(query, vars);
+    }
+  }
+}));
+
+const { parseDgraphSchema } = await import('../lib/token-graphql-schema.js');
+const { MultiTokenManager } = await import('../lib/multi-token-manager.js');
+const { createGraphQLGatewayRoutes, createTokenGraphQLRoutes } = await import('../routes/graphql.js');
+const { createRegistryRoutes } = await import('../routes/registry.js');
+
+describe('parseDgraphSchema', () => {
+  it('reads predicate declarations, including ones inside type blocks', () => {
+    const { predicates, types } = parseDgraphSchema(DGRAPH_SCHEMA + SPK_TYPES);
+
+    expect(types.get('Account')).toEqual(['username', 'larynxBalance', 'lastSeen', 'runnerNode']);
+    expect(types.get('SPKStorageContract')).toEqual(['SPKStorageContract.id', 'SPKStorageContract.totalSize', 'SPKStorageContract.providers']);
+    expect(predicates.get('username')).toEqual({ type: 'string', list: false, indexes: ['exact', 'term'] });
+    expect(predicates.get('SPKStorageContract.providers')).toEqual({ type: 'uid', list: true, indexes: [] });
+  });
+});
+
+describe('Per-token GraphQL schemas', () => {
+  let dir;
+  let manager;
+  let app;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'token-graphql-'));
+    const schemaPath = path.join(dir, 'schema');
+    await fs.mkdir(path.join(schemaPath, 'custom'), { recursive: true });
+    await fs.writeFile(path.join(schemaPath, 'schema.dgraph'), DGRAPH_SCHEMA);
+    await fs.writeFile(path.join(schemaPath, 'custom', 'spk.dgraph'), SPK_TYPES);
+
+    manager = new MultiTokenManager({
+      baseDataPath: path.join(dir, 'data'),
+      schemaPath,
+      apiPath: path.join(dir, 'apis')
+    });
+    await manager.initialize();
+    await manager.registerToken('SPK', { name: 'SPK Network', description: 'Storage', decimals: 3 }, false);
+    await manager.registerToken('LARYNX', { name: 'Larynx', description: 'Mining' }, false);
+
+    app = express();
+    app.use(express.json());
+    // Signature checks need a Hive node; they are covered by the admin test below
+    app.use('/api/registry', createRegistryRoutes({ multiTokenManager: manager, authenticate: (req, res, next) => next() }));
+    app.use('/api/graphql/tokens', createTokenGraphQLRoutes({ multiTokenManager: manager }));
+    app.use('/api/graphql/gateway', createGraphQLGatewayRoutes({ multiTokenManager: manager }));
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    queries.length = 0;
+  });
+
+  function post(url, query) {
+    return request(app).post(url).send({ query });
+  }
+
+  it('builds each token schema from its Dgraph types when the token registers', async () => {
+    const res = await post('/api/graphql/tokens/spk', `{
+      token { symbol name decimals types }
+      accountList(first: 1, username: "alice") { uid username larynxBalance lastSeen runnerNode { uid } }
+      spkStorageContractList { id totalSize providers { uid } }
+    }`);
+
+    expect(res.body.errors).toBeUndefined();
+    expect(res.body.data).toEqual({
+      token: { symbol: 'SPK', name: 'SPK Network', decimals: 3, types: ['Account', 'SPKStorageContract'] },
+      accountList: [{ uid: '0x1', username: 'alice', larynxBalance: 5000000000, lastSeen: '2025-01-02T00:00:00.000Z', runnerNode: { uid: '0x9' } }],
+      spkStorageContractList: [{ id: 'alice:0:1-abc', totalSize: 1024, providers: [{ uid: '0x1' }] }]
+    });
+
+    const accountQuery = queries.find(({ query }) => query.includes('type(Account)'));
+    expect(accountQuery.query).toContain('@filter(type(Account) AND eq(<username>, $f0))');
+    expect(accountQuery.vars).toEqual({ $f0: 'alice', $first: '1', $offset: '0' });
+
+    const larynx = await post('/api/graphql/tokens/larynx', '{ spkStorageContractList { id } }');
+    expect(larynx.body.errors[0].message).toContain('Cannot query field "spkStorageContractList"');
+
+    const missing = await post('/api/graphql/tokens/nope', '{ token { symbol } }');
+    expect(missing.status).toBe(404);
+  });
+
+  it('spans every token in one gateway query', async () => {
+    const res = await post('/api/graphql/gateway', `{
+      tokens
+      spk { token { name } }
+      larynx { token { name } account(username: "bob") { username larynxBalance } }
+    }`);
+
+    expect(res.body.errors).toBeUndefined();
+    expect(res.body.data).toEqual({
+      tokens: ['SPK', 'LARYNX'],
+      spk: { token: { name: 'SPK Network' } },
+      larynx: { token: { name: 'Larynx' }, account: { username: 'bob', larynxBalance: 20 } }
+    });
+  });
+
+  it('hot-reloads a token schema when extension SDL is posted', async () => {
+    const before = await post('/api/graphql/tokens/spk', '{ motd }');
+    expect(before.body.errors[0].message).toContain('Cannot query field "motd"');
+
+    const invalid = await request(app)
+      .post('/api/registry/tokens/spk/schema')
+      .send({ schema: 'extend type SPK_Query { motd: Missing }' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.message).toContain('Unknown type "Missing"');
+
+    const reload = await request(app)
+      .post('/api/registry/tokens/spk/schema')
+      .send({ schema: 'extend type SPK_Query { motd: String }' });
+    expect(reload.body).toEqual({ success: true, symbol: 'SPK', rootType: 'SPK_Query' });
+
+    const after = await post('/api/graphql/tokens/spk', '{ motd token { symbol } }');
+    expect(after.body).toMatchObject({ data: { motd: null, token: { symbol: 'SPK' } } });
+
+    const gateway = await post('/api/graphql/gateway', '{ spk { motd } }');
+    expect(gateway.body.data).toEqual({ spk: { motd: null } });
+
+    const saved = await fs.readFile(path.join(dir, 'schema', 'custom', 'spk-api.graphql'), 'utf8');
+    expect(saved).toBe('extend type SPK_Query { motd: String }');
+
+    const sdl = await request(app).get('/api/registry/tokens/spk/schema');
+    expect(sdl.text).toContain('extend type SPK_Query { motd: String }');
+  });
+
+  it('keeps the running schema when the extension SDL cannot be saved', async () => {
+    const writeFile = jest.spyOn(fs, 'writeFile').mockRejectedValueOnce(new Error('ENOSPC: no space left on device'));
+
+    await expect(manager.updateGraphQLSchema('SPK', 'extend type SPK_Query { banner: String }'))
+      .rejects.toThrow('ENOSPC');
+    writeFile.mockRestore();
+
+    const res = await post('/api/graphql/tokens/spk', '{ banner }');
+    expect(res.body.errors[0].message).toContain('Cannot query field "banner"');
+
+    const gateway = await post('/api/graphql/gateway', '{ spk { motd } }');
+    expect(gateway.body.data).toEqual({ spk: { motd: null } });
+  });
+
+  it('only takes schema uploads signed by an admin account', async () => {
+    const previous = process.env.HONEYGRAPH_ADMIN_ACCOUNTS;
+    process.env.HONEYGRAPH_ADMIN_ACCOUNTS = 'admin';
+    const guarded = express();
+    guarded.use(express.json());
+    guarded.use('/api/registry', createRegistryRoutes({ multiTokenManager: manager }));
+    if (previous === undefined) {
+      delete process.env.HONEYGRAPH_ADMIN_ACCOUNTS;
+    } else {
+      process.env.HONEYGRAPH_ADMIN_ACCOUNTS = previous;
+    }
+
+    const anonymous = await request(guarded)
+      .post('/api/registry/tokens/spk/schema')
+      .send({ schema: 'extend type SPK_Query { pwned: String }' });
+    expect(anonymous.status).toBe(401);
+    expect(anonymous.body.error).toBe('Missing authentication headers');
+
+    const outsider = await request(guarded)
+      .post('/api/registry/tokens/spk/schema')
+      .set({ 'X-Hive-Account': 'mallory', 'X-Hive-Signature': 'sig', 'X-Hive-Timestamp': String(Date.now()) })
+      .send({ schema: 'extend type SPK_Query { pwned: String }' });
+    expect(outsider.status).toBe(403);
+
+    const saved = await fs.readFile(path.join(dir, 'schema', 'custom', 'spk-api.graphql'), 'utf8').catch(() => '');
+    expect(saved).not.toContain('pwned');
+  });
+});
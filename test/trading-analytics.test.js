@@ -0,0 +1,163 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createSPKRoutes } from '../routes/spk.js';
+import { createTradingAnalytics } from '../lib/trading-analytics.js';
+
+function taken(id, timestamp, tradeType, token, quoteCurrency, tokenAmount, quoteAmount) {
+  return { id: `spkccT_${id}`, blockNum: parseInt(id), timestamp, dexDetails: { tradeType, token, quoteCurrency, tokenAmount, quoteAmount } };
+}
+
+const MADE = {
+  id: 'spkccT_LARYNX:HBD:0.5:tx9:200',
+  blockNum: 200,
+  timestamp: '2025-03-02T00:00:00Z',
+  orderType: 'BUY',
+  rate: 0.5,
+  amount: 100000,
+  quoteAmount: 50000,
+  // Half of the order filled, so half of its fee is charged to this fill
+  order: { fee: 1000, amount: 100000, filled: 100000, remaining: 100000 }
+};
+
+const STORED = {
+  taken: [
+    taken('400:tx4', '2025-03-04T00:00:00Z', 'SELL', 'LARYNX', 'HBD', 100, 30),
+    taken('300:tx3', '2025-03-03T00:00:00Z', 'SELL', 'LARYNX', 'HBD', 150, 90),
+    taken('150:tx5', '2025-03-01T12:00:00Z', 'BUY', 'SPK', 'HIVE', 1000, 20),
+    taken('100:tx1', '2025-03-01T00:00:00Z', 'BUY', 'LARYNX', 'HBD', 100, 40)
+  ],
+  // The fill's node is listed twice when an older snapshot is stored beside it
+  made: [MADE, MADE],
+  markets: [
+    { id: 'spkccT_LARYNX:HBD', tick: '0.45' },
+    { id: 'spkccT_SPK:HIVE', tick: '0.03' }
+  ]
+};
+
+// Oldest first from the resume position, as many as asked for
+function page(rows, vars) {
+  const after = vars.$afterBlock === undefined ? null : parseInt(vars.$afterBlock);
+  return [...rows]
+    .sort((a, b) => a.blockNum - b.blockNum || a.id.localeCompare(b.id))
+    .filter(row => after === null || row.blockNum > after || (row.blockNum === after && row.id > vars.$afterId))
+    .slice(0, parseInt(vars.$first));
+}
+
+describe('Trading analytics API', () => {
+  let app;
+  let spkClient;
+  let stored;
+
+  beforeEach(() => {
+    stored = STORED;
+    spkClient = {
+      namespace: 'spkccT_',
+      queryGlobal: jest.fn(async (query, vars) => ({ user: vars.$username === 'alice' ? [{ uid: '0xa1' }] : [] })),
+      query: jest.fn(async (query, vars = {}) => {
+        if (query.includes('markets(func: type(DexMarket))')) {
+          return { markets: stored.markets };
+        }
+        return { rows: page(query.includes('userTakenTrades') ? stored.taken : stored.made, vars) };
+      })
+    };
+    const networkManager = {
+      getNetwork: jest.fn(prefix => (prefix === 'spkccT_' ? { dgraphClient: spkClient } : null))
+    };
+    app = express();
+    app.use('/api/spk', createSPKRoutes({ dgraphClient: { query: jest.fn() }, networkManager }));
+  });
+
+  it('matches sells against buys first in, first out', async () => {
+    const response = await request(app).get('/api/spk/user/alice/trading').expect(200);
+
+    const [query, vars] = spkClient.query.mock.calls.find(([text]) => text.includes('userMadeTrades'));
+    expect(query).toContain('var(func: uid($accountUid)) {\n            source as ~maker @filter(type(OrderFill))');
+    expect(query).toContain('rows(func: uid(source), orderasc: blockNum, orderasc: id, first: $first)');
+    expect(vars).toMatchObject({ $accountUid: '0xa1', $first: '1000' });
+
+    expect(response.body.markets.map(market => market.market)).toEqual(['LARYNX:HBD', 'SPK:HIVE']);
+    const [larynx, spk] = response.body.markets;
+    expect(larynx).toEqual({
+      market: 'LARYNX:HBD',
+      token: 'LARYNX',
+      quoteCurrency: 'HBD',
+      trades: 4,
+      buys: 2,
+      sells: 2,
+      volume: { token: 450, quote: 210, bought: 200, sold: 250 },
+      avgBuyPrice: 0.45,
+      avgSellPrice: 0.48,
+      fees: 0.5,
+      // 90 - (40 + 25.125), then 15 for the 50 with a known cost - 25.125
+      realizedPnl: 14.75,
+      unrealizedPnl: 0,
+      wins: 1,
+      losses: 1,
+      winRate: 50,
+      position: { amount: 0, costBasis: 0, avgCost: null, markPrice: 0.45, value: 0 },
+      unmatchedSellAmount: 50
+    });
+    expect(spk).toMatchObject({
+      realizedPnl: 0,
+      unrealizedPnl: 10,
+      winRate: null,
+      position: { amount: 1000, costBasis: 20, avgCost: 0.02, markPrice: 0.03, value: 30 }
+    });
+    expect(response.body.totals).toEqual({
+      HBD: { trades: 4, volume: 210, realizedPnl: 14.75, unrealizedPnl: 0, wins: 1, losses: 1, winRate: 50 },
+      HIVE: { trades: 1, volume: 20, realizedPnl: 0, unrealizedPnl: 10, wins: 0, losses: 0, winRate: null }
+    });
+  });
+
+  it('keeps earlier lots as cost basis for a date range', async () => {
+    const later = await request(app)
+      .get('/api/spk/user/alice/trading?market=larynx_hbd&from=2025-03-03T00:00:00Z')
+      .expect(200);
+    expect(later.body.filters).toEqual({ market: 'LARYNX:HBD', from: '2025-03-03T00:00:00.000Z', to: null });
+    expect(later.body.markets).toHaveLength(1);
+    expect(later.body.markets[0]).toMatchObject({
+      trades: 2, buys: 0, avgBuyPrice: null, fees: 0, realizedPnl: 14.75, winRate: 50
+    });
+
+    const earlier = await request(app)
+      .get('/api/spk/user/alice/trading?market=LARYNX:HBD&to=2025-03-02T12:00:00Z')
+      .expect(200);
+    expect(earlier.body.markets[0]).toMatchObject({
+      trades: 2,
+      realizedPnl: 0,
+      unrealizedPnl: -0.25,
+      position: { amount: 200, costBasis: 90.25, avgCost: 0.45125, markPrice: 0.45, value: 90 }
+    });
+  });
+
+  it('compares trade times as dates whatever their stored form', async () => {
+    // 11:00 UTC, written with an offset that sorts after the range's end as text
+    stored = { ...STORED, taken: [...STORED.taken, taken('160:tx6', '2025-03-02T13:00:00+02:00', 'BUY', 'LARYNX', 'HBD', 10, 4)] };
+
+    const response = await request(app)
+      .get('/api/spk/user/alice/trading?market=LARYNX:HBD&to=2025-03-02T12:00:00Z')
+      .expect(200);
+    expect(response.body.markets[0]).toMatchObject({ trades: 3, buys: 3 });
+  });
+
+  it('reads every trade oldest first, batch by batch', async () => {
+    const analytics = createTradingAnalytics(spkClient, { batchSize: 2 });
+    const report = await analytics.report('alice', { market: null, from: null, to: null });
+
+    expect(report.markets.map(market => market.trades)).toEqual([4, 1]);
+    const takenCalls = spkClient.query.mock.calls.filter(([text]) => text.includes('userTakenTrades'));
+    expect(takenCalls.map(([, vars]) => vars.$afterBlock)).toEqual([undefined, '150', '400']);
+    expect(takenCalls[0][0]).toContain('source as ~from @filter(type(Transaction) AND eq(category, "DEX_TRADE"))');
+    expect(takenCalls[1][0]).toContain('@filter(gt(blockNum, $afterBlock) OR (eq(blockNum, $afterBlock) AND gt(id, $afterId)))');
+  });
+
+  it('validates parameters and unknown users', async () => {
+    await request(app).get('/api/spk/user/alice/trading?market=LARYNX:USD').expect(400);
+    await request(app).get('/api/spk/user/alice/trading?from=yesterday').expect(400);
+    await request(app).get('/api/spk/user/alice/trading?from=2025-03-02&to=2025-03-01').expect(400);
+
+    const missing = await request(app).get('/api/spk/user/nobody/trading').expect(404);
+    expect(missing.body).toEqual({ error: 'User not found' });
+  });
+});
@@ -0,0 +1,188 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createSPKRoutes } from '../routes/spk.js';
+import { createDataTransformer } from '../lib/data-transformer.js';
+import { createTransactionHistory } from '../lib/transaction-history.js';
+
+function tx(blockNum, txId, category, fields = {}) {
+  return {
+    id: `${blockNum}:${txId}`,
+    blockNum,
+    txId,
+    category,
+    operationType: fields.operationType || category.toLowerCase(),
+    timestamp: new Date(Date.UTC(2025, 0, 1) + blockNum * 3000).toISOString(),
+    memo: fields.memo || `${category} at ${blockNum}`,
+    ...fields
+  };
+}
+
+const TRANSACTIONS = [
+  tx(100, 'a1', 'TOKEN_TRANSFER', { operationType: 'send', from: { username: 'bob' }, to: { username: 'alice' }, amount: 50, token: 'LARYNX' }),
+  tx(110, 'a2', 'TOKEN_TRANSFER', { operationType: 'send', from: { username: 'alice' }, to: { username: 'carol' }, amount: 20, token: 'LARYNX', memo: '@alice| Sent @carol 20 LARYNX, "rent"' }),
+  tx(120, 'a3', 'TOKEN_CLAIM', { operationType: 'claim', from: { username: 'alice' }, amount: 8, token: 'SPK' }),
+  tx(130, 'a4', 'PROMOTION', { operationType: 'promotion', from: { username: 'alice' }, amount: 2, token: 'LARYNX' }),
+  tx(140, 'a5', 'DEX_TRADE', {
+    operationType: 'dexMarketBuy',
+    from: { username: 'alice' },
+    dexDetails: { tradeType: 'BUY', token: 'LARYNX', tokenAmount: 100, quoteCurrency: 'HIVE', quoteAmount: 3 }
+  }),
+  tx(140, 'a6', 'TOKEN_TRANSFER', { operationType: 'send', from: { username: 'alice' }, to: { username: 'bob' }, amount: 5, token: 'LARYNX' })
+];
+
+describe('Transaction history', () => {
+  let app;
+  let spkClient;
+
+  beforeEach(() => {
+    spkClient = {
+      namespace: 'spkccT_',
+      queryGlobal: jest.fn(async (query, vars) => (
+        vars.$username === 'alice' ? { user: [{ uid: '0xa1' }] } : { user: [] }
+      )),
+      // Honors the resume position and batch size; the other filters are checked on the query text
+      query: jest.fn(async (query, vars) => {
+        const afterBlock = vars.$afterBlock === undefined ? null : parseInt(vars.$afterBlock);
+        const transactions = [...TRANSACTIONS].reverse().filter(row => afterBlock === null ||
+          row.blockNum < afterBlock || (row.blockNum === afterBlock && row.id < vars.$afterId));
+        return { transactions: transactions.slice(0, parseInt(vars.$first)) };
+      })
+    };
+
+    const networkManager = {
+      getNetwork: jest.fn(prefix => (prefix === 'spkccT_' ? { dgraphClient: spkClient } : null))
+    };
+
+    app = express();
+    app.use('/api/spk', createSPKRoutes({ dgraphClient: { query: jest.fn() }, networkManager }));
+  });
+
+  it('lists transactions newest first with per-token totals and cursor pagination', async () => {
+    const first = await request(app)
+      .get('/api/spk/user/alice/transactions?limit=2')
+      .expect(200);
+
+    expect(first.body.total).toBe(6);
+    expect(first.body.transactions.map(entry => entry.id)).toEqual(['140:a6', '140:a5']);
+    expect(first.body.transactions[0]).toMatchObject({ direction: 'out', counterparty: 'bob', amount: 5, token: 'LARYNX' });
+    expect(first.body.transactions[1]).toMatchObject({ category: 'DEX_TRADE', amount: 100, token: 'LARYNX', quoteAmount: 3, quoteCurrency: 'HIVE' });
+    expect(first.body.summary).toEqual({
+      LARYNX: { sent: 25, received: 50, fees: 2, claims: 0, net: 23 },
+      SPK: { sent: 0, received: 0, fees: 0, claims: 8, net: 8 }
+    });
+
+    const second = await request(app)
+      .get(`/api/spk/user/alice/transactions?limit=2&cursor=${first.body.nextCursor}`)
+      .expect(200);
+    expect(second.body.transactions.map(entry => entry.id)).toEqual(['130:a4', '120:a3']);
+    expect(second.body.total).toBeNull();
+    const [cursorQuery, cursorVars] = spkClient.query.mock.calls[spkClient.query.mock.calls.length - 1];
+    expect(cursorQuery).toContain('(lt(blockNum, $afterBlock) OR (eq(blockNum, $afterBlock) AND lt(id, $afterId)))');
+    expect(cursorQuery).toContain('orderdesc: blockNum, orderdesc: id');
+    expect(cursorVars).toMatchObject({ $afterBlock: '140', $afterId: '140:a5' });
+
+    const last = await request(app)
+      .get(`/api/spk/user/alice/transactions?limit=2&cursor=${second.body.nextCursor}`)
+      .expect(200);
+    expect(last.body.transactions.map(entry => entry.id)).toEqual(['110:a2', '100:a1']);
+    expect(last.body.nextCursor).toBeNull();
+
+    const [query, vars] = spkClient.query.mock.calls[0];
+    expect(query).toContain('var(func: uid($accountUid)) {\n          sent as ~from @filter(type(Transaction))\n          received as ~to @filter(type(Transaction))');
+    expect(query).toContain('transactions(func: uid(sent, received), orderdesc: blockNum, orderdesc: id, first: $first) {');
+    expect(vars.$accountUid).toBe('0xa1');
+  });
+
+  it('filters by category and ranges in Dgraph, token and counterparty after mapping', async () => {
+    const response = await request(app)
+      .get('/api/spk/user/alice/transactions?category=token_transfer,promotion&operationType=send&fromBlock=100&toBlock=200&from=2025-01-01&to=2025-02-01T00:00:00Z&token=larynx&counterparty=@bob')
+      .expect(200);
+
+    const [query, vars] = spkClient.query.mock.calls[0];
+    expect(query).toContain('(eq(category, "TOKEN_TRANSFER") OR eq(category, "PROMOTION"))');
+    expect(query).toContain('eq(operationType, $operationType)');
+    expect(query).toContain('ge(blockNum, $fromBlock)');
+    expect(query).toContain('le(timestamp, $toTime)');
+    expect(vars).toMatchObject({
+      $operationType: 'send',
+      $fromBlock: '100',
+      $toBlock: '200',
+      $fromTime: '2025-01-01T00:00:00.000Z',
+      $toTime: '2025-02-01T00:00:00.000Z'
+    });
+
+    // The mock ignores the Dgraph filters, so only token and counterparty narrowed these
+    expect(response.body.transactions.map(entry => entry.id)).toEqual(['140:a6', '100:a1']);
+    expect(response.body.filters).toMatchObject({ category: ['TOKEN_TRANSFER', 'PROMOTION'], token: 'LARYNX', counterparty: 'bob' });
+  });
+
+  it('exports every matching transaction as CSV', async () => {
+    const response = await request(app)
+      .get('/api/spk/user/alice/transactions?format=csv&limit=1')
+      .expect(200);
+
+    expect(response.headers['content-type']).toContain('text/csv');
+    expect(response.headers['content-disposition']).toBe('attachment; filename="alice-transactions.csv"');
+
+    const lines = response.text.trim().split('\r\n');
+    expect(lines[0]).toBe('id,blockNum,timestamp,category,operationType,direction,counterparty,amount,token,quoteAmount,quoteCurrency,memo');
+    expect(lines).toHaveLength(7);
+    // A memo starting with @ would run as a spreadsheet formula
+    expect(lines).toContain('110:a2,110,2025-01-01T00:05:30.000Z,TOKEN_TRANSFER,send,out,carol,20,LARYNX,,,"\'@alice| Sent @carol 20 LARYNX, ""rent"""');
+  });
+
+  it('escapes cells spreadsheets would evaluate as formulas', () => {
+    const history = createTransactionHistory(spkClient);
+    const csv = history.toCSV([
+      { id: '1:f1', blockNum: 1, amount: -5, memo: '=HYPERLINK("http://evil.example","x")' },
+      { id: '2:f2', blockNum: 2, amount: 5, memo: '+1+2' },
+      { id: '3:f3', blockNum: 3, amount: 5, memo: '-2+3' }
+    ]);
+    const [, ...rows] = csv.trim().split('\r\n');
+    expect(rows).toEqual([
+      '1:f1,1,,,,,,-5,,,,"\'=HYPERLINK(""http://evil.example"",""x"")"',
+      "2:f2,2,,,,,,5,,,,'+1+2",
+      "3:f3,3,,,,,,5,,,,'-2+3"
+    ]);
+  });
+
+  it('reads older transactions batch by batch from Dgraph', async () => {
+    const history = createTransactionHistory(spkClient, { batchSize: 2 });
+    const { value } = history.parseParams({ limit: '3', token: 'LARYNX' });
+
+    const first = await history.list('alice', value);
+    expect(first.transactions.map(entry => entry.id)).toEqual(['140:a6', '140:a5', '130:a4']);
+    expect(first.total).toBe(5);
+    // Totals come from the pass that read the page: three full batches and an empty one
+    expect(spkClient.query).toHaveBeenCalledTimes(4);
+
+    const rest = await history.list('alice', { ...value, cursor: { blockNum: 130, id: '130:a4' } });
+    expect(rest.transactions.map(entry => entry.id)).toEqual(['110:a2', '100:a1']);
+    expect(rest.nextCursor).toBeNull();
+    expect(spkClient.query.mock.calls.every(([, vars]) => vars.$first === '2')).toBe(true);
+  });
+
+  it('validates parameters and unknown users', async () => {
+    await request(app).get('/api/spk/user/alice/transactions?category=BOGUS').expect(400);
+    await request(app).get('/api/spk/user/alice/transactions?fromBlock=-1').expect(400);
+    await request(app).get('/api/spk/user/alice/transactions?fromBlock=20&toBlock=10').expect(400);
+    await request(app).get('/api/spk/user/alice/transactions?from=yesterday').expect(400);
+    await request(app).get('/api/spk/user/alice/transactions?cursor=bm9wZQ').expect(400);
+    await request(app).get('/api/spk/user/alice/transactions?format=xml').expect(400);
+    await request(app).get('/api/spk/user/bob/transactions').expect(404);
+  });
+
+  it('links claim and promotion accounts so they appear in the history', () => {
+    const transformer = createDataTransformer({ query: jest.fn() }, null);
+    const mutations = { transactions: [] };
+
+    transformer.transformFeedEntry('120:a3', '@alice| Claimed 8 SPK - Half powered up', {}, mutations);
+    transformer.transformFeedEntry('130:a4', '@alice| Promoted @alice/post with 2 LARYNX', {}, mutations);
+
+    const [claim, promotion] = mutations.transactions;
+    expect(claim).toMatchObject({ category: 'TOKEN_CLAIM', from: { username: 'alice' }, amount: 8, token: 'SPK' });
+    expect(claim.account).toBeUndefined();
+    expect(promotion).toMatchObject({ category: 'PROMOTION', from: { username: 'alice' }, content: 'alice/post' });
+  });
+});
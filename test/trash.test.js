@@ -0,0 +1,162 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { createFileSystemRoutes } from '../routes/filesystem.js';
+import { createSPKRoutes } from '../routes/spk.js';
+import { createDataTransformer } from '../lib/data-transformer.js';
+
+function deletedFile(cid, name, overrides = {}) {
+  return {
+    uid: `0x${cid}`,
+    cid,
+    name,
+    extension: 'pdf',
+    size: 2048,
+    mimeType: 'application/pdf',
+    flags: 0,
+    path: '/Documents',
+    deletedBlock: 950,
+    deletedAt: '2025-01-01T00:00:00.000Z',
+    deleteReason: 'storageFileDelete',
+    contract: { id: 'alice:0:100-abc', blockNumber: 100, status: 3, expiresBlock: 5000 },
+    ...overrides
+  };
+}
+
+describe('Trash view', () => {
+  let app;
+  let spkClient;
+
+  beforeEach(() => {
+    spkClient = {
+      namespace: 'spkccT_',
+      queryGlobal: jest.fn(async (query, vars) => (
+        vars.$username === 'alice' ? { user: [{ uid: '0xa1' }] } : { user: [] }
+      )),
+      query: jest.fn(async (query) => {
+        if (query.includes('headBlock')) {
+          return { latestTransaction: [{ blockNum: 1000 }], latestDeletion: [{ deletedBlock: 990 }] };
+        }
+        return {
+          files: [
+            deletedFile('Qm1', 'report'),
+            deletedFile('Qm2', 'clip', {
+              extension: 'mp4',
+              path: '/Videos/Trips',
+              deletedBlock: 990,
+              deleteReason: 'storageCancel'
+            }),
+            deletedFile('Qm3', 'clip_thumb', { flags: 2 }),
+            deletedFile('Qm4', 'notes', { extension: '', path: '/', deletedBlock: 900, deleteReason: 'expiry' })
+          ]
+        };
+      })
+    };
+
+    const networkManager = {
+      getNetwork: jest.fn(prefix => (prefix === 'spkccT_' ? { dgraphClient: spkClient } : null))
+    };
+
+    app = express();
+    app.use('/api/spk', createSPKRoutes({ dgraphClient: { query: jest.fn() }, networkManager }));
+    app.use('/', createFileSystemRoutes({ dgraphClient: spkClient, networkManager }));
+  });
+
+  it('lists deleted files newest first with path, block and reason', async () => {
+    const response = await request(app)
+      .get('/api/spk/user/alice/trash?blocks=200')
+      .expect(200);
+
+    expect(response.body).toMatchObject({ headBlock: 1000, sinceBlock: 800, blocks: 200, total: 3 });
+    expect(response.body.byReason).toEqual({ storageFileDelete: 1, storageCancel: 1, expiry: 1 });
+    expect(response.body.entries.map(e => e.originalPath)).toEqual([
+      '/Videos/Trips/clip.mp4',
+      '/Documents/report.pdf',
+      '/notes'
+    ]);
+    expect(response.body.entries[0]).toMatchObject({ cid: 'Qm2', deletedBlock: 990, reason: 'storageCancel' });
+
+    const [query, vars] = spkClient.query.mock.calls[1];
+    expect(query).toContain('ge(deletedBlock, $sinceBlock)');
+    expect(query).toContain('uid_in(owner, $ownerUid)');
+    expect(vars).toMatchObject({ $ownerUid: '0xa1', $sinceBlock: '800' });
+  });
+
+  it('filters by reason in Dgraph', async () => {
+    await request(app)
+      .get('/api/spk/user/alice/trash?reason=expiry')
+      .expect(200);
+
+    const [query, vars] = spkClient.query.mock.calls[1];
+    expect(query).toContain('eq(deleteReason, $reason)');
+    expect(vars.$reason).toBe('expiry');
+  });
+
+  it('validates parameters and unknown users', async () => {
+    await request(app).get('/api/spk/user/alice/trash?blocks=0').expect(400);
+    await request(app).get('/api/spk/user/alice/trash?reason=bogus').expect(400);
+    await request(app).get('/api/spk/user/bob/trash').expect(404);
+  });
+
+  it('serves the virtual .Trash folder under /fs', async () => {
+    const response = await request(app)
+      .get('/fs/alice/.Trash?limit=1')
+      .expect(200);
+
+    expect(response.body).toMatchObject({ path: '/.Trash', type: 'directory', virtual: true });
+    expect(response.body.totals).toMatchObject({ total: 3, file: 3 });
+    expect(response.body.contents).toHaveLength(1);
+    expect(response.body.contents[0]).toMatchObject({ type: 'file', name: 'clip', originalPath: '/Videos/Trips/clip.mp4' });
+    expect(response.body.pagination).toMatchObject({ limit: 1, offset: 0, returned: 1, hasMore: true });
+  });
+
+  it('narrows .Trash to an original directory', async () => {
+    const response = await request(app)
+      .get('/fs/alice/.Trash/Videos')
+      .expect(200);
+
+    expect(response.body.path).toBe('/.Trash/Videos');
+    expect(response.body.contents.map(e => e.cid)).toEqual(['Qm2']);
+  });
+
+  describe('deletion recording', () => {
+    let transformer;
+    let client;
+
+    beforeEach(() => {
+      client = {
+        namespace: 'spkccT_',
+        query: jest.fn(async (query) => {
+          if (query.includes('getContractFiles')) {
+            return { contract: [{ uid: '0xc1', files: [{ uid: '0xf1', cid: 'Qm1', path: '/Documents', name: 'report' }] }] };
+          }
+          if (query.includes('getContract(')) {
+            return { contract: [{ uid: '0xc1', expiresBlock: 1200 }] };
+          }
+          return { path: [] };
+        })
+      };
+      transformer = createDataTransformer(client, null);
+    });
+
+    function deletionsIn(mutations) {
+      return mutations.other.filter(m => m['dgraph.type'] === 'ContractFile');
+    }
+
+    it('tags files dropped by a contract cancellation', async () => {
+      const mutations = { other: [] };
+      await transformer.handleDeletion(['contract', 'alice', '100-abc'], mutations, { blockNum: 1100 });
+
+      expect(deletionsIn(mutations)).toEqual([
+        expect.objectContaining({ uid: '0xf1', isDeleted: true, deletedBlock: 1100, deleteReason: 'storageCancel' })
+      ]);
+    });
+
+    it('tags files dropped when the contract expired', async () => {
+      const mutations = { other: [] };
+      await transformer.handleDeletion(['contract', 'alice', '100-abc'], mutations, { blockNum: 1200 });
+
+      expect(deletionsIn(mutations)[0]).toMatchObject({ deletedBlock: 1200, deleteReason: 'expiry' });
+    });
+  });
+});
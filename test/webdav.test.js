@@ -0,0 +1,198 @@
+import { jest } from '@jest/globals';
+import http from 'http';
+import request from 'supertest';
+import express from 'express';
+import { createFileSystemRoutes } from '../routes/filesystem.js';
+import { parseDepth, buildHref, escapeXml } from '../lib/webdav.js';
+
+const CONTENT = Buffer.from('%PDF-1.4 fake pdf body');
+
+function propfind(app, url, depth) {
+  const req = request(app).propfind(url);
+  return depth === undefined ? req : req.set('Depth', depth);
+}
+
+describe('WebDAV frontend', () => {
+  let app;
+  let gateway;
+  let gatewayUrl;
+  let mockDgraphClient;
+  const originalEnv = { ...process.env };
+
+  beforeAll(async () => {
+    gateway = http.createServer((req, res) => {
+      if (req.url !== '/ipfs/QmReport') {
+        res.writeHead(404);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Length': CONTENT.length });
+      res.end(CONTENT);
+    });
+    await new Promise(resolve => gateway.listen(0, '127.0.0.1', resolve));
+    gatewayUrl = `http://127.0.0.1:${gateway.address().port}`;
+  });
+
+  afterAll(async () => {
+    gateway.closeAllConnections?.();
+    await new Promise(resolve => gateway.close(resolve));
+  });
+
+  beforeEach(() => {
+    process.env.IPFS_GATEWAY = 'http://127.0.0.1:9';
+
+    mockDgraphClient = {
+      namespace: 'spkccT_',
+      queryGlobal: jest.fn(async (query, vars) => (
+        vars.$username === 'alice' ? { user: [{ uid: '0x1', username: 'alice' }] } : { user: [] }
+      )),
+      query: jest.fn(async (query) => {
+        if (query.includes('getAllPaths')) {
+          return {
+            paths: [
+              {
+                fullPath: '/Documents',
+                pathName: 'Documents',
+                files: [{
+                  cid: 'QmReport',
+                  name: 'Q1 report',
+                  extension: 'pdf',
+                  size: CONTENT.length,
+                  mimeType: 'application/pdf',
+                  contract: { id: 'alice_100', blockNumber: 100 }
+                }]
+              },
+              {
+                fullPath: '/Documents/Drafts',
+                pathName: 'Drafts',
+                files: [{
+                  cid: 'QmReport',
+                  name: '履歴書 ✓',
+                  extension: 'pdf',
+                  size: CONTENT.length,
+                  mimeType: 'application/pdf',
+                  contract: { id: 'alice_100', blockNumber: 100 }
+                }]
+              }
+            ]
+          };
+        }
+        if (query.includes('getStorageGateways')) {
+          return {
+            contract: [{
+              id: 'alice_100',
+              storageNodes: [{ username: 'node1', services: [{ api: gatewayUrl, active: true, enabled: 1 }] }]
+            }]
+          };
+        }
+        return { gateways: [] };
+      })
+    };
+
+    const mockNetworkManager = {
+      getNetwork: jest.fn(() => ({ dgraphClient: mockDgraphClient }))
+    };
+
+    app = express();
+    app.use('/', createFileSystemRoutes({ dgraphClient: mockDgraphClient, networkManager: mockNetworkManager }));
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('advertises a read-only class 1 server', async () => {
+    const response = await request(app).options('/webdav/alice/').expect(200);
+
+    expect(response.headers.dav).toBe('1');
+    expect(response.headers.allow).toBe('OPTIONS, GET, HEAD, PROPFIND');
+  });
+
+  it('lists a collection with depth 1', async () => {
+    const response = await propfind(app, '/webdav/alice/Documents/', '1').expect(207);
+
+    expect(response.headers['content-type']).toMatch(/application\/xml/);
+    const xml = response.text;
+    expect(xml).toContain('<D:href>/webdav/alice/Documents/</D:href>');
+    expect(xml).toContain('<D:href>/webdav/alice/Documents/Drafts/</D:href>');
+    expect(xml).toContain('<D:href>/webdav/alice/Documents/Q1%20report.pdf</D:href>');
+    expect(xml).toContain('<D:displayname>Q1 report.pdf</D:displayname>');
+    expect(xml).toContain(`<D:getcontentlength>${CONTENT.length}</D:getcontentlength>`);
+    expect(xml).toContain('<D:getcontenttype>application/pdf</D:getcontenttype>');
+    expect(xml).toContain('<D:getetag>&quot;QmReport&quot;</D:getetag>');
+    expect(xml.match(/<D:response>/g)).toHaveLength(3);
+  });
+
+  it('lists the root with preset folders', async () => {
+    const response = await propfind(app, '/webdav/alice', '1').expect(207);
+
+    expect(response.text).toContain('<D:href>/webdav/alice/</D:href>');
+    expect(response.text).toContain('<D:href>/webdav/alice/Videos/</D:href>');
+  });
+
+  it('returns only the resource itself with depth 0', async () => {
+    const response = await propfind(app, '/webdav/alice/Documents/Q1%20report.pdf', '0').expect(207);
+
+    expect(response.text.match(/<D:response>/g)).toHaveLength(1);
+    expect(response.text).toContain('<D:resourcetype/>');
+  });
+
+  it('refuses infinite depth', async () => {
+    const response = await propfind(app, '/webdav/alice/', 'infinity').expect(403);
+    expect(response.text).toContain('propfind-finite-depth');
+
+    await propfind(app, '/webdav/alice/').expect(403);
+  });
+
+  it('returns 404 for missing paths and users', async () => {
+    await propfind(app, '/webdav/alice/Documents/nope.txt', '0').expect(404);
+    await propfind(app, '/webdav/bob/', '0').expect(404);
+  });
+
+  it('streams files from the storage gateway with the CID as ETag', async () => {
+    const response = await request(app)
+      .get('/webdav/alice/Documents/Q1%20report.pdf')
+      .expect(200);
+
+    expect(response.headers.etag).toBe('"QmReport"');
+    expect(response.headers['content-type']).toBe('application/pdf');
+    expect(Buffer.from(response.body).equals(CONTENT)).toBe(true);
+
+    await request(app)
+      .get('/webdav/alice/Documents/Q1%20report.pdf')
+      .set('If-None-Match', '"QmReport"')
+      .expect(304);
+  });
+
+  it('streams files whose names are not Latin-1', async () => {
+    const response = await request(app)
+      .get(`/webdav/alice/Documents/Drafts/${encodeURIComponent('履歴書 ✓.pdf')}`)
+      .expect(200);
+
+    expect(response.headers['content-disposition']).toBe(
+      `inline; filename="___ _.pdf"; filename*=UTF-8''${encodeURIComponent('履歴書 ✓.pdf')}`
+    );
+    expect(Buffer.from(response.body).equals(CONTENT)).toBe(true);
+  });
+
+  it('rejects write methods', async () => {
+    await request(app).put('/webdav/alice/Documents/new.txt').send('x').expect(405);
+    await request(app).delete('/webdav/alice/Documents/Q1%20report.pdf').expect(405);
+    await request(app).mkcol('/webdav/alice/Documents/New').expect(405);
+  });
+
+  describe('helpers', () => {
+    it('parses depth headers', () => {
+      expect(parseDepth('0')).toBe(0);
+      expect(parseDepth('1')).toBe(1);
+      expect(parseDepth('Infinity')).toBe('infinity');
+      expect(parseDepth(undefined)).toBe('infinity');
+      expect(parseDepth('2')).toBeNull();
+    });
+
+    it('encodes hrefs and escapes xml', () => {
+      expect(buildHref('/webdav/alice', ['a b', 'c#d.txt'], false)).toBe('/webdav/alice/a%20b/c%23d.txt');
+      expect(buildHref('/webdav/alice', [], true)).toBe('/webdav/alice/');
+      expect(escapeXml('<a & "b">')).toBe('&lt;a &amp; &quot;b&quot;&gt;');
+    });
+  });
+});